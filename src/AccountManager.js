@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { GitMerge, Plus } from 'lucide-react';
+import { ACCOUNT_TYPES } from './accounts';
+
+/**
+ * Account Manager
+ * Adds accounts and edits their name, kind and opening balance. An account that is
+ * no longer used is merged into another, which takes over its expenses, income and
+ * transfers. The first account also holds anything not assigned to one.
+ * @param {Array} accounts - Stored accounts
+ * @param {function} onAdd - Called with the name, type ID and opening balance of a new account
+ * @param {function} onUpdate - Called with an account ID and the fields to change
+ * @param {function} onMerge - Called with the account to merge away and the account to merge into
+ */
+export default function AccountManager({ accounts, onAdd, onUpdate, onMerge }) {
+  const [newAccount, setNewAccount] = useState({ name: '', type: 'checking', openingBalance: '' });
+  const [drafts, setDrafts] = useState({}); // Names and balances being typed, by account ID then field
+  const [mergeTargets, setMergeTargets] = useState({}); // Selected merge target per account ID
+
+  /**
+   * Updates a field being typed for an account
+   * @param {string} id - Account ID
+   * @param {string} field - "name" or "openingBalance"
+   * @param {string} value - Typed text
+   */
+  const setDraft = (id, field, value) => {
+    setDrafts(prev => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+  };
+
+  /**
+   * Saves a typed name or opening balance when its box loses focus
+   * @param {object} acct - Account being edited
+   * @param {string} field - "name" or "openingBalance"
+   */
+  const commitDraft = (acct, field) => {
+    const draft = drafts[acct.id]?.[field];
+    setDraft(acct.id, field, undefined);
+    if (draft === undefined) return;
+    if (field === 'name' && draft.trim() && draft.trim() !== acct.name) onUpdate(acct.id, { name: draft.trim() });
+    if (field === 'openingBalance' && (parseFloat(draft) || 0) !== acct.openingBalance) onUpdate(acct.id, { openingBalance: parseFloat(draft) || 0 });
+  };
+
+  /**
+   * Adds the account in the form
+   */
+  const handleAdd = () => {
+    if (!newAccount.name.trim()) return;
+    onAdd(newAccount.name, newAccount.type, parseFloat(newAccount.openingBalance) || 0);
+    setNewAccount({ name: '', type: newAccount.type, openingBalance: '' });
+  };
+
+  /**
+   * Asks for confirmation, then merges an account into the selected target
+   * @param {object} acct - Account being merged away
+   */
+  const handleMerge = (acct) => {
+    const target = accounts.find(a => a.id === mergeTargets[acct.id]);
+    if (!target) return;
+
+    if (window.confirm(`🔀 Move everything in ${acct.name} to ${target.name} and remove ${acct.name}? Its opening balance is added to ${target.name}.`)) {
+      onMerge(acct, target);
+      setMergeTargets(prev => ({ ...prev, [acct.id]: '' }));
+    }
+  };
+
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none min-w-0';
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">🏦 ACCOUNTS</h3>
+
+      <div className="space-y-2 mb-4">
+        {accounts.map((acct, index) => (
+          <div key={acct.id} className="bg-gray-900 border-2 border-gray-700 p-3 space-y-2">
+            <div className="flex items-center gap-2">
+              <select
+                value={acct.type}
+                onChange={(e) => onUpdate(acct.id, { type: e.target.value })}
+                className={inputClassName}
+                aria-label="Account type"
+              >
+                {ACCOUNT_TYPES.map(type => <option key={type.id} value={type.id}>{type.emoji} {type.name}</option>)}
+              </select>
+              <input
+                type="text"
+                value={drafts[acct.id]?.name ?? acct.name}
+                onChange={(e) => setDraft(acct.id, 'name', e.target.value)}
+                onBlur={() => commitDraft(acct, 'name')}
+                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                className={`${inputClassName} flex-1`}
+                aria-label="Account name"
+              />
+              <input
+                type="number"
+                value={drafts[acct.id]?.openingBalance ?? acct.openingBalance}
+                onChange={(e) => setDraft(acct.id, 'openingBalance', e.target.value)}
+                onBlur={() => commitDraft(acct, 'openingBalance')}
+                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                className={`${inputClassName} w-28`}
+                aria-label="Opening balance"
+                title="Balance before the first tracked month"
+              />
+            </div>
+            {index === 0 && <div className="text-xs text-gray-500">Default account for anything not assigned to another</div>}
+            {accounts.length > 1 && (
+              <div className="flex items-center gap-2">
+                <select
+                  value={mergeTargets[acct.id] || ''}
+                  onChange={(e) => setMergeTargets(prev => ({ ...prev, [acct.id]: e.target.value }))}
+                  className={`${inputClassName} text-xs flex-1`}
+                  aria-label="Merge into"
+                >
+                  <option value="">Merge into…</option>
+                  {accounts.filter(a => a.id !== acct.id).map(a => (
+                    <option key={a.id} value={a.id}>{a.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleMerge(acct)}
+                  disabled={!mergeTargets[acct.id]}
+                  className="bg-orange-600 hover:bg-orange-700 border-2 border-orange-800 p-2 transition-all hover:scale-110 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+                  title="Merge"
+                >
+                  <GitMerge size={16} />
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <select
+          value={newAccount.type}
+          onChange={(e) => setNewAccount({ ...newAccount, type: e.target.value })}
+          className={inputClassName}
+          aria-label="New account type"
+        >
+          {ACCOUNT_TYPES.map(type => <option key={type.id} value={type.id}>{type.emoji} {type.name}</option>)}
+        </select>
+        <input
+          type="text"
+          value={newAccount.name}
+          onChange={(e) => setNewAccount({ ...newAccount, name: e.target.value })}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="Account name"
+          className={`${inputClassName} flex-1`}
+        />
+        <input
+          type="number"
+          value={newAccount.openingBalance}
+          onChange={(e) => setNewAccount({ ...newAccount, openingBalance: e.target.value })}
+          placeholder="Balance"
+          className={`${inputClassName} w-28`}
+        />
+        <button
+          onClick={handleAdd}
+          disabled={!newAccount.name.trim()}
+          className="bg-green-600 hover:bg-green-700 border-2 border-green-800 px-3 font-bold flex items-center gap-1 transition-all hover:scale-105 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+        >
+          <Plus size={16} />
+          ADD
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 mt-3">
+        Opening balances are what each account held before your first tracked month. Enter a credit card's balance as a negative amount while you owe on it.
+      </p>
+    </div>
+  );
+}
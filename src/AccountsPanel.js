@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { ArrowRight, Plus, Trash2 } from 'lucide-react';
+import { getAccountType } from './accounts';
+import { getDateInMonth } from './expenseDates';
+
+/**
+ * Accounts Panel
+ * Each account's balance at the start and end of the month with what came in and
+ * went out, and the month's transfers between accounts.
+ * @param {Array} balances - Accounts with their month's figures, from getAccountBalances
+ * @param {Array} transfers - The month's transfers
+ * @param {string} month - Month key ("YYYY-MM")
+ * @param {string} defaultDate - Date new transfers get unless another is picked
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatDate - Formats a date key for display
+ * @param {function} onAddTransfer - Called with the from and to account IDs, amount, date and note
+ * @param {function} onDeleteTransfer - Called with a transfer ID
+ */
+export default function AccountsPanel({ balances, transfers, month, defaultDate, formatCurrency, formatDate, onAddTransfer, onDeleteTransfer }) {
+  const [form, setForm] = useState({ fromAccountId: '', toAccountId: '', amount: '', date: '', note: '' });
+
+  if (balances.length === 0) {
+    return (
+      <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+        <h3 className="text-lg font-bold mb-2">🏦 ACCOUNTS</h3>
+        <p className="text-gray-500 text-sm">Add your checking, card, cash and savings accounts in Settings to follow their balances and move money between them.</p>
+      </div>
+    );
+  }
+
+  const fromAccountId = form.fromAccountId || balances[0].id;
+  const toAccountId = form.toAccountId || balances.find(acct => acct.id !== fromAccountId)?.id || '';
+  const amount = parseFloat(form.amount);
+  const date = form.date.startsWith(`${month}-`) ? form.date : defaultDate;
+  const canTransfer = toAccountId && fromAccountId !== toAccountId && amount > 0;
+  const netWorth = balances.reduce((sum, acct) => sum + acct.endBalance, 0);
+  const getName = (id) => balances.find(acct => acct.id === id)?.name || 'Removed account';
+
+  /**
+   * Adds the transfer in the form and clears the amount and note
+   */
+  const handleAdd = () => {
+    if (!canTransfer) return;
+    onAddTransfer(fromAccountId, toAccountId, amount, date, form.note);
+    setForm({ ...form, amount: '', note: '' });
+  };
+
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none min-w-0';
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold">🏦 ACCOUNTS</h3>
+        <span className="text-sm">
+          <span className="text-gray-400">Net worth </span>
+          <span className={`font-bold ${netWorth >= 0 ? 'text-green-400' : 'text-red-400'}`}>{formatCurrency(netWorth)}</span>
+        </span>
+      </div>
+
+      {/* Balances */}
+      <div className="space-y-2 mb-4">
+        {balances.map(acct => (
+          <div key={acct.id} className="bg-gray-900 border-2 border-gray-700 p-3">
+            <div className="flex items-center justify-between">
+              <span className="font-bold">{getAccountType(acct.type).emoji} {acct.name}</span>
+              <span className={`font-bold ${acct.endBalance >= 0 ? 'text-white' : 'text-red-400'}`}>{formatCurrency(acct.endBalance)}</span>
+            </div>
+            <div className="text-xs text-gray-400 mt-1 flex flex-wrap gap-x-3">
+              <span>Start {formatCurrency(acct.startBalance)}</span>
+              {acct.income > 0 && <span className="text-green-400">+{formatCurrency(acct.income)} income</span>}
+              {acct.spent > 0 && <span className="text-red-400">−{formatCurrency(acct.spent)} spent</span>}
+              {acct.transfersIn > 0 && <span className="text-blue-400">+{formatCurrency(acct.transfersIn)} in</span>}
+              {acct.transfersOut > 0 && <span className="text-orange-400">−{formatCurrency(acct.transfersOut)} out</span>}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Transfers */}
+      {balances.length > 1 && (
+        <>
+          <div className="text-sm font-bold mb-2">🔁 TRANSFERS</div>
+          {transfers.length > 0 && (
+            <div className="space-y-1 mb-3">
+              {transfers.map(transfer => (
+                <div key={transfer.id} className="flex items-center justify-between gap-2 text-sm bg-gray-900 border-2 border-gray-700 px-2 py-1">
+                  <span className="flex items-center gap-1 min-w-0">
+                    <span className="text-xs text-gray-500">{formatDate(transfer.date)}</span>
+                    <span className="truncate">{getName(transfer.fromAccountId)}</span>
+                    <ArrowRight size={12} />
+                    <span className="truncate">{getName(transfer.toAccountId)}</span>
+                    {transfer.note && <span className="text-xs text-gray-500 italic truncate">{transfer.note}</span>}
+                  </span>
+                  <span className="flex items-center gap-2">
+                    <span className="font-bold">{formatCurrency(transfer.amount)}</span>
+                    <button
+                      onClick={() => onDeleteTransfer(transfer.id)}
+                      className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-1 transition-all hover:scale-110 active:scale-95"
+                      title="Delete transfer"
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={fromAccountId}
+              onChange={(e) => setForm({ ...form, fromAccountId: e.target.value })}
+              className={inputClassName}
+              aria-label="From account"
+            >
+              {balances.map(acct => <option key={acct.id} value={acct.id}>From {acct.name}</option>)}
+            </select>
+            <select
+              value={toAccountId}
+              onChange={(e) => setForm({ ...form, toAccountId: e.target.value })}
+              className={inputClassName}
+              aria-label="To account"
+            >
+              {balances.filter(acct => acct.id !== fromAccountId).map(acct => <option key={acct.id} value={acct.id}>To {acct.name}</option>)}
+            </select>
+            <input
+              type="number"
+              min="0"
+              value={form.amount}
+              onChange={(e) => setForm({ ...form, amount: e.target.value })}
+              placeholder="Amount"
+              className={inputClassName}
+            />
+            <input
+              type="date"
+              value={date}
+              min={`${month}-01`}
+              max={getDateInMonth(month, 31)}
+              onChange={(e) => e.target.value && setForm({ ...form, date: e.target.value })}
+              className={inputClassName}
+            />
+            <input
+              type="text"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+              placeholder="Note (e.g. Pay off card)"
+              className={`${inputClassName} col-span-2`}
+            />
+          </div>
+          <button
+            onClick={handleAdd}
+            disabled={!canTransfer}
+            className="w-full mt-2 bg-blue-600 hover:bg-blue-700 border-2 border-blue-800 p-2 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+          >
+            <Plus size={16} />
+            MOVE MONEY
+          </button>
+          <p className="text-xs text-gray-400 mt-2">Transfers change balances but never count as spending or income.</p>
+        </>
+      )}
+    </div>
+  );
+}
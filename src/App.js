@@ -1,10 +1,84 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Rocket, Trash2, Plus, DollarSign, TrendingDown, TrendingUp, Edit2, Save, X, Download, Volume2, VolumeX, PieChart as PieChartIcon, ChevronLeft, ChevronRight, Calendar, Repeat, Bell, BellOff, AlertTriangle } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Rocket, Trash2, Plus, DollarSign, TrendingDown, TrendingUp, Edit2, Save, X, Download, Volume2, VolumeX, PieChart as PieChartIcon, ChevronLeft, ChevronRight, Calendar, Repeat, Bell, BellOff, AlertTriangle, Undo2, Redo2, RotateCcw } from 'lucide-react';
 import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip, BarChart, Bar, XAxis, YAxis, CartesianGrid } from 'recharts';
 import { AuthProvider, useAuth } from './AuthContext';
 import Login from './Login';
-import { saveMonthlyBudgets, loadMonthlyBudgets, migrateLocalStorageToFirestore } from './firestoreService';
+import { clearLocalCache } from './localCache';
+import { createFirestoreAdapter, createLocalStorageAdapter } from './storageAdapters';
+import useBudgetSync from './useBudgetSync';
+import useBudgetHistory from './useBudgetHistory';
+import useAuditLog from './useAuditLog';
+import AuditLogPanel from './AuditLogPanel';
+import SyncStatus from './SyncStatus';
+import { createRecordId, getSettings } from './budgetSchema';
 import Insights from './Insights';
+import BackupPanel from './BackupPanel';
+import { buildRestoredBudget } from './backup';
+import TrashPanel from './TrashPanel';
+import { moveExpenseToTrash, restoreFromTrash, purgeFromTrash, getExpiredTrashIds } from './trash';
+import { createEmptyMonth } from './budgetRecords';
+import { INCOME_SOURCES, getIncomeSource, getMonthIncome, getIncomeBySource } from './income';
+import ExpenseCalendar from './ExpenseCalendar';
+import SplitEditor from './SplitEditor';
+import TagInput from './TagInput';
+import SearchScreen from './SearchScreen';
+import { getUsedTags, filterExpensesByTags, applyTagsAndNotes } from './expenseTags';
+import { isSplitExpense, expandSplits, getExpenseCategoryIds, getSplitErrors, applySplits } from './expenseSplits';
+import CategoryManager from './CategoryManager';
+import PayeeInput from './PayeeInput';
+import PayeeManager from './PayeeManager';
+import { getPayees, getPayeeDirectory, renamePayee, mergePayees, removePayeeAlias } from './payees';
+import RefundForm from './RefundForm';
+import PendingReimbursements from './PendingReimbursements';
+import { isRefund, getRefundType, createRefund, getRefundSplits, getRefundedAmounts, findRefundedExpense, getRefundableAmount, getPendingReimbursements } from './refunds';
+import { BUDGETING_MODES, isEnvelopeMode, getEnvelopes, getEnvelopeFunds, getToBeAssigned, getLastAssignments } from './envelopes';
+import { getGoals, createGoal } from './savingsGoals';
+import DebtPlanner from './DebtPlanner';
+import { getDebts, createDebt, isDebtCategory, getDebtLink } from './debts';
+import AccountsPanel from './AccountsPanel';
+import AccountManager from './AccountManager';
+import { getAccounts, getAccountType, getTransfers, resolveAccountId, createAccount, createTransfer, getAccountBalances, mergeAccounts } from './accounts';
+import ExchangeRateTable from './ExchangeRateTable';
+import DisplaySettings from './DisplaySettings';
+import { formatMoney, formatMonth, formatDate, getCsvFormat, getFiscalYear, getFiscalYearToDate } from './displayFormat';
+import {
+  getExchangeRates,
+  getExchangeRate,
+  applyCurrency,
+  toOriginalAmounts,
+  applyExchangeRates,
+  canChangeBaseCurrency,
+  getUsedCurrencies,
+  setExchangeRate
+} from './currency';
+import {
+  getCategories,
+  withCategoryLabels,
+  sortCategoryTree,
+  getCategoryOptionLabel,
+  getCategoryTotals,
+  flattenCategoryTotals,
+  getDrillDownRows,
+  mergeCategories,
+  countCategoryExpenses
+} from './categories';
+import { getDefaultExpenseDate, getDateInMonth, sortExpenses, groupExpensesByDate, toDateKey } from './expenseDates';
+import RecurrenceFields from './RecurrenceFields';
+import {
+  NO_REPEAT,
+  getRecurrences,
+  createRecurrence,
+  getRecurrenceSchedule,
+  describeRecurrence,
+  hasLaterOccurrences,
+  materializeRecurrences,
+  addRecurrence,
+  endRecurrence,
+  skipOccurrence,
+  updateFutureOccurrences,
+  getMaterializeMonth,
+  getProjectedOccurrences
+} from './recurrence';
 
 /**
  * Renders the animated starfield background
@@ -33,14 +107,52 @@ const StarField = () => {
 
 /**
  * Main Budget Calculator Component
- * A retro NES/space themed budget tracking application with localStorage persistence
+ * A retro NES/space themed budget tracking application with offline-first sync
+ * @param {object} storage - Storage adapter the budget data is kept in (see storageAdapters.js)
  */
-function MainApp() {
+export function MainApp({ storage }) {
 
-  const { user, logout } = useAuth();  // ← ADD THIS LINE
+  const { user, logout, isGuest, endGuestSession } = useAuth();
+
+  // Budget data by month (key: "YYYY-MM") plus account-wide data, kept in sync with IndexedDB and the storage adapter
+  const { budget, setBudget, isLoaded, syncStatus, retrySync } = useBudgetSync(storage);
+  const { monthlyBudgets, account, trash } = budget;
+
+  // Every local change is recorded in the audit log under the user who made it
+  const auditUid = user ? user.uid : 'guest';
+  const { entries: auditEntries, recordChanges } = useAuditLog(storage, auditUid);
+
+  // Every local change goes through updateBudget so it can be undone
+  const { updateBudget, undo, redo, canUndo, canRedo } = useBudgetHistory(budget, setBudget, recordChanges);
+
+  /**
+   * Applies a change to the month data as one undoable step
+   * @param {function} updater - Receives the current month data and returns the new data
+   * @param {string} label - Short description of the change
+   * @param {object} options - Passed through to updateBudget
+   */
+  const updateBudgets = (updater, label, options) => {
+    updateBudget(prev => ({ ...prev, monthlyBudgets: updater(prev.monthlyBudgets) }), label, options);
+  };
+
+  /**
+   * Saves account settings with the account; settings changes are not undoable
+   * @param {object} changes - Settings to change
+   */
+  const updateSettings = (changes) => {
+    updateBudget(prev => ({
+      ...prev,
+      account: { ...prev.account, settings: { ...getSettings(prev.account), ...changes } }
+    }), 'Change settings', { skipHistory: true });
+  };
+
+  const settings = getSettings(account);
+  const { soundEnabled, trashRetentionDays, baseCurrency, fiscalYearStartMonth } = settings; // Sound effects toggle, trash retention period, currency for totals and fiscal year start
+  const { locale, currencyDisplay, decimalStyle } = settings;
+  const envelopeMode = isEnvelopeMode(settings.budgetingMode); // Limits are money assigned to envelopes that roll over
+  const displayPreferences = { locale, currencyDisplay, decimalStyle }; // How amounts, months and dates are shown
 
   // State Management
-  const [monthlyBudgets, setMonthlyBudgets] = useState({}); // Stores budget data by month (key: "YYYY-MM")
   const [currentMonth, setCurrentMonth] = useState(() => {
     // Initialize to current month in format "YYYY-MM"
     const now = new Date();
@@ -50,18 +162,33 @@ function MainApp() {
     name: '',
     amount: '',
     category: 'food',
-    isRecurring: false
+    repeat: NO_REPEAT, // How often the expense repeats (see recurrence.js)
+    currency: '', // Currency the amount is entered in; empty means the base currency
+    date: '', // Transaction date; empty means the default for the month
+    splits: null, // Category/amount lines when the expense is split
+    tags: [],
+    notes: '',
+    accountId: '', // Account paid from; empty means the first account
+    reimbursable: false, // Whether the money is expected back (see refunds.js)
+    debtId: '' // Debt a debt-category expense pays off; empty means none (see debts.js)
+  });
+  const [newIncome, setNewIncome] = useState({ // Form state for adding income entries
+    name: '',
+    amount: '',
+    source: 'salary',
+    repeat: NO_REPEAT,
+    accountId: '' // Account paid into; empty means the first account
   });
+  const [expenseSort, setExpenseSort] = useState('date-desc'); // Order of the RECENT EXPENSES list
+  const [pieCategoryId, setPieCategoryId] = useState(null); // Parent category the pie chart is drilled into
+  const [tagFilter, setTagFilter] = useState([]); // Tags the RECENT EXPENSES list is filtered by
   const [screen, setScreen] = useState('main'); // Controls which screen is displayed
-  const [isLoaded, setIsLoaded] = useState(false); // Tracks if data has been loaded from localStorage
   const [editingExpenseId, setEditingExpenseId] = useState(null); // Tracks which expense is being edited
   const [editingExpenseData, setEditingExpenseData] = useState(null); // Holds the temporary edit data
-  const [soundEnabled, setSoundEnabled] = useState(true); // Controls whether sound effects are enabled
+  const [refundingExpenseId, setRefundingExpenseId] = useState(null); // Expense whose refund is being entered
   const [notificationsEnabled, setNotificationsEnabled] = useState(false); // Controls whether browser notifications are enabled
   const [alertsShown, setAlertsShown] = useState({}); // Tracks which category alerts have been shown this session (key: "month-category")
-  
-  // Ref to track which months have been auto-populated (to prevent duplicates)
-  const populatedMonthsRef = useRef({});
+  const [undoToast, setUndoToast] = useState(null); // Message for the UNDO toast shown after destructive actions
 
   /**
    * Requests browser notification permission
@@ -88,23 +215,23 @@ function MainApp() {
 
   /**
    * Gets the budget data for the current month
-   * @returns {object} Object with income, incomeRecurring, expenses, and categoryLimits for current month
+   * @returns {object} Object with incomes, expenses, and categoryLimits for current month
    */
   const getCurrentMonthData = () => {
-    return monthlyBudgets[currentMonth] || { income: 0, incomeRecurring: false, expenses: [], categoryLimits: {} };
+    return monthlyBudgets[currentMonth] || createEmptyMonth();
   };
 
   /**
-   * Gets income for the current month
-   * @returns {number} Income value
+   * Gets total income for the current month
+   * @returns {number} Sum of every income entry
    */
-  const getIncome = () => getCurrentMonthData().income;
+  const getIncome = () => getMonthIncome(getCurrentMonthData());
 
   /**
-   * Gets whether income is recurring for the current month
-   * @returns {boolean} True if income is recurring
+   * Gets the income entries for the current month
+   * @returns {array} Array of income entries
    */
-  const getIncomeRecurring = () => getCurrentMonthData().incomeRecurring || false;
+  const getIncomes = () => getCurrentMonthData().incomes || [];
 
   /**
    * Gets expenses for the current month
@@ -112,6 +239,19 @@ function MainApp() {
    */
   const getExpenses = () => getCurrentMonthData().expenses || [];
 
+  /**
+   * Gets the current month's expenses in the chosen order for the RECENT EXPENSES list
+   * Date orders are grouped by day; amount orders form a single group without a date
+   * Only expenses with every tag in the tag filter are included
+   * @returns {array} Array of { date, expenses, total }
+   */
+  const getExpenseGroups = () => {
+    const sorted = sortExpenses(filterExpensesByTags(getExpenses(), tagFilter), expenseSort);
+    return expenseSort.startsWith('date')
+      ? groupExpensesByDate(sorted)
+      : [{ date: null, expenses: sorted, total: 0 }];
+  };
+
   /**
    * Gets category limits for the current month
    * @returns {object} Object with category IDs as keys and limit amounts as values
@@ -127,219 +267,566 @@ function MainApp() {
     const currentLimits = getCategoryLimits();
     const newLimits = { ...currentLimits };
     
+    const category = categories.find(cat => cat.id === categoryId);
+    const isClearing = !(limit > 0) && currentLimits[categoryId] > 0;
+    
     if (limit > 0) {
       newLimits[categoryId] = limit;
     } else {
       delete newLimits[categoryId];
     }
     
-    setMonthlyBudgets(prev => ({
+    updateBudgets(prev => ({
       ...prev,
       [currentMonth]: {
         ...getCurrentMonthData(),
         categoryLimits: newLimits
       }
-    }));
+    }), `${isClearing ? 'Clear' : 'Set'} ${category.label} limit`, { coalesceKey: `limit-${currentMonth}-${categoryId}` });
+
+    if (isClearing) {
+      showUndoToast(`${category.label} limit cleared`);
+    }
   };
 
   /**
-   * Updates income for the current month
-   * @param {number} value - New income value
-   * @param {boolean} isRecurring - Optional: whether income is recurring
+   * Assigns the same amounts as the latest earlier month (envelope mode)
+   * Replaces whatever has been assigned this month so far.
    */
-  const setIncome = (value, isRecurring) => {
-    setMonthlyBudgets(prev => ({
+  const handleAssignLastMonth = () => {
+    const assignments = getLastAssignments(monthlyBudgets, currentMonth);
+    updateBudgets(prev => ({
       ...prev,
       [currentMonth]: {
         ...getCurrentMonthData(),
-        income: value,
-        incomeRecurring: isRecurring !== undefined ? isRecurring : getCurrentMonthData().incomeRecurring
+        categoryLimits: assignments
       }
-    }));
+    }), 'Assign same as last month');
+    playSuccessSound();
   };
 
   /**
-   * Toggles whether income is recurring
+   * Updates the income entries for the current month
+   * @param {array} newIncomes - New income entries
+   * @param {string} label - Description of the change for undo history
+   * @param {object} options - Passed through to updateBudget
    */
-  const toggleIncomeRecurring = () => {
-    const current = getIncomeRecurring();
-    setIncome(getIncome(), !current);
-    playClickSound();
+  const setIncomes = (newIncomes, label, options) => {
+    updateBudgets(prev => ({
+      ...prev,
+      [currentMonth]: {
+        ...getCurrentMonthData(),
+        incomes: newIncomes
+      }
+    }), label, options);
+  };
+
+  /**
+   * Adds an income entry from the income form
+   */
+  const handleAddIncome = () => {
+    const amount = parseFloat(newIncome.amount);
+    if (!newIncome.name.trim() || !(amount >= 0)) return;
+
+    const entry = {
+      id: createRecordId(),
+      name: newIncome.name.trim(),
+      amount,
+      source: newIncome.source,
+      isRecurring: false,
+      ...getAccountFields(newIncome.accountId)
+    };
+    const schedule = getRecurrenceSchedule(newIncome.repeat, getDefaultExpenseDate(currentMonth));
+    updateBudget(prev => {
+      const added = {
+        ...prev,
+        monthlyBudgets: { ...prev.monthlyBudgets, [currentMonth]: { ...getCurrentMonthData(), incomes: [...getIncomes(), entry] } }
+      };
+      return schedule ? repeatItem(added, 'income', entry, schedule) : added;
+    }, `Add income ${entry.name}`);
+    setNewIncome({ ...newIncome, name: '', amount: '', repeat: NO_REPEAT });
+    playSuccessSound();
+  };
+
+  /**
+   * Changes fields of an income entry
+   * A repeating entry passes the change on to its later occurrences, like the old
+   * copy-forward did. Typing into the same entry is merged into one undo step.
+   * @param {string} id - ID of the income entry
+   * @param {object} changes - Fields to change
+   */
+  const updateIncome = (id, changes) => {
+    const entry = getIncomes().find(income => income.id === id);
+    const updated = { ...entry, ...changes };
+    updateBudget(prev => {
+      const next = {
+        ...prev,
+        monthlyBudgets: {
+          ...prev.monthlyBudgets,
+          [currentMonth]: { ...getCurrentMonthData(), incomes: getIncomes().map(income => (income.id === id ? updated : income)) }
+        }
+      };
+      return getItemRule(entry) ? updateFutureOccurrences(next, updated, createRecordId(), getMaterializeMonth(), baseCurrency) : next;
+    }, `Edit income ${entry.name}`, { coalesceKey: `income-${id}` });
+  };
+
+  /**
+   * Removes an income entry
+   * A repeating entry's date is skipped so it is not generated again
+   * @param {string} id - ID of the income entry
+   */
+  const handleDeleteIncome = (id) => {
+    const deleted = getIncomes().find(income => income.id === id);
+    updateBudget(prev => {
+      const next = {
+        ...prev,
+        monthlyBudgets: {
+          ...prev.monthlyBudgets,
+          [currentMonth]: { ...getCurrentMonthData(), incomes: getIncomes().filter(income => income.id !== id) }
+        }
+      };
+      return getItemRule(deleted) ? skipOccurrence(next, deleted.recurrence.ruleId, deleted.recurrence.date) : next;
+    }, `Delete income ${deleted.name}`);
+    playDeleteSound();
+    showUndoToast(`${deleted.name} income deleted`);
   };
 
   /**
    * Updates expenses for the current month
    * @param {array} newExpenses - New expenses array
+   * @param {string} label - Description of the change for undo history
    */
-  const setExpenses = (newExpenses) => {
-    setMonthlyBudgets(prev => ({
+  const setExpenses = (newExpenses, label) => {
+    updateBudgets(prev => ({
       ...prev,
       [currentMonth]: {
         ...getCurrentMonthData(),
         expenses: newExpenses
       }
-    }));
+    }), label);
   };
 
 
+  const recurrences = getRecurrences(account); // Rules that generate repeating expenses and income
+
   /**
-   * useEffect Hook: Load data from Firestore when component first mounts
-   * This runs once when the app starts, restoring any saved data
+   * useEffect Hook: Generate recurring items up to today's month
+   * This also fills months skipped since the app was last used; switching months
+   * checks again, so a session left open into a new month catches up. Later months
+   * are only projected. It is not an undo step: undoing it would only generate the
+   * same items again.
    */
   useEffect(() => {
-    const loadUserData = async () => {
-      if (!user || !user.uid) return;
-      
-      try {
-        // First, try to migrate any localStorage data to Firestore
-        await migrateLocalStorageToFirestore(user.uid);
-        
-        // Then load data from Firestore
-        const data = await loadMonthlyBudgets(user.uid);
-        
-        if (data && Object.keys(data).length > 0) {
-          setMonthlyBudgets(data);
-        }
-        
-        // Mark that we've finished loading
-        setIsLoaded(true);
-      } catch (error) {
-        console.error('Error loading user data:', error);
-        setIsLoaded(true);
-      }
-    };
-    
-    loadUserData();
-  }, [user]); // Run when user changes
+    if (!isLoaded || recurrences.length === 0) return;
+
+    const throughMonth = getMaterializeMonth();
+    updateBudget(prev => materializeRecurrences(prev, throughMonth, baseCurrency), 'Generate recurring items', { skipHistory: true });
+  }, [isLoaded, currentMonth, recurrences, baseCurrency, updateBudget]);
+
+  // Recurring items a future month will get once it arrives
+  const projectedItems = currentMonth > getMaterializeMonth()
+    ? getProjectedOccurrences({ monthlyBudgets, account }, currentMonth, baseCurrency)
+    : { expenses: [], incomes: [] };
 
   /**
-   * useEffect Hook: Save monthly budgets to Firestore whenever they change
+   * Finds the recurrence rule an expense or income entry was generated from
+   * @param {object} item - Expense or income entry
+   * @returns {object|undefined} Recurrence rule
    */
-  useEffect(() => {
-    const saveUserData = async () => {
-      if (isLoaded && user && user.uid && Object.keys(monthlyBudgets).length > 0) {
-        try {
-          await saveMonthlyBudgets(user.uid, monthlyBudgets);
-        } catch (error) {
-          console.error('Error saving to Firestore:', error);
-        }
+  const getItemRule = (item) => item.recurrence && recurrences.find(rule => rule.id === item.recurrence.ruleId);
+
+  /**
+   * Checks whether an item will repeat after its own date
+   * Items flagged recurring before rules existed count as repeating until toggled off.
+   * @param {object} item - Expense or income entry
+   * @returns {boolean} True if later occurrences are scheduled
+   */
+  const isRepeating = (item) => {
+    const rule = getItemRule(item);
+    return rule ? hasLaterOccurrences(rule, item.recurrence.date) : item.isRecurring && !item.recurrence;
+  };
+
+  /**
+   * Starts repeating an item of the current month and generates its occurrences
+   * @param {object} budget - Budget that already contains the item
+   * @param {string} kind - "expense" or "income"
+   * @param {object} item - Expense or income entry
+   * @param {object} schedule - { frequency, startDate, endDate, count }
+   * @returns {object} New budget
+   */
+  const repeatItem = (budget, kind, item, schedule) => addRecurrence(
+    budget,
+    currentMonth,
+    item.id,
+    createRecurrence(createRecordId(), kind, item, schedule),
+    getMaterializeMonth(),
+    baseCurrency
+  );
+
+  /**
+   * Toggles whether an expense or income entry repeats
+   * A repeating item stops after itself (later occurrences are removed); any other item
+   * starts repeating monthly from its own date.
+   * @param {string} kind - "expense" or "income"
+   * @param {object} item - Expense or income entry
+   */
+  const toggleRepeat = (kind, item) => {
+    const rule = getItemRule(item);
+    if (rule && hasLaterOccurrences(rule, item.recurrence.date)) {
+      updateBudget(prev => endRecurrence(prev, rule.id, item.recurrence.date), `Stop repeating ${item.name}`);
+      showUndoToast(`${item.name} stops repeating`, '🔄');
+    } else if (!rule && item.isRecurring) {
+      // Flagged before rules existed: just clear the flag
+      if (kind === 'income') {
+        setIncomes(getIncomes().map(entry => (entry.id === item.id ? { ...entry, isRecurring: false } : entry)), `Stop repeating ${item.name}`);
+      } else {
+        setExpenses(getExpenses().map(exp => (exp.id === item.id ? { ...exp, isRecurring: false } : exp)), `Stop repeating ${item.name}`);
       }
-    };
-    
-    saveUserData();
-  }, [monthlyBudgets, isLoaded, user]); // Save when data changes
+    } else {
+      const startDate = kind === 'income' ? getDefaultExpenseDate(currentMonth) : item.date;
+      updateBudget(prev => repeatItem(prev, kind, item, { frequency: 'monthly', startDate }), `Repeat ${item.name} monthly`);
+    }
+    playClickSound();
+  };
 
   /**
-   * useEffect Hook: Auto-populate recurring items when changing months
-   * This runs whenever currentMonth changes and checks if we need to populate
+   * useEffect Hook: Permanently delete trashed expenses older than the retention period
    */
   useEffect(() => {
-    // Don't run if not loaded yet or if we've already populated this month
-    if (!isLoaded || !currentMonth || populatedMonthsRef.current[currentMonth]) {
-      return;
+    if (!isLoaded) return;
+
+    const expiredIds = getExpiredTrashIds(trash, trashRetentionDays);
+    if (expiredIds.length > 0) {
+      updateBudget(prev => purgeFromTrash(prev, expiredIds), 'Purge expired trash', { skipHistory: true });
     }
-    
-    // Small delay to ensure state is settled
-    const timer = setTimeout(() => {
-      // Find the most recent previous month with data
-      const sortedMonths = Object.keys(monthlyBudgets).sort().reverse();
-      const previousMonth = sortedMonths.find(m => m < currentMonth);
-      
-      if (!previousMonth) {
-        // Mark as checked even if no previous month
-        populatedMonthsRef.current[currentMonth] = true;
-        return;
-      }
-      
-      const prevData = monthlyBudgets[previousMonth];
-      if (!prevData) {
-        populatedMonthsRef.current[currentMonth] = true;
-        return;
-      }
-      
-      // Check if this month already exists and has data
-      const currentData = monthlyBudgets[currentMonth];
-      
-      const hasExpenses = currentData && currentData.expenses && currentData.expenses.length > 0;
-      const hasIncome = currentData && currentData.income > 0;
-      
-      // Only populate if the month is empty
-      if (hasExpenses || hasIncome) {
-        populatedMonthsRef.current[currentMonth] = true;
-        return;
-      }
-      
-      // Build new month data
-      const newMonthData = {
-        income: 0,
-        incomeRecurring: false,
-        expenses: [],
-        categoryLimits: {}
-      };
-      
-      let hasRecurringData = false;
-      
-      // Copy recurring income
-      if (prevData.incomeRecurring && prevData.income > 0) {
-        newMonthData.income = prevData.income;
-        newMonthData.incomeRecurring = true;
-        hasRecurringData = true;
-      }
-      
-      // Copy recurring expenses
-      if (prevData.expenses && Array.isArray(prevData.expenses) && prevData.expenses.length > 0) {
-        const recurringExpenses = prevData.expenses
-          .filter(exp => exp && exp.isRecurring)
-          .map((exp, index) => ({
-            ...exp,
-            id: Date.now() + index // Generate new unique ID
-          }));
-        
-        if (recurringExpenses.length > 0) {
-          newMonthData.expenses = recurringExpenses;
-          hasRecurringData = true;
-        }
-      }
-      
-      // Copy category limits
-      if (prevData.categoryLimits && typeof prevData.categoryLimits === 'object') {
-        newMonthData.categoryLimits = { ...prevData.categoryLimits };
-      }
-      
-      // Only update if we have recurring data to copy
-      if (hasRecurringData) {
-        setMonthlyBudgets(prev => ({
-          ...prev,
-          [currentMonth]: newMonthData
-        }));
-        
-        // Play success sound
-        if (soundEnabled) {
-          setTimeout(() => playSuccessSound(), 100);
-        }
+  }, [isLoaded, trash, trashRetentionDays, updateBudget]);
+
+  // The account's expense categories with display labels; IDs still used by expenses
+  // but no longer defined get a placeholder so their spending stays visible
+  const categories = sortCategoryTree(withCategoryLabels(
+    getCategories(account),
+    Object.values(monthlyBudgets).flatMap(monthData => (monthData.expenses || []).flatMap(getExpenseCategoryIds))
+  ));
+  const activeCategories = categories.filter(cat => !cat.archived); // Offered for new expenses and limits
+  const usedTags = getUsedTags(monthlyBudgets); // Suggested when tagging expenses
+  const exchangeRates = getExchangeRates(account); // Rates into the base currency by month
+  const usedCurrencies = getUsedCurrencies(monthlyBudgets);
+  // Currencies an expense can be entered in: the base one first, then any with a rate or already used
+  const expenseCurrencies = [baseCurrency, ...new Set([...usedCurrencies, ...Object.values(exchangeRates).flatMap(Object.keys)])]
+    .filter((code, index, list) => list.indexOf(code) === index);
+
+  /**
+   * Converts an expense from one of the forms into the base currency
+   * @param {object} expense - Expense with amounts in the form's currency
+   * @param {string} currency - Currency picked in the form ('' for the base currency)
+   * @returns {object|null} Expense ready to save, or null if the currency has no rate for the month yet
+   */
+  const convertFormExpense = (expense, currency) => {
+    const found = getExchangeRate(exchangeRates, currentMonth, currency || baseCurrency, baseCurrency);
+    return found && applyCurrency(expense, currency || baseCurrency, found.rate, baseCurrency);
+  };
+
+  /**
+   * Describes what a form amount comes to in the base currency
+   * @param {string} amount - Amount typed in the form
+   * @param {string} currency - Currency picked in the form ('' for the base currency)
+   * @returns {string|null} Text like "≈ $16.20 at 1.08", a warning if there is no rate, or null for the base currency
+   */
+  const describeConversion = (amount, currency) => {
+    if (!currency || currency === baseCurrency) return null;
+    const found = getExchangeRate(exchangeRates, currentMonth, currency, baseCurrency);
+    if (!found) return `⚠️ No ${currency} rate for ${formatMonthYear(currentMonth)} yet - add one under 💱 CURRENCIES in Settings`;
+    return `≈ ${formatCurrency((parseFloat(amount) || 0) * found.rate)} at ${found.rate}`;
+  };
+
+  /**
+   * Changes one month's rate and re-converts the expenses it affects
+   * @param {string} month - Month key
+   * @param {string} currency - Currency code
+   * @param {number|null} rate - New rate, or null to clear it
+   */
+  const handleSetExchangeRate = (month, currency, rate) => {
+    updateBudget(prev => applyExchangeRates({
+      ...prev,
+      account: { ...prev.account, exchangeRates: setExchangeRate(getExchangeRates(prev.account), month, currency, rate) }
+    }, baseCurrency), `${rate ? 'Set' : 'Clear'} ${currency} rate for ${formatMonthYear(month)}`);
+  };
+
+  const payees = getPayees(account); // Renamed and merged payees
+  const payeeDirectory = getPayeeDirectory(monthlyBudgets, payees); // Every payee, for autocomplete and the manager
+
+  /**
+   * Updates the account's stored payees
+   * @param {function} updater - Receives the current stored payees and returns the new list
+   * @param {string} label - Description shown in undo and the change history
+   */
+  const updatePayees = (updater, label) => {
+    updateBudget(prev => ({
+      ...prev,
+      account: { ...prev.account, payees: updater(getPayees(prev.account)) }
+    }), label);
+  };
+
+  /**
+   * Fills the ADD EXPENSE form from a payee picked in the name field
+   * The payee's usual category is used if it is still active, and its latest amount
+   * unless an amount has already been typed.
+   * @param {object} payee - Payee from the directory
+   */
+  const handleSelectPayee = (payee) => {
+    const hasCategory = activeCategories.some(cat => cat.id === payee.usualCategory);
+    setNewExpense({
+      ...newExpense,
+      name: payee.name,
+      amount: newExpense.amount || String(payee.usualAmount),
+      ...(hasCategory && !newExpense.splits && { category: payee.usualCategory })
+    });
+    playClickSound();
+  };
+
+  const accounts = getAccounts(account); // Checking, card, cash and savings accounts
+  const accountById = Object.fromEntries(accounts.map(acct => [acct.id, acct]));
+
+  /**
+   * Updates the stored accounts
+   * @param {function} updater - Receives the current accounts and returns the new list
+   * @param {string} label - Description shown in undo and the change history
+   */
+  const updateAccounts = (updater, label) => {
+    updateBudget(prev => ({
+      ...prev,
+      account: { ...prev.account, accounts: updater(getAccounts(prev.account)) }
+    }), label);
+  };
+
+  /**
+   * Adds an account
+   * @param {string} name - Account name
+   * @param {string} type - Account type ID
+   * @param {number} openingBalance - Balance before the first tracked month
+   */
+  const handleAddAccount = (name, type, openingBalance) => {
+    updateAccounts(list => [...list, createAccount(`acct-${createRecordId()}`, name, type, openingBalance)], `Add account ${name.trim()}`);
+    playSuccessSound();
+  };
+
+  /**
+   * Merges an account into another, moving everything assigned to it
+   * @param {object} from - Account being merged away
+   * @param {object} to - Account that receives everything
+   */
+  const handleMergeAccounts = (from, to) => {
+    updateBudget(prev => mergeAccounts(prev, from.id, to.id), `Merge account ${from.name} into ${to.name}`);
+    playSuccessSound();
+    showUndoToast(`${from.name} merged into ${to.name}`, '🔀');
+  };
+
+  /**
+   * Replaces the savings goals
+   * @param {function} updater - Receives the goals and returns the new list
+   * @param {string} label - Description shown in undo and the change history
+   */
+  const updateGoals = (updater, label) => {
+    updateBudget(prev => ({
+      ...prev,
+      account: { ...prev.account, goals: updater(getGoals(prev.account)) }
+    }), label);
+  };
+
+  /**
+   * Adds a savings goal
+   * @param {object} fields - { name, targetAmount, targetDate, categoryId, startMonth }
+   */
+  const handleAddGoal = (fields) => {
+    updateGoals(goals => [...goals, createGoal(`goal-${createRecordId()}`, fields)], `Add goal ${fields.name.trim()}`);
+    playSuccessSound();
+  };
+
+  /**
+   * Replaces a savings goal's fields
+   * @param {string} id - Goal ID
+   * @param {object} fields - { name, targetAmount, targetDate, categoryId, startMonth }
+   */
+  const handleUpdateGoal = (id, fields) => {
+    updateGoals(goals => goals.map(goal => (goal.id === id ? createGoal(id, fields) : goal)), `Edit goal ${fields.name.trim()}`);
+    playClickSound();
+  };
+
+  /**
+   * Deletes a savings goal; its contributions stay as ordinary expenses
+   * @param {object} goal - Goal to delete
+   */
+  const handleDeleteGoal = (goal) => {
+    updateGoals(goals => goals.filter(g => g.id !== goal.id), `Delete goal ${goal.name}`);
+    playDeleteSound();
+    showUndoToast(`${goal.name} goal deleted`, '🎯');
+  };
+
+  /**
+   * Replaces the current month's transfers between accounts
+   * @param {Array} transfers - New transfers
+   * @param {string} label - Description shown in undo and the change history
+   */
+  const setTransfers = (transfers, label) => {
+    updateBudgets(prev => ({
+      ...prev,
+      [currentMonth]: { ...getCurrentMonthData(), transfers }
+    }), label);
+  };
+
+  /**
+   * Moves money between two accounts in the current month
+   * @param {string} fromAccountId - Account the money leaves
+   * @param {string} toAccountId - Account the money goes to
+   * @param {number} amount - Amount moved
+   * @param {string} date - Date key ("YYYY-MM-DD")
+   * @param {string} note - Optional note
+   */
+  const handleAddTransfer = (fromAccountId, toAccountId, amount, date, note) => {
+    const transfer = createTransfer(createRecordId(), date, fromAccountId, toAccountId, amount, note);
+    const names = [fromAccountId, toAccountId].map(id => accounts.find(acct => acct.id === id)?.name);
+    setTransfers([...getTransfers(getCurrentMonthData()), transfer], `Transfer ${names[0]} to ${names[1]}`);
+    playSuccessSound();
+  };
+
+  /**
+   * Removes a transfer from the current month
+   * @param {string} id - Transfer ID
+   */
+  const handleDeleteTransfer = (id) => {
+    setTransfers(getTransfers(getCurrentMonthData()).filter(transfer => transfer.id !== id), 'Delete transfer');
+    playDeleteSound();
+    showUndoToast('Transfer deleted');
+  };
+
+  /**
+   * Describes the account an expense or income entry belongs to
+   * @param {string} accountId - The item's accountId, if any
+   * @returns {string} Account emoji and name
+   */
+  const getAccountLabel = (accountId) => {
+    const acct = accountById[resolveAccountId(accounts, accountId)];
+    return `${getAccountType(acct.type).emoji} ${acct.name}`;
+  };
+
+  /**
+   * Gets the account an expense or income entry is saved with
+   * @param {string} accountId - Account picked in a form ('' for the default)
+   * @returns {object} { accountId } to spread into the item, or nothing if no accounts are set up
+   */
+  const getAccountFields = (accountId) => (
+    accounts.length > 0 ? { accountId: resolveAccountId(accounts, accountId) } : {}
+  );
+
+  const debts = getDebts(account); // Cards and loans in the debt planner
+
+  /**
+   * Gets the debt link to store on an expense (see getDebtLink)
+   * @param {object} expense - Expense fields ({ category, splits })
+   * @param {string} debtId - Debt picked in a form ('' for none)
+   * @returns {object} { debtId } to spread into the expense, or nothing
+   */
+  const getDebtFields = (expense, debtId) => getDebtLink(expense, debtId, categories, debts);
+
+  /**
+   * Replaces the debts in the planner
+   * @param {function} updater - Receives the debts and returns the new list
+   * @param {string} label - Description shown in undo and the change history
+   */
+  const updateDebts = (updater, label) => {
+    updateBudget(prev => ({
+      ...prev,
+      account: { ...prev.account, debts: updater(getDebts(prev.account)) }
+    }), label);
+  };
+
+  /**
+   * Adds a debt to the planner
+   * @param {object} fields - { name, balance, apr, minimumPayment, startMonth }
+   */
+  const handleAddDebt = (fields) => {
+    updateDebts(list => [...list, createDebt(`debt-${createRecordId()}`, fields)], `Add debt ${fields.name.trim()}`);
+    playSuccessSound();
+  };
+
+  /**
+   * Replaces a debt's fields
+   * @param {string} id - Debt ID
+   * @param {object} fields - { name, balance, apr, minimumPayment, startMonth }
+   */
+  const handleUpdateDebt = (id, fields) => {
+    updateDebts(list => list.map(debt => (debt.id === id ? createDebt(id, fields) : debt)), `Edit debt ${fields.name.trim()}`);
+    playClickSound();
+  };
+
+  /**
+   * Removes a debt from the planner; payments linked to it stay as ordinary expenses
+   * @param {object} debt - Debt to delete
+   */
+  const handleDeleteDebt = (debt) => {
+    updateDebts(list => list.filter(d => d.id !== debt.id), `Delete debt ${debt.name}`);
+    playDeleteSound();
+    showUndoToast(`${debt.name} removed from the planner`, '💳');
+  };
+
+  /**
+   * Updates the account's category definitions
+   * @param {function} updater - Receives the current categories and returns the new list
+   * @param {string} label - Description shown in undo and the change history
+   * @param {object} options - Options passed to updateBudget
+   */
+  const updateCategories = (updater, label, options) => {
+    updateBudget(prev => ({
+      ...prev,
+      account: { ...prev.account, categories: updater(getCategories(prev.account)) }
+    }), label, options);
+  };
+
+  /**
+   * Adds a new category
+   * @param {object} category - { name, emoji, color, parentId }
+   */
+  const handleAddCategory = (category) => {
+    updateCategories(current => [
+      ...current,
+      {
+        id: createRecordId(),
+        name: category.name.trim(),
+        emoji: category.emoji.trim(),
+        color: category.color,
+        archived: false,
+        parentId: category.parentId || null
       }
-      
-      // Mark this month as populated
-      populatedMonthsRef.current[currentMonth] = true;
-    }, 100);
-    
-    return () => clearTimeout(timer);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentMonth, isLoaded]); // Only depend on currentMonth and isLoaded to avoid infinite loop
-
-  // Available expense categories with associated colors
-  const categories = [
-    { id: 'food', name: '🍕 Food', color: '#ff6b9d' },
-    { id: 'housing', name: '🏠 Housing', color: '#00e5ff' },
-    { id: 'transport', name: '🚗 Transport', color: '#ffd700' },
-    { id: 'entertainment', name: '🎮 Entertainment', color: '#00ff00' },
-    { id: 'utilities', name: '⚡ Utilities', color: '#ff6b00' },
-    { id: 'debt', name: '💳 Debt', color: '#ff4444' },
-    { id: 'personal', name: '💆 Personal Care & Recreation', color: '#ff69b4' },
-    { id: 'savings', name: '💰 Savings', color: '#ffd700' },
-    { id: 'vacation', name: '✈️ Vacation Fund', color: '#00bfff' },
-    { id: 'other', name: '📦 Other', color: '#c084fc' }
-  ];
+    ], `Add category ${category.name.trim()}`);
+    playSuccessSound();
+  };
+
+  /**
+   * Renames, recolours, moves or archives a category
+   * @param {string} id - Category ID
+   * @param {object} changes - Fields to change
+   */
+  const handleUpdateCategory = (id, changes) => {
+    const category = categories.find(cat => cat.id === id);
+    updateCategories(
+      current => current.map(cat => (cat.id === id ? { ...cat, ...changes } : cat)),
+      `Edit category ${category.name}`,
+      { coalesceKey: `category-${id}` }
+    );
+  };
+
+  /**
+   * Merges a category into another, moving all its expenses and limits
+   * @param {string} fromId - Category being merged away
+   * @param {string} toId - Category receiving its expenses and limits
+   */
+  const handleMergeCategories = (fromId, toId) => {
+    const from = categories.find(cat => cat.id === fromId);
+    const to = categories.find(cat => cat.id === toId);
+    updateBudget(prev => mergeCategories(prev, fromId, toId), `Merge ${from.name} into ${to.name}`);
+    playDeleteSound();
+    showUndoToast(`${from.label} merged into ${to.label}`, '🔀');
+  };
 
   /**
    * Sound Effect Generator using Web Audio API
@@ -455,42 +942,33 @@ function MainApp() {
     return getIncome() - calculateTotalExpenses();
   };
 
+  // Each category's envelope this month: { carriedIn, assigned, spent, available }
+  const categoryEnvelopes = envelopeMode ? getEnvelopes(monthlyBudgets, categories, currentMonth) : {};
+
   /**
    * Calculates expenses by category for visualization
-   * @returns {Array} Array of objects with category totals and limit information
+   * Subcategory spending is rolled up into the parent's total. In envelope mode a
+   * category's limit is what it has to spend: money carried in plus money assigned.
+   * @returns {Array} Top-level categories with totals and limit information, subcategories as children
    */
-  const calculateCategoryTotals = () => {
-    const totals = {};
-    const expenses = getExpenses();
-    const income = getIncome();
-    const limits = getCategoryLimits();
-    
-    // Initialize all categories to 0
-    categories.forEach(cat => {
-      totals[cat.id] = 0;
-    });
-    
-    // Sum up expenses by category
-    expenses.forEach(expense => {
-      totals[expense.category] += parseFloat(expense.amount);
-    });
-    
-    // Convert to array format with category details
-    return categories.map(cat => {
-      const total = totals[cat.id];
-      const limit = limits[cat.id] || 0;
-      const percentOfLimit = limit > 0 ? (total / limit) * 100 : 0;
-      
-      return {
-        ...cat,
-        total: total,
-        percentage: income > 0 ? (total / income) * 100 : 0,
-        limit: limit,
-        percentOfLimit: percentOfLimit,
-        isOverLimit: limit > 0 && total > limit,
-        isNearLimit: limit > 0 && total >= limit * 0.8 && total <= limit
-      };
-    }).filter(cat => cat.total > 0); // Only show categories with expenses
+  const calculateCategoryTotals = () => (
+    getCategoryTotals(
+      categories,
+      getExpenses(),
+      envelopeMode ? getEnvelopeFunds(categoryEnvelopes) : getCategoryLimits(),
+      getIncome()
+    )
+  );
+
+  /**
+   * Gets the pie chart slices: top-level categories, or the subcategories of the
+   * category the chart is drilled into
+   * @returns {object} { parent, rows } where parent is the drilled-into category or null
+   */
+  const getPieSlices = () => {
+    const rows = calculateCategoryTotals();
+    const parent = rows.find(row => row.id === pieCategoryId && row.children.length > 0);
+    return parent ? { parent, rows: getDrillDownRows(parent) } : { parent: null, rows };
   };
 
   /**
@@ -499,7 +977,7 @@ function MainApp() {
   const checkCategoryLimits = () => {
     if (!notificationsEnabled) return;
     
-    const categoryTotals = calculateCategoryTotals();
+    const categoryTotals = flattenCategoryTotals(calculateCategoryTotals());
     const alertKey = currentMonth;
     
     categoryTotals.forEach(cat => {
@@ -509,7 +987,7 @@ function MainApp() {
       if (cat.isOverLimit && !alertsShown[notificationKey]) {
         // Show browser notification
         new Notification('⚠️ Budget Alert!', {
-          body: `You've exceeded your ${cat.name} budget! Spent: ${formatCurrency(cat.total)} / Limit: ${formatCurrency(cat.limit)}`,
+          body: `You've exceeded your ${cat.label} budget! Spent: ${formatCurrency(cat.total)} / Limit: ${formatCurrency(cat.limit)}`,
           icon: '🚀'
         });
         
@@ -530,22 +1008,43 @@ function MainApp() {
    */
   const handleAddExpense = () => {
     if (newExpense.name && newExpense.amount) {
+      const entered = applyTagsAndNotes(applySplits({
+        id: createRecordId(), // Unique, time-ordered ID
+        name: newExpense.name,
+        amount: parseFloat(newExpense.amount),
+        category: getNewExpenseCategory(),
+        isRecurring: false,
+        date: getNewExpenseDate(),
+        ...getAccountFields(newExpense.accountId),
+        ...getDebtFields({ category: getNewExpenseCategory(), splits: newExpense.splits }, newExpense.debtId),
+        ...(newExpense.reimbursable && { reimbursable: true })
+      }, newExpense.splits), newExpense.tags, newExpense.notes);
+      if (!(entered.amount > 0)) {
+        playWarningSound(); // Money coming back is recorded as a refund of the expense instead
+        return;
+      }
+      if (entered.splits && getSplitErrors(entered.splits, entered.amount).length > 0) {
+        playWarningSound(); // Split lines must add up to the amount
+        return;
+      }
+      const expense = convertFormExpense(entered, newExpense.currency);
+      if (!expense) {
+        playWarningSound(); // The currency needs a rate for this month first
+        return;
+      }
+
       const wasOverBudget = calculateRemaining() < 0;
-      const expenses = getExpenses();
-      
-      setExpenses([
-        ...expenses,
-        {
-          id: Date.now(), // Simple unique ID using timestamp
-          name: newExpense.name,
-          amount: parseFloat(newExpense.amount),
-          category: newExpense.category,
-          isRecurring: newExpense.isRecurring
-        }
-      ]);
+      const schedule = getRecurrenceSchedule(newExpense.repeat, expense.date);
+      updateBudget(prev => {
+        const added = {
+          ...prev,
+          monthlyBudgets: { ...prev.monthlyBudgets, [currentMonth]: { ...getCurrentMonthData(), expenses: [...getExpenses(), expense] } }
+        };
+        return schedule ? repeatItem(added, 'expense', expense, schedule) : added;
+      }, `Add ${newExpense.name}`);
       
       // Play sound after adding
-      const newRemaining = getIncome() - (calculateTotalExpenses() + parseFloat(newExpense.amount));
+      const newRemaining = getIncome() - (calculateTotalExpenses() + expense.amount);
       if (newRemaining < 0 && !wasOverBudget) {
         playWarningSound(); // Play warning if just went over budget
       } else {
@@ -553,72 +1052,269 @@ function MainApp() {
       }
       
       // Reset form after adding
-      setNewExpense({ name: '', amount: '', category: 'food', isRecurring: false });
+      setNewExpense({ ...newExpense, name: '', amount: '', repeat: NO_REPEAT, splits: null, tags: [], notes: '', reimbursable: false });
       
       // Check category limits after a short delay (to allow state to update)
       setTimeout(() => checkCategoryLimits(), 100);
     }
   };
 
+  /**
+   * Gets the date for the expense being added
+   * A date picked for another month falls back to the default for the current month
+   * @returns {string} Date key ("YYYY-MM-DD")
+   */
+  const getNewExpenseDate = () => (
+    newExpense.date.startsWith(`${currentMonth}-`) ? newExpense.date : getDefaultExpenseDate(currentMonth)
+  );
+
+  /**
+   * Gets the category for the expense being added
+   * A category that has since been archived or merged falls back to the first active one
+   * @returns {string} Category ID
+   */
+  const getNewExpenseCategory = () => (
+    activeCategories.some(cat => cat.id === newExpense.category) ? newExpense.category : activeCategories[0]?.id
+  );
+
   /**
    * Removes an expense from the expenses array
-   * @param {number} id - The unique ID of the expense to delete
+   * A repeating expense's date is skipped so it is not generated again
+   * @param {string} id - The unique ID of the expense to delete
    */
   const handleDeleteExpense = (id) => {
-    const expenses = getExpenses();
-    setExpenses(expenses.filter(expense => expense.id !== id));
+    const deleted = getExpenses().find(expense => expense.id === id);
+    updateBudget(prev => {
+      const next = moveExpenseToTrash(prev, currentMonth, id);
+      return getItemRule(deleted) ? skipOccurrence(next, deleted.recurrence.ruleId, deleted.recurrence.date) : next;
+    }, `Delete ${deleted.name}`);
     playDeleteSound(); // Play delete sound
+    showUndoToast(`${deleted.name} moved to trash`);
   };
 
   /**
-   * Toggles the recurring status of an expense
-   * @param {number} id - The unique ID of the expense to toggle
+   * Restores a deleted expense into the month it was deleted from
+   * @param {string} id - The unique ID of the trashed expense
    */
-  const toggleExpenseRecurring = (id) => {
-    const expenses = getExpenses();
-    setExpenses(expenses.map(expense => 
-      expense.id === id 
-        ? { ...expense, isRecurring: !expense.isRecurring }
-        : expense
-    ));
-    playClickSound();
+  const handleRestoreFromTrash = (id) => {
+    const { expense } = trash[id];
+    updateBudget(prev => restoreFromTrash(prev, id, createEmptyMonth()), `Restore ${expense.name}`);
+    playSuccessSound();
+  };
+
+  /**
+   * Permanently deletes expenses from the trash
+   * @param {Array} ids - IDs of the trashed expenses
+   */
+  const handlePurgeTrash = (ids) => {
+    updateBudget(prev => purgeFromTrash(prev, ids), 'Empty trash', { skipHistory: true });
+    playDeleteSound();
+  };
+
+  const refundedAmounts = getRefundedAmounts(monthlyBudgets); // Money back so far per refunded expense
+  const pendingReimbursements = getPendingReimbursements(monthlyBudgets);
+
+  /**
+   * Records money coming back for an expense, in the month it was received
+   * @param {object} original - Expense being paid back
+   * @param {string} originalMonth - Month key of the expense
+   * @param {object} details - { type, amount, date } from the refund form
+   */
+  const handleAddRefund = (original, originalMonth, details) => {
+    const refund = createRefund(createRecordId(), original, originalMonth, details);
+    const month = details.date.slice(0, 7);
+    updateBudgets(prev => ({
+      ...prev,
+      [month]: { ...createEmptyMonth(), ...prev[month], expenses: [...(prev[month]?.expenses || []), refund] }
+    }), `${getRefundType(details.type).name} for ${original.name}`);
+    setRefundingExpenseId(null);
+    playSuccessSound();
+  };
+
+  /**
+   * Describes what a refund pays back
+   * @param {object} refund - Refund expense
+   * @returns {string} Text like "↩️ Refund of Headphones (Fri, Oct 10)"
+   */
+  const describeRefund = (refund) => {
+    const type = getRefundType(refund.refundType);
+    const original = findRefundedExpense(monthlyBudgets, refund);
+    return original
+      ? `${type.emoji} ${type.name} of ${original.name} (${formatExpenseDate(original.date)})`
+      : `${type.emoji} ${type.name} of a deleted expense`;
+  };
+
+  /**
+   * Starts editing an expense
+   * @param {object} expense - The expense object to edit
+   */
+  const handleStartEdit = (expense) => {
+    setEditingExpenseId(expense.id);
+    setEditingExpenseData({
+      ...toOriginalAmounts(expense), // Edited in the currency it was paid in
+      ...(isRefund(expense) && { amount: -expense.amount }), // Refunds are edited as the amount received
+      currency: expense.currency || '',
+      tags: expense.tags || [],
+      notes: expense.notes || '',
+      scope: 'this'
+    });
+  };
+
+  /**
+   * Saves an edited expense in its month
+   * For an occurrence of a repeating expense the edit applies to this occurrence only,
+   * or to it and every later one. Nothing is saved if the month has gone meanwhile.
+   * @param {string} month - Month key of the expense
+   * @param {object} edited - The edited expense
+   * @param {string} scope - "this" or "future"
+   */
+  const saveExpenseEdit = (month, edited, scope) => {
+    const isFuture = scope === 'future' && Boolean(getItemRule(edited));
+    updateBudget(prev => {
+      const monthData = prev.monthlyBudgets[month];
+      if (!monthData) return prev;
+
+      const next = {
+        ...prev,
+        monthlyBudgets: {
+          ...prev.monthlyBudgets,
+          [month]: { ...monthData, expenses: monthData.expenses.map(expense => (expense.id === edited.id ? edited : expense)) }
+        }
+      };
+      return isFuture ? updateFutureOccurrences(next, edited, createRecordId(), getMaterializeMonth(), baseCurrency) : next;
+    }, isFuture ? `Edit ${edited.name} and later occurrences` : `Edit ${edited.name}`);
+  };
+
+  /**
+   * Saves the edited expense
+   * Updates the expense in the expenses array with the new values. For a repeating
+   * expense the edit applies to this occurrence only, or to it and every later one.
+   */
+  const handleSaveEdit = () => {
+    if (editingExpenseData.name && editingExpenseData.amount) {
+      const { scope, currency, reimbursable, debtId, ...data } = editingExpenseData;
+      const amount = parseFloat(data.amount);
+      if (!(amount > 0)) {
+        playWarningSound();
+        return;
+      }
+      const entered = applyTagsAndNotes(
+        applySplits({
+          ...data,
+          amount: isRefund(data) ? -amount : amount,
+          ...(reimbursable && !isRefund(data) && { reimbursable: true }),
+          ...getDebtFields(data, debtId)
+        }, isRefund(data) ? getRefundSplits(data.splits, -amount) : data.splits), // A refund keeps its original's proportions
+        editingExpenseData.tags,
+        editingExpenseData.notes
+      );
+      if (entered.splits && getSplitErrors(entered.splits, entered.amount).length > 0) {
+        playWarningSound(); // Split lines must add up to the amount
+        return;
+      }
+      const edited = convertFormExpense(entered, currency);
+      if (!edited) {
+        playWarningSound(); // The currency needs a rate for this month first
+        return;
+      }
+
+      saveExpenseEdit(currentMonth, edited, scope);
+      // Clear editing state
+      setEditingExpenseId(null);
+      setEditingExpenseData(null);
+      playSuccessSound(); // Play success sound when saved
+    }
+  };
+
+  /**
+   * Starts or stops splitting an expense in one of the forms: a new split gets two lines,
+   * the first holding the whole amount in the current category
+   * @param {object} data - Form data ({ category, amount, splits })
+   * @returns {Array|null} New split lines, or null to go back to a single category
+   */
+  const toggleSplitLines = (data) => (
+    data.splits ? null : [{ category: data.category, amount: data.amount }, { category: data.category, amount: '' }]
+  );
+
+  /**
+   * Describes the category of an expense, listing every category of a split one
+   * @param {object} expense - Expense
+   * @returns {string} Category text
+   */
+  const getExpenseCategoryText = (expense) => {
+    if (!isSplitExpense(expense)) return categories.find(c => c.id === expense.category)?.label;
+    return `✂️ ${expense.splits.map(line => categories.find(c => c.id === line.category)?.label).join(' + ')}`;
+  };
+
+  /**
+   * Cancels editing and discards changes
+   */
+  const handleCancelEdit = () => {
+    setEditingExpenseId(null);
+    setEditingExpenseData(null);
+  };
+
+  /**
+   * Shows the UNDO toast after a destructive action
+   * @param {string} message - What was changed
+   * @param {string} icon - Emoji shown before the message
+   */
+  const showUndoToast = (message, icon = '🗑️') => {
+    setUndoToast({ message, icon, id: Date.now() });
+  };
+
+  /**
+   * Reverts the most recent budget change
+   */
+  const handleUndo = () => {
+    const label = undo();
+    if (label) {
+      setUndoToast(null);
+      playClickSound();
+    }
   };
 
   /**
-   * Starts editing an expense
-   * @param {object} expense - The expense object to edit
+   * Re-applies the most recently undone budget change
    */
-  const handleStartEdit = (expense) => {
-    setEditingExpenseId(expense.id);
-    setEditingExpenseData({ ...expense });
+  const handleRedo = () => {
+    const label = redo();
+    if (label) {
+      playClickSound();
+    }
   };
 
   /**
-   * Saves the edited expense
-   * Updates the expense in the expenses array with the new values
+   * useEffect Hook: Hide the UNDO toast after a few seconds
    */
-  const handleSaveEdit = () => {
-    if (editingExpenseData.name && editingExpenseData.amount) {
-      const expenses = getExpenses();
-      setExpenses(expenses.map(expense => 
-        expense.id === editingExpenseId 
-          ? { ...editingExpenseData, amount: parseFloat(editingExpenseData.amount) }
-          : expense
-      ));
-      // Clear editing state
-      setEditingExpenseId(null);
-      setEditingExpenseData(null);
-      playSuccessSound(); // Play success sound when saved
-    }
-  };
+  useEffect(() => {
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
 
   /**
-   * Cancels editing and discards changes
+   * useEffect Hook: Keyboard shortcuts for undo (Ctrl+Z) and redo (Ctrl+Shift+Z / Ctrl+Y)
+   * Text fields keep their own native undo
    */
-  const handleCancelEdit = () => {
-    setEditingExpenseId(null);
-    setEditingExpenseData(null);
-  };
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
   /**
    * Exports budget data to CSV file
@@ -628,26 +1324,70 @@ function MainApp() {
     const income = getIncome();
     const expenses = getExpenses();
     
+    // Separators and amounts follow the display preferences
+    const csv = getCsvFormat(displayPreferences);
+    const row = (...fields) => `${csv.formatRow(fields)}\n`;
+
     // Create CSV header
-    let csvContent = `Budget Report - ${formatMonthYear(currentMonth)}\n\n`;
-    csvContent += "Category,Name,Amount\n";
+    let csvContent = `${csv.formatRow([`Budget Report - ${formatMonthYear(currentMonth)}`])}\n\n`;
+    csvContent += row('Date', 'Category', 'Name', `Amount (${baseCurrency})`, 'Original Amount', 'Currency', 'Account');
+    const accountName = (accountId) => (accounts.length > 0 ? accountById[resolveAccountId(accounts, accountId)].name : '');
     
-    // Add income row
-    csvContent += `Income,Monthly Income,${income}\n`;
+    // Add one row per income entry
+    getIncomes().forEach(entry => {
+      csvContent += row('', `Income - ${getIncomeSource(entry.source).name}`, entry.name, csv.formatAmount(entry.amount), '', '', accountName(entry.accountId));
+    });
     
-    // Add all expenses
-    expenses.forEach(expense => {
+    // Add all expenses in date order, with one row per line of a split expense
+    // Expenses paid in another currency also show what was paid
+    expandSplits(sortExpenses(expenses, 'date-asc')).forEach(expense => {
       const category = categories.find(c => c.id === expense.category);
-      // Escape commas in names by wrapping in quotes
-      const name = expense.name.includes(',') ? `"${expense.name}"` : expense.name;
-      csvContent += `${category.name},${name},${expense.amount}\n`;
+      const name = expense.splitIndex === undefined ? expense.name : `${expense.name} (split)`;
+      const original = expense.currency && (expense.splitIndex === undefined
+        ? expense.originalAmount
+        : toOriginalAmounts(expenses.find(exp => exp.id === expense.id)).splits[expense.splitIndex].amount);
+      csvContent += row(expense.date, category.label, name, csv.formatAmount(expense.amount), csv.formatAmount(original || ''), expense.currency || '', accountName(expense.accountId));
     });
     
     // Add summary rows
-    csvContent += `\nSummary\n`;
-    csvContent += `Total Income,,${income}\n`;
-    csvContent += `Total Expenses,,${calculateTotalExpenses()}\n`;
-    csvContent += `Remaining,,${calculateRemaining()}\n`;
+    csvContent += `\n${row('Summary')}`;
+    csvContent += row('Total Income', '', '', csv.formatAmount(income));
+    csvContent += row('Total Expenses', '', '', csv.formatAmount(calculateTotalExpenses()));
+    csvContent += row('Remaining', '', '', csv.formatAmount(calculateRemaining()));
+
+    // Add each envelope's balance in envelope mode
+    if (envelopeMode) {
+      csvContent += `\n${row('Envelopes', 'Carried In', 'Assigned', 'Spent', 'Available')}`;
+      categories.filter(cat => categoryEnvelopes[cat.id]).forEach(cat => {
+        const envelope = categoryEnvelopes[cat.id];
+        csvContent += row(cat.label, csv.formatAmount(envelope.carriedIn), csv.formatAmount(envelope.assigned), csv.formatAmount(envelope.spent), csv.formatAmount(envelope.available));
+      });
+      csvContent += row('To Be Assigned', '', '', '', csv.formatAmount(getToBeAssigned(monthlyBudgets, currentMonth)));
+    }
+
+    // Add transfers and each account's balance when accounts are set up
+    const transfers = getTransfers(getCurrentMonthData());
+    if (transfers.length > 0) {
+      csvContent += `\n${row('Transfers')}`;
+      transfers.forEach(transfer => {
+        csvContent += row(transfer.date, `${accountName(transfer.fromAccountId)} to ${accountName(transfer.toAccountId)}`, transfer.note || '', csv.formatAmount(transfer.amount));
+      });
+    }
+    if (accounts.length > 0) {
+      csvContent += `\n${row('Account Balances', 'Start', '', 'End')}`;
+      getAccountBalances(monthlyBudgets, accounts, currentMonth).forEach(acct => {
+        csvContent += row(acct.name, csv.formatAmount(acct.startBalance), '', csv.formatAmount(acct.endBalance));
+      });
+    }
+
+    // Add the fiscal year so far when it does not match the calendar year
+    if (fiscalYearStartMonth !== 1) {
+      const fiscalYear = getFiscalYearToDate(monthlyBudgets, currentMonth, fiscalYearStartMonth);
+      csvContent += `\n${row(`${fiscalYear.label} to date`)}`;
+      csvContent += row('Total Income', '', '', csv.formatAmount(fiscalYear.income));
+      csvContent += row('Total Expenses', '', '', csv.formatAmount(fiscalYear.expenses));
+      csvContent += row('Saved', '', '', csv.formatAmount(fiscalYear.saved));
+    }
     
     // Create blob and download link
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -677,6 +1417,28 @@ function MainApp() {
     playClickSound();
   };
 
+  /**
+   * Opens a month on the dashboard (used by search results)
+   * @param {string} month - Month key ("YYYY-MM")
+   */
+  const handleJumpToMonth = (month) => {
+    setCurrentMonth(month);
+    setScreen('main');
+    playClickSound();
+  };
+
+  /**
+   * Saves an expense edited outside the dashboard, in whichever month it belongs to
+   * @param {string} month - Month key of the expense
+   * @param {object} edited - The edited expense
+   * @param {string} scope - "this" or "future" for an occurrence of a repeating expense
+   */
+  const handleSaveExpenseInMonth = (month, edited, scope) => {
+    const { debtId, ...fields } = edited; // A new category may no longer pay off the debt
+    saveExpenseEdit(month, applyTagsAndNotes({ ...fields, ...getDebtFields(fields, debtId) }, edited.tags, edited.notes), scope);
+    playSuccessSound();
+  };
+
   /**
    * Navigates to the next month
    */
@@ -693,11 +1455,14 @@ function MainApp() {
    * @param {string} monthStr - Month string in format "YYYY-MM"
    * @returns {string} Formatted month like "October 2025"
    */
-  const formatMonthYear = (monthStr) => {
-    const [year, month] = monthStr.split('-');
-    const date = new Date(year, month - 1);
-    return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-  };
+  const formatMonthYear = (monthStr) => formatMonth(monthStr, displayPreferences);
+
+  /**
+   * Formats a transaction date for display
+   * @param {string} dateStr - Date in "YYYY-MM-DD" format
+   * @returns {string} Formatted date (e.g., "Wed, Oct 15")
+   */
+  const formatExpenseDate = (dateStr) => formatDate(dateStr, displayPreferences);
 
   /**
    * Gets historical data for month comparison chart
@@ -706,20 +1471,36 @@ function MainApp() {
   const getMonthlyHistory = () => {
     const months = Object.keys(monthlyBudgets).sort();
     return months.map(month => ({
-      month: formatMonthYear(month).split(' ')[0], // Just month name
-      income: monthlyBudgets[month].income,
+      month: formatMonth(month, displayPreferences, 'short'), // Just month name
+      income: getMonthIncome(monthlyBudgets[month]),
       expenses: monthlyBudgets[month].expenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0),
-      remaining: monthlyBudgets[month].income - monthlyBudgets[month].expenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0)
+      remaining: getMonthIncome(monthlyBudgets[month]) - monthlyBudgets[month].expenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0)
     })).slice(-6); // Last 6 months
   };
 
-    const handleResetData = async () => {
+  /**
+   * Restores a backup as one undoable change
+   * @param {object} backupBudget - Budget read from the backup file
+   * @param {string} mode - "replace" or "merge"
+   */
+  const handleRestoreBackup = (backupBudget, mode) => {
+    updateBudget(
+      prev => buildRestoredBudget(prev, backupBudget, mode),
+      mode === 'replace' ? 'Restore backup' : 'Merge backup'
+    );
+    playSuccessSound();
+    showUndoToast(mode === 'replace' ? 'Backup restored' : 'Backup merged', '💾');
+  };
+
+  /**
+   * Deletes all budget data from the store and this device, after confirming
+   */
+  const handleResetData = async () => {
     if (window.confirm('🚀 Are you sure you want to reset all data? This cannot be undone!')) {
       try {
-        // Clear Firestore
-        if (user && user.uid) {
-          await saveMonthlyBudgets(user.uid, {});
-        }
+        // Clear the store and its offline cache
+        await storage.clear();
+        await clearLocalCache(storage.id);
         
         // Clear localStorage
         localStorage.clear();
@@ -738,12 +1519,15 @@ function MainApp() {
    * @param {number} amount - The amount to format
    * @returns {string} Formatted currency string
    */
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount);
-  };
+  const formatCurrency = (amount) => formatMoney(amount, baseCurrency, displayPreferences);
+
+  /**
+   * Formats an amount in a currency other than the base one, such as what was paid abroad
+   * @param {number} amount - The amount to format
+   * @param {string} currency - Currency code
+   * @returns {string} Formatted currency string
+   */
+  const formatCurrencyIn = (amount, currency) => formatMoney(amount, currency, displayPreferences);
 
   // Main Render
   return (
@@ -772,16 +1556,47 @@ function MainApp() {
           {/* User Info & Logout */}
           <div className="bg-gray-800 border-2 border-white px-3 py-2 flex items-center gap-2 shadow-[4px_4px_0px_0px_rgba(0,0,0,0.5)]">
             <span className="text-xs font-bold">
-              👤 {user?.email || user?.displayName || 'Player'}
+              👤 {isGuest ? 'GUEST' : user?.email || user?.displayName || 'Player'}
             </span>
-            <button
-              onClick={logout}
-              className="bg-red-600 hover:bg-red-700 border-2 border-red-800 px-3 py-1 text-xs font-bold transition-all hover:scale-110"
-              title="Logout"
-            >
-              LOGOUT
-            </button>
+            {isGuest ? (
+              <button
+                onClick={endGuestSession}
+                className="bg-green-600 hover:bg-green-700 border-2 border-green-800 px-3 py-1 text-xs font-bold transition-all hover:scale-110"
+                title="Sign in to keep your data in an account"
+              >
+                SIGN IN
+              </button>
+            ) : (
+              <button
+                onClick={logout}
+                className="bg-red-600 hover:bg-red-700 border-2 border-red-800 px-3 py-1 text-xs font-bold transition-all hover:scale-110"
+                title="Logout"
+              >
+                LOGOUT
+              </button>
+            )}
           </div>
+
+          {/* Sync Status */}
+          <SyncStatus status={syncStatus} storageLabel={storage.label} onRetry={retrySync} />
+          
+          {/* Undo / Redo Buttons */}
+          <button
+            onClick={handleUndo}
+            disabled={!canUndo}
+            className="bg-gray-800 hover:bg-gray-700 border-2 border-white p-2 transition-all hover:scale-110 shadow-[4px_4px_0px_0px_rgba(0,0,0,0.5)] disabled:opacity-40 disabled:hover:scale-100"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 size={20} />
+          </button>
+          <button
+            onClick={handleRedo}
+            disabled={!canRedo}
+            className="bg-gray-800 hover:bg-gray-700 border-2 border-white p-2 transition-all hover:scale-110 shadow-[4px_4px_0px_0px_rgba(0,0,0,0.5)] disabled:opacity-40 disabled:hover:scale-100"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 size={20} />
+          </button>
           
           {/* Notification Toggle Button */}
           <button
@@ -795,7 +1610,7 @@ function MainApp() {
           {/* Mute Button */}
           <button
             onClick={() => {
-              setSoundEnabled(!soundEnabled);
+              updateSettings({ soundEnabled: !soundEnabled });
               if (soundEnabled) {
                 playClickSound(); // Play one last sound before muting
               }
@@ -832,7 +1647,14 @@ function MainApp() {
             
             <div className="flex items-center gap-3">
               <Calendar size={24} />
-              <span className="text-2xl font-bold">{formatMonthYear(currentMonth)}</span>
+              <div>
+                <div className="text-2xl font-bold">{formatMonthYear(currentMonth)}</div>
+                {fiscalYearStartMonth !== 1 && (
+                  <div className="text-xs text-gray-400">
+                    {getFiscalYear(currentMonth, fiscalYearStartMonth).label} • month {getFiscalYear(currentMonth, fiscalYearStartMonth).index + 1} of 12
+                  </div>
+                )}
+              </div>
             </div>
             
             <button
@@ -865,6 +1687,15 @@ function MainApp() {
           >
             📊 INSIGHTS
           </button>
+          <button
+            onClick={() => {
+              playClickSound();
+              setScreen('search');
+            }}
+            className={`flex-1 ${screen === 'search' ? 'bg-blue-600 border-blue-800' : 'bg-gray-700 border-gray-900'} border-4 p-4 font-bold shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] hover:shadow-[2px_2px_0px_0px_rgba(0,0,0,1)] transition-all hover:scale-105 active:scale-95`}
+          >
+            🔍 SEARCH
+          </button>
           <button
             onClick={() => {
               playClickSound();
@@ -885,7 +1716,7 @@ function MainApp() {
             <div className="flex items-center gap-2 mb-2">
               <TrendingUp size={20} />
               <span className="text-sm font-bold">INCOME</span>
-              {getIncomeRecurring() && <Repeat size={16} className="animate-pulse" title="Recurring" />}
+              {getIncomes().some(isRepeating) && <Repeat size={16} className="animate-pulse" title="Recurring" />}
             </div>
             <div className="text-2xl font-bold">{formatCurrency(getIncome())}</div>
           </div>
@@ -912,10 +1743,50 @@ function MainApp() {
           </div>
         </div>
 
+        {/* To Be Assigned - Income not yet given to an envelope */}
+        {envelopeMode && (() => {
+          const toBeAssigned = getToBeAssigned(monthlyBudgets, currentMonth);
+          return (
+            <div className={`${toBeAssigned < 0 ? 'bg-red-900 border-red-700' : 'bg-gray-800 border-gray-900'} border-4 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] flex items-center justify-between gap-4`}>
+              <div>
+                <div className="text-sm font-bold">✉️ TO BE ASSIGNED</div>
+                <div className="text-xs text-gray-400">
+                  {toBeAssigned < 0
+                    ? 'You have assigned more than you earned. Take money back from an envelope.'
+                    : 'Income not yet given a job. Assign it to envelopes below.'}
+                </div>
+              </div>
+              <div className={`text-2xl font-bold ${toBeAssigned < 0 ? 'text-red-400' : 'text-green-400'}`}>{formatCurrency(toBeAssigned)}</div>
+            </div>
+          );
+        })()}
+
+        {/* Account balances and transfers */}
+        <AccountsPanel
+          balances={getAccountBalances(monthlyBudgets, accounts, currentMonth)}
+          transfers={getTransfers(getCurrentMonthData())}
+          month={currentMonth}
+          defaultDate={getDefaultExpenseDate(currentMonth)}
+          formatCurrency={formatCurrency}
+          formatDate={formatExpenseDate}
+          onAddTransfer={handleAddTransfer}
+          onDeleteTransfer={handleDeleteTransfer}
+        />
+
+        {/* Pending Reimbursements - Money still owed back, from any month */}
+        <PendingReimbursements
+          pending={pendingReimbursements}
+          defaultDate={toDateKey(new Date())}
+          formatCurrency={formatCurrency}
+          formatDate={formatExpenseDate}
+          onRecord={(entry, details) => handleAddRefund(entry.expense, entry.month, details)}
+        />
+
         {/* Budget Alerts - Show warnings for over-limit categories */}
         {(() => {
-          const overLimitCategories = calculateCategoryTotals().filter(cat => cat.isOverLimit);
-          const nearLimitCategories = calculateCategoryTotals().filter(cat => cat.isNearLimit);
+          const allCategoryTotals = flattenCategoryTotals(calculateCategoryTotals());
+          const overLimitCategories = allCategoryTotals.filter(cat => cat.isOverLimit);
+          const nearLimitCategories = allCategoryTotals.filter(cat => cat.isNearLimit);
           
           if (overLimitCategories.length > 0 || nearLimitCategories.length > 0) {
             return (
@@ -930,7 +1801,7 @@ function MainApp() {
                     <p className="text-red-400 font-bold text-sm mb-2">🚨 OVER BUDGET:</p>
                     {overLimitCategories.map(cat => (
                       <div key={cat.id} className="text-sm mb-1 bg-red-900 bg-opacity-30 p-2 border-l-4 border-red-500">
-                        {cat.name}: {formatCurrency(cat.total)} / {formatCurrency(cat.limit)} 
+                        {cat.label}: {formatCurrency(cat.total)} / {formatCurrency(cat.limit)} 
                         <span className="text-red-300 ml-2">({Math.round(cat.percentOfLimit)}%)</span>
                       </div>
                     ))}
@@ -942,7 +1813,7 @@ function MainApp() {
                     <p className="text-yellow-400 font-bold text-sm mb-2">⚡ WARNING (80%+):</p>
                     {nearLimitCategories.map(cat => (
                       <div key={cat.id} className="text-sm mb-1 bg-yellow-900 bg-opacity-20 p-2 border-l-4 border-yellow-500">
-                        {cat.name}: {formatCurrency(cat.total)} / {formatCurrency(cat.limit)}
+                        {cat.label}: {formatCurrency(cat.total)} / {formatCurrency(cat.limit)}
                         <span className="text-yellow-300 ml-2">({Math.round(cat.percentOfLimit)}%)</span>
                       </div>
                     ))}
@@ -969,7 +1840,8 @@ function MainApp() {
                 <YAxis 
                   stroke="#fff" 
                   style={{ fontFamily: 'monospace', fontSize: '12px' }}
-                  tickFormatter={(value) => `${value}`}
+                  width={80}
+                  tickFormatter={(value) => formatMoney(value, baseCurrency, displayPreferences, { wholeUnits: true })}
                 />
                 <Tooltip 
                   contentStyle={{ 
@@ -996,57 +1868,116 @@ function MainApp() {
         )}
 
         {/* Pie Chart Visualization - NEW! */}
-        {getExpenses().length > 0 && (
+        {(getExpenses().length > 0 || getIncome() > 0) && (
           <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
             <div className="flex items-center gap-2 mb-4">
               <PieChartIcon size={24} />
               <h3 className="text-lg font-bold">🥧 SPENDING BREAKDOWN</h3>
             </div>
-            <ResponsiveContainer width="100%" height={300}>
-              <PieChart>
-                <Pie
-                  data={calculateCategoryTotals()}
-                  cx="50%"
-                  cy="50%"
-                  labelLine={false}
-                  label={({ name, percentage }) => `${name} ${percentage.toFixed(0)}%`}
-                  outerRadius={100}
-                  fill="#8884d8"
-                  dataKey="total"
-                  animationDuration={800}
-                  animationBegin={0}
-                >
-                  {calculateCategoryTotals().map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={entry.color} stroke="#000" strokeWidth={2} />
+            {getExpenses().length > 0 && (() => {
+              const pie = getPieSlices();
+              return (
+                <>
+                  {pie.parent ? (
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm font-bold">{pie.parent.label}: {formatCurrency(pie.parent.total)}</span>
+                      <button
+                        onClick={() => setPieCategoryId(null)}
+                        className="bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 px-2 py-1 text-xs font-bold flex items-center gap-1 transition-all hover:scale-105"
+                      >
+                        <ChevronLeft size={14} />
+                        ALL CATEGORIES
+                      </button>
+                    </div>
+                  ) : pie.rows.some(row => row.children.length > 0) && (
+                    <p className="text-xs text-gray-400 mb-2">Click a category with subcategories to drill down</p>
+                  )}
+                  <ResponsiveContainer width="100%" height={300}>
+                    <PieChart>
+                      <Pie
+                        data={pie.rows}
+                        onClick={(_, index) => !pie.parent && pie.rows[index]?.children.length > 0 && setPieCategoryId(pie.rows[index].id)}
+                        cx="50%"
+                        cy="50%"
+                        labelLine={false}
+                        label={({ name, percentage }) => `${name} ${percentage.toFixed(0)}%`}
+                        outerRadius={100}
+                        fill="#8884d8"
+                        dataKey="total"
+                        nameKey="label"
+                        animationDuration={800}
+                        animationBegin={0}
+                      >
+                        {pie.rows.map((entry, index) => (
+                          <Cell
+                            key={`cell-${index}`}
+                            fill={entry.color}
+                            stroke="#000"
+                            strokeWidth={2}
+                            cursor={!pie.parent && entry.children.length > 0 ? 'pointer' : 'default'}
+                          />
+                        ))}
+                      </Pie>
+                      <Tooltip 
+                        contentStyle={{ 
+                          backgroundColor: '#1f2937', 
+                          border: '2px solid #000',
+                          borderRadius: '0',
+                          color: '#fff',
+                          fontFamily: 'monospace'
+                        }}
+                        formatter={(value) => formatCurrency(value)}
+                      />
+                      <Legend 
+                        wrapperStyle={{ 
+                          fontFamily: 'monospace',
+                          fontSize: '12px'
+                        }}
+                      />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </>
+              );
+            })()}
+
+            {/* Income by source */}
+            {getIncome() > 0 && (
+              <div className={getExpenses().length > 0 ? 'mt-4 pt-4 border-t-2 border-gray-700' : ''}>
+                <h4 className="text-sm font-bold mb-3 text-green-400">💰 INCOME BY SOURCE</h4>
+                <div className="space-y-2">
+                  {getIncomeBySource(getIncomes()).map(source => (
+                    <div key={source.id}>
+                      <div className="flex justify-between mb-1 text-sm">
+                        <span>{source.name}</span>
+                        <span className="font-bold">
+                          {formatCurrency(source.total)}
+                          <span className="text-xs text-gray-400 ml-2">({Math.round(source.percentage)}%)</span>
+                        </span>
+                      </div>
+                      <div className="w-full bg-gray-900 h-4 border-2 border-black">
+                        <div
+                          className="h-full transition-all duration-500"
+                          style={{ width: `${source.percentage}%`, backgroundColor: source.color }}
+                        />
+                      </div>
+                    </div>
                   ))}
-                </Pie>
-                <Tooltip 
-                  contentStyle={{ 
-                    backgroundColor: '#1f2937', 
-                    border: '2px solid #000',
-                    borderRadius: '0',
-                    color: '#fff',
-                    fontFamily: 'monospace'
-                  }}
-                  formatter={(value) => formatCurrency(value)}
-                />
-                <Legend 
-                  wrapperStyle={{ 
-                    fontFamily: 'monospace',
-                    fontSize: '12px'
-                  }}
-                />
-              </PieChart>
-            </ResponsiveContainer>
+                </div>
+              </div>
+            )}
           </div>
         )}
 
         {/* Category Breakdown - Original CSS Bars */}
         {getExpenses().length > 0 && (
           <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
-            <h3 className="text-lg font-bold mb-4">📊 CATEGORY DETAILS</h3>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold">📊 CATEGORY DETAILS</h3>
+              {envelopeMode && <span className="text-xs text-gray-400">SPENT / FUNDS • AVAILABLE</span>}
+            </div>
             <div className="space-y-3">
-              {calculateCategoryTotals().map(cat => {
+              {flattenCategoryTotals(calculateCategoryTotals()).map(cat => {
+                const available = categoryEnvelopes[cat.id]?.available || 0;
                 // Determine bar color based on limit status
                 let barColor = cat.color;
                 if (cat.limit > 0) {
@@ -1058,10 +1989,10 @@ function MainApp() {
                 }
                 
                 return (
-                  <div key={cat.id}>
+                  <div key={cat.id} className={cat.parentId ? 'ml-6' : ''}>
                     <div className="flex justify-between mb-1 text-sm items-center">
                       <div className="flex items-center gap-2">
-                        <span>{cat.name}</span>
+                        <span>{cat.parentId && '↳ '}{cat.label}</span>
                         {cat.isOverLimit && <AlertTriangle size={14} className="text-red-400 animate-pulse" />}
                         {cat.isNearLimit && <AlertTriangle size={14} className="text-yellow-400" />}
                       </div>
@@ -1072,6 +2003,11 @@ function MainApp() {
                             / {formatCurrency(cat.limit)} ({Math.round(cat.percentOfLimit)}%)
                           </span>
                         )}
+                        {envelopeMode && (
+                          <span className={`inline-block w-24 ml-2 font-bold ${available < 0 ? 'text-red-400' : 'text-green-400'}`} title="Available in this envelope">
+                            {formatCurrency(available)}
+                          </span>
+                        )}
                       </div>
                     </div>
                     <div className="w-full bg-gray-900 h-6 border-2 border-black relative">
@@ -1101,135 +2037,350 @@ function MainApp() {
           </div>
         )}
 
+        {/* Spending Calendar */}
+        {getExpenses().length > 0 && (
+          <ExpenseCalendar
+            key={currentMonth}
+            month={currentMonth}
+            expenses={getExpenses()}
+            formatCurrency={formatCurrency}
+            formatDate={(dateStr) => formatDate(dateStr, displayPreferences, { weekday: 'long', month: 'long', day: 'numeric' })}
+            categories={categories}
+          />
+        )}
+
         {/* Recent Expenses List */}
         {getExpenses().length > 0 && (
           <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
-            <h3 className="text-lg font-bold mb-2">📝 RECENT EXPENSES</h3>
-            <p className="text-xs text-gray-400 mb-4">💡 Tip: Mark expenses as recurring (🔄) to auto-copy them to new months!</p>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-bold">📝 RECENT EXPENSES</h3>
+              <select
+                value={expenseSort}
+                onChange={(e) => setExpenseSort(e.target.value)}
+                className="bg-gray-900 border-2 border-gray-700 p-1 text-white text-xs font-bold focus:border-white outline-none"
+                title="Sort expenses"
+              >
+                <option value="date-desc">Newest first</option>
+                <option value="date-asc">Oldest first</option>
+                <option value="amount-desc">Largest first</option>
+                <option value="amount-asc">Smallest first</option>
+              </select>
+            </div>
+            <p className="text-xs text-gray-400 mb-4">💡 Tip: Make an expense repeat (🔄) and it is added automatically each time it is due!</p>
+            {/* Tag filter: only expenses with every selected tag are listed */}
+            {(() => {
+              const monthTags = getUsedTags({ [currentMonth]: getCurrentMonthData() });
+              const filterTags = [...new Set([...monthTags, ...tagFilter])];
+              if (filterTags.length === 0) return null;
+              return (
+                <div className="flex flex-wrap items-center gap-1 mb-4">
+                  <span className="text-xs text-gray-400 mr-1">Filter:</span>
+                  {filterTags.map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => setTagFilter(tagFilter.includes(tag) ? tagFilter.filter(t => t !== tag) : [...tagFilter, tag])}
+                      className={`${tagFilter.includes(tag) ? 'bg-cyan-600 border-cyan-800' : 'bg-gray-700 border-gray-900'} border-2 px-1 text-xs font-bold transition-all hover:scale-105`}
+                    >
+                      #{tag}
+                    </button>
+                  ))}
+                  {tagFilter.length > 0 && (
+                    <button onClick={() => setTagFilter([])} className="text-xs text-gray-400 underline ml-1">clear</button>
+                  )}
+                </div>
+              );
+            })()}
             <div className="space-y-2 max-h-64 overflow-y-auto">
-              {getExpenses().map(expense => {
-                const category = categories.find(c => c.id === expense.category);
-                const isEditing = editingExpenseId === expense.id;
+              {filterExpensesByTags(getExpenses(), tagFilter).length === 0 && (
+                <p className="text-gray-500 text-sm text-center py-4">No expenses with these tags</p>
+              )}
+              {getExpenseGroups().map(group => (
+                <React.Fragment key={group.date || 'all'}>
+                  {/* Day header when grouped by date */}
+                  {group.date && (
+                    <div className="flex justify-between text-xs font-bold text-gray-400 pt-2 first:pt-0">
+                      <span>{formatExpenseDate(group.date)}</span>
+                      <span>{formatCurrency(group.total)}</span>
+                    </div>
+                  )}
+                  {group.expenses.map(expense => {
+                    const category = categories.find(c => c.id === expense.category);
+                    const isEditing = editingExpenseId === expense.id;
                 
-                return (
-                  <div
-                    key={expense.id}
-                    className="bg-gray-900 border-2 border-gray-700 p-3 hover:border-white transition-colors"
-                  >
-                    {isEditing ? (
-                      // Edit Mode - Show edit form
-                      <div className="space-y-3">
-                        <input
-                          type="text"
-                          value={editingExpenseData.name}
-                          onChange={(e) => setEditingExpenseData({ ...editingExpenseData, name: e.target.value })}
-                          placeholder="Expense name"
-                          className="w-full bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
-                        />
-                        <input
-                          type="number"
-                          value={editingExpenseData.amount}
-                          onChange={(e) => setEditingExpenseData({ ...editingExpenseData, amount: e.target.value })}
-                          placeholder="Amount"
-                          className="w-full bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
-                        />
-                        <select
-                          value={editingExpenseData.category}
-                          onChange={(e) => setEditingExpenseData({ ...editingExpenseData, category: e.target.value })}
-                          className="w-full bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
-                        >
-                          {categories.map(cat => (
-                            <option key={cat.id} value={cat.id}>{cat.name}</option>
-                          ))}
-                        </select>
+                    return (
+                      <div
+                        key={expense.id}
+                        className="bg-gray-900 border-2 border-gray-700 p-3 hover:border-white transition-colors"
+                      >
+                        {isEditing ? (
+                          // Edit Mode - Show edit form
+                          <div className="space-y-3">
+                            <input
+                              type="text"
+                              value={editingExpenseData.name}
+                              onChange={(e) => setEditingExpenseData({ ...editingExpenseData, name: e.target.value })}
+                              placeholder="Expense name"
+                              className="w-full bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                            />
+                            <div className="flex gap-2">
+                              <input
+                                type="number"
+                                value={editingExpenseData.amount}
+                                onChange={(e) => setEditingExpenseData({ ...editingExpenseData, amount: e.target.value })}
+                                placeholder="Amount"
+                                className="flex-1 min-w-0 bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                              />
+                              {!isRefund(editingExpenseData) && (
+                                <select
+                                  value={editingExpenseData.currency || baseCurrency}
+                                  onChange={(e) => setEditingExpenseData({ ...editingExpenseData, currency: e.target.value })}
+                                  className="bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                                  aria-label="Currency"
+                                >
+                                  {expenseCurrencies.map(code => (
+                                    <option key={code} value={code}>{code}</option>
+                                  ))}
+                                </select>
+                              )}
+                            </div>
+                            {describeConversion(editingExpenseData.amount, editingExpenseData.currency) && (
+                              <div className="text-xs text-gray-400">{describeConversion(editingExpenseData.amount, editingExpenseData.currency)}</div>
+                            )}
+                            <input
+                              type="date"
+                              value={editingExpenseData.date}
+                              min={`${currentMonth}-01`}
+                              max={getDateInMonth(currentMonth, 31)}
+                              onChange={(e) => e.target.value && setEditingExpenseData({ ...editingExpenseData, date: e.target.value })}
+                              className="w-full bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                            />
+                            {accounts.length > 1 && (
+                              <select
+                                value={resolveAccountId(accounts, editingExpenseData.accountId)}
+                                onChange={(e) => setEditingExpenseData({ ...editingExpenseData, accountId: e.target.value })}
+                                className="w-full bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                                aria-label="Account"
+                              >
+                                {accounts.map(acct => (
+                                  <option key={acct.id} value={acct.id}>{getAccountType(acct.type).emoji} Paid from {acct.name}</option>
+                                ))}
+                              </select>
+                            )}
+                            <div className="flex gap-2">
+                              {!editingExpenseData.splits && (
+                                <select
+                                  value={editingExpenseData.category}
+                                  onChange={(e) => setEditingExpenseData({ ...editingExpenseData, category: e.target.value })}
+                                  className="flex-1 min-w-0 bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                                >
+                                  {categories
+                                    .filter(cat => !cat.archived || cat.id === editingExpenseData.category)
+                                    .map(cat => (
+                                      <option key={cat.id} value={cat.id}>{getCategoryOptionLabel(cat)}</option>
+                                    ))}
+                                </select>
+                              )}
+                              {!isRefund(editingExpenseData) && (
+                                <button
+                                  type="button"
+                                  onClick={() => setEditingExpenseData({ ...editingExpenseData, splits: toggleSplitLines(editingExpenseData) })}
+                                  className={`${editingExpenseData.splits ? 'flex-1 bg-purple-600 border-purple-800' : 'bg-gray-600 border-gray-800'} hover:opacity-90 border-2 px-3 py-2 text-sm font-bold transition-all hover:scale-105 active:scale-95`}
+                                >
+                                  {editingExpenseData.splits ? '✂️ SPLIT ✓' : '✂️ SPLIT'}
+                                </button>
+                              )}
+                            </div>
+                            {!isRefund(editingExpenseData) && !editingExpenseData.splits && debts.length > 0 && isDebtCategory(categories, editingExpenseData.category) && (
+                              <select
+                                value={editingExpenseData.debtId || ''}
+                                onChange={(e) => setEditingExpenseData({ ...editingExpenseData, debtId: e.target.value })}
+                                className="w-full bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                                aria-label="Debt paid"
+                              >
+                                <option value="">Not a payment on a tracked debt</option>
+                                {debts.map(debt => (
+                                  <option key={debt.id} value={debt.id}>💳 Pays off {debt.name}</option>
+                                ))}
+                              </select>
+                            )}
+                            {!isRefund(editingExpenseData) && (
+                              <label className="flex items-center gap-2 text-sm font-bold">
+                                <input
+                                  type="checkbox"
+                                  checked={Boolean(editingExpenseData.reimbursable)}
+                                  onChange={(e) => setEditingExpenseData({ ...editingExpenseData, reimbursable: e.target.checked })}
+                                />
+                                💼 I expect to be reimbursed for this
+                              </label>
+                            )}
+                            {editingExpenseData.splits && !isRefund(editingExpenseData) && (
+                              <SplitEditor
+                                splits={editingExpenseData.splits}
+                                total={editingExpenseData.amount}
+                                categories={categories.filter(cat => !cat.archived || editingExpenseData.splits.some(line => line.category === cat.id))}
+                                onChange={(splits) => setEditingExpenseData({ ...editingExpenseData, splits })}
+                                formatCurrency={(amount) => formatCurrencyIn(amount, editingExpenseData.currency || baseCurrency)}
+                              />
+                            )}
+                            <TagInput
+                              tags={editingExpenseData.tags}
+                              usedTags={usedTags}
+                              onChange={(tags) => setEditingExpenseData({ ...editingExpenseData, tags })}
+                            />
+                            <textarea
+                              value={editingExpenseData.notes}
+                              onChange={(e) => setEditingExpenseData({ ...editingExpenseData, notes: e.target.value })}
+                              placeholder="Notes"
+                              rows={2}
+                              className="w-full bg-gray-800 border-2 border-gray-600 p-2 text-white text-sm focus:border-white outline-none"
+                            />
                         
-                        {/* Recurring Toggle in Edit Mode */}
-                        <button
-                          type="button"
-                          onClick={() => setEditingExpenseData({ ...editingExpenseData, isRecurring: !editingExpenseData.isRecurring })}
-                          className={`w-full ${editingExpenseData.isRecurring ? 'bg-green-600 border-green-800' : 'bg-gray-600 border-gray-800'} hover:opacity-90 border-2 p-2 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95`}
-                        >
-                          {editingExpenseData.isRecurring ? <Repeat size={16} /> : <X size={16} />}
-                          {editingExpenseData.isRecurring ? 'RECURRING ✓' : 'ONE-TIME'}
-                        </button>
+                            {/* Which occurrences of a repeating expense the edit applies to */}
+                            {getItemRule(editingExpenseData) && (
+                              <select
+                                value={editingExpenseData.scope}
+                                onChange={(e) => setEditingExpenseData({ ...editingExpenseData, scope: e.target.value })}
+                                className="w-full bg-green-900 border-2 border-green-700 p-2 text-white text-sm font-bold focus:border-white outline-none"
+                                aria-label="Apply changes to"
+                              >
+                                <option value="this">🔄 This occurrence only</option>
+                                <option value="future">🔄 This and future occurrences</option>
+                              </select>
+                            )}
                         
-                        <div className="flex gap-2">
-                          <button
-                            onClick={() => {
-                              handleSaveEdit();
-                            }}
-                            className="flex-1 bg-green-600 hover:bg-green-700 border-2 border-green-800 p-2 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
-                          >
-                            <Save size={16} />
-                            SAVE
-                          </button>
-                          <button
-                            onClick={() => {
-                              playClickSound();
-                              handleCancelEdit();
-                            }}
-                            className="flex-1 bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 p-2 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
-                          >
-                            <X size={16} />
-                            CANCEL
-                          </button>
-                        </div>
-                      </div>
-                    ) : (
-                      // Normal Mode - Show expense details
-                      <div className="flex items-center justify-between">
-                        <div className="flex items-center gap-3">
-                          <div
-                            className="w-3 h-3 border-2 border-black"
-                            style={{ backgroundColor: category.color }}
-                          />
-                          <div>
-                            <div className="font-bold flex items-center gap-2">
-                              {expense.name}
-                              {expense.isRecurring && (
-                                <Repeat size={14} className="text-green-400" title="Recurring expense" />
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => {
+                                  handleSaveEdit();
+                                }}
+                                className="flex-1 bg-green-600 hover:bg-green-700 border-2 border-green-800 p-2 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
+                              >
+                                <Save size={16} />
+                                SAVE
+                              </button>
+                              <button
+                                onClick={() => {
+                                  playClickSound();
+                                  handleCancelEdit();
+                                }}
+                                className="flex-1 bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 p-2 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
+                              >
+                                <X size={16} />
+                                CANCEL
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          // Normal Mode - Show expense details
+                          <div className="flex items-center justify-between">
+                            <div className="flex items-center gap-3">
+                              <div
+                                className="w-3 h-3 border-2 border-black"
+                                style={{ backgroundColor: category.color }}
+                              />
+                              <div>
+                                <div className="font-bold flex items-center gap-2">
+                                  {expense.name}
+                                  {isRepeating(expense) && (
+                                    <Repeat size={14} className="text-green-400" title="Recurring expense" />
+                                  )}
+                                </div>
+                                {getItemRule(expense) && isRepeating(expense) && (
+                                  <div className="text-[10px] text-green-400">{describeRecurrence(getItemRule(expense), displayPreferences)}</div>
+                                )}
+                                <div className="text-xs text-gray-400">
+                                  {getExpenseCategoryText(expense)}
+                                  {!expenseSort.startsWith('date') && ` • ${formatExpenseDate(expense.date)}`}
+                                  {accounts.length > 1 && ` • ${getAccountLabel(expense.accountId)}`}
+                                  {expense.debtId && ` • 💳 ${debts.find(debt => debt.id === expense.debtId)?.name || 'Removed debt'}`}
+                                </div>
+                                {isRefund(expense) && <div className="text-xs text-green-400">{describeRefund(expense)}</div>}
+                                {!isRefund(expense) && (refundedAmounts[expense.id] > 0 || expense.reimbursable) && (
+                                  <div className="text-xs flex gap-2">
+                                    {refundedAmounts[expense.id] > 0 && <span className="text-green-400">↩️ {formatCurrency(refundedAmounts[expense.id])} back</span>}
+                                    {expense.reimbursable && getRefundableAmount(expense, refundedAmounts) > 0 && (
+                                      <span className="text-yellow-400">💼 {formatCurrency(getRefundableAmount(expense, refundedAmounts))} still owed</span>
+                                    )}
+                                  </div>
+                                )}
+                                {expense.tags && (
+                                  <div className="flex flex-wrap gap-1 mt-1">
+                                    {expense.tags.map(tag => (
+                                      <span key={tag} className="bg-cyan-900 border border-cyan-700 px-1 text-[10px] font-bold">#{tag}</span>
+                                    ))}
+                                  </div>
+                                )}
+                                {expense.notes && <div className="text-xs text-gray-500 italic mt-1">{expense.notes}</div>}
+                              </div>
+                            </div>
+                            <div className="flex items-center gap-2">
+                              <div className="text-right">
+                                <div className={`font-bold ${expense.amount < 0 ? 'text-green-400' : ''}`}>{formatCurrency(expense.amount)}</div>
+                                {expense.currency && (
+                                  <div className="text-xs text-gray-400">{formatCurrencyIn(expense.originalAmount, expense.currency)}</div>
+                                )}
+                              </div>
+                              {!isRefund(expense) && (
+                                <button
+                                  onClick={() => toggleRepeat('expense', expense)}
+                                  className={`${isRepeating(expense) ? 'bg-green-600 border-green-800' : 'bg-gray-600 border-gray-800'} hover:opacity-90 border-2 p-2 transition-all hover:scale-110 active:scale-95`}
+                                  title={isRepeating(expense) ? "Stop repeating after this one" : "Repeat monthly"}
+                                >
+                                  {isRepeating(expense) ? <Repeat size={16} /> : <X size={16} />}
+                                </button>
+                              )}
+                              {!isRefund(expense) && getRefundableAmount(expense, refundedAmounts) > 0 && (
+                                <button
+                                  onClick={() => {
+                                    playClickSound();
+                                    setRefundingExpenseId(refundingExpenseId === expense.id ? null : expense.id);
+                                  }}
+                                  className="bg-teal-600 hover:bg-teal-700 border-2 border-teal-800 p-2 transition-all hover:scale-110 active:scale-95"
+                                  title="Record a refund or reimbursement"
+                                >
+                                  <RotateCcw size={16} />
+                                </button>
                               )}
+                              <button
+                                onClick={() => {
+                                  playClickSound();
+                                  handleStartEdit(expense);
+                                }}
+                                className="bg-blue-600 hover:bg-blue-700 border-2 border-blue-800 p-2 transition-all hover:scale-110 active:scale-95"
+                                title="Edit expense"
+                              >
+                                <Edit2 size={16} />
+                              </button>
+                              <button
+                                onClick={() => {
+                                  handleDeleteExpense(expense.id);
+                                }}
+                                className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-2 transition-all hover:scale-110 active:scale-95"
+                                title="Delete expense"
+                              >
+                                <Trash2 size={16} />
+                              </button>
                             </div>
-                            <div className="text-xs text-gray-400">{category.name}</div>
                           </div>
-                        </div>
-                        <div className="flex items-center gap-2">
-                          <span className="font-bold">{formatCurrency(expense.amount)}</span>
-                          <button
-                            onClick={() => {
-                              playClickSound();
-                              toggleExpenseRecurring(expense.id);
-                            }}
-                            className={`${expense.isRecurring ? 'bg-green-600 border-green-800' : 'bg-gray-600 border-gray-800'} hover:opacity-90 border-2 p-2 transition-all hover:scale-110 active:scale-95`}
-                            title={expense.isRecurring ? "Remove recurring" : "Mark as recurring"}
-                          >
-                            {expense.isRecurring ? <Repeat size={16} /> : <X size={16} />}
-                          </button>
-                          <button
-                            onClick={() => {
-                              playClickSound();
-                              handleStartEdit(expense);
-                            }}
-                            className="bg-blue-600 hover:bg-blue-700 border-2 border-blue-800 p-2 transition-all hover:scale-110 active:scale-95"
-                            title="Edit expense"
-                          >
-                            <Edit2 size={16} />
-                          </button>
-                          <button
-                            onClick={() => {
-                              handleDeleteExpense(expense.id);
-                            }}
-                            className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-2 transition-all hover:scale-110 active:scale-95"
-                            title="Delete expense"
-                          >
-                            <Trash2 size={16} />
-                          </button>
-                        </div>
+                        )}
+                        {refundingExpenseId === expense.id && !isEditing && (
+                          <div className="mt-3">
+                            <RefundForm
+                              expense={expense}
+                              maxAmount={getRefundableAmount(expense, refundedAmounts)}
+                              defaultType={expense.reimbursable ? 'reimbursement' : 'refund'}
+                              defaultDate={toDateKey(new Date())}
+                              formatCurrency={formatCurrency}
+                              onSave={(details) => handleAddRefund(expense, currentMonth, details)}
+                              onCancel={() => setRefundingExpenseId(null)}
+                            />
+                          </div>
+                        )}
                       </div>
-                    )}
-                  </div>
-                );
-              })}
+                    );
+                  })}
+                </React.Fragment>
+              ))}
             </div>
           </div>
         )}
@@ -1242,10 +2393,34 @@ function MainApp() {
             <p className="text-gray-400 mb-2">Add your income and start tracking expenses for {formatMonthYear(currentMonth)}</p>
             {Object.keys(monthlyBudgets).length > 0 && (
               <p className="text-xs text-green-400 mt-4">
-                💡 Recurring items from previous months will auto-copy when you add new data!
+                💡 Repeating items are added automatically on their schedule, up to this month; later months show them as scheduled!
               </p>
             )}
           </div>
+        )}
+
+        {/* Projected recurring items of a future month (generated once it arrives) */}
+        {projectedItems.expenses.length + projectedItems.incomes.length > 0 && (
+          <div className="mt-6 bg-gray-800 border-4 border-dashed border-gray-600 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+            <h3 className="text-lg font-bold mb-1">🔮 SCHEDULED</h3>
+            <p className="text-xs text-gray-400 mb-4">Recurring items due in {formatMonthYear(currentMonth)}. They are added when the month arrives.</p>
+            <div className="space-y-2">
+              {[
+                ...projectedItems.incomes.map(item => ({ item, isIncome: true })),
+                ...projectedItems.expenses.map(item => ({ item, isIncome: false }))
+              ].map(({ item, isIncome }) => (
+                <div key={item.id} className="flex justify-between items-center bg-gray-900 border-2 border-gray-700 p-2 text-sm opacity-80">
+                  <div className="min-w-0">
+                    <div className="font-bold truncate">🔄 {item.name}</div>
+                    <div className="text-xs text-gray-400">{formatExpenseDate(item.recurrence.date)}</div>
+                  </div>
+                  <div className={`font-bold ${isIncome ? 'text-green-400' : 'text-red-400'}`}>
+                    {isIncome ? '+' : '-'}{formatCurrency(item.amount)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
         )}</div>
         )}
 
@@ -1256,33 +2431,169 @@ function MainApp() {
               monthlyBudgets={monthlyBudgets}
               currentMonth={currentMonth}
               formatCurrency={formatCurrency}
+              formatMonth={formatMonthYear}
+              fiscalYearStartMonth={fiscalYearStartMonth}
               categories={categories}
+              payees={payees}
+              goals={getGoals(account)}
+              onAddGoal={handleAddGoal}
+              onUpdateGoal={handleUpdateGoal}
+              onDeleteGoal={handleDeleteGoal}
             />
+            <div className="mt-6">
+              <DebtPlanner
+                debts={debts}
+                monthlyBudgets={monthlyBudgets}
+                currentMonth={currentMonth}
+                debtBudget={settings.debtBudget}
+                strategy={settings.debtStrategy}
+                formatCurrency={formatCurrency}
+                formatAxis={(value) => formatMoney(value, baseCurrency, displayPreferences, { wholeUnits: true })}
+                formatMonth={formatMonthYear}
+                formatShortMonth={(month) => formatDate(`${month}-01`, displayPreferences, { month: 'short', year: '2-digit' })}
+                onAdd={handleAddDebt}
+                onUpdate={handleUpdateDebt}
+                onDelete={handleDeleteDebt}
+                onChangePlan={updateSettings}
+              />
+            </div>
           </div>
         )}
 
+        {/* Search Screen Content */}
+        {screen === 'search' && (
+          <SearchScreen
+            monthlyBudgets={monthlyBudgets}
+            categories={categories}
+            usedTags={usedTags}
+            formatCurrency={formatCurrency}
+            formatMoney={formatCurrencyIn}
+            formatMonthYear={formatMonthYear}
+            formatDate={formatExpenseDate}
+            isOccurrence={(expense) => Boolean(getItemRule(expense))}
+            onJumpToMonth={handleJumpToMonth}
+            onSaveExpense={handleSaveExpenseInMonth}
+          />
+        )}
+
         {/* Settings Screen Content */}
         {screen === 'settings' && (
           <div className="space-y-6 animate-[fadeIn_0.3s_ease-in]">{/* Income Input Section */}
         <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
-          <h3 className="text-xl font-bold mb-4">💰 SET INCOME</h3>
+          <h3 className="text-xl font-bold mb-4">💰 INCOME SOURCES</h3>
           <div className="space-y-3">
-            <input
-              type="number"
-              value={getIncome()}
-              onChange={(e) => setIncome(parseFloat(e.target.value) || 0)}
-              placeholder="Enter your income"
+            {/* Existing income entries */}
+            {getIncomes().map(entry => (
+              <div key={entry.id} className="bg-gray-900 border-2 border-gray-700 p-3 space-y-2">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={entry.name}
+                    onChange={(e) => e.target.value.trim() && updateIncome(entry.id, { name: e.target.value })}
+                    className="flex-1 min-w-0 bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                  />
+                  <input
+                    type="number"
+                    value={entry.amount}
+                    onChange={(e) => updateIncome(entry.id, { amount: Math.max(parseFloat(e.target.value) || 0, 0) })}
+                    className="w-32 bg-gray-800 border-2 border-gray-600 p-2 text-white font-bold focus:border-white outline-none"
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <select
+                    value={entry.source}
+                    onChange={(e) => updateIncome(entry.id, { source: e.target.value })}
+                    className="flex-1 bg-gray-800 border-2 border-gray-600 p-2 text-white text-sm font-bold focus:border-white outline-none"
+                  >
+                    {INCOME_SOURCES.map(source => (
+                      <option key={source.id} value={source.id}>{source.name}</option>
+                    ))}
+                  </select>
+                  {accounts.length > 1 && (
+                    <select
+                      value={resolveAccountId(accounts, entry.accountId)}
+                      onChange={(e) => updateIncome(entry.id, { accountId: e.target.value })}
+                      className="flex-1 min-w-0 bg-gray-800 border-2 border-gray-600 p-2 text-white text-sm font-bold focus:border-white outline-none"
+                      aria-label="Account"
+                    >
+                      {accounts.map(acct => (
+                        <option key={acct.id} value={acct.id}>{getAccountType(acct.type).emoji} {acct.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    onClick={() => toggleRepeat('income', entry)}
+                    className={`${isRepeating(entry) ? 'bg-green-600 border-green-800' : 'bg-gray-600 border-gray-800'} hover:opacity-90 border-2 p-2 transition-all hover:scale-110 active:scale-95`}
+                    title={isRepeating(entry) ? "Stop repeating after this month" : "Repeat monthly"}
+                  >
+                    {isRepeating(entry) ? <Repeat size={16} /> : <X size={16} />}
+                  </button>
+                  <button
+                    onClick={() => handleDeleteIncome(entry.id)}
+                    className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-2 transition-all hover:scale-110 active:scale-95"
+                    title="Delete income"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+                {getItemRule(entry) && isRepeating(entry) && (
+                  <div className="text-xs text-green-400">🔄 {describeRecurrence(getItemRule(entry), displayPreferences)}</div>
+                )}
+              </div>
+            ))}
+
+            {/* New income entry */}
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newIncome.name}
+                onChange={(e) => setNewIncome({ ...newIncome, name: e.target.value })}
+                placeholder="Income name (e.g. Salary)"
+                className="flex-1 min-w-0 bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+              />
+              <input
+                type="number"
+                value={newIncome.amount}
+                onChange={(e) => setNewIncome({ ...newIncome, amount: e.target.value })}
+                placeholder="Amount"
+                className="w-32 bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+              />
+            </div>
+            <select
+              value={newIncome.source}
+              onChange={(e) => setNewIncome({ ...newIncome, source: e.target.value })}
               className="w-full bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+            >
+              {INCOME_SOURCES.map(source => (
+                <option key={source.id} value={source.id}>{source.name}</option>
+              ))}
+            </select>
+            {accounts.length > 1 && (
+              <select
+                value={resolveAccountId(accounts, newIncome.accountId)}
+                onChange={(e) => setNewIncome({ ...newIncome, accountId: e.target.value })}
+                className="w-full bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+                aria-label="Account"
+              >
+                {accounts.map(acct => (
+                  <option key={acct.id} value={acct.id}>{getAccountType(acct.type).emoji} Paid into {acct.name}</option>
+                ))}
+              </select>
+            )}
+            <RecurrenceFields
+              value={newIncome.repeat}
+              onChange={(repeat) => setNewIncome({ ...newIncome, repeat })}
+              minDate={getDefaultExpenseDate(currentMonth)}
             />
             <button
-              onClick={toggleIncomeRecurring}
-              className={`w-full ${getIncomeRecurring() ? 'bg-green-600 border-green-800' : 'bg-gray-600 border-gray-800'} hover:opacity-90 border-4 p-3 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95`}
+              onClick={handleAddIncome}
+              className="w-full bg-green-600 hover:bg-green-700 border-4 border-green-800 p-3 font-bold flex items-center justify-center gap-2 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] hover:shadow-[2px_2px_0px_0px_rgba(0,0,0,1)] transition-all hover:scale-105 active:scale-95"
             >
-              {getIncomeRecurring() ? <Repeat size={20} /> : <X size={20} />}
-              {getIncomeRecurring() ? 'RECURRING INCOME ✓' : 'MARK AS RECURRING'}
+              <Plus size={20} />
+              ADD INCOME
             </button>
-            {getIncomeRecurring() && (
-              <p className="text-xs text-green-400">💚 This income will auto-copy to new months</p>
+            {getIncomes().some(isRepeating) && (
+              <p className="text-xs text-green-400">💚 Repeating income is added to later months automatically, including months you skip</p>
             )}
           </div>
         </div>
@@ -1291,44 +2602,138 @@ function MainApp() {
         <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
           <h3 className="text-xl font-bold mb-4">➕ ADD EXPENSE</h3>
           <div className="space-y-4">
-            {/* Expense Name Input */}
-            <input
-              type="text"
+            {/* Expense Name Input, suggesting payees from earlier expenses */}
+            <PayeeInput
               value={newExpense.name}
-              onChange={(e) => setNewExpense({ ...newExpense, name: e.target.value })}
-              placeholder="Expense name"
+              directory={payeeDirectory}
+              onChange={(name) => setNewExpense({ ...newExpense, name })}
+              onSelect={handleSelectPayee}
+              formatCurrency={formatCurrency}
               className="w-full bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
             />
             
-            {/* Expense Amount Input */}
+            {/* Expense Amount Input, in the base currency or another one */}
+            <div className="flex gap-2">
+              <input
+                type="number"
+                value={newExpense.amount}
+                onChange={(e) => setNewExpense({ ...newExpense, amount: e.target.value })}
+                placeholder="Amount"
+                aria-label="Expense amount"
+                className="flex-1 min-w-0 bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+              />
+              <select
+                value={newExpense.currency || baseCurrency}
+                onChange={(e) => setNewExpense({ ...newExpense, currency: e.target.value })}
+                className="bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+                aria-label="Currency"
+              >
+                {expenseCurrencies.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+            {describeConversion(newExpense.amount, newExpense.currency) && (
+              <p className="text-xs text-gray-400 -mt-2">{describeConversion(newExpense.amount, newExpense.currency)}</p>
+            )}
+
+            {/* Transaction Date Input */}
             <input
-              type="number"
-              value={newExpense.amount}
-              onChange={(e) => setNewExpense({ ...newExpense, amount: e.target.value })}
-              placeholder="Amount"
+              type="date"
+              value={getNewExpenseDate()}
+              min={`${currentMonth}-01`}
+              max={getDateInMonth(currentMonth, 31)}
+              onChange={(e) => setNewExpense({ ...newExpense, date: e.target.value })}
               className="w-full bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
             />
+
+            {/* Account paid from */}
+            {accounts.length > 1 && (
+              <select
+                value={resolveAccountId(accounts, newExpense.accountId)}
+                onChange={(e) => setNewExpense({ ...newExpense, accountId: e.target.value })}
+                className="w-full bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+                aria-label="Account"
+              >
+                {accounts.map(acct => (
+                  <option key={acct.id} value={acct.id}>{getAccountType(acct.type).emoji} Paid from {acct.name}</option>
+                ))}
+              </select>
+            )}
             
-            {/* Category Selection */}
-            <select
-              value={newExpense.category}
-              onChange={(e) => setNewExpense({ ...newExpense, category: e.target.value })}
+            {/* Category Selection, or split lines for an expense shared between categories */}
+            <div className="flex gap-2">
+              {!newExpense.splits && (
+                <select
+                  value={getNewExpenseCategory()}
+                  onChange={(e) => setNewExpense({ ...newExpense, category: e.target.value })}
+                  className="flex-1 min-w-0 bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+                >
+                  {activeCategories.map(cat => (
+                    <option key={cat.id} value={cat.id}>{getCategoryOptionLabel(cat)}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                type="button"
+                onClick={() => setNewExpense({ ...newExpense, splits: toggleSplitLines({ ...newExpense, category: getNewExpenseCategory() }) })}
+                className={`${newExpense.splits ? 'flex-1 bg-purple-600 border-purple-800' : 'bg-gray-600 border-gray-800'} hover:opacity-90 border-4 px-4 font-bold transition-all hover:scale-105 active:scale-95`}
+                title="Split this expense across several categories"
+              >
+                {newExpense.splits ? '✂️ SPLIT ✓' : '✂️ SPLIT'}
+              </button>
+            </div>
+            {!newExpense.splits && debts.length > 0 && isDebtCategory(categories, getNewExpenseCategory()) && (
+              <select
+                value={newExpense.debtId}
+                onChange={(e) => setNewExpense({ ...newExpense, debtId: e.target.value })}
+                className="w-full bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
+                aria-label="Debt paid"
+              >
+                <option value="">Not a payment on a tracked debt</option>
+                {debts.map(debt => (
+                  <option key={debt.id} value={debt.id}>💳 Pays off {debt.name}</option>
+                ))}
+              </select>
+            )}
+            {newExpense.splits && (
+              <SplitEditor
+                splits={newExpense.splits}
+                total={newExpense.amount}
+                categories={activeCategories}
+                onChange={(splits) => setNewExpense({ ...newExpense, splits })}
+                formatCurrency={(amount) => formatCurrencyIn(amount, newExpense.currency || baseCurrency)}
+              />
+            )}
+
+            {/* Tags and Notes */}
+            <TagInput
+              tags={newExpense.tags}
+              usedTags={usedTags}
+              onChange={(tags) => setNewExpense({ ...newExpense, tags })}
+            />
+            <textarea
+              value={newExpense.notes}
+              onChange={(e) => setNewExpense({ ...newExpense, notes: e.target.value })}
+              placeholder="Notes (optional)"
+              rows={2}
               className="w-full bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none"
-            >
-              {categories.map(cat => (
-                <option key={cat.id} value={cat.id}>{cat.name}</option>
-              ))}
-            </select>
+            />
+            <label className="flex items-center gap-2 text-sm font-bold">
+              <input
+                type="checkbox"
+                checked={newExpense.reimbursable}
+                onChange={(e) => setNewExpense({ ...newExpense, reimbursable: e.target.checked })}
+              />
+              💼 I expect to be reimbursed for this
+            </label>
             
-            {/* Recurring Toggle */}
-            <button
-              type="button"
-              onClick={() => setNewExpense({ ...newExpense, isRecurring: !newExpense.isRecurring })}
-              className={`w-full ${newExpense.isRecurring ? 'bg-green-600 border-green-800' : 'bg-gray-600 border-gray-800'} hover:opacity-90 border-4 p-3 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95`}
-            >
-              {newExpense.isRecurring ? <Repeat size={20} /> : <X size={20} />}
-              {newExpense.isRecurring ? 'RECURRING ✓' : 'ONE-TIME EXPENSE'}
-            </button>
+            {/* How often the expense repeats */}
+            <RecurrenceFields
+              value={newExpense.repeat}
+              onChange={(repeat) => setNewExpense({ ...newExpense, repeat })}
+              minDate={getNewExpenseDate()}
+            />
             
             {/* Add Button */}
             <button
@@ -1345,28 +2750,59 @@ function MainApp() {
 
         {/* Category Budget Limits - NEW! */}
         <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
-          <div className="flex items-center gap-2 mb-4">
-            <AlertTriangle size={24} />
-            <h3 className="text-xl font-bold">⚠️ SET SPENDING LIMITS</h3>
+          <div className="flex items-center justify-between gap-2 mb-4">
+            <div className="flex items-center gap-2">
+              <AlertTriangle size={24} />
+              <h3 className="text-xl font-bold">{envelopeMode ? '✉️ ASSIGN MONEY' : '⚠️ SET SPENDING LIMITS'}</h3>
+            </div>
+            <select
+              value={settings.budgetingMode}
+              onChange={(e) => {
+                updateSettings({ budgetingMode: e.target.value });
+                playClickSound();
+              }}
+              className="bg-gray-900 border-2 border-gray-700 p-1 text-white text-xs font-bold focus:border-white outline-none"
+              aria-label="Budgeting mode"
+              title={BUDGETING_MODES.find(mode => mode.id === settings.budgetingMode)?.description}
+            >
+              {BUDGETING_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+            </select>
           </div>
           <p className="text-gray-400 text-sm mb-4">
-            Set budget limits for each category. You'll get alerts at 80% and 100%.
+            {envelopeMode
+              ? `Assign this month's money to each category or subcategory. Whatever an envelope doesn't spend rolls into next month, and overspending comes out of it. ${formatCurrency(getToBeAssigned(monthlyBudgets, currentMonth))} is still to be assigned.`
+              : "Set budget limits for each category or subcategory. A category's spending includes its subcategories. You'll get alerts at 80% and 100%."}
           </p>
+          {envelopeMode && Object.keys(getLastAssignments(monthlyBudgets, currentMonth)).length > 0 && (
+            <button
+              onClick={handleAssignLastMonth}
+              className="w-full mb-4 bg-blue-600 hover:bg-blue-700 border-2 border-blue-800 p-2 text-sm font-bold transition-all hover:scale-105 active:scale-95"
+              title="Replace this month's assignments with last month's"
+            >
+              ✉️ ASSIGN SAME AS LAST MONTH
+            </button>
+          )}
           <div className="space-y-3">
-            {categories.map(cat => {
+            {categories.filter(cat => !cat.archived || getCategoryLimits()[cat.id] > 0 || categoryEnvelopes[cat.id]?.available).map(cat => {
               const currentLimit = getCategoryLimits()[cat.id] || 0;
+              const available = categoryEnvelopes[cat.id]?.available || 0;
               return (
-                <div key={cat.id} className="flex items-center gap-3">
+                <div key={cat.id} className={`flex items-center gap-3 ${cat.parentId ? 'ml-6' : ''}`}>
                   <div
                     className="w-4 h-4 border-2 border-black flex-shrink-0"
                     style={{ backgroundColor: cat.color }}
                   />
-                  <span className="text-sm flex-1">{cat.name}</span>
+                  <span className="text-sm flex-1">{cat.parentId && '↳ '}{cat.label}</span>
+                  {envelopeMode && (
+                    <span className={`text-xs font-bold ${available < 0 ? 'text-red-400' : 'text-gray-400'}`} title="Available after this month's spending">
+                      {formatCurrency(available)}
+                    </span>
+                  )}
                   <input
                     type="number"
                     value={currentLimit || ''}
                     onChange={(e) => setCategoryLimit(cat.id, parseFloat(e.target.value) || 0)}
-                    placeholder="No limit"
+                    placeholder={envelopeMode ? 'Assign' : 'No limit'}
                     className="w-32 bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none"
                   />
                 </div>
@@ -1384,6 +2820,59 @@ function MainApp() {
           )}
         </div>
 
+        {/* Category Manager */}
+        <CategoryManager
+          categories={sortCategoryTree(getCategories(account))}
+          getExpenseCount={(id) => countCategoryExpenses(budget, id)}
+          onAdd={handleAddCategory}
+          onUpdate={handleUpdateCategory}
+          onMerge={handleMergeCategories}
+        />
+
+        {/* Accounts */}
+        <AccountManager
+          accounts={accounts}
+          onAdd={handleAddAccount}
+          onUpdate={(id, changes) => updateAccounts(
+            list => list.map(acct => (acct.id === id ? { ...acct, ...changes } : acct)),
+            `Edit account ${accountById[id].name}`
+          )}
+          onMerge={handleMergeAccounts}
+        />
+
+        {/* Language, number format and fiscal year */}
+        <DisplaySettings
+          settings={settings}
+          formatCurrency={formatCurrency}
+          formatMonth={formatMonthYear}
+          onChange={updateSettings}
+        />
+
+        {/* Currencies and exchange rates */}
+        <ExchangeRateTable
+          baseCurrency={baseCurrency}
+          canChangeBase={canChangeBaseCurrency(budget)}
+          rates={exchangeRates}
+          month={currentMonth}
+          usedCurrencies={usedCurrencies}
+          formatMonth={formatMonthYear}
+          formatMoney={formatCurrencyIn}
+          onChangeBase={(code) => updateSettings({ baseCurrency: code })}
+          onSetRate={handleSetExchangeRate}
+        />
+
+        {/* Payee Manager */}
+        <PayeeManager
+          directory={payeeDirectory}
+          formatCurrency={formatCurrency}
+          onRename={(payee, name) => updatePayees(list => renamePayee(list, payee, name), `Rename payee ${payee.name}`)}
+          onMerge={(from, to) => {
+            updatePayees(list => mergePayees(list, from, to), `Merge payee ${from.name} into ${to.name}`);
+            playSuccessSound();
+          }}
+          onRemoveAlias={(id, key) => updatePayees(list => removePayeeAlias(list, id, key), `Detach "${key}" from payee`)}
+        />
+
         {/* Export Data Section */}
         <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
           <h3 className="text-xl font-bold mb-4">📥 EXPORT DATA</h3>
@@ -1400,6 +2889,32 @@ function MainApp() {
           </button>
         </div>
 
+        {/* Trash Section */}
+        <TrashPanel
+          trash={trash}
+          retentionDays={trashRetentionDays}
+          onRestore={handleRestoreFromTrash}
+          onPurge={handlePurgeTrash}
+          onRetentionChange={(days) => updateSettings({ trashRetentionDays: days })}
+          formatCurrency={formatCurrency}
+          formatMonthYear={formatMonthYear}
+          categories={categories}
+        />
+
+        {/* Change History Section */}
+        <AuditLogPanel
+          entries={auditEntries}
+          currentUid={auditUid}
+          formatMonthYear={formatMonthYear}
+        />
+
+        {/* Backup & Restore Section */}
+        <BackupPanel
+          budget={budget}
+          onRestore={handleRestoreBackup}
+          playClickSound={playClickSound}
+        />
+
         {/* Reset Data Section */}
         <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
           <h3 className="text-xl font-bold mb-4">⚠️ DANGER ZONE</h3>
@@ -1416,33 +2931,68 @@ function MainApp() {
         </div></div>
         )}
 
+        {/* Undo Toast - shown after destructive actions */}
+        {undoToast && (
+          <div className="fixed bottom-6 inset-x-0 z-50 flex justify-center pointer-events-none">
+            <div
+              key={undoToast.id}
+              className="pointer-events-auto bg-gray-800 border-4 border-white px-4 py-3 flex items-center gap-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] animate-[fadeIn_0.3s_ease-in]"
+            >
+              <span className="text-sm font-bold">{undoToast.icon} {undoToast.message}</span>
+              <button
+                onClick={handleUndo}
+                className="bg-yellow-500 hover:bg-yellow-600 text-black border-2 border-yellow-700 px-3 py-1 text-xs font-bold flex items-center gap-1 transition-all hover:scale-110 active:scale-95"
+              >
+                <Undo2 size={14} />
+                UNDO
+              </button>
+              <button
+                onClick={() => setUndoToast(null)}
+                className="text-gray-400 hover:text-white"
+                title="Dismiss"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Footer */}
         <div className="text-center mt-8 text-gray-500 text-sm">
-          <p>💾 DATA AUTO-SAVED • PRESS START TO CONTINUE YOUR FINANCIAL JOURNEY 🚀</p>
+          <p>PRESS START TO CONTINUE YOUR FINANCIAL JOURNEY 🚀</p>
         </div>
       </div>
     </div>
     </>
   );
 }
-// New wrapper component that handles auth
-function AppWithAuth() {
-  const { user } = useAuth();
+// New wrapper component that handles auth and picks where budget data is stored
+function AppWithAuth({ storage }) {
+  const { user, isGuest } = useAuth();
 
-  // If not logged in, show login screen
-  if (!user) {
+  // Signed-in users sync through Firestore; guests keep their data on this device
+  const selectedStorage = useMemo(() => {
+    if (storage) return storage;
+    if (user) return createFirestoreAdapter(user.uid);
+    if (isGuest) return createLocalStorageAdapter();
+    return null;
+  }, [storage, user, isGuest]);
+
+  // If not logged in and not a guest, show login screen
+  if (!selectedStorage) {
     return <Login />;
   }
 
-  // If logged in, show main app
-  return <MainApp />;
+  // Remount when the store changes so no data leaks between accounts
+  return <MainApp key={selectedStorage.id} storage={selectedStorage} />;
 }
 
 // Main export with AuthProvider
-export default function App() {
+// Pass a storage adapter (e.g. createMemoryAdapter()) to run without Firebase or a login
+export default function App({ storage }) {
   return (
     <AuthProvider>
-      <AppWithAuth />
+      <AppWithAuth storage={storage} />
     </AuthProvider>
   );
-}
\ No newline at end of file
+}
@@ -1,8 +1,53 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { createMemoryAdapter } from './storageAdapters';
+import { createEmptyMonth } from './budgetRecords';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// No Firebase in tests: nobody is signed in and the budget lives in a memory adapter
+jest.mock('./firebase', () => ({
+  auth: {
+    onAuthStateChanged: (onChange) => {
+      onChange(null);
+      return () => {};
+    }
+  },
+  db: {}
+}));
+
+const now = new Date();
+const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+const seed = () => ({
+  monthlyBudgets: {
+    [month]: { ...createEmptyMonth(), incomes: [{ id: 'pay', name: 'Paycheck', amount: 2000, source: 'salary', isRecurring: false }] }
+  },
+  account: { settings: { soundEnabled: false } },
+  trash: {}
+});
+
+test('shows the budget held by the storage adapter', async () => {
+  render(<App storage={createMemoryAdapter(seed())} />);
+
+  expect(await screen.findAllByText('$2,000.00')).not.toHaveLength(0);
+  userEvent.click(screen.getByRole('button', { name: '⚙️ MANAGE' }));
+  expect(screen.getByDisplayValue('Paycheck')).toBeInTheDocument();
+});
+
+test('adding an expense saves it to the storage adapter', async () => {
+  const storage = createMemoryAdapter(seed());
+  render(<App storage={storage} />);
+
+  userEvent.click(await screen.findByRole('button', { name: '⚙️ MANAGE' }));
+  userEvent.type(screen.getByPlaceholderText('Expense name'), 'Groceries');
+  userEvent.type(screen.getByLabelText('Expense amount'), '42.5');
+  userEvent.click(screen.getByRole('button', { name: 'ADD EXPENSE' }));
+
+  await waitFor(async () => {
+    const { monthlyBudgets } = await storage.load();
+    expect(monthlyBudgets[month].expenses).toEqual([
+      expect.objectContaining({ name: 'Groceries', amount: 42.5, category: 'food', date: expect.stringMatching(`^${month}-`) })
+    ]);
+  }, { timeout: 3000 });
+  expect((await storage.load()).monthlyBudgets[month].incomes).toHaveLength(1);
 });
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { describeEntryChanges, filterAuditEntries } from './auditLog';
+
+// Labels for each record collection in the filter dropdown and entry list
+const COLLECTION_LABELS = {
+  expenses: 'Expenses',
+  months: 'Income & limits',
+  account: 'Settings',
+  trash: 'Trash'
+};
+
+// Badge colours per action
+const ACTION_STYLES = {
+  create: 'bg-green-600 border-green-800',
+  update: 'bg-blue-600 border-blue-800',
+  delete: 'bg-red-600 border-red-800'
+};
+
+// Number of entries shown before "SHOW MORE"
+const PAGE_SIZE = 25;
+
+/**
+ * Audit Log Panel
+ * Filterable history of every change made to the budget, showing who made it,
+ * when, and which fields changed.
+ * @param {Array} entries - Audit entries (see auditLog.js)
+ * @param {string} currentUid - UID of the signed-in user, shown as "YOU"
+ * @param {function} formatMonthYear - Formats a month key for display
+ */
+export default function AuditLogPanel({ entries, currentUid, formatMonthYear }) {
+  const [filters, setFilters] = useState({ action: '', collection: '', month: '', search: '' });
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const filtered = filterAuditEntries(entries, filters);
+  const months = [...new Set(entries.map(entry => entry.month).filter(Boolean))].sort().reverse();
+
+  /**
+   * Updates one filter and goes back to the first page
+   * @param {string} key - Filter name
+   * @param {string} value - New value ('' matches everything)
+   */
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const selectClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none';
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">📜 CHANGE HISTORY</h3>
+
+      {/* Filters */}
+      <div className="grid grid-cols-2 gap-2 mb-4">
+        <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className={selectClassName}>
+          <option value="">All actions</option>
+          <option value="create">Created</option>
+          <option value="update">Changed</option>
+          <option value="delete">Deleted</option>
+        </select>
+        <select value={filters.collection} onChange={(e) => setFilter('collection', e.target.value)} className={selectClassName}>
+          <option value="">Everything</option>
+          {Object.keys(COLLECTION_LABELS).map(collection => (
+            <option key={collection} value={collection}>{COLLECTION_LABELS[collection]}</option>
+          ))}
+        </select>
+        <select value={filters.month} onChange={(e) => setFilter('month', e.target.value)} className={selectClassName}>
+          <option value="">All months</option>
+          {months.map(month => (
+            <option key={month} value={month}>{formatMonthYear(month)}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => setFilter('search', e.target.value)}
+          placeholder="Search"
+          className={selectClassName}
+        />
+      </div>
+
+      {filtered.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">No changes recorded</p>
+      ) : (
+        <div className="space-y-2 max-h-96 overflow-y-auto">
+          {filtered.slice(0, visibleCount).map(entry => (
+            <div key={entry.id} className="bg-gray-900 border-2 border-gray-700 p-3">
+              <div className="flex items-center gap-2 mb-1">
+                <span className={`${ACTION_STYLES[entry.action]} border-2 px-1 text-xs font-bold uppercase`}>
+                  {entry.action}
+                </span>
+                <span className="font-bold text-sm flex-1 truncate">{entry.label}</span>
+                <span className="text-xs text-gray-500">{new Date(entry.timestamp).toLocaleString()}</span>
+              </div>
+              <p className="text-xs text-gray-400">
+                {COLLECTION_LABELS[entry.collection] || entry.collection} • {entry.entityId}
+                {entry.month && ` • ${formatMonthYear(entry.month)}`}
+                {' • '}{entry.uid === currentUid ? 'YOU' : entry.uid}
+              </p>
+              <ul className="mt-1 text-xs font-mono space-y-0.5">
+                {describeEntryChanges(entry).map(({ field, from, to }) => (
+                  <li key={field} className="truncate">
+                    <span className="text-gray-500">{field}:</span>{' '}
+                    <span className="text-red-300">{from}</span> → <span className="text-green-300">{to}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {filtered.length > visibleCount && (
+        <button
+          onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+          className="w-full mt-3 bg-gray-600 hover:bg-gray-700 border-4 border-gray-800 p-2 text-sm font-bold transition-all"
+        >
+          SHOW MORE ({filtered.length - visibleCount})
+        </button>
+      )}
+    </div>
+  );
+}
@@ -30,6 +30,7 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [isGuest, setIsGuest] = useState(() => localStorage.getItem('guestMode') === 'true'); // Guest data stays on this device
 
   /**
    * Sign in with Google
@@ -83,6 +84,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Start using the app as a guest, without an account
+   */
+  const startGuestSession = () => {
+    localStorage.setItem('guestMode', 'true');
+    setIsGuest(true);
+  };
+
+  /**
+   * Leave guest mode (guest data stays on the device until the guest signs in)
+   */
+  const endGuestSession = () => {
+    localStorage.removeItem('guestMode');
+    setIsGuest(false);
+  };
+
   /**
    * Listen for auth state changes
    */
@@ -90,6 +107,12 @@ export const AuthProvider = ({ children }) => {
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
       setUser(currentUser);
       setLoading(false);
+
+      // Signing in upgrades a guest; their data is merged into the account
+      if (currentUser) {
+        localStorage.removeItem('guestMode');
+        setIsGuest(false);
+      }
     });
 
     // Cleanup subscription
@@ -102,7 +125,10 @@ export const AuthProvider = ({ children }) => {
     signUp,
     signIn,
     logout,
-    loading
+    loading,
+    isGuest,
+    startGuestSession,
+    endGuestSession
   };
 
   return (
@@ -0,0 +1,170 @@
+import React, { useState, useRef } from 'react';
+import { Download, Upload, X } from 'lucide-react';
+import { createBackup, parseBackup, previewRestore } from './backup';
+
+/**
+ * Backup & Restore Panel
+ * Downloads the whole account as a JSON backup and restores one after showing
+ * what it would change. Restoring either replaces all data or merges the backup in.
+ * @param {object} budget - Current budget ({ monthlyBudgets, account, trash })
+ * @param {function} onRestore - Called with (backupBudget, mode) once the user confirms
+ * @param {function} playClickSound - Plays the UI click sound
+ */
+export default function BackupPanel({ budget, onRestore, playClickSound }) {
+  const [pendingBackup, setPendingBackup] = useState(null); // Parsed backup waiting for confirmation
+  const [errors, setErrors] = useState([]); // Problems found in the chosen file
+  const fileInputRef = useRef(null);
+
+  /**
+   * Downloads the whole budget as a JSON backup file
+   */
+  const handleDownload = () => {
+    playClickSound();
+    const json = JSON.stringify(createBackup(budget), null, 2);
+    const blob = new Blob([json], { type: 'application/json;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+
+    const date = new Date().toISOString().split('T')[0];
+    link.setAttribute('href', url);
+    link.setAttribute('download', `space-budget-backup-${date}.json`);
+
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  /**
+   * Reads and validates the chosen backup file
+   * @param {Event} event - Change event of the file input
+   */
+  const handleFileChosen = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+
+    const result = parseBackup(await file.text());
+    setErrors(result.errors);
+    setPendingBackup(result.budget ? { ...result, fileName: file.name } : null);
+  };
+
+  /**
+   * Applies the pending backup
+   * @param {string} mode - "replace" or "merge"
+   */
+  const handleRestore = (mode) => {
+    const message = mode === 'replace'
+      ? '🚀 Replace ALL current data with this backup? You can undo this right after.'
+      : '🚀 Merge this backup into your current data?';
+    if (!window.confirm(message)) return;
+
+    onRestore(pendingBackup.budget, mode);
+    setPendingBackup(null);
+  };
+
+  const cancel = () => {
+    playClickSound();
+    setPendingBackup(null);
+    setErrors([]);
+  };
+
+  const renderPreview = (mode) => {
+    const preview = previewRestore(budget, pendingBackup.budget, mode);
+    return (
+      <p className="text-xs text-gray-300">
+        +{preview.added} new • ~{preview.updated} changed • -{preview.removed} removed
+      </p>
+    );
+  };
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">💾 BACKUP & RESTORE</h3>
+      <p className="text-gray-400 text-sm mb-4">
+        Save every month, limit, recurring item and setting to a JSON file, or restore from one.
+      </p>
+      <div className="flex gap-3">
+        <button
+          onClick={handleDownload}
+          className="flex-1 bg-purple-600 hover:bg-purple-700 border-4 border-purple-800 p-3 font-bold flex items-center justify-center gap-2 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] hover:shadow-[2px_2px_0px_0px_rgba(0,0,0,1)] transition-all hover:scale-105 active:scale-95"
+        >
+          <Download size={20} />
+          DOWNLOAD BACKUP
+        </button>
+        <button
+          onClick={() => {
+            playClickSound();
+            fileInputRef.current.click();
+          }}
+          className="flex-1 bg-blue-600 hover:bg-blue-700 border-4 border-blue-800 p-3 font-bold flex items-center justify-center gap-2 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] hover:shadow-[2px_2px_0px_0px_rgba(0,0,0,1)] transition-all hover:scale-105 active:scale-95"
+        >
+          <Upload size={20} />
+          RESTORE BACKUP
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChosen}
+          className="hidden"
+          data-testid="backup-file-input"
+        />
+      </div>
+
+      {/* Validation errors */}
+      {errors.length > 0 && (
+        <div className="mt-4 bg-red-900 border-4 border-red-700 p-3">
+          <div className="flex items-center justify-between mb-2">
+            <p className="font-bold text-sm">❌ CAN'T RESTORE THIS FILE</p>
+            <button onClick={cancel} className="text-gray-300 hover:text-white" title="Dismiss">
+              <X size={16} />
+            </button>
+          </div>
+          <ul className="text-xs space-y-1">
+            {errors.slice(0, 5).map(error => <li key={error}>• {error}</li>)}
+            {errors.length > 5 && <li>• …and {errors.length - 5} more</li>}
+          </ul>
+        </div>
+      )}
+
+      {/* Restore preview */}
+      {pendingBackup && (
+        <div className="mt-4 bg-gray-900 border-4 border-gray-700 p-4 space-y-3">
+          <p className="font-bold text-sm">📦 {pendingBackup.fileName}</p>
+          <p className="text-xs text-gray-400">
+            {Object.keys(pendingBackup.budget.monthlyBudgets).length} months •{' '}
+            {Object.values(pendingBackup.budget.monthlyBudgets).reduce((sum, month) => sum + month.expenses.length, 0)} expenses
+            {pendingBackup.exportedAt && ` • saved ${new Date(pendingBackup.exportedAt).toLocaleDateString()}`}
+          </p>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <button
+                onClick={() => handleRestore('replace')}
+                className="w-full bg-red-600 hover:bg-red-700 border-4 border-red-800 p-2 text-sm font-bold transition-all hover:scale-105 active:scale-95"
+              >
+                REPLACE ALL
+              </button>
+              {renderPreview('replace')}
+            </div>
+            <div className="space-y-1">
+              <button
+                onClick={() => handleRestore('merge')}
+                className="w-full bg-green-600 hover:bg-green-700 border-4 border-green-800 p-2 text-sm font-bold transition-all hover:scale-105 active:scale-95"
+              >
+                MERGE
+              </button>
+              {renderPreview('merge')}
+            </div>
+          </div>
+          <button
+            onClick={cancel}
+            className="w-full bg-gray-600 hover:bg-gray-700 border-4 border-gray-800 p-2 text-sm font-bold transition-all"
+          >
+            CANCEL
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { Plus, Archive, ArchiveRestore, GitMerge } from 'lucide-react';
+import { getCategoryLabel } from './categories';
+
+const EMPTY_CATEGORY = { name: '', emoji: '🏷️', color: '#60a5fa', parentId: '' };
+
+/**
+ * Category Manager
+ * Adds, renames, recolours, nests and archives the account's expense categories,
+ * and merges one category into another.
+ * @param {Array} categories - Category definitions, in tree order
+ * @param {function} getExpenseCount - Returns how many expenses use a category ID
+ * @param {function} onAdd - Called with { name, emoji, color, parentId } of a new category
+ * @param {function} onUpdate - Called with a category ID and the fields to change
+ * @param {function} onMerge - Called with the ID to merge away and the ID to merge into
+ */
+export default function CategoryManager({ categories, getExpenseCount, onAdd, onUpdate, onMerge }) {
+  const [newCategory, setNewCategory] = useState(EMPTY_CATEGORY);
+  const [mergeTargets, setMergeTargets] = useState({}); // Selected merge target per category ID
+
+  const activeCount = categories.filter(cat => !cat.archived).length;
+  const topLevel = categories.filter(cat => !cat.parentId); // Categories that can have subcategories
+
+  /**
+   * Adds the category from the form if it has a name
+   */
+  const handleAdd = () => {
+    if (!newCategory.name.trim()) return;
+    onAdd(newCategory);
+    setNewCategory(EMPTY_CATEGORY);
+  };
+
+  /**
+   * Asks for confirmation, then merges a category into the selected target
+   * @param {object} category - Category being merged away
+   */
+  const handleMerge = (category) => {
+    const target = categories.find(cat => cat.id === mergeTargets[category.id]);
+    if (!target) return;
+
+    const count = getExpenseCount(category.id);
+    if (window.confirm(`🔀 Move ${count} expense${count === 1 ? '' : 's'} and all limits from ${getCategoryLabel(category)} to ${getCategoryLabel(target)}? ${getCategoryLabel(category)} will be removed.`)) {
+      onMerge(category.id, target.id);
+      setMergeTargets(prev => ({ ...prev, [category.id]: '' }));
+    }
+  };
+
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none';
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">🏷️ CATEGORIES</h3>
+
+      <div className="space-y-2 mb-4">
+        {categories.map(category => (
+          <div
+            key={category.id}
+            className={`bg-gray-900 border-2 border-gray-700 p-3 space-y-2 ${category.parentId ? 'ml-6' : ''} ${category.archived ? 'opacity-60' : ''}`}
+          >
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={category.emoji}
+                onChange={(e) => onUpdate(category.id, { emoji: e.target.value })}
+                className={`${inputClassName} w-12 text-center`}
+                aria-label="Emoji"
+              />
+              <input
+                type="text"
+                value={category.name}
+                onChange={(e) => e.target.value.trim() && onUpdate(category.id, { name: e.target.value })}
+                className={`${inputClassName} flex-1 min-w-0`}
+                aria-label="Name"
+              />
+              <input
+                type="color"
+                value={category.color}
+                onChange={(e) => onUpdate(category.id, { color: e.target.value })}
+                className="w-10 h-10 bg-gray-900 border-2 border-gray-700 cursor-pointer"
+                aria-label="Colour"
+              />
+              <button
+                onClick={() => onUpdate(category.id, { archived: !category.archived })}
+                disabled={!category.archived && activeCount <= 1}
+                className="bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 p-2 transition-all hover:scale-110 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+                title={category.archived ? 'Unarchive' : 'Archive (keeps history, hides it from new expenses)'}
+              >
+                {category.archived ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-500 flex-1">
+                {getExpenseCount(category.id)} expenses{category.archived && ' • ARCHIVED'}
+              </span>
+              <select
+                value={category.parentId || ''}
+                onChange={(e) => onUpdate(category.id, { parentId: e.target.value || null })}
+                disabled={categories.some(cat => cat.parentId === category.id)}
+                className={`${inputClassName} text-xs disabled:opacity-40`}
+                aria-label="Parent category"
+                title="Categories with subcategories stay at the top level"
+              >
+                <option value="">Top level</option>
+                {topLevel.filter(cat => cat.id !== category.id).map(cat => (
+                  <option key={cat.id} value={cat.id}>Under {getCategoryLabel(cat)}</option>
+                ))}
+              </select>
+              <select
+                value={mergeTargets[category.id] || ''}
+                onChange={(e) => setMergeTargets(prev => ({ ...prev, [category.id]: e.target.value }))}
+                className={`${inputClassName} text-xs`}
+                aria-label="Merge into"
+              >
+                <option value="">Merge into…</option>
+                {categories.filter(cat => cat.id !== category.id).map(cat => (
+                  <option key={cat.id} value={cat.id}>{getCategoryLabel(cat)}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => handleMerge(category)}
+                disabled={!mergeTargets[category.id]}
+                className="bg-orange-600 hover:bg-orange-700 border-2 border-orange-800 p-2 transition-all hover:scale-110 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+                title="Merge"
+              >
+                <GitMerge size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* New category */}
+      <select
+        value={newCategory.parentId}
+        onChange={(e) => setNewCategory({ ...newCategory, parentId: e.target.value })}
+        className={`${inputClassName} w-full mb-2`}
+        aria-label="New category parent"
+      >
+        <option value="">New top-level category</option>
+        {topLevel.map(cat => (
+          <option key={cat.id} value={cat.id}>New subcategory of {getCategoryLabel(cat)}</option>
+        ))}
+      </select>
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={newCategory.emoji}
+          onChange={(e) => setNewCategory({ ...newCategory, emoji: e.target.value })}
+          className={`${inputClassName} w-12 text-center`}
+          aria-label="New category emoji"
+        />
+        <input
+          type="text"
+          value={newCategory.name}
+          onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="New category (e.g. Pets)"
+          className={`${inputClassName} flex-1 min-w-0`}
+        />
+        <input
+          type="color"
+          value={newCategory.color}
+          onChange={(e) => setNewCategory({ ...newCategory, color: e.target.value })}
+          className="w-10 h-10 bg-gray-900 border-2 border-gray-700 cursor-pointer"
+          aria-label="New category colour"
+        />
+        <button
+          onClick={handleAdd}
+          className="bg-green-600 hover:bg-green-700 border-2 border-green-800 p-2 transition-all hover:scale-110 active:scale-95"
+          title="Add category"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
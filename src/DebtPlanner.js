@@ -0,0 +1,301 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Edit2, Plus, Save, Trash2, X } from 'lucide-react';
+import { DEBT_STRATEGIES, getDebtBalance, simulatePayoff } from './debts';
+import { addMonthsToMonth } from './recurrence';
+
+/**
+ * Debt Planner
+ * The debt register (what is owed, at what rate, with what minimum payment) and a
+ * plan for paying it all off with a fixed monthly amount. Avalanche and snowball are
+ * simulated side by side; the chosen one's payoff dates are listed per debt.
+ * Balances already reflect debt-category expenses linked to each debt.
+ * @param {Array} debts - Stored debts
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {string} currentMonth - Month balances are measured up to; the plan starts the month after
+ * @param {number} debtBudget - Monthly amount for debts (0 for the minimums only)
+ * @param {string} strategy - Chosen strategy ID
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatAxis - Formats an amount for the chart axis
+ * @param {function} formatMonth - Formats a month key for display
+ * @param {function} formatShortMonth - Formats a month key for the chart axis
+ * @param {function} onAdd - Called with { name, balance, apr, minimumPayment, startMonth }
+ * @param {function} onUpdate - Called with a debt ID and the same fields
+ * @param {function} onDelete - Called with the debt to delete
+ * @param {function} onChangePlan - Called with settings to change ({ debtBudget } or { debtStrategy })
+ */
+export default function DebtPlanner({
+  debts,
+  monthlyBudgets,
+  currentMonth,
+  debtBudget,
+  strategy,
+  formatCurrency,
+  formatAxis,
+  formatMonth,
+  formatShortMonth,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onChangePlan
+}) {
+  const [form, setForm] = useState(null); // Debt being added or edited; null when the form is closed
+  const [budgetDraft, setBudgetDraft] = useState(null); // Monthly amount being typed
+
+  const fields = form && {
+    name: form.name,
+    balance: parseFloat(form.balance),
+    apr: parseFloat(form.apr) || 0,
+    minimumPayment: parseFloat(form.minimumPayment) || 0,
+    startMonth: form.startMonth
+  };
+  const canSave = fields && fields.name.trim() && fields.balance >= 0 && fields.apr <= 100 && fields.startMonth;
+
+  /**
+   * Saves the debt in the form and closes it
+   */
+  const handleSave = () => {
+    if (!canSave) return;
+    if (form.id) {
+      onUpdate(form.id, fields);
+    } else {
+      onAdd(fields);
+    }
+    setForm(null);
+  };
+
+  /**
+   * Saves the typed monthly amount when its box loses focus
+   */
+  const commitBudget = () => {
+    const amount = Math.max(0, parseFloat(budgetDraft) || 0);
+    setBudgetDraft(null);
+    if (budgetDraft !== null && amount !== debtBudget) onChangePlan({ debtBudget: amount });
+  };
+
+  // Where each debt stands now, and both plans from next month on
+  const register = debts.map(debt => ({ debt, ...getDebtBalance(monthlyBudgets, debt, currentMonth) }));
+  const current = register.map(entry => ({ ...entry.debt, balance: entry.balance }));
+  const owed = current.reduce((sum, debt) => sum + debt.balance, 0);
+  const firstMonth = addMonthsToMonth(currentMonth, 1);
+  const plans = {};
+  DEBT_STRATEGIES.forEach(option => { plans[option.id] = simulatePayoff(current, debtBudget, option.id, firstMonth); });
+  const plan = plans[strategy] || plans[DEBT_STRATEGIES[0].id];
+  const minimums = current.filter(debt => debt.balance > 0).reduce((sum, debt) => sum + debt.minimumPayment, 0);
+
+  // One chart point per month until the slower plan is done
+  const length = Math.max(...DEBT_STRATEGIES.map(option => plans[option.id].schedule.length));
+  const chartData = [
+    { month: formatShortMonth(currentMonth), ...Object.fromEntries(DEBT_STRATEGIES.map(option => [option.id, owed])) },
+    ...Array.from({ length }, (_, index) => ({
+      month: formatShortMonth(addMonthsToMonth(firstMonth, index)),
+      ...Object.fromEntries(DEBT_STRATEGIES.map(option => [option.id, plans[option.id].schedule[index]?.total ?? (plans[option.id].isComplete ? 0 : null)]))
+    }))
+  ];
+
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none min-w-0';
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold">💳 DEBT PAYOFF PLANNER</h3>
+        {!form && (
+          <button
+            onClick={() => setForm({ name: '', balance: '', apr: '', minimumPayment: '', startMonth: currentMonth })}
+            className="bg-green-600 hover:bg-green-700 border-2 border-green-800 px-3 py-1 text-sm font-bold flex items-center gap-1 transition-all hover:scale-105 active:scale-95"
+          >
+            <Plus size={14} />
+            ADD DEBT
+          </button>
+        )}
+      </div>
+
+      {/* Add / edit form */}
+      {form && (
+        <div className="bg-gray-900 border-2 border-green-700 p-3 space-y-2 mb-4">
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Debt (e.g. Visa)"
+              className={`${inputClassName} col-span-2`}
+            />
+            <input
+              type="number"
+              min="0"
+              value={form.balance}
+              onChange={(e) => setForm({ ...form, balance: e.target.value })}
+              placeholder="Balance owed"
+              className={inputClassName}
+            />
+            <input
+              type="month"
+              value={form.startMonth}
+              onChange={(e) => setForm({ ...form, startMonth: e.target.value })}
+              className={inputClassName}
+              aria-label="Balance at the start of"
+              title="Month the balance was owed at the start of"
+            />
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={form.apr}
+              onChange={(e) => setForm({ ...form, apr: e.target.value })}
+              placeholder="APR %"
+              className={inputClassName}
+            />
+            <input
+              type="number"
+              min="0"
+              value={form.minimumPayment}
+              onChange={(e) => setForm({ ...form, minimumPayment: e.target.value })}
+              placeholder="Minimum payment"
+              className={inputClassName}
+            />
+          </div>
+          <p className="text-xs text-gray-400">Enter what was owed at the start of the month. Debt expenses linked to this debt from then on are counted as payments.</p>
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={!canSave}
+              className="flex-1 bg-green-600 hover:bg-green-700 border-2 border-green-800 p-2 text-sm font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+            >
+              <Save size={14} />
+              SAVE DEBT
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 p-2 text-sm font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
+            >
+              <X size={14} />
+              CANCEL
+            </button>
+          </div>
+        </div>
+      )}
+
+      {debts.length === 0 && !form && (
+        <p className="text-gray-500 text-sm text-center py-4">Add your cards and loans to see when you'll be debt-free</p>
+      )}
+
+      {/* Register */}
+      {register.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {register.map(({ debt, balance, paid }) => (
+            <div key={debt.id} className="bg-gray-900 border-2 border-gray-700 p-3 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <div className="font-bold truncate">{balance === 0 && '✅ '}{debt.name}</div>
+                <div className="text-xs text-gray-400">
+                  {debt.apr}% APR • min {formatCurrency(debt.minimumPayment)} • paid {formatCurrency(paid)} since {formatMonth(debt.startMonth)}
+                </div>
+                {plan.payoffMonths[debt.id] && (
+                  <div className="text-xs text-green-400">🏁 Paid off {formatMonth(plan.payoffMonths[debt.id])}</div>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <span className={`font-bold ${balance > 0 ? 'text-red-400' : 'text-green-400'}`}>{formatCurrency(balance)}</span>
+                <button
+                  onClick={() => setForm({ ...debt, balance: String(debt.balance), apr: String(debt.apr), minimumPayment: String(debt.minimumPayment) })}
+                  className="bg-blue-600 hover:bg-blue-700 border-2 border-blue-800 p-1 transition-all hover:scale-110 active:scale-95"
+                  title="Edit debt"
+                >
+                  <Edit2 size={12} />
+                </button>
+                <button
+                  onClick={() => onDelete(debt)}
+                  className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-1 transition-all hover:scale-110 active:scale-95"
+                  title="Delete debt"
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Plan */}
+      {owed > 0 && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <span className="text-sm font-bold">Pay each month</span>
+            <input
+              type="number"
+              min="0"
+              value={budgetDraft ?? (debtBudget || '')}
+              onChange={(e) => setBudgetDraft(e.target.value)}
+              onBlur={commitBudget}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+              placeholder={String(minimums)}
+              className={`${inputClassName} w-28`}
+              aria-label="Monthly debt budget"
+            />
+            <div className="flex">
+              {DEBT_STRATEGIES.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => onChangePlan({ debtStrategy: option.id })}
+                  className={`${plan === plans[option.id] ? 'bg-blue-600 border-blue-800' : 'bg-gray-700 border-gray-900'} border-2 px-2 py-1 text-xs font-bold`}
+                  title={option.description}
+                >
+                  {option.emoji} {option.name.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+          {debtBudget < minimums && (
+            <p className="text-xs text-yellow-400 mb-3">💡 Planning with the minimum payments of {formatCurrency(minimums)}. Pay more to be debt-free sooner.</p>
+          )}
+
+          {/* Strategy comparison */}
+          <div className="grid grid-cols-2 gap-2 mb-4">
+            {DEBT_STRATEGIES.map(option => {
+              const result = plans[option.id];
+              return (
+                <div key={option.id} className={`bg-gray-900 border-2 ${plan === result ? 'border-blue-500' : 'border-gray-700'} p-3`}>
+                  <div className="text-xs text-gray-400 font-bold">{option.emoji} {option.name.toUpperCase()}</div>
+                  {result.isComplete ? (
+                    <>
+                      <div className="font-bold text-green-400">Debt-free {formatMonth(result.debtFreeMonth)}</div>
+                      <div className="text-xs text-gray-400">{result.schedule.length} months • {formatCurrency(result.totalInterest)} interest</div>
+                    </>
+                  ) : (
+                    <div className="font-bold text-red-400 text-sm">⚠️ Interest grows faster than these payments</div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Balance over time */}
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+              <XAxis dataKey="month" stroke="#fff" style={{ fontFamily: 'monospace', fontSize: '12px' }} />
+              <YAxis stroke="#fff" style={{ fontFamily: 'monospace', fontSize: '12px' }} width={80} tickFormatter={formatAxis} />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: '#1f2937',
+                  border: '2px solid #000',
+                  borderRadius: '0',
+                  color: '#fff',
+                  fontFamily: 'monospace'
+                }}
+                formatter={(value) => formatCurrency(value)}
+              />
+              <Legend wrapperStyle={{ fontFamily: 'monospace', fontSize: '12px' }} />
+              <Line type="monotone" dataKey="avalanche" name="🏔️ Avalanche" stroke="#00e5ff" strokeWidth={plan === plans.avalanche ? 3 : 1} dot={false} />
+              <Line type="monotone" dataKey="snowball" name="⛄ Snowball" stroke="#ff6b9d" strokeWidth={plan === plans.snowball ? 3 : 1} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+          <p className="text-xs text-gray-400 mt-2">
+            💡 Record card and loan payments as Debt expenses and pick the debt they pay; they come off its balance here.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React from 'react';
+import { LOCALES, CURRENCY_DISPLAYS, DECIMAL_STYLES } from './displayFormat';
+
+// Months offered as the start of the fiscal year, named in English like the rest of the screen
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Display Settings
+ * Language, how amounts are written and when the fiscal year starts. A sample
+ * amount and month show the result before leaving the panel.
+ * @param {object} settings - Account settings from getSettings
+ * @param {function} formatCurrency - Formats an amount for display with the current preferences
+ * @param {function} formatMonth - Formats a month key for display with the current preferences
+ * @param {function} onChange - Called with the settings to change
+ */
+export default function DisplaySettings({ settings, formatCurrency, formatMonth, onChange }) {
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none flex-1 min-w-0';
+  const sampleMonth = `${new Date().getFullYear()}-${String(settings.fiscalYearStartMonth).padStart(2, '0')}`;
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">🌐 DISPLAY</h3>
+
+      <div className="space-y-3">
+        <label className="flex items-center gap-2 text-sm font-bold">
+          <span className="w-36">LANGUAGE</span>
+          <select value={settings.locale} onChange={(e) => onChange({ locale: e.target.value })} className={inputClassName}>
+            {LOCALES.map(locale => (
+              <option key={locale.code} value={locale.code}>{locale.name}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2 text-sm font-bold">
+          <span className="w-36">CURRENCY AS</span>
+          <select value={settings.currencyDisplay} onChange={(e) => onChange({ currencyDisplay: e.target.value })} className={inputClassName}>
+            {CURRENCY_DISPLAYS.map(display => (
+              <option key={display.id} value={display.id}>{display.name}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2 text-sm font-bold">
+          <span className="w-36">NUMBERS</span>
+          <select value={settings.decimalStyle} onChange={(e) => onChange({ decimalStyle: e.target.value })} className={inputClassName}>
+            {DECIMAL_STYLES.map(style => (
+              <option key={style.id} value={style.id}>{style.name}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2 text-sm font-bold">
+          <span className="w-36">FISCAL YEAR FROM</span>
+          <select
+            value={settings.fiscalYearStartMonth}
+            onChange={(e) => onChange({ fiscalYearStartMonth: Number(e.target.value) })}
+            className={inputClassName}
+          >
+            {MONTH_NAMES.map((name, index) => (
+              <option key={name} value={index + 1}>{name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="mt-4 bg-gray-900 border-2 border-gray-700 p-3 text-sm flex justify-between gap-2">
+        <span className="text-gray-400">Preview</span>
+        <span className="font-bold">{formatCurrency(1234567.89)} • {formatMonth(sampleMonth)}</span>
+      </div>
+      <p className="text-xs text-gray-400 mt-3">
+        Used everywhere amounts and dates are shown, in chart labels and in CSV exports. A decimal comma makes CSV files use ";" between fields.
+      </p>
+    </div>
+  );
+}
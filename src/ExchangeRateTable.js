@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { CURRENCIES, getExchangeRate } from './currency';
+
+/**
+ * Exchange Rate Table
+ * The account's base currency and the rates used to convert other currencies into
+ * it for one month. A month without its own rate shows the one it inherits.
+ * @param {string} baseCurrency - Account's base currency
+ * @param {boolean} canChangeBase - False once amounts are stored in the base currency
+ * @param {object} rates - Exchange-rate table
+ * @param {string} month - Month whose rates are edited
+ * @param {Array} usedCurrencies - Currencies expenses have been paid in
+ * @param {function} formatMonth - Formats a month key for display
+ * @param {function} formatMoney - Formats an amount in a given currency
+ * @param {function} onChangeBase - Called with a new base currency code
+ * @param {function} onSetRate - Called with the month, a currency code and the rate (null to clear it)
+ */
+export default function ExchangeRateTable({ baseCurrency, canChangeBase, rates, month, usedCurrencies, formatMonth, formatMoney, onChangeBase, onSetRate }) {
+  const [drafts, setDrafts] = useState({}); // Rates being typed, by currency code
+  const [addedCodes, setAddedCodes] = useState([]); // Currencies added to the table but not rated yet
+  const [newCode, setNewCode] = useState('');
+
+  const codes = [...new Set([
+    ...usedCurrencies,
+    ...Object.values(rates).flatMap(Object.keys),
+    ...addedCodes
+  ])].filter(code => code !== baseCurrency).sort();
+
+  /**
+   * Saves a typed rate when its box loses focus
+   * @param {string} code - Currency code
+   */
+  const commitRate = (code) => {
+    const draft = drafts[code];
+    setDrafts(prev => ({ ...prev, [code]: undefined }));
+    if (draft === undefined) return;
+    const rate = parseFloat(draft);
+    onSetRate(month, code, rate > 0 ? rate : null);
+  };
+
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none';
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">💱 CURRENCIES</h3>
+
+      <label className="flex items-center gap-2 mb-4 text-sm font-bold">
+        BASE CURRENCY
+        <select
+          value={baseCurrency}
+          onChange={(e) => onChangeBase(e.target.value)}
+          disabled={!canChangeBase}
+          className={`${inputClassName} flex-1 disabled:opacity-60`}
+        >
+          {CURRENCIES.map(currency => (
+            <option key={currency.code} value={currency.code}>{currency.code} - {currency.name}</option>
+          ))}
+        </select>
+      </label>
+      {!canChangeBase && (
+        <p className="text-xs text-gray-400 -mt-2 mb-4">🔒 Every amount is kept in {baseCurrency}, so the base currency can only be changed before anything is entered.</p>
+      )}
+
+      <div className="text-sm font-bold mb-2">RATES FOR {formatMonth(month).toUpperCase()}</div>
+      {codes.length === 0 && (
+        <p className="text-gray-500 text-sm text-center py-2">Add a currency to log expenses in it</p>
+      )}
+      <div className="space-y-2 mb-4">
+        {codes.map(code => {
+          const own = rates[month]?.[code];
+          const found = getExchangeRate(rates, month, code, baseCurrency);
+          const isInherited = found && found.month !== month;
+          return (
+            <div key={code} className="flex items-center gap-2">
+              <span className="w-16 font-bold">1 {code} =</span>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={drafts[code] ?? (own || '')}
+                onChange={(e) => setDrafts(prev => ({ ...prev, [code]: e.target.value }))}
+                onBlur={() => commitRate(code)}
+                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                placeholder={isInherited ? String(found.rate) : 'Rate'}
+                className={`${inputClassName} flex-1 min-w-0`}
+                aria-label={`${code} rate`}
+              />
+              <span className="w-12 font-bold">{baseCurrency}</span>
+              <span className="text-xs text-gray-400 w-40">
+                {!found && '⚠️ No rate yet'}
+                {isInherited && `From ${formatMonth(found.month)}`}
+                {found && !isInherited && `${formatMoney(100, code)} = ${formatMoney(100 * found.rate, baseCurrency)}`}
+              </span>
+              <button
+                onClick={() => onSetRate(month, code, null)}
+                disabled={!own}
+                className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-2 transition-all hover:scale-110 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+                title="Clear this month's rate"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-2">
+        <select
+          value={newCode}
+          onChange={(e) => setNewCode(e.target.value)}
+          className={`${inputClassName} flex-1`}
+          aria-label="Currency to add"
+        >
+          <option value="">Add a currency…</option>
+          {CURRENCIES.filter(currency => currency.code !== baseCurrency && !codes.includes(currency.code)).map(currency => (
+            <option key={currency.code} value={currency.code}>{currency.code} - {currency.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => {
+            setAddedCodes([...addedCodes, newCode]);
+            setNewCode('');
+          }}
+          disabled={!newCode}
+          className="bg-green-600 hover:bg-green-700 border-2 border-green-800 px-3 font-bold flex items-center gap-1 transition-all hover:scale-105 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+        >
+          <Plus size={16} />
+          ADD
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 mt-3">
+        Expenses in other currencies are converted with their month's rate, or the latest earlier one, and re-converted when you change it.
+      </p>
+    </div>
+  );
+}
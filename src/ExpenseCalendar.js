@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { getCalendarWeeks, getDailyTotals, sortExpenses, toDateKey } from './expenseDates';
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * Expense Calendar
+ * Month grid with the total spent on each day; clicking a day lists its transactions.
+ * Remount with key={month} so the selected day resets when the month changes.
+ * @param {string} month - Month key ("YYYY-MM")
+ * @param {Array} expenses - Expenses of the month
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatDate - Formats a date key as a full day name and date
+ * @param {Array} categories - Category definitions
+ */
+export default function ExpenseCalendar({ month, expenses, formatCurrency, formatDate, categories }) {
+  const [selectedDate, setSelectedDate] = useState(null); // Day whose transactions are listed
+
+  const totals = getDailyTotals(expenses);
+  const highestTotal = Math.max(0, ...Object.values(totals));
+  const todayKey = toDateKey(new Date());
+  const selectedExpenses = selectedDate
+    ? sortExpenses(expenses.filter(expense => expense.date === selectedDate), 'amount-desc')
+    : [];
+
+  /**
+   * Picks a background that gets stronger the more was spent on the day
+   * @param {number} total - Amount spent on the day
+   * @returns {object} Inline style
+   */
+  const getHeatStyle = (total) => {
+    if (!total || highestTotal <= 0) return {};
+    return { backgroundColor: `rgba(239, 68, 68, ${0.15 + 0.6 * (total / highestTotal)})` };
+  };
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-lg font-bold mb-4">📅 SPENDING CALENDAR</h3>
+
+      <div className="grid grid-cols-7 gap-1 text-center">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="text-xs text-gray-500 font-bold pb-1">{day}</div>
+        ))}
+        {getCalendarWeeks(month).flat().map((date, index) => {
+          if (!date) return <div key={`empty-${index}`} />;
+
+          const total = totals[date] || 0;
+          const isSelected = date === selectedDate;
+          return (
+            <button
+              key={date}
+              onClick={() => setSelectedDate(isSelected ? null : date)}
+              className={`bg-gray-900 border-2 ${isSelected ? 'border-white' : date === todayKey ? 'border-yellow-400' : 'border-gray-700'} p-1 h-14 flex flex-col items-center justify-between hover:border-white transition-colors`}
+              style={getHeatStyle(total)}
+              title={total > 0 ? `${date}: ${formatCurrency(total)}` : date}
+            >
+              <span className="text-xs font-bold">{parseInt(date.slice(8), 10)}</span>
+              {total > 0 && <span className="text-[10px] font-bold truncate w-full">{formatCurrency(total)}</span>}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Transactions of the selected day */}
+      {selectedDate && (
+        <div className="mt-4 bg-gray-900 border-2 border-gray-700 p-3">
+          <div className="flex justify-between items-center mb-2">
+            <p className="font-bold text-sm">
+              {formatDate(selectedDate)}
+            </p>
+            <span className="font-bold text-sm text-red-400">{formatCurrency(totals[selectedDate] || 0)}</span>
+          </div>
+          {selectedExpenses.length === 0 ? (
+            <p className="text-xs text-gray-500">No transactions on this day</p>
+          ) : (
+            <ul className="space-y-1">
+              {selectedExpenses.map(expense => {
+                const category = categories.find(cat => cat.id === expense.category);
+                return (
+                  <li key={expense.id} className="flex items-center gap-2 text-sm">
+                    <div
+                      className="w-3 h-3 border-2 border-black flex-shrink-0"
+                      style={{ backgroundColor: category?.color || '#999' }}
+                    />
+                    <span className="flex-1 truncate">{expense.name}</span>
+                    <span className="font-bold">{formatCurrency(expense.amount)}</span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,29 @@
-import React from 'react';
-import { TrendingUp, TrendingDown, Award, AlertCircle, Zap } from 'lucide-react';
+import React, { useState } from 'react';
+import { TrendingUp, TrendingDown, Award, AlertCircle, Zap, ChevronRight, ChevronDown } from 'lucide-react';
+import { getMonthIncome } from './income';
+import { getCategoryTotals, getDrillDownRows } from './categories';
+import { isSplitExpense } from './expenseSplits';
+import TagReport from './TagReport';
+import PayeeReport from './PayeeReport';
+import SavingsGoals from './SavingsGoals';
+import { getPayeeDirectory, resolvePayeeId } from './payees';
+import { getFiscalYearToDate } from './displayFormat';
+import { getRefundedAmounts, getRefundableAmount, isRefund } from './refunds';
 
 /**
  * Budget Insights Component
  * Shows intelligent analytics and spending patterns
+ * @param {function} formatMonth - Formats a month key for display
+ * @param {number} fiscalYearStartMonth - First month of the fiscal year (1-12)
+ * @param {Array} goals - Savings goals
+ * @param {function} onAddGoal - Called with the fields of a new savings goal
+ * @param {function} onUpdateGoal - Called with a goal ID and its new fields
+ * @param {function} onDeleteGoal - Called with the goal to delete
  */
-export default function Insights({ monthlyBudgets, currentMonth, formatCurrency, categories }) {
-  
+export default function Insights({ monthlyBudgets, currentMonth, formatCurrency, formatMonth, fiscalYearStartMonth = 1, categories, payees = [], goals = [], onAddGoal, onUpdateGoal, onDeleteGoal }) {
+  const [expandedCategoryId, setExpandedCategoryId] = useState(null); // Category whose subcategories are shown
+  const payeeDirectory = getPayeeDirectory(monthlyBudgets, payees);
+
   /**
    * Calculate total spending across all months
    */
@@ -17,7 +34,7 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
     
     Object.keys(monthlyBudgets).forEach(month => {
       const data = monthlyBudgets[month];
-      totalIncome += data.income || 0;
+      totalIncome += getMonthIncome(data);
       
       if (data.expenses && data.expenses.length > 0) {
         data.expenses.forEach(exp => {
@@ -43,7 +60,7 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
   const getBestWorstMonths = () => {
     const monthsWithSavings = Object.keys(monthlyBudgets).map(month => {
       const data = monthlyBudgets[month];
-      const income = data.income || 0;
+      const income = getMonthIncome(data);
       const expenses = data.expenses?.reduce((sum, exp) => sum + parseFloat(exp.amount), 0) || 0;
       const saved = income - expenses;
       
@@ -69,30 +86,11 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
    * Calculate spending by category across all months
    */
   const getCategoryBreakdown = () => {
-    const categoryTotals = {};
-    let totalSpending = 0;
-    
-    categories.forEach(cat => {
-      categoryTotals[cat.id] = { ...cat, total: 0 };
-    });
-    
-    Object.keys(monthlyBudgets).forEach(month => {
-      const data = monthlyBudgets[month];
-      if (data.expenses) {
-        data.expenses.forEach(exp => {
-          const amount = parseFloat(exp.amount);
-          categoryTotals[exp.category].total += amount;
-          totalSpending += amount;
-        });
-      }
-    });
-    
-    return Object.values(categoryTotals)
-      .filter(cat => cat.total > 0)
-      .map(cat => ({
-        ...cat,
-        percentage: totalSpending > 0 ? (cat.total / totalSpending) * 100 : 0
-      }))
+    const allExpenses = Object.values(monthlyBudgets).flatMap(data => data.expenses || []);
+    const totalSpending = allExpenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0);
+
+    // Subcategory spending is rolled up into each parent
+    return getCategoryTotals(categories, allExpenses, {}, totalSpending)
       .sort((a, b) => b.total - a.total);
   };
 
@@ -101,23 +99,27 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
    */
   const getTopExpenses = () => {
     const allExpenses = [];
+    const refunded = getRefundedAmounts(monthlyBudgets);
     
     Object.keys(monthlyBudgets).forEach(month => {
       const data = monthlyBudgets[month];
       if (data.expenses) {
-        data.expenses.forEach(exp => {
+        data.expenses.filter(exp => !isRefund(exp)).forEach(exp => {
           const category = categories.find(c => c.id === exp.category);
           allExpenses.push({
             ...exp,
             month,
-            categoryName: category?.name || 'Other'
+            netAmount: getRefundableAmount(exp, refunded), // What it cost after money came back
+            refunded: refunded[exp.id] || 0,
+            payeeName: payeeDirectory.find(payee => payee.id === resolvePayeeId(payees, exp.name))?.name,
+            categoryName: isSplitExpense(exp) ? `✂️ Split (${exp.splits.length} categories)` : category?.label || 'Other'
           });
         });
       }
     });
     
     return allExpenses
-      .sort((a, b) => parseFloat(b.amount) - parseFloat(a.amount))
+      .sort((a, b) => b.netAmount - a.netAmount)
       .slice(0, 5);
   };
 
@@ -201,7 +203,7 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
         recommendations.push({
           icon: '⚠️',
           title: 'High Category Spending',
-          message: `${topCategory.name} is ${topCategory.percentage.toFixed(0)}% of your spending. Consider setting a lower limit.`,
+          message: `${topCategory.label} is ${topCategory.percentage.toFixed(0)}% of your spending. Consider setting a lower limit.`,
           type: 'warning'
         });
       }
@@ -279,12 +281,8 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
   // Call recommendations AFTER trend is defined
   const recommendations = getSmartRecommendations(trend);
 
-  // Format month string
-  const formatMonth = (monthStr) => {
-    const [year, month] = monthStr.split('-');
-    const date = new Date(year, month - 1);
-    return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-  };
+  // Fiscal year containing the month being viewed
+  const fiscalYear = getFiscalYearToDate(monthlyBudgets, currentMonth, fiscalYearStartMonth);
 
   return (
     <div className="space-y-6">
@@ -350,6 +348,30 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
         </div>
       </div>
 
+      {/* Fiscal Year to Date */}
+      {fiscalYear.months.length > 0 && (
+        <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+          <h3 className="text-xl font-bold mb-1">📆 {fiscalYear.label} TO DATE</h3>
+          <p className="text-xs text-gray-400 mb-4">
+            {formatMonth(fiscalYear.months[0])} – {formatMonth(fiscalYear.months[fiscalYear.months.length - 1])} • {fiscalYear.months.length} month{fiscalYear.months.length === 1 ? '' : 's'} tracked
+          </p>
+          <div className="grid grid-cols-3 gap-2 text-center">
+            <div className="bg-gray-900 border-2 border-gray-700 p-2">
+              <div className="text-xs text-gray-400">INCOME</div>
+              <div className="font-bold text-green-400">{formatCurrency(fiscalYear.income)}</div>
+            </div>
+            <div className="bg-gray-900 border-2 border-gray-700 p-2">
+              <div className="text-xs text-gray-400">EXPENSES</div>
+              <div className="font-bold text-red-400">{formatCurrency(fiscalYear.expenses)}</div>
+            </div>
+            <div className="bg-gray-900 border-2 border-gray-700 p-2">
+              <div className="text-xs text-gray-400">SAVED</div>
+              <div className={`font-bold ${fiscalYear.saved >= 0 ? 'text-blue-400' : 'text-orange-400'}`}>{formatCurrency(fiscalYear.saved)}</div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Spending Trend */}
       {trend && (
         <div className={`${trend.isUp ? 'bg-orange-900' : 'bg-green-900'} border-4 ${trend.isUp ? 'border-orange-700' : 'border-green-700'} p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]`}>
@@ -404,26 +426,62 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
       <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
         <h3 className="text-xl font-bold mb-4">📊 SPENDING BY CATEGORY</h3>
         <div className="space-y-3">
-          {categoryBreakdown.map(cat => (
-            <div key={cat.id}>
-              <div className="flex justify-between mb-1">
-                <span>{cat.name}</span>
-                <span className="font-bold">{cat.percentage.toFixed(1)}%</span>
-              </div>
-              <div className="flex items-center gap-3">
-                <div className="flex-1 bg-gray-900 h-6 border-2 border-black">
-                  <div
-                    className="h-full transition-all"
-                    style={{
-                      width: `${cat.percentage}%`,
-                      backgroundColor: cat.color
-                    }}
-                  />
-                </div>
-                <span className="text-sm font-bold w-24 text-right">{formatCurrency(cat.total)}</span>
+          {categoryBreakdown.map(cat => {
+            const hasChildren = cat.children.length > 0;
+            const isExpanded = hasChildren && expandedCategoryId === cat.id;
+            return (
+              <div key={cat.id}>
+                <button
+                  onClick={() => hasChildren && setExpandedCategoryId(isExpanded ? null : cat.id)}
+                  className={`w-full text-left ${hasChildren ? 'cursor-pointer' : 'cursor-default'}`}
+                  title={hasChildren ? 'Show subcategories' : undefined}
+                >
+                  <div className="flex justify-between mb-1">
+                    <span className="flex items-center gap-1">
+                      {hasChildren && (isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />)}
+                      {cat.label}
+                    </span>
+                    <span className="font-bold">{cat.percentage.toFixed(1)}%</span>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <div className="flex-1 bg-gray-900 h-6 border-2 border-black">
+                      <div
+                        className="h-full transition-all"
+                        style={{
+                          width: `${cat.percentage}%`,
+                          backgroundColor: cat.color
+                        }}
+                      />
+                    </div>
+                    <span className="text-sm font-bold w-24 text-right">{formatCurrency(cat.total)}</span>
+                  </div>
+                </button>
+
+                {/* Subcategories, as a share of the parent */}
+                {isExpanded && (
+                  <div className="ml-6 mt-2 space-y-2">
+                    {getDrillDownRows(cat).map(child => (
+                      <div key={`${cat.id}-${child.id}-${child.label}`}>
+                        <div className="flex justify-between mb-1 text-sm">
+                          <span>↳ {child.label}</span>
+                          <span className="font-bold">{child.percentage.toFixed(1)}% of {cat.name}</span>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          <div className="flex-1 bg-gray-900 h-4 border-2 border-black">
+                            <div
+                              className="h-full transition-all"
+                              style={{ width: `${child.percentage}%`, backgroundColor: child.color }}
+                            />
+                          </div>
+                          <span className="text-xs font-bold w-24 text-right">{formatCurrency(child.total)}</span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       </div>
 
@@ -438,16 +496,49 @@ export default function Insights({ monthlyBudgets, currentMonth, formatCurrency,
                   <div className="text-2xl font-bold text-gray-600">#{idx + 1}</div>
                   <div>
                     <div className="font-bold">{exp.name}</div>
-                    <div className="text-xs text-gray-400">{exp.categoryName} • {formatMonth(exp.month)}</div>
+                    <div className="text-xs text-gray-400">
+                      {exp.payeeName && exp.payeeName !== exp.name && `🏪 ${exp.payeeName} • `}
+                      {exp.categoryName} • {formatMonth(exp.month)}
+                    </div>
                   </div>
                 </div>
-                <div className="text-xl font-bold">{formatCurrency(exp.amount)}</div>
+                <div className="text-right">
+                  <div className="text-xl font-bold">{formatCurrency(exp.netAmount)}</div>
+                  {exp.refunded > 0 && (
+                    <div className="text-xs text-green-400">↩️ {formatCurrency(exp.refunded)} back</div>
+                  )}
+                </div>
               </div>
             ))}
           </div>
         </div>
       )}
 
+      {/* Savings Goals */}
+      <SavingsGoals
+        goals={goals}
+        monthlyBudgets={monthlyBudgets}
+        categories={categories}
+        currentMonth={currentMonth}
+        formatCurrency={formatCurrency}
+        formatMonth={formatMonth}
+        onAdd={onAddGoal}
+        onUpdate={onUpdateGoal}
+        onDelete={onDeleteGoal}
+      />
+
+      {/* Tag Report */}
+      <TagReport monthlyBudgets={monthlyBudgets} formatCurrency={formatCurrency} formatMonth={formatMonth} />
+
+      {/* Payee Report */}
+      <PayeeReport
+        monthlyBudgets={monthlyBudgets}
+        payees={payees}
+        directory={payeeDirectory}
+        formatCurrency={formatCurrency}
+        formatMonth={formatMonth}
+      />
+
       {/* Smart Recommendations */}
       {recommendations.length > 0 && (
         <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
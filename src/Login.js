@@ -7,7 +7,7 @@ import { Rocket, Mail, Lock, AlertCircle } from 'lucide-react';
  * Retro NES-themed authentication screen
  */
 export default function Login() {
-  const { signInWithGoogle, signIn, signUp } = useAuth();
+  const { signInWithGoogle, signIn, signUp, startGuestSession } = useAuth();
   const [isSignUp, setIsSignUp] = useState(false);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -189,6 +189,18 @@ export default function Login() {
               {isSignUp ? '◀️ BACK TO LOGIN' : '🆕 NEW PLAYER? CREATE ACCOUNT'}
             </button>
           </div>
+
+          {/* Guest Mode */}
+          <div className="mt-6 pt-6 border-t-4 border-gray-700 text-center">
+            <button
+              onClick={startGuestSession}
+              disabled={loading}
+              className="w-full bg-gray-600 hover:bg-gray-700 border-4 border-gray-800 p-3 font-bold transition-all hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]"
+            >
+              👾 PLAY AS GUEST
+            </button>
+            <p className="text-xs text-gray-400 mt-2">Data stays on this device. Sign in later to keep it in your account.</p>
+          </div>
         </div>
 
         {/* Footer */}
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { suggestPayees } from './payees';
+
+/**
+ * Payee Input
+ * Expense name box that suggests payees from the directory while typing. Picking one
+ * hands it to onSelect so the form can fill in the payee's usual category and amount.
+ * @param {string} value - Expense name
+ * @param {Array} directory - Payee directory from getPayeeDirectory
+ * @param {function} onChange - Called with the typed text
+ * @param {function} onSelect - Called with the picked payee
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {string} className - Classes for the text box
+ */
+export default function PayeeInput({ value, directory, onChange, onSelect, formatCurrency, className = '' }) {
+  const [isFocused, setIsFocused] = useState(false);
+  const [highlighted, setHighlighted] = useState(0); // Suggestion picked by Enter
+
+  const suggestions = isFocused ? suggestPayees(directory, value) : [];
+
+  /**
+   * Picks a suggested payee
+   * @param {object} payee - Payee from the directory
+   */
+  const pick = (payee) => {
+    onSelect(payee);
+    setHighlighted(0);
+  };
+
+  /**
+   * Moves through the suggestions with the arrow keys and picks one with Enter
+   * @param {object} e - Keyboard event
+   */
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      pick(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setIsFocused(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setHighlighted(0);
+          setIsFocused(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => setIsFocused(false)}
+        placeholder="Expense name"
+        className={className}
+        autoComplete="off"
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 left-0 right-0 bg-gray-800 border-2 border-white max-h-56 overflow-y-auto">
+          {suggestions.map((payee, index) => (
+            <li key={payee.id}>
+              <button
+                type="button"
+                // Keep focus in the text box until the payee is picked
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(payee);
+                }}
+                className={`w-full text-left px-3 py-2 text-sm flex justify-between gap-2 ${index === highlighted ? 'bg-gray-700' : 'hover:bg-gray-700'}`}
+              >
+                <span className="font-bold">🏪 {payee.name}</span>
+                <span className="text-xs text-gray-400">
+                  {formatCurrency(payee.usualAmount)} • {payee.count}×
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
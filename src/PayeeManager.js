@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { GitMerge, X } from 'lucide-react';
+import { getPayeeKey } from './payees';
+
+// Payees listed before SHOW ALL is needed
+const VISIBLE_PAYEES = 15;
+
+/**
+ * Payee Manager
+ * Lists the payee directory and lets the user rename payees, merge spellings of the
+ * same payee together and detach a name that was merged by mistake.
+ * @param {Array} directory - Payee directory from getPayeeDirectory
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} onRename - Called with a payee and its new name
+ * @param {function} onMerge - Called with the payee to merge away and the payee to merge into
+ * @param {function} onRemoveAlias - Called with a stored payee ID and the name key to detach
+ */
+export default function PayeeManager({ directory, formatCurrency, onRename, onMerge, onRemoveAlias }) {
+  const [filter, setFilter] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const [drafts, setDrafts] = useState({}); // Names being typed, by payee ID
+  const [mergeTargets, setMergeTargets] = useState({}); // Selected merge target per payee ID
+
+  const query = getPayeeKey(filter);
+  const matching = query
+    ? directory.filter(payee => [getPayeeKey(payee.name), ...payee.keys].some(key => key.includes(query)))
+    : directory;
+  const visible = showAll || query ? matching : matching.slice(0, VISIBLE_PAYEES);
+
+  /**
+   * Saves a typed name when the name box loses focus
+   * @param {object} payee - Payee being renamed
+   */
+  const commitRename = (payee) => {
+    const draft = drafts[payee.id];
+    setDrafts(prev => ({ ...prev, [payee.id]: undefined }));
+    if (draft !== undefined && draft.trim() && draft.trim() !== payee.name) onRename(payee, draft);
+  };
+
+  /**
+   * Asks for confirmation, then merges a payee into the selected target
+   * @param {object} payee - Payee being merged away
+   */
+  const handleMerge = (payee) => {
+    const target = directory.find(p => p.id === mergeTargets[payee.id]);
+    if (!target) return;
+
+    if (window.confirm(`🔀 Count ${payee.count} expense${payee.count === 1 ? '' : 's'} from ${payee.name} as ${target.name}? Expense names stay as they are.`)) {
+      onMerge(payee, target);
+      setMergeTargets(prev => ({ ...prev, [payee.id]: '' }));
+    }
+  };
+
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none';
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">🏪 PAYEES</h3>
+
+      {directory.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">Payees appear here as you add expenses</p>
+      ) : (
+        <>
+          <input
+            type="text"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Find a payee"
+            className={`${inputClassName} w-full mb-4`}
+          />
+          <div className="space-y-2">
+            {visible.map(payee => (
+              <div key={payee.id} className="bg-gray-900 border-2 border-gray-700 p-3 space-y-2">
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={drafts[payee.id] ?? payee.name}
+                    onChange={(e) => setDrafts(prev => ({ ...prev, [payee.id]: e.target.value }))}
+                    onBlur={() => commitRename(payee)}
+                    onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                    className={`${inputClassName} flex-1 min-w-0`}
+                    aria-label="Payee name"
+                  />
+                  <span className="text-xs text-gray-400 text-right">
+                    {payee.count}× • {formatCurrency(payee.total)}
+                  </span>
+                </div>
+                {payee.spellings.length > 1 && (
+                  <div className="text-xs text-gray-500">Seen as: {payee.spellings.join(', ')}</div>
+                )}
+                {payee.isStored && payee.keys.length > 1 && (
+                  <div className="flex flex-wrap gap-1">
+                    {payee.keys.map(key => (
+                      <span key={key} className="bg-gray-700 border-2 border-gray-600 px-1 text-xs font-bold flex items-center gap-1">
+                        {key}
+                        <button onClick={() => onRemoveAlias(payee.id, key)} title={`Stop counting "${key}" as ${payee.name}`}>
+                          <X size={12} />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <div className="flex items-center gap-2">
+                  <select
+                    value={mergeTargets[payee.id] || ''}
+                    onChange={(e) => setMergeTargets(prev => ({ ...prev, [payee.id]: e.target.value }))}
+                    className={`${inputClassName} text-xs flex-1 min-w-0`}
+                    aria-label="Merge into"
+                  >
+                    <option value="">Merge into…</option>
+                    {directory.filter(p => p.id !== payee.id).map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleMerge(payee)}
+                    disabled={!mergeTargets[payee.id]}
+                    className="bg-orange-600 hover:bg-orange-700 border-2 border-orange-800 p-2 transition-all hover:scale-110 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+                    title="Merge"
+                  >
+                    <GitMerge size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          {!query && matching.length > VISIBLE_PAYEES && (
+            <button
+              onClick={() => setShowAll(!showAll)}
+              className="w-full mt-3 bg-gray-700 hover:bg-gray-600 border-2 border-gray-900 p-2 text-sm font-bold"
+            >
+              {showAll ? 'SHOW FEWER' : `SHOW ALL ${matching.length} PAYEES`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
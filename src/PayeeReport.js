@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { getPayeeReport } from './payees';
+
+// Payees offered as quick picks above the report
+const TOP_PAYEES = 8;
+
+/**
+ * Payee Report
+ * Spending with one payee month by month, with its totals and latest expenses.
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} payees - Stored payees
+ * @param {Array} directory - Payee directory from getPayeeDirectory
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatMonth - Formats a month key for display
+ */
+export default function PayeeReport({ monthlyBudgets, payees, directory, formatCurrency, formatMonth }) {
+  const [payeeId, setPayeeId] = useState(null); // Payee shown; null means the top payee
+
+  if (directory.length === 0) return null;
+
+  const payee = directory.find(p => p.id === payeeId) || directory[0];
+  const report = getPayeeReport(monthlyBudgets, payees, payee.id);
+  const highestMonth = Math.max(0, ...report.months.map(row => row.total));
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">🏪 SPENDING BY PAYEE</h3>
+
+      {/* Payee picker */}
+      <div className="flex flex-wrap gap-1 mb-2">
+        {directory.slice(0, TOP_PAYEES).map(p => (
+          <button
+            key={p.id}
+            onClick={() => setPayeeId(p.id)}
+            className={`${p.id === payee.id ? 'bg-blue-600 border-blue-800' : 'bg-gray-700 border-gray-900'} border-2 px-2 text-xs font-bold`}
+          >
+            {p.name}
+          </button>
+        ))}
+      </div>
+      {directory.length > TOP_PAYEES && (
+        <select
+          value={payee.id}
+          onChange={(e) => setPayeeId(e.target.value)}
+          className="w-full mb-4 bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none"
+          aria-label="Payee"
+        >
+          {[...directory].sort((a, b) => a.name.localeCompare(b.name)).map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+      )}
+
+      {/* Totals */}
+      <div className="grid grid-cols-3 gap-2 mb-4 text-center">
+        <div className="bg-gray-900 border-2 border-gray-700 p-2">
+          <div className="text-xs text-gray-400">TOTAL</div>
+          <div className="font-bold">{formatCurrency(report.total)}</div>
+        </div>
+        <div className="bg-gray-900 border-2 border-gray-700 p-2">
+          <div className="text-xs text-gray-400">EXPENSES</div>
+          <div className="font-bold">{report.count}</div>
+        </div>
+        <div className="bg-gray-900 border-2 border-gray-700 p-2">
+          <div className="text-xs text-gray-400">AVERAGE</div>
+          <div className="font-bold">{formatCurrency(report.average)}</div>
+        </div>
+      </div>
+
+      {/* Month by month */}
+      <div className="space-y-2 mb-4">
+        {report.months.map(row => (
+          <div key={row.month} className="flex items-center gap-3 text-sm">
+            <span className="w-32 text-gray-300">{formatMonth(row.month)}</span>
+            <div className="flex-1 bg-gray-900 h-4 border-2 border-black">
+              <div
+                className="h-full bg-cyan-500 transition-all"
+                style={{ width: `${highestMonth > 0 ? (row.total / highestMonth) * 100 : 0}%` }}
+              />
+            </div>
+            <span className="font-bold w-24 text-right">{formatCurrency(row.total)}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Latest expenses */}
+      <div className="text-xs text-gray-400 mb-1">LATEST</div>
+      <div className="space-y-1">
+        {report.expenses.slice(0, 5).map(expense => (
+          <div key={expense.id} className="flex justify-between text-sm bg-gray-900 border-2 border-gray-700 px-2 py-1">
+            <span>{expense.name} <span className="text-xs text-gray-500">{expense.date}</span></span>
+            <span className="font-bold">{formatCurrency(expense.amount)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Check } from 'lucide-react';
+import RefundForm from './RefundForm';
+
+/**
+ * Pending Reimbursements
+ * Expenses marked as reimbursable that have not been paid back in full, across
+ * every month, with what is still owed. Recording a payment links it to the expense.
+ * @param {Array} pending - Entries from getPendingReimbursements
+ * @param {string} defaultDate - Date payments get unless another is picked
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatDate - Formats a date key for display
+ * @param {function} onRecord - Called with the pending entry and { type, amount, date }
+ */
+export default function PendingReimbursements({ pending, defaultDate, formatCurrency, formatDate, onRecord }) {
+  const [recordingId, setRecordingId] = useState(null); // Expense whose payment is being entered
+
+  if (pending.length === 0) return null;
+
+  const totalOwed = pending.reduce((sum, entry) => sum + entry.outstanding, 0);
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold">💼 PENDING REIMBURSEMENTS</h3>
+        <span className="text-sm">
+          <span className="text-gray-400">Still owed </span>
+          <span className="font-bold text-yellow-400">{formatCurrency(totalOwed)}</span>
+        </span>
+      </div>
+      <div className="space-y-2">
+        {pending.map(entry => (
+          recordingId === entry.expense.id ? (
+            <RefundForm
+              key={entry.expense.id}
+              expense={entry.expense}
+              maxAmount={entry.outstanding}
+              defaultType="reimbursement"
+              defaultDate={defaultDate}
+              formatCurrency={formatCurrency}
+              onSave={(details) => {
+                onRecord(entry, details);
+                setRecordingId(null);
+              }}
+              onCancel={() => setRecordingId(null)}
+            />
+          ) : (
+            <div key={entry.expense.id} className="flex items-center justify-between gap-2 bg-gray-900 border-2 border-gray-700 p-2">
+              <div className="min-w-0">
+                <div className="font-bold truncate">{entry.expense.name}</div>
+                <div className="text-xs text-gray-400">
+                  {formatDate(entry.expense.date)} • paid {formatCurrency(entry.expense.amount)}
+                  {entry.received > 0 && ` • received ${formatCurrency(entry.received)}`}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="font-bold text-yellow-400">{formatCurrency(entry.outstanding)}</span>
+                <button
+                  onClick={() => setRecordingId(entry.expense.id)}
+                  className="bg-green-600 hover:bg-green-700 border-2 border-green-800 p-2 transition-all hover:scale-110 active:scale-95"
+                  title="Record a payment"
+                >
+                  <Check size={16} />
+                </button>
+              </div>
+            </div>
+          )
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import { RECURRENCE_FREQUENCIES } from './recurrence';
+
+/**
+ * Recurrence Fields
+ * How often a new expense or income entry repeats and when it stops: never, on a
+ * date, or after a number of occurrences.
+ * @param {object} value - Repeat settings ({ frequency, endType, endDate, count }, see NO_REPEAT)
+ * @param {function} onChange - Called with the new settings
+ * @param {string} minDate - Earliest end date (the first occurrence)
+ */
+export default function RecurrenceFields({ value, onChange, minDate }) {
+  const fieldClass = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none';
+
+  return (
+    <div className={`border-2 p-2 space-y-2 ${value.frequency ? 'bg-green-900 border-green-700' : 'bg-gray-800 border-gray-600'}`}>
+      <div className="flex items-center gap-2">
+        <Repeat size={16} className={value.frequency ? 'text-green-400' : 'text-gray-500'} />
+        <select
+          value={value.frequency}
+          onChange={(e) => onChange({ ...value, frequency: e.target.value })}
+          className={`flex-1 min-w-0 ${fieldClass}`}
+          aria-label="Repeats"
+        >
+          <option value="">ONE-TIME</option>
+          {RECURRENCE_FREQUENCIES.map(freq => (
+            <option key={freq.id} value={freq.id}>🔄 {freq.label.toUpperCase()}</option>
+          ))}
+        </select>
+      </div>
+      {value.frequency && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={value.endType}
+            onChange={(e) => onChange({ ...value, endType: e.target.value })}
+            className={fieldClass}
+            aria-label="Ends"
+          >
+            <option value="never">Never ends</option>
+            <option value="date">Ends on</option>
+            <option value="count">Ends after</option>
+          </select>
+          {value.endType === 'date' && (
+            <input
+              type="date"
+              value={value.endDate}
+              min={minDate}
+              onChange={(e) => onChange({ ...value, endDate: e.target.value })}
+              className={fieldClass}
+              aria-label="End date"
+            />
+          )}
+          {value.endType === 'count' && (
+            <>
+              <input
+                type="number"
+                min="1"
+                value={value.count}
+                onChange={(e) => onChange({ ...value, count: e.target.value })}
+                className={`w-20 ${fieldClass}`}
+                aria-label="Number of occurrences"
+              />
+              <span className="text-xs font-bold text-gray-300">TIMES</span>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Save, X } from 'lucide-react';
+import { REFUND_TYPES } from './refunds';
+
+/**
+ * Refund Form
+ * Records money coming back for an expense: how much, when and whether it is a
+ * refund or a reimbursement. The date can be in a later month than the expense.
+ * @param {object} expense - Expense being paid back
+ * @param {number} maxAmount - Amount not yet paid back
+ * @param {string} defaultType - Refund type ID picked at first
+ * @param {string} defaultDate - Date picked at first ("YYYY-MM-DD")
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} onSave - Called with { type, amount, date }
+ * @param {function} onCancel - Called when the form is closed without saving
+ */
+export default function RefundForm({ expense, maxAmount, defaultType, defaultDate, formatCurrency, onSave, onCancel }) {
+  const [type, setType] = useState(defaultType);
+  const [amount, setAmount] = useState(String(maxAmount));
+  const [date, setDate] = useState(defaultDate < expense.date ? expense.date : defaultDate);
+
+  const value = parseFloat(amount);
+  const isValid = value > 0 && value <= maxAmount + 0.005 && date >= expense.date;
+
+  const inputClassName = 'bg-gray-800 border-2 border-gray-600 p-2 text-white text-sm font-bold focus:border-white outline-none min-w-0';
+
+  return (
+    <div className="bg-gray-900 border-2 border-green-700 p-3 space-y-2">
+      <div className="text-sm font-bold">
+        Money back for {expense.name} <span className="text-xs text-gray-400">(up to {formatCurrency(maxAmount)})</span>
+      </div>
+      <div className="flex gap-2">
+        <select value={type} onChange={(e) => setType(e.target.value)} className={inputClassName} aria-label="Refund type">
+          {REFUND_TYPES.map(refundType => (
+            <option key={refundType.id} value={refundType.id}>{refundType.emoji} {refundType.name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          max={maxAmount}
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className={`${inputClassName} flex-1`}
+          aria-label="Amount received"
+        />
+        <input
+          type="date"
+          value={date}
+          min={expense.date}
+          onChange={(e) => e.target.value && setDate(e.target.value)}
+          className={inputClassName}
+          aria-label="Date received"
+        />
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={() => isValid && onSave({ type, amount: value, date })}
+          disabled={!isValid}
+          className="flex-1 bg-green-600 hover:bg-green-700 border-2 border-green-800 p-2 text-sm font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+        >
+          <Save size={14} />
+          RECORD
+        </button>
+        <button
+          onClick={onCancel}
+          className="flex-1 bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 p-2 text-sm font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
+        >
+          <X size={14} />
+          CANCEL
+        </button>
+      </div>
+    </div>
+  );
+}
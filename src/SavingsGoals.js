@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { Edit2, Plus, Save, Trash2, X } from 'lucide-react';
+import { getGoalProgress } from './savingsGoals';
+import { getCategoryOptionLabel } from './categories';
+
+/**
+ * Savings Goals
+ * What the money set aside in a category is for: each goal's progress, what it needs
+ * each month to be reached by its date and when it will be reached at the current pace.
+ * Goals are added and edited here too.
+ * @param {Array} goals - Stored savings goals
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} categories - Category definitions with labels
+ * @param {string} currentMonth - Month progress is measured up to ("YYYY-MM")
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatMonth - Formats a month key for display
+ * @param {function} onAdd - Called with { name, targetAmount, targetDate, categoryId, startMonth }
+ * @param {function} onUpdate - Called with a goal ID and the same fields
+ * @param {function} onDelete - Called with the goal to delete
+ */
+export default function SavingsGoals({ goals, monthlyBudgets, categories, currentMonth, formatCurrency, formatMonth, onAdd, onUpdate, onDelete }) {
+  const [form, setForm] = useState(null); // Goal being added or edited; null when the form is closed
+
+  const defaultCategoryId = categories.some(cat => cat.id === 'savings') ? 'savings' : categories[0]?.id;
+  const targetAmount = parseFloat(form?.targetAmount);
+  const canSave = form && form.name.trim() && targetAmount > 0 && form.targetDate && form.categoryId;
+
+  /**
+   * Saves the goal in the form and closes it
+   */
+  const handleSave = () => {
+    if (!canSave) return;
+    const fields = { name: form.name, targetAmount, targetDate: form.targetDate, categoryId: form.categoryId, startMonth: form.startMonth };
+    if (form.id) {
+      onUpdate(form.id, fields);
+    } else {
+      onAdd(fields);
+    }
+    setForm(null);
+  };
+
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none min-w-0';
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold">🎯 SAVINGS GOALS</h3>
+        {!form && (
+          <button
+            onClick={() => setForm({ name: '', targetAmount: '', targetDate: '', categoryId: defaultCategoryId, startMonth: currentMonth })}
+            className="bg-green-600 hover:bg-green-700 border-2 border-green-800 px-3 py-1 text-sm font-bold flex items-center gap-1 transition-all hover:scale-105 active:scale-95"
+          >
+            <Plus size={14} />
+            NEW GOAL
+          </button>
+        )}
+      </div>
+
+      {/* Add / edit form */}
+      {form && (
+        <div className="bg-gray-900 border-2 border-green-700 p-3 space-y-2 mb-4">
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Goal (e.g. Japan trip)"
+              className={`${inputClassName} col-span-2`}
+            />
+            <input
+              type="number"
+              min="0"
+              value={form.targetAmount}
+              onChange={(e) => setForm({ ...form, targetAmount: e.target.value })}
+              placeholder="Target amount"
+              className={inputClassName}
+            />
+            <input
+              type="date"
+              value={form.targetDate}
+              onChange={(e) => setForm({ ...form, targetDate: e.target.value })}
+              className={inputClassName}
+              aria-label="Target date"
+            />
+            <select
+              value={form.categoryId}
+              onChange={(e) => setForm({ ...form, categoryId: e.target.value })}
+              className={inputClassName}
+              aria-label="Saved in category"
+            >
+              {categories.filter(cat => !cat.archived || cat.id === form.categoryId).map(cat => (
+                <option key={cat.id} value={cat.id}>{getCategoryOptionLabel(cat)}</option>
+              ))}
+            </select>
+            <input
+              type="month"
+              value={form.startMonth}
+              onChange={(e) => setForm({ ...form, startMonth: e.target.value })}
+              className={inputClassName}
+              aria-label="Count contributions from"
+              title="Count contributions from this month (leave empty for all months)"
+            />
+          </div>
+          <p className="text-xs text-gray-400">Expenses in this category from the chosen month on count towards the goal. Clear the month to count them all.</p>
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={!canSave}
+              className="flex-1 bg-green-600 hover:bg-green-700 border-2 border-green-800 p-2 text-sm font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+            >
+              <Save size={14} />
+              SAVE GOAL
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 p-2 text-sm font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
+            >
+              <X size={14} />
+              CANCEL
+            </button>
+          </div>
+        </div>
+      )}
+
+      {goals.length === 0 && !form && (
+        <p className="text-gray-500 text-sm text-center py-4">Give your savings a purpose: add a goal with a target and a date</p>
+      )}
+
+      <div className="space-y-3">
+        {goals.map(goal => {
+          const progress = getGoalProgress(monthlyBudgets, categories, goal, currentMonth);
+          const category = categories.find(cat => cat.id === goal.categoryId);
+          const targetMonth = goal.targetDate.slice(0, 7);
+          return (
+            <div key={goal.id} className="bg-gray-900 border-2 border-gray-700 p-3">
+              <div className="flex items-start justify-between gap-2 mb-2">
+                <div className="min-w-0">
+                  <div className="font-bold truncate">{progress.isComplete && '✅ '}{goal.name}</div>
+                  <div className="text-xs text-gray-400">
+                    {category?.label || goal.categoryId} • by {formatMonth(targetMonth)}
+                    {goal.startMonth && ` • since ${formatMonth(goal.startMonth)}`}
+                  </div>
+                </div>
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => setForm({ ...goal, targetAmount: String(goal.targetAmount), startMonth: goal.startMonth || '' })}
+                    className="bg-blue-600 hover:bg-blue-700 border-2 border-blue-800 p-1 transition-all hover:scale-110 active:scale-95"
+                    title="Edit goal"
+                  >
+                    <Edit2 size={12} />
+                  </button>
+                  <button
+                    onClick={() => onDelete(goal)}
+                    className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-1 transition-all hover:scale-110 active:scale-95"
+                    title="Delete goal"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex justify-between mb-1 text-sm">
+                <span className="font-bold">{formatCurrency(progress.saved)} <span className="text-gray-400 font-normal">of {formatCurrency(goal.targetAmount)}</span></span>
+                <span className="font-bold">{Math.round(progress.percent)}%</span>
+              </div>
+              <div className="w-full bg-gray-800 h-4 border-2 border-black mb-2">
+                <div
+                  className="h-full transition-all duration-500"
+                  style={{ width: `${progress.percent}%`, backgroundColor: progress.isComplete ? '#22c55e' : category?.color || '#ffd700' }}
+                />
+              </div>
+
+              <div className="text-xs space-y-1">
+                {progress.isComplete && (
+                  <div className="text-green-400 font-bold">🎉 Reached in {formatMonth(progress.projectedMonth)}</div>
+                )}
+                {progress.isOverdue && (
+                  <div className="text-red-400 font-bold">⚠️ Target date passed, {formatCurrency(progress.remaining)} to go</div>
+                )}
+                {!progress.isComplete && !progress.isOverdue && (
+                  <div>
+                    <span className="text-gray-400">Needs </span>
+                    <span className="font-bold">{formatCurrency(progress.requiredMonthly)}/month</span>
+                    <span className="text-gray-400"> for {progress.monthsLeft} {progress.monthsLeft === 1 ? 'month' : 'months'}</span>
+                    {progress.averageMonthly > 0 && (
+                      <span className="text-gray-400"> (saving {formatCurrency(progress.averageMonthly)}/month so far)</span>
+                    )}
+                  </div>
+                )}
+                {!progress.isComplete && (
+                  <div className={progress.isOnTrack ? 'text-green-400' : 'text-yellow-400'}>
+                    {progress.projectedMonth
+                      ? `📅 At this pace: ${formatMonth(progress.projectedMonth)}${progress.isOnTrack ? ' ✓ on track' : ' — behind schedule'}`
+                      : '📅 No contributions yet, so no projection'}
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
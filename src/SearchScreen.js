@@ -0,0 +1,298 @@
+import React, { useState } from 'react';
+import { Edit2, Save, X, Repeat, ArrowRight } from 'lucide-react';
+import { EMPTY_SEARCH, searchExpenses } from './expenseSearch';
+import { getCategoryOptionLabel } from './categories';
+import { isSplitExpense } from './expenseSplits';
+import { isRefund } from './refunds';
+import { getDateInMonth } from './expenseDates';
+import TagInput from './TagInput';
+
+// Results shown before "SHOW MORE"
+const PAGE_SIZE = 50;
+
+/**
+ * Search Screen
+ * Searches every month by text, category, amount range, recurring flag and month range.
+ * Results can be opened in their month or edited in place.
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} categories - Category definitions with labels, in tree order
+ * @param {Array} usedTags - Every tag used so far, for autocomplete
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatMoney - Formats an amount in a given currency
+ * @param {function} formatMonthYear - Formats a month key for display
+ * @param {function} formatDate - Formats a date key for display
+ * @param {function} isOccurrence - Checks whether an expense was generated by a recurrence rule
+ * @param {function} onJumpToMonth - Called with a month key to open it on the dashboard
+ * @param {function} onSaveExpense - Called with the month key, the edited expense and
+ *   the occurrences it applies to ("this" or "future")
+ */
+export default function SearchScreen({
+  monthlyBudgets,
+  categories,
+  usedTags,
+  formatCurrency,
+  formatMoney,
+  formatMonthYear,
+  formatDate,
+  isOccurrence,
+  onJumpToMonth,
+  onSaveExpense
+}) {
+  const [criteria, setCriteria] = useState(EMPTY_SEARCH);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [editing, setEditing] = useState(null); // Expense being edited in place (with its month and edit scope)
+
+  const results = searchExpenses(monthlyBudgets, criteria, categories);
+  const total = results.reduce((sum, expense) => sum + expense.amount, 0);
+  const months = Object.keys(monthlyBudgets).sort();
+
+  /**
+   * Updates one search criterion and goes back to the first page
+   * @param {string} key - Criterion name
+   * @param {string} value - New value
+   */
+  const setCriterion = (key, value) => {
+    setCriteria(prev => ({ ...prev, [key]: value }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  /**
+   * Saves the expense being edited if it still has a name, an amount and a date in its month
+   * Moving an expense to another month is done from the dashboard.
+   */
+  const handleSave = () => {
+    const amount = parseFloat(editing.amount);
+    if (!editing.name.trim() || !(isRefund(editing) ? amount < 0 : amount > 0)) return;
+    if (!editing.date.startsWith(`${editing.month}-`)) return;
+
+    const { month, scope, ...expense } = editing;
+    onSaveExpense(month, { ...expense, amount }, scope);
+    setEditing(null);
+  };
+
+  const inputClassName = 'bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none';
+  const getCategory = (id) => categories.find(cat => cat.id === id);
+
+  return (
+    <div className="space-y-6 animate-[fadeIn_0.3s_ease-in]">
+      {/* Search form */}
+      <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+        <h3 className="text-xl font-bold mb-4">🔍 SEARCH ALL MONTHS</h3>
+        <input
+          type="text"
+          value={criteria.text}
+          onChange={(e) => setCriterion('text', e.target.value)}
+          placeholder="Name, notes or #tag"
+          className="w-full bg-gray-900 border-4 border-gray-700 p-3 text-white font-bold focus:border-white outline-none mb-3"
+          autoFocus
+        />
+        <div className="grid grid-cols-2 gap-2">
+          <select value={criteria.category} onChange={(e) => setCriterion('category', e.target.value)} className={inputClassName}>
+            <option value="">All categories</option>
+            {categories.map(cat => (
+              <option key={cat.id} value={cat.id}>{getCategoryOptionLabel(cat)}</option>
+            ))}
+          </select>
+          <select value={criteria.recurring} onChange={(e) => setCriterion('recurring', e.target.value)} className={inputClassName}>
+            <option value="any">Recurring or not</option>
+            <option value="yes">Recurring only</option>
+            <option value="no">One-time only</option>
+          </select>
+          <input
+            type="number"
+            value={criteria.minAmount}
+            onChange={(e) => setCriterion('minAmount', e.target.value)}
+            placeholder="Min amount"
+            className={inputClassName}
+          />
+          <input
+            type="number"
+            value={criteria.maxAmount}
+            onChange={(e) => setCriterion('maxAmount', e.target.value)}
+            placeholder="Max amount"
+            className={inputClassName}
+          />
+          <select value={criteria.fromMonth} onChange={(e) => setCriterion('fromMonth', e.target.value)} className={inputClassName}>
+            <option value="">From the first month</option>
+            {months.map(month => (
+              <option key={month} value={month}>From {formatMonthYear(month)}</option>
+            ))}
+          </select>
+          <select value={criteria.toMonth} onChange={(e) => setCriterion('toMonth', e.target.value)} className={inputClassName}>
+            <option value="">To the last month</option>
+            {months.map(month => (
+              <option key={month} value={month}>To {formatMonthYear(month)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center justify-between mt-3">
+          <select value={criteria.sortBy} onChange={(e) => setCriterion('sortBy', e.target.value)} className={inputClassName}>
+            <option value="date-desc">Newest first</option>
+            <option value="date-asc">Oldest first</option>
+            <option value="amount-desc">Largest first</option>
+            <option value="amount-asc">Smallest first</option>
+            <option value="name">Name A–Z</option>
+          </select>
+          <button
+            onClick={() => setCriteria(EMPTY_SEARCH)}
+            className="bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 px-3 py-2 text-xs font-bold transition-all hover:scale-105"
+          >
+            RESET
+          </button>
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">{results.length} RESULT{results.length === 1 ? '' : 'S'}</h3>
+          <span className="font-bold text-red-400">{formatCurrency(total)}</span>
+        </div>
+
+        {results.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-4">No expenses match your search</p>
+        ) : (
+          <div className="space-y-2">
+            {results.slice(0, visibleCount).map(expense => {
+              const category = getCategory(expense.category);
+              const isEditing = editing?.id === expense.id && editing.month === expense.month;
+
+              if (isEditing) {
+                return (
+                  <div key={`${expense.month}-${expense.id}`} className="bg-gray-900 border-2 border-white p-3 space-y-2">
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      className={`${inputClassName} w-full`}
+                    />
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="number"
+                        value={editing.amount}
+                        onChange={(e) => setEditing({ ...editing, amount: e.target.value })}
+                        disabled={isSplitExpense(editing) || Boolean(editing.currency) || isRefund(editing)}
+                        title={isSplitExpense(editing) || editing.currency || isRefund(editing) ? 'Edit split, foreign-currency and refund amounts in their month' : undefined}
+                        className={`${inputClassName} disabled:opacity-50`}
+                      />
+                      <input
+                        type="date"
+                        value={editing.date}
+                        min={`${editing.month}-01`}
+                        max={getDateInMonth(editing.month, 31)}
+                        onChange={(e) => e.target.value && setEditing({ ...editing, date: e.target.value })}
+                        className={`${inputClassName} ${editing.date.startsWith(`${editing.month}-`) ? '' : 'border-red-500'}`}
+                        title={`Pick a date in ${formatMonthYear(editing.month)}`}
+                      />
+                    </div>
+                    {!isSplitExpense(editing) && (
+                      <select
+                        value={editing.category}
+                        onChange={(e) => setEditing({ ...editing, category: e.target.value })}
+                        className={`${inputClassName} w-full`}
+                      >
+                        {categories
+                          .filter(cat => !cat.archived || cat.id === editing.category)
+                          .map(cat => (
+                            <option key={cat.id} value={cat.id}>{getCategoryOptionLabel(cat)}</option>
+                          ))}
+                      </select>
+                    )}
+                    <TagInput
+                      tags={editing.tags || []}
+                      usedTags={usedTags}
+                      onChange={(tags) => setEditing({ ...editing, tags })}
+                    />
+                    {/* Which occurrences of a repeating expense the edit applies to */}
+                    {isOccurrence(editing) && (
+                      <select
+                        value={editing.scope}
+                        onChange={(e) => setEditing({ ...editing, scope: e.target.value })}
+                        className="w-full bg-green-900 border-2 border-green-700 p-2 text-white text-sm font-bold focus:border-white outline-none"
+                        aria-label="Apply changes to"
+                      >
+                        <option value="this">🔄 This occurrence only</option>
+                        <option value="future">🔄 This and future occurrences</option>
+                      </select>
+                    )}
+                    <div className="flex gap-2">
+                      <button
+                        onClick={handleSave}
+                        className="flex-1 bg-green-600 hover:bg-green-700 border-2 border-green-800 p-2 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
+                      >
+                        <Save size={16} />
+                        SAVE
+                      </button>
+                      <button
+                        onClick={() => setEditing(null)}
+                        className="flex-1 bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 p-2 font-bold flex items-center justify-center gap-2 transition-all hover:scale-105 active:scale-95"
+                      >
+                        <X size={16} />
+                        CANCEL
+                      </button>
+                    </div>
+                  </div>
+                );
+              }
+
+              return (
+                <div
+                  key={`${expense.month}-${expense.id}`}
+                  className="bg-gray-900 border-2 border-gray-700 p-3 flex items-center justify-between gap-2 hover:border-white transition-colors"
+                >
+                  <div className="flex items-center gap-3 min-w-0">
+                    <div
+                      className="w-3 h-3 border-2 border-black flex-shrink-0"
+                      style={{ backgroundColor: category?.color || '#999' }}
+                    />
+                    <div className="min-w-0">
+                      <div className="font-bold flex items-center gap-2 truncate">
+                        {expense.name}
+                        {expense.isRecurring && <Repeat size={14} className="text-green-400" />}
+                      </div>
+                      <div className="text-xs text-gray-400 truncate">
+                        {isSplitExpense(expense) ? '✂️ Split' : category?.label} • {formatDate(expense.date)}
+                        {expense.tags && ` • ${expense.tags.map(tag => `#${tag}`).join(' ')}`}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <div className="text-right">
+                      <div className="font-bold">{formatCurrency(expense.amount)}</div>
+                      {expense.currency && (
+                        <div className="text-xs text-gray-400">{formatMoney(expense.originalAmount, expense.currency)}</div>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => setEditing({ ...expense, scope: 'this' })}
+                      className="bg-blue-600 hover:bg-blue-700 border-2 border-blue-800 p-2 transition-all hover:scale-110 active:scale-95"
+                      title="Edit here"
+                    >
+                      <Edit2 size={16} />
+                    </button>
+                    <button
+                      onClick={() => onJumpToMonth(expense.month)}
+                      className="bg-purple-600 hover:bg-purple-700 border-2 border-purple-800 p-2 transition-all hover:scale-110 active:scale-95"
+                      title={`Open ${formatMonthYear(expense.month)}`}
+                    >
+                      <ArrowRight size={16} />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {results.length > visibleCount && (
+          <button
+            onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+            className="w-full mt-3 bg-gray-600 hover:bg-gray-700 border-4 border-gray-800 p-2 text-sm font-bold transition-all"
+          >
+            SHOW MORE ({results.length - visibleCount})
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { getCategoryOptionLabel } from './categories';
+import { getUnassignedAmount } from './expenseSplits';
+
+/**
+ * Split Editor
+ * Category/amount lines for an expense shared between categories, showing how much
+ * of the total is still unassigned.
+ * @param {Array} splits - Lines being edited ({ category, amount }, amounts may be strings)
+ * @param {number|string} total - Expense amount
+ * @param {Array} categories - Categories that can be picked
+ * @param {function} onChange - Called with the new lines
+ * @param {function} formatCurrency - Formats an amount for display
+ */
+export default function SplitEditor({ splits, total, categories, onChange, formatCurrency }) {
+  const unassigned = getUnassignedAmount(splits, total);
+
+  /**
+   * Changes one line
+   * @param {number} index - Line index
+   * @param {object} changes - Fields to change
+   */
+  const updateLine = (index, changes) => {
+    onChange(splits.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  /**
+   * Adds a line for whatever is still unassigned
+   */
+  const addLine = () => {
+    onChange([...splits, { category: categories[0]?.id, amount: unassigned > 0 ? String(Math.round(unassigned * 100) / 100) : '' }]);
+  };
+
+  return (
+    <div className="bg-gray-800 border-2 border-gray-600 p-2 space-y-2">
+      {splits.map((line, index) => (
+        <div key={index} className="flex gap-2">
+          <select
+            value={line.category}
+            onChange={(e) => updateLine(index, { category: e.target.value })}
+            className="flex-1 min-w-0 bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none"
+          >
+            {categories.map(cat => (
+              <option key={cat.id} value={cat.id}>{getCategoryOptionLabel(cat)}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            value={line.amount}
+            onChange={(e) => updateLine(index, { amount: e.target.value })}
+            placeholder="Amount"
+            className="w-24 bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(splits.filter((_, i) => i !== index))}
+            disabled={splits.length <= 2}
+            className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-2 transition-all hover:scale-110 active:scale-95 disabled:opacity-40 disabled:hover:scale-100"
+            title="Remove line"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={addLine}
+          className="bg-gray-600 hover:bg-gray-700 border-2 border-gray-800 px-2 py-1 text-xs font-bold flex items-center gap-1 transition-all hover:scale-105"
+        >
+          <Plus size={14} />
+          ADD LINE
+        </button>
+        <span className={`text-xs font-bold ${Math.abs(unassigned) < 0.005 ? 'text-green-400' : 'text-yellow-400'}`}>
+          {Math.abs(unassigned) < 0.005
+            ? '✅ Fully assigned'
+            : unassigned > 0
+              ? `${formatCurrency(unassigned)} left to assign`
+              : `${formatCurrency(-unassigned)} over the total`}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Cloud, CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+
+// Text, colours and icon for each sync status reported by useBudgetSync
+const STATUS_DISPLAY = {
+  saved: { text: 'SAVED', className: 'text-green-400', Icon: Cloud },
+  saving: { text: 'SAVING…', className: 'text-yellow-300', Icon: RefreshCw, spin: true },
+  offline: { text: 'OFFLINE', className: 'text-gray-300', Icon: CloudOff },
+  error: { text: 'SAVE FAILED', className: 'text-red-400', Icon: AlertTriangle },
+  invalid: { text: 'NOT SAVED', className: 'text-red-400', Icon: AlertTriangle }
+};
+
+/**
+ * Sync Status Indicator
+ * Shows whether changes have reached storage, with a RETRY button after a failed save
+ * @param {string} status - "saved", "saving", "offline", "error" or "invalid"
+ * @param {string} storageLabel - Where the data is kept (e.g. "CLOUD")
+ * @param {function} onRetry - Called when RETRY is pressed
+ */
+export default function SyncStatus({ status, storageLabel, onRetry }) {
+  const { text, className, Icon, spin } = STATUS_DISPLAY[status];
+  const titles = {
+    saved: `All changes saved to ${storageLabel}`,
+    saving: 'Saving your changes…',
+    offline: 'Changes are kept on this device and saved when you reconnect',
+    error: 'Your last changes could not be saved',
+    invalid: 'Some changes are not in a valid format and were not saved; edit them to save'
+  };
+
+  return (
+    <div
+      className="bg-gray-800 border-2 border-white px-3 py-2 flex items-center gap-2 shadow-[4px_4px_0px_0px_rgba(0,0,0,0.5)]"
+      title={titles[status]}
+      role="status"
+    >
+      <Icon size={16} className={`${className} ${spin ? 'animate-spin' : ''}`} />
+      <span className={`text-xs font-bold ${className}`}>{text}</span>
+      {status === 'error' && (
+        <button
+          onClick={onRetry}
+          className="bg-yellow-500 hover:bg-yellow-600 text-black border-2 border-yellow-700 px-2 py-0.5 text-xs font-bold transition-all hover:scale-110"
+        >
+          RETRY
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { normalizeTag, suggestTags } from './expenseTags';
+
+/**
+ * Tag Input
+ * Tag chips with a text box that suggests previously used tags. Enter or a comma
+ * adds the typed tag; Backspace in an empty box removes the last one.
+ * @param {Array} tags - Tags on the expense
+ * @param {Array} usedTags - Every tag used so far, most used first
+ * @param {function} onChange - Called with the new list of tags
+ * @param {string} className - Extra classes for the outer box
+ */
+export default function TagInput({ tags, usedTags, onChange, className = '' }) {
+  const [text, setText] = useState('');
+  const [isFocused, setIsFocused] = useState(false);
+
+  const suggestions = isFocused ? suggestTags(usedTags, text, tags) : [];
+
+  /**
+   * Adds a tag unless it is empty or already there
+   * @param {string} value - Tag text
+   */
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setText('');
+  };
+
+  /**
+   * Handles Enter, comma and Backspace in the text box
+   * @param {object} e - Keyboard event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(text);
+    } else if (e.key === 'Backspace' && text === '' && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <div className="flex flex-wrap items-center gap-1 bg-gray-900 border-2 border-gray-700 p-2 focus-within:border-white">
+        {tags.map(tag => (
+          <span key={tag} className="bg-cyan-700 border-2 border-cyan-900 px-1 text-xs font-bold flex items-center gap-1">
+            #{tag}
+            <button type="button" onClick={() => onChange(tags.filter(t => t !== tag))} title={`Remove ${tag}`}>
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => {
+            setIsFocused(false);
+            if (text) addTag(text);
+          }}
+          placeholder={tags.length === 0 ? 'Tags (e.g. business-trip)' : ''}
+          className="flex-1 min-w-[6rem] bg-transparent text-white text-sm font-bold outline-none"
+        />
+      </div>
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 left-0 right-0 bg-gray-800 border-2 border-white max-h-40 overflow-y-auto">
+          {suggestions.map(tag => (
+            <li key={tag}>
+              <button
+                type="button"
+                // Keep focus in the text box so the list stays open
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTag(tag);
+                }}
+                className="w-full text-left px-2 py-1 text-sm hover:bg-gray-700"
+              >
+                #{tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
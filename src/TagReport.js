@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { getTagReport } from './expenseTags';
+
+/**
+ * Tag Report
+ * Spending per tag over the months the user picks (all months by default).
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatMonth - Formats a month key for display
+ */
+export default function TagReport({ monthlyBudgets, formatCurrency, formatMonth }) {
+  const [selectedMonths, setSelectedMonths] = useState(null); // Months included; null means all
+
+  const months = Object.keys(monthlyBudgets).sort().reverse();
+  const included = selectedMonths || months;
+  const report = getTagReport(monthlyBudgets, included);
+  const highestTotal = Math.max(0, ...report.map(row => row.total));
+
+  // Nothing to report until some expense has a tag
+  if (getTagReport(monthlyBudgets, months).length === 0) return null;
+
+  /**
+   * Adds or removes a month from the report
+   * @param {string} month - Month key
+   */
+  const toggleMonth = (month) => {
+    const next = included.includes(month) ? included.filter(m => m !== month) : [...included, month];
+    setSelectedMonths(next.length === months.length ? null : next);
+  };
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-4 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <h3 className="text-xl font-bold mb-4">🏷️ SPENDING BY TAG</h3>
+
+      {/* Month picker */}
+      <div className="flex flex-wrap gap-1 mb-4">
+        <button
+          onClick={() => setSelectedMonths(selectedMonths ? null : [])}
+          className={`${selectedMonths ? 'bg-gray-700 border-gray-900' : 'bg-blue-600 border-blue-800'} border-2 px-2 text-xs font-bold`}
+        >
+          {selectedMonths ? 'ALL MONTHS' : 'CLEAR'}
+        </button>
+        {months.map(month => (
+          <button
+            key={month}
+            onClick={() => toggleMonth(month)}
+            className={`${included.includes(month) ? 'bg-blue-600 border-blue-800' : 'bg-gray-700 border-gray-900'} border-2 px-2 text-xs font-bold`}
+          >
+            {formatMonth(month)}
+          </button>
+        ))}
+      </div>
+
+      {report.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">No tagged expenses in these months</p>
+      ) : (
+        <div className="space-y-3">
+          {report.map(row => (
+            <div key={row.tag}>
+              <div className="flex justify-between mb-1 text-sm">
+                <span className="font-bold">#{row.tag}</span>
+                <span className="text-xs text-gray-400">
+                  {row.count} expense{row.count === 1 ? '' : 's'} • {row.months.length} month{row.months.length === 1 ? '' : 's'}
+                </span>
+              </div>
+              <div className="flex items-center gap-3">
+                <div className="flex-1 bg-gray-900 h-4 border-2 border-black">
+                  <div
+                    className="h-full bg-cyan-500 transition-all"
+                    style={{ width: `${highestTotal > 0 ? (row.total / highestTotal) * 100 : 0}%` }}
+                  />
+                </div>
+                <span className="text-sm font-bold w-24 text-right">{formatCurrency(row.total)}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React from 'react';
+import { RotateCcw, Trash2 } from 'lucide-react';
+import { listTrash } from './trash';
+
+// Retention periods offered in the settings dropdown (days)
+const RETENTION_OPTIONS = [7, 30, 90, 365];
+
+/**
+ * Trash Panel
+ * Lists deleted expenses with their original month so they can be restored or
+ * purged for good, and sets how long deleted expenses are kept.
+ * @param {object} trash - Trashed expenses by ID
+ * @param {number} retentionDays - Days deleted expenses are kept
+ * @param {function} onRestore - Called with the ID of the expense to restore
+ * @param {function} onPurge - Called with an array of IDs to delete permanently
+ * @param {function} onRetentionChange - Called with the new retention period in days
+ * @param {function} formatCurrency - Formats an amount for display
+ * @param {function} formatMonthYear - Formats a month key for display
+ * @param {Array} categories - Category definitions
+ */
+export default function TrashPanel({
+  trash,
+  retentionDays,
+  onRestore,
+  onPurge,
+  onRetentionChange,
+  formatCurrency,
+  formatMonthYear,
+  categories
+}) {
+  const items = listTrash(trash);
+
+  /**
+   * Asks for confirmation, then permanently deletes every item in the trash
+   */
+  const handleEmptyTrash = () => {
+    if (window.confirm(`🚀 Permanently delete ${items.length} expense${items.length === 1 ? '' : 's'}? This cannot be undone!`)) {
+      onPurge(items.map(item => item.id));
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 border-4 border-gray-900 p-6 shadow-[4px_4px_0px_0px_rgba(0,0,0,1)]">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold">🗑️ TRASH</h3>
+        {items.length > 0 && (
+          <button
+            onClick={handleEmptyTrash}
+            className="bg-red-600 hover:bg-red-700 border-2 border-red-800 px-3 py-1 text-xs font-bold transition-all hover:scale-105 active:scale-95"
+          >
+            EMPTY TRASH
+          </button>
+        )}
+      </div>
+
+      {/* Retention setting */}
+      <div className="flex items-center gap-3 mb-4">
+        <span className="text-gray-400 text-sm flex-1">Keep deleted expenses for</span>
+        <select
+          value={retentionDays}
+          onChange={(e) => onRetentionChange(parseInt(e.target.value, 10))}
+          className="bg-gray-900 border-2 border-gray-700 p-2 text-white text-sm font-bold focus:border-white outline-none"
+        >
+          {[...new Set([...RETENTION_OPTIONS, retentionDays])].sort((a, b) => a - b).map(days => (
+            <option key={days} value={days}>{days} days</option>
+          ))}
+        </select>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">Trash is empty</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {items.map(({ id, expense, month, deletedAt }) => {
+            const category = categories.find(cat => cat.id === expense.category);
+            return (
+              <div key={id} className="bg-gray-900 border-2 border-gray-700 p-3 flex items-center gap-3">
+                <div
+                  className="w-3 h-3 border-2 border-black flex-shrink-0"
+                  style={{ backgroundColor: category?.color || '#999' }}
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="font-bold text-sm truncate">{expense.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatMonthYear(month)} • deleted {new Date(deletedAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <span className="text-sm font-bold text-red-400">{formatCurrency(expense.amount)}</span>
+                <button
+                  onClick={() => onRestore(id)}
+                  className="bg-green-600 hover:bg-green-700 border-2 border-green-800 p-1 transition-all hover:scale-110"
+                  title="Restore"
+                >
+                  <RotateCcw size={16} />
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`🚀 Permanently delete ${expense.name}? This cannot be undone!`)) {
+                      onPurge([id]);
+                    }
+                  }}
+                  className="bg-red-600 hover:bg-red-700 border-2 border-red-800 p-1 transition-all hover:scale-110"
+                  title="Delete forever"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+/**
+ * Accounts
+ * Where money is kept: checking, credit cards, cash and savings. Accounts are stored
+ * in account.accounts with the balance they had before the first tracked month:
+ *   [{ id: 'acct-1', name: 'Everyday', type: 'checking', openingBalance: 1500 }]
+ * Expenses and income entries name their account in accountId; items without one (or
+ * whose account was removed) belong to the first account. Moving money between
+ * accounts is a transfer, kept per month next to the incomes:
+ *   transfers: [{ id, date: '2025-10-05', fromAccountId, toAccountId, amount: 400, note }]
+ * Transfers change balances but are never spending or income.
+ * A credit card's balance is negative while money is owed on it.
+ */
+
+// Kinds of account offered when adding one
+export const ACCOUNT_TYPES = [
+  { id: 'checking', name: 'Checking', emoji: '🏦' },
+  { id: 'credit', name: 'Credit card', emoji: '💳' },
+  { id: 'cash', name: 'Cash', emoji: '💵' },
+  { id: 'savings', name: 'Savings', emoji: '🐷' }
+];
+
+/**
+ * Gets the stored accounts
+ * @param {object} account - Account-wide data
+ * @returns {Array} Accounts, in display order
+ */
+export const getAccounts = (account) => account?.accounts || [];
+
+/**
+ * Gets a month's transfers
+ * @param {object} monthData - Month data
+ * @returns {Array} Transfers
+ */
+export const getTransfers = (monthData) => monthData?.transfers || [];
+
+/**
+ * Gets the kind of an account
+ * @param {string} typeId - Account type ID
+ * @returns {object} Account type (checking if unknown)
+ */
+export const getAccountType = (typeId) => ACCOUNT_TYPES.find(type => type.id === typeId) || ACCOUNT_TYPES[0];
+
+/**
+ * Finds the account an expense or income entry belongs to
+ * @param {Array} accounts - Stored accounts
+ * @param {string} accountId - The item's accountId, if any
+ * @returns {string|null} Account ID, or null if there are no accounts
+ */
+export const resolveAccountId = (accounts, accountId) => (
+  accounts.some(acct => acct.id === accountId) ? accountId : accounts[0]?.id || null
+);
+
+/**
+ * Creates an account
+ * @param {string} id - New account ID
+ * @param {string} name - Account name
+ * @param {string} type - Account type ID
+ * @param {number} openingBalance - Balance before the first tracked month
+ * @returns {object} Account
+ */
+export const createAccount = (id, name, type, openingBalance) => ({
+  id,
+  name: name.trim(),
+  type,
+  openingBalance: Number.isFinite(openingBalance) ? openingBalance : 0
+});
+
+/**
+ * Creates a transfer between two accounts
+ * @param {string} id - New transfer ID
+ * @param {string} date - Date key ("YYYY-MM-DD")
+ * @param {string} fromAccountId - Account the money leaves
+ * @param {string} toAccountId - Account the money goes to
+ * @param {number} amount - Amount moved (more than 0)
+ * @param {string} note - Optional note
+ * @returns {object} Transfer
+ */
+export const createTransfer = (id, date, fromAccountId, toAccountId, amount, note = '') => ({
+  id,
+  date,
+  fromAccountId,
+  toAccountId,
+  amount,
+  ...(note.trim() && { note: note.trim() })
+});
+
+/**
+ * Totals one month's money in and out of each account
+ * @param {object} monthData - Month data
+ * @param {Array} accounts - Stored accounts
+ * @returns {object} { income, spent, transfersIn, transfersOut } by account ID
+ */
+export const getMonthFlows = (monthData, accounts) => {
+  const flows = {};
+  accounts.forEach(acct => {
+    flows[acct.id] = { income: 0, spent: 0, transfersIn: 0, transfersOut: 0 };
+  });
+  if (accounts.length === 0) return flows;
+
+  (monthData?.incomes || []).forEach(entry => {
+    flows[resolveAccountId(accounts, entry.accountId)].income += entry.amount;
+  });
+  (monthData?.expenses || []).forEach(expense => {
+    flows[resolveAccountId(accounts, expense.accountId)].spent += parseFloat(expense.amount);
+  });
+  getTransfers(monthData).forEach(transfer => {
+    if (flows[transfer.fromAccountId]) flows[transfer.fromAccountId].transfersOut += transfer.amount;
+    if (flows[transfer.toAccountId]) flows[transfer.toAccountId].transfersIn += transfer.amount;
+  });
+  return flows;
+};
+
+/**
+ * Works out each account's running balance for a month
+ * The starting balance is the opening balance plus every earlier month's flows.
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} accounts - Stored accounts
+ * @param {string} month - Month key
+ * @returns {Array} Accounts with { startBalance, income, spent, transfersIn, transfersOut, endBalance }
+ */
+export const getAccountBalances = (monthlyBudgets, accounts, month) => {
+  const starts = {};
+  accounts.forEach(acct => {
+    starts[acct.id] = acct.openingBalance || 0;
+  });
+
+  Object.keys(monthlyBudgets).filter(key => key < month).forEach(key => {
+    const flows = getMonthFlows(monthlyBudgets[key], accounts);
+    accounts.forEach(acct => {
+      const flow = flows[acct.id];
+      starts[acct.id] += flow.income - flow.spent + flow.transfersIn - flow.transfersOut;
+    });
+  });
+
+  const flows = getMonthFlows(monthlyBudgets[month], accounts);
+  return accounts.map(acct => {
+    const flow = flows[acct.id];
+    const startBalance = starts[acct.id];
+    return {
+      ...acct,
+      startBalance,
+      ...flow,
+      endBalance: startBalance + flow.income - flow.spent + flow.transfersIn - flow.transfersOut
+    };
+  });
+};
+
+/**
+ * Merges one account into another: expenses, income entries, transfers, trashed
+ * expenses and recurrence templates move to the target, and the source is removed.
+ * Its opening balance is added to the target's, and transfers between the two are
+ * dropped since they would now go from the target to itself.
+ * @param {object} budget - Budget ({ monthlyBudgets, account, trash })
+ * @param {string} fromId - Account being merged away
+ * @param {string} toId - Account that receives everything
+ * @returns {object} Updated budget
+ */
+export const mergeAccounts = (budget, fromId, toId) => {
+  if (fromId === toId) return budget;
+
+  const accounts = getAccounts(budget.account);
+  const source = accounts.find(acct => acct.id === fromId);
+  // Items without an account belong to the first one, so they follow it when it is merged away
+  const isFromSource = (item) => resolveAccountId(accounts, item.accountId) === fromId;
+  const reassign = (item) => (isFromSource(item) ? { ...item, accountId: toId } : item);
+
+  const monthlyBudgets = {};
+  Object.keys(budget.monthlyBudgets).forEach(month => {
+    const monthData = budget.monthlyBudgets[month];
+    const transfers = getTransfers(monthData)
+      .map(transfer => ({
+        ...transfer,
+        fromAccountId: transfer.fromAccountId === fromId ? toId : transfer.fromAccountId,
+        toAccountId: transfer.toAccountId === fromId ? toId : transfer.toAccountId
+      }))
+      .filter(transfer => transfer.fromAccountId !== transfer.toAccountId);
+
+    monthlyBudgets[month] = {
+      ...monthData,
+      incomes: (monthData.incomes || []).map(reassign),
+      expenses: (monthData.expenses || []).map(reassign),
+      ...(monthData.transfers && { transfers })
+    };
+  });
+
+  const trash = {};
+  Object.keys(budget.trash || {}).forEach(id => {
+    const item = budget.trash[id];
+    trash[id] = { ...item, expense: reassign(item.expense) };
+  });
+
+  return {
+    ...budget,
+    monthlyBudgets,
+    trash,
+    account: {
+      ...budget.account,
+      ...(budget.account.recurrences && {
+        recurrences: budget.account.recurrences.map(rule => ({ ...rule, template: reassign(rule.template) }))
+      }),
+      accounts: accounts
+        .filter(acct => acct.id !== fromId)
+        .map(acct => (acct.id === toId ? { ...acct, openingBalance: acct.openingBalance + (source?.openingBalance || 0) } : acct))
+    }
+  };
+};
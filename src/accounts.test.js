@@ -0,0 +1,89 @@
+import {
+  resolveAccountId,
+  createAccount,
+  createTransfer,
+  getMonthFlows,
+  getAccountBalances,
+  mergeAccounts
+} from './accounts';
+
+const accounts = [
+  createAccount('checking', 'Everyday', 'checking', 1000),
+  createAccount('card', 'Visa', 'credit', -200),
+  createAccount('savings', 'Rainy day', 'savings', 0)
+];
+
+const monthlyBudgets = {
+  '2025-09': {
+    incomes: [{ id: 'pay', name: 'Pay', amount: 3000, source: 'salary' }],
+    expenses: [
+      { id: 'rent', name: 'Rent', amount: 1200, category: 'housing' },
+      { id: 'food', name: 'Groceries', amount: 150, category: 'food', accountId: 'card' }
+    ],
+    transfers: [
+      createTransfer('t1', '2025-09-28', 'checking', 'card', 350, 'Pay off Visa'),
+      createTransfer('t2', '2025-09-28', 'checking', 'savings', 500)
+    ]
+  },
+  '2025-10': {
+    incomes: [{ id: 'pay', name: 'Pay', amount: 3000, source: 'salary', accountId: 'checking' }],
+    expenses: [{ id: 'fuel', name: 'Fuel', amount: 60, category: 'transport', accountId: 'gone' }]
+  }
+};
+
+test('items without a known account belong to the first one', () => {
+  expect(resolveAccountId(accounts, 'card')).toBe('card');
+  expect(resolveAccountId(accounts, undefined)).toBe('checking');
+  expect(resolveAccountId(accounts, 'gone')).toBe('checking');
+  expect(resolveAccountId([], 'card')).toBeNull();
+});
+
+test('transfers move money between accounts without being spending', () => {
+  const flows = getMonthFlows(monthlyBudgets['2025-09'], accounts);
+  expect(flows.checking).toEqual({ income: 3000, spent: 1200, transfersIn: 0, transfersOut: 850 });
+  expect(flows.card).toEqual({ income: 0, spent: 150, transfersIn: 350, transfersOut: 0 });
+  expect(flows.savings.transfersIn).toBe(500);
+  expect(createTransfer('t3', '2025-09-01', 'a', 'b', 5, '  ')).not.toHaveProperty('note');
+});
+
+test('running balances carry over from month to month', () => {
+  const september = getAccountBalances(monthlyBudgets, accounts, '2025-09');
+  expect(september.map(row => [row.id, row.startBalance, row.endBalance])).toEqual([
+    ['checking', 1000, 1950],
+    ['card', -200, 0],
+    ['savings', 0, 500]
+  ]);
+
+  const october = getAccountBalances(monthlyBudgets, accounts, '2025-10');
+  expect(october.map(row => [row.id, row.startBalance, row.endBalance])).toEqual([
+    ['checking', 1950, 4890],
+    ['card', 0, 0],
+    ['savings', 500, 500]
+  ]);
+});
+
+test('merging an account moves its items, balance and recurrence templates', () => {
+  const budget = {
+    monthlyBudgets,
+    account: {
+      accounts,
+      recurrences: [{ id: 'r', kind: 'expense', template: { name: 'Rent', amount: 1200, category: 'housing' } }]
+    },
+    trash: { old: { expense: { id: 'old', name: 'Snack', amount: 3, category: 'food', accountId: 'card' }, month: '2025-09', deletedAt: '2025-09-30T00:00:00.000Z' } }
+  };
+
+  const merged = mergeAccounts(budget, 'checking', 'card');
+  expect(merged.account.accounts).toEqual([{ ...accounts[1], openingBalance: 800 }, accounts[2]]);
+  expect(merged.monthlyBudgets['2025-09'].expenses.map(exp => exp.accountId)).toEqual(['card', 'card']);
+  expect(merged.monthlyBudgets['2025-09'].incomes[0].accountId).toBe('card');
+  expect(merged.monthlyBudgets['2025-09'].transfers).toEqual([{ ...monthlyBudgets['2025-09'].transfers[1], fromAccountId: 'card' }]);
+  expect(merged.monthlyBudgets['2025-10'].transfers).toBeUndefined();
+  expect(merged.account.recurrences[0].template.accountId).toBe('card');
+  expect(merged.trash.old.expense.accountId).toBe('card');
+
+  // Total money is the same before and after
+  const total = (b, month) => getAccountBalances(b.monthlyBudgets, b.account.accounts, month)
+    .reduce((sum, row) => sum + row.endBalance, 0);
+  expect(total(merged, '2025-10')).toBe(total(budget, '2025-10'));
+  expect(mergeAccounts(budget, 'card', 'card')).toBe(budget);
+});
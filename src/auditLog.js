@@ -0,0 +1,99 @@
+import { createRecordId } from './budgetSchema';
+
+/**
+ * Audit Log
+ * Turns record changes into append-only audit entries and helps display them.
+ *
+ * Entry shape:
+ *   id         - unique, time-ordered ID
+ *   action     - "create", "update" or "delete"
+ *   label      - description of the change as shown in the undo history (e.g. "Delete Rent")
+ *   collection - record collection that changed ("months", "expenses", "account", "trash")
+ *   entityId   - ID of the record that changed
+ *   month      - month the record belongs to, or null for account-wide data
+ *   before     - record before the change, or null if it was created
+ *   after      - record after the change, or null if it was deleted
+ *   uid        - user who made the change ("guest" when not signed in)
+ *   timestamp  - ISO time the change was made
+ */
+
+// Newest entries kept by stores that cannot page through the log
+export const AUDIT_LOG_LIMIT = 500;
+
+/**
+ * Finds the month a record belongs to
+ * @param {object} change - { collection, id, before, after }
+ * @returns {string|null} Month key, or null for account-wide data
+ */
+const getChangeMonth = (change) => {
+  const record = change.after || change.before;
+  if (change.collection === 'months') return change.id;
+  if (change.collection === 'expenses' || change.collection === 'trash') return record.month || null;
+  return null;
+};
+
+/**
+ * Builds audit entries for a set of record changes
+ * @param {Array} changes - Array of { collection, id, before, after }
+ * @param {string} label - Description of the change
+ * @param {string} uid - User who made the change
+ * @returns {Array} Audit entries
+ */
+export const buildAuditEntries = (changes, label, uid) => {
+  const timestamp = new Date().toISOString();
+  return changes.map(change => ({
+    id: createRecordId(),
+    action: !change.before ? 'create' : (!change.after ? 'delete' : 'update'),
+    label,
+    collection: change.collection,
+    entityId: change.id,
+    month: getChangeMonth(change),
+    before: change.before || null,
+    after: change.after || null,
+    uid,
+    timestamp
+  }));
+};
+
+/**
+ * Formats a record value for display in the log
+ * @param {*} value - Any stored value
+ * @returns {string} Short text form
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Lists the fields that differ between the before and after values of an entry
+ * @param {object} entry - Audit entry
+ * @returns {Array} Array of { field, from, to } strings
+ */
+export const describeEntryChanges = (entry) => {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => field !== 'month' && field !== 'id');
+
+  return fields
+    .filter(field => formatValue(before[field]) !== formatValue(after[field]))
+    .map(field => ({ field, from: formatValue(before[field]), to: formatValue(after[field]) }));
+};
+
+/**
+ * Filters audit entries
+ * @param {Array} entries - Audit entries
+ * @param {object} filters - { action, collection, month, search }; empty values match everything
+ * @returns {Array} Matching entries, newest first
+ */
+export const filterAuditEntries = (entries, { action, collection, month, search } = {}) => {
+  const query = (search || '').trim().toLowerCase();
+  return entries
+    .filter(entry => !action || entry.action === action)
+    .filter(entry => !collection || entry.collection === collection)
+    .filter(entry => !month || entry.month === month)
+    .filter(entry => !query || entry.label.toLowerCase().includes(query) || entry.entityId.toLowerCase().includes(query))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id));
+};
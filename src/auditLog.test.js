@@ -0,0 +1,25 @@
+import { buildAuditEntries, describeEntryChanges, filterAuditEntries } from './auditLog';
+
+const rent = { id: 'a', month: '2025-10', name: 'Rent', amount: 1500, category: 'housing', isRecurring: true };
+
+test('builds one entry per changed record', () => {
+  const [created, updated] = buildAuditEntries([
+    { collection: 'expenses', id: 'a', before: null, after: rent },
+    { collection: 'months', id: '2025-10', before: { income: 0 }, after: { income: 3000 } }
+  ], 'Add Rent', 'user-1');
+
+  expect(created).toMatchObject({ action: 'create', entityId: 'a', month: '2025-10', uid: 'user-1', before: null });
+  expect(updated).toMatchObject({ action: 'update', collection: 'months', month: '2025-10' });
+  expect(describeEntryChanges(updated)).toEqual([{ field: 'income', from: '0', to: '3000' }]);
+});
+
+test('filters entries by action, collection and month', () => {
+  const entries = buildAuditEntries([
+    { collection: 'expenses', id: 'a', before: rent, after: null },
+    { collection: 'account', id: 'settings', before: null, after: { value: { soundEnabled: false } } }
+  ], 'Mixed', 'user-1');
+
+  expect(filterAuditEntries(entries, { action: 'delete' }).map(entry => entry.entityId)).toEqual(['a']);
+  expect(filterAuditEntries(entries, { collection: 'account' })).toHaveLength(1);
+  expect(filterAuditEntries(entries, { month: '2025-10' })).toHaveLength(1);
+});
@@ -0,0 +1,111 @@
+import { RECORD_COLLECTIONS, toRecords, diffBudgets, mergeBudgets } from './budgetRecords';
+import { CURRENT_SCHEMA_VERSION, migrateBudget, validateRecordWrite } from './budgetSchema';
+
+/**
+ * Backup
+ * Full account backups as a single JSON file: every month with its expenses,
+ * limits and recurring flags, account-wide data such as settings, and the trash.
+ *
+ * File format:
+ *   {
+ *     app: "space-budget-tracker",
+ *     backupVersion: 1,            - version of this wrapper
+ *     schemaVersion: 2,            - version of the budget data (see budgetSchema.js)
+ *     exportedAt: ISO timestamp,
+ *     monthlyBudgets: { ... },
+ *     account: { ... },
+ *     trash: { ... }
+ *   }
+ *
+ * Backups from older schema versions are upgraded on restore; backups from newer
+ * app versions are refused rather than guessed at.
+ */
+
+const BACKUP_APP_ID = 'space-budget-tracker';
+const BACKUP_VERSION = 1;
+
+/**
+ * Creates a backup of the whole budget
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @returns {object} Backup object, ready for JSON.stringify
+ */
+export const createBackup = (budget) => ({
+  app: BACKUP_APP_ID,
+  backupVersion: BACKUP_VERSION,
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  monthlyBudgets: budget.monthlyBudgets,
+  account: budget.account,
+  trash: budget.trash
+});
+
+/**
+ * Reads and validates a backup file
+ * @param {string} text - Contents of the backup file
+ * @returns {object} { budget, exportedAt, errors } where budget is null if the file cannot be restored
+ */
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { budget: null, errors: ['File is not valid JSON'] };
+  }
+
+  if (!data || typeof data !== 'object' || data.app !== BACKUP_APP_ID) {
+    return { budget: null, errors: ['File is not a Space Budget backup'] };
+  }
+  if (data.backupVersion > BACKUP_VERSION || data.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    return { budget: null, errors: ['Backup was made by a newer version of the app; update before restoring'] };
+  }
+  if (!data.monthlyBudgets || typeof data.monthlyBudgets !== 'object' || Array.isArray(data.monthlyBudgets)) {
+    return { budget: null, errors: ['Backup has no month data'] };
+  }
+
+  const budget = migrateBudget(
+    { monthlyBudgets: data.monthlyBudgets, account: data.account || {}, trash: data.trash || {} },
+    data.schemaVersion || 1
+  );
+
+  const records = toRecords(budget);
+  const errors = RECORD_COLLECTIONS.flatMap(collection =>
+    Object.keys(records[collection]).flatMap(id =>
+      validateRecordWrite({ collection, id, data: records[collection][id] })
+    )
+  );
+
+  return errors.length > 0
+    ? { budget: null, errors }
+    : { budget, exportedAt: data.exportedAt || null, errors: [] };
+};
+
+/**
+ * Builds the budget that results from restoring a backup
+ * @param {object} currentBudget - The budget in use now
+ * @param {object} backupBudget - The budget read from the backup
+ * @param {string} mode - "replace" to discard current data, "merge" to keep it and add the backup
+ * @returns {object} Restored budget
+ */
+export const buildRestoredBudget = (currentBudget, backupBudget, mode) => (
+  mode === 'merge' ? mergeBudgets(currentBudget, backupBudget) : backupBudget
+);
+
+/**
+ * Summarises what restoring a backup would change
+ * @param {object} currentBudget - The budget in use now
+ * @param {object} backupBudget - The budget read from the backup
+ * @param {string} mode - "replace" or "merge"
+ * @returns {object} { months, expenses, added, updated, removed } counts
+ */
+export const previewRestore = (currentBudget, backupBudget, mode) => {
+  const writes = diffBudgets(currentBudget, buildRestoredBudget(currentBudget, backupBudget, mode));
+  const records = toRecords(currentBudget);
+
+  return {
+    months: Object.keys(backupBudget.monthlyBudgets).length,
+    expenses: Object.keys(toRecords(backupBudget).expenses).length,
+    added: writes.filter(write => write.data && !records[write.collection][write.id]).length,
+    updated: writes.filter(write => write.data && records[write.collection][write.id]).length,
+    removed: writes.filter(write => !write.data).length
+  };
+};
@@ -0,0 +1,42 @@
+import { createBackup, parseBackup, previewRestore, buildRestoredBudget } from './backup';
+
+const budget = {
+  monthlyBudgets: {
+    '2025-10': {
+      incomes: [{ id: 'pay', name: 'Salary', amount: 3000, source: 'salary', isRecurring: true }],
+      categoryLimits: { food: 400 },
+      expenses: [{ id: 'a', name: 'Rent', amount: 1500, category: 'housing', isRecurring: true, date: '2025-10-01' }]
+    }
+  },
+  account: { settings: { soundEnabled: false } },
+  trash: {}
+};
+
+test('a backup restores to the same budget', () => {
+  const { budget: restored, errors } = parseBackup(JSON.stringify(createBackup(budget)));
+  expect(errors).toEqual([]);
+  expect(restored).toEqual(budget);
+});
+
+test('refuses files that are not valid backups', () => {
+  expect(parseBackup('not json').errors).toEqual(['File is not valid JSON']);
+  expect(parseBackup('{"app":"other"}').budget).toBeNull();
+
+  const broken = createBackup(budget);
+  broken.monthlyBudgets['2025-10'].expenses = [{ id: 'b', name: '', amount: 5, category: 'food', isRecurring: false, date: '2025-10-02' }];
+  expect(parseBackup(JSON.stringify(broken)).errors).toHaveLength(1);
+});
+
+test('previews replacing versus merging', () => {
+  const current = {
+    monthlyBudgets: {
+      '2025-11': { incomes: [], categoryLimits: {}, expenses: [] }
+    },
+    account: {},
+    trash: {}
+  };
+
+  expect(previewRestore(current, budget, 'replace')).toMatchObject({ added: 3, removed: 1 });
+  expect(previewRestore(current, budget, 'merge')).toMatchObject({ added: 3, removed: 0 });
+  expect(Object.keys(buildRestoredBudget(current, budget, 'merge').monthlyBudgets)).toEqual(['2025-11', '2025-10']);
+});
@@ -0,0 +1,280 @@
+/**
+ * Budget Records
+ * Converts the in-memory budget to and from the per-record layout used by
+ * storage, and computes the minimal set of writes between two versions.
+ *
+ * A budget is { monthlyBudgets, account, trash }:
+ *   monthlyBudgets - month data by month key ("YYYY-MM"), each with its expenses
+ *   account        - account-wide data by key (e.g. settings)
+ *   trash          - deleted expenses by expense ID, as { expense, month, deletedAt }
+ *
+ * Records:
+ *   months   - one record per month (without its expenses)
+ *   expenses - one record per expense, tagged with its month
+ *   account  - one record per account key, holding { value }
+ *   trash    - one record per deleted expense
+ */
+
+/**
+ * Names of the record collections a budget is split into
+ */
+export const RECORD_COLLECTIONS = ['months', 'expenses', 'account', 'trash'];
+
+/**
+ * Returns an empty month with every field set to its default
+ * @returns {object} Empty month data
+ */
+export const createEmptyMonth = () => ({
+  incomes: [],
+  expenses: [],
+  categoryLimits: {}
+});
+
+/**
+ * Returns an empty budget
+ * @returns {object} Budget with no months, account data or trash
+ */
+export const createEmptyBudget = () => ({
+  monthlyBudgets: {},
+  account: {},
+  trash: {}
+});
+
+/**
+ * Compares two plain JSON-like values structurally
+ * Key order is ignored so records read back from storage compare equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values hold the same data
+ */
+export const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+  const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => isEqual(a[key], b[key]));
+};
+
+/**
+ * Orders expenses by ID so records read back from storage keep insertion order
+ * IDs are timestamp based, so numeric comparison falls back to string comparison
+ * @param {object} a - First expense
+ * @param {object} b - Second expense
+ * @returns {number} Sort order
+ */
+export const compareExpenseIds = (a, b) => {
+  const idA = Number(a.id);
+  const idB = Number(b.id);
+  if (!Number.isNaN(idA) && !Number.isNaN(idB)) return idA - idB;
+  return String(a.id).localeCompare(String(b.id));
+};
+
+/**
+ * Splits a budget into per-record collections
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @returns {object} Object with a map of records (key: record ID) per collection
+ */
+export const toRecords = (budget) => {
+  const records = { months: {}, expenses: {}, account: {}, trash: { ...(budget?.trash || {}) } };
+  const monthlyBudgets = budget?.monthlyBudgets || {};
+  const account = budget?.account || {};
+
+  Object.keys(monthlyBudgets).forEach(month => {
+    const { expenses, ...monthData } = monthlyBudgets[month] || {};
+    records.months[month] = monthData;
+
+    (expenses || []).forEach(expense => {
+      records.expenses[String(expense.id)] = { ...expense, month };
+    });
+  });
+
+  Object.keys(account).forEach(key => {
+    if (account[key] !== undefined) {
+      records.account[key] = { value: account[key] };
+    }
+  });
+
+  return records;
+};
+
+/**
+ * Rebuilds a budget from per-record collections
+ * Expenses whose month has no month record get an empty month created for them
+ * @param {object} records - Object with a map of records per collection
+ * @returns {object} { monthlyBudgets, account, trash }
+ */
+export const fromRecords = (records) => {
+  const budget = createEmptyBudget();
+  const { monthlyBudgets, account, trash } = budget;
+
+  Object.keys(records.months || {}).forEach(month => {
+    const { updatedAt, ...monthData } = records.months[month];
+    monthlyBudgets[month] = { ...createEmptyMonth(), ...monthData, expenses: [] };
+  });
+
+  Object.values(records.expenses || {}).forEach(record => {
+    const { month, updatedAt, ...expense } = record;
+    if (!monthlyBudgets[month]) {
+      monthlyBudgets[month] = createEmptyMonth();
+    }
+    monthlyBudgets[month].expenses.push(expense);
+  });
+
+  Object.values(monthlyBudgets).forEach(monthData => {
+    monthData.expenses.sort(compareExpenseIds);
+  });
+
+  Object.keys(records.account || {}).forEach(key => {
+    account[key] = records.account[key].value;
+  });
+
+  Object.keys(records.trash || {}).forEach(id => {
+    const { updatedAt, ...item } = records.trash[id];
+    trash[id] = item;
+  });
+
+  return budget;
+};
+
+/**
+ * Computes the record writes needed to turn one version of the budget into another
+ * @param {object} previousBudget - The budget already stored
+ * @param {object} nextBudget - The budget to store
+ * @returns {Array} Array of { collection, id, data } writes (data is null for deletes)
+ */
+export const diffBudgets = (previousBudget, nextBudget) => {
+  const previous = toRecords(previousBudget);
+  const next = toRecords(nextBudget);
+  const writes = [];
+
+  RECORD_COLLECTIONS.forEach(collection => {
+    Object.keys(next[collection]).forEach(id => {
+      if (!isEqual(previous[collection][id], next[collection][id])) {
+        writes.push({ collection, id, data: next[collection][id] });
+      }
+    });
+
+    Object.keys(previous[collection]).forEach(id => {
+      if (!(id in next[collection])) {
+        writes.push({ collection, id, data: null });
+      }
+    });
+  });
+
+  return writes;
+};
+
+/**
+ * Stamps record writes with the time the edit was made
+ * @param {Array} writes - Array of { collection, id, data } writes
+ * @returns {Array} The writes with an updatedAt timestamp
+ */
+export const stampWrites = (writes) => {
+  const updatedAt = new Date().toISOString();
+  return writes.map(write => ({ ...write, updatedAt }));
+};
+
+/**
+ * Applies record writes on top of a budget
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {Array} writes - Array of { collection, id, data } writes
+ * @returns {object} New budget with the writes applied
+ */
+export const applyRecordWrites = (budget, writes) => {
+  if (writes.length === 0) return budget;
+
+  const records = toRecords(budget);
+  writes.forEach(write => {
+    if (write.data) {
+      records[write.collection][write.id] = write.data;
+    } else {
+      delete records[write.collection][write.id];
+    }
+  });
+
+  return fromRecords(records);
+};
+
+/**
+ * Merges new writes into a queue, keeping only the latest write per record
+ * @param {Array} queue - Writes already queued
+ * @param {Array} writes - New writes
+ * @returns {Array} Combined queue
+ */
+export const coalesceWrites = (queue, writes) => {
+  const byRecord = new Map();
+  [...queue, ...writes].forEach(write => {
+    const key = `${write.collection}/${write.id}`;
+    byRecord.delete(key);
+    byRecord.set(key, write);
+  });
+  return [...byRecord.values()];
+};
+
+/**
+ * Merges one month map into another
+ * Expenses and income entries are combined by ID; for limits the base data wins where it has a value
+ * @param {object} baseBudgets - Month data to merge into
+ * @param {object} incomingBudgets - Month data to merge in
+ * @returns {object} Merged month data
+ */
+export const mergeMonthlyBudgets = (baseBudgets, incomingBudgets) => {
+  const merged = { ...baseBudgets };
+
+  Object.keys(incomingBudgets || {}).forEach(month => {
+    const base = baseBudgets[month];
+    const incoming = { ...createEmptyMonth(), ...incomingBudgets[month] };
+
+    if (!base) {
+      merged[month] = incoming;
+      return;
+    }
+
+    const baseIds = new Set((base.expenses || []).map(expense => String(expense.id)));
+    const baseIncomeIds = new Set((base.incomes || []).map(entry => entry.id));
+    merged[month] = {
+      ...base,
+      incomes: [
+        ...(base.incomes || []),
+        ...incoming.incomes.filter(entry => !baseIncomeIds.has(entry.id))
+      ],
+      categoryLimits: { ...incoming.categoryLimits, ...base.categoryLimits },
+      expenses: [
+        ...(base.expenses || []),
+        ...incoming.expenses.filter(expense => !baseIds.has(String(expense.id)))
+      ]
+    };
+  });
+
+  return merged;
+};
+
+/**
+ * Merges one budget into another
+ * Months are merged as in mergeMonthlyBudgets; account keys and trash items only fill in
+ * what the base lacks, and trash items whose expense is live again are dropped
+ * @param {object} baseBudget - Budget to merge into
+ * @param {object} incomingBudget - Budget to merge in
+ * @returns {object} Merged budget
+ */
+export const mergeBudgets = (baseBudget, incomingBudget) => {
+  const monthlyBudgets = mergeMonthlyBudgets(baseBudget.monthlyBudgets || {}, incomingBudget.monthlyBudgets || {});
+  const liveIds = new Set(Object.keys(toRecords({ monthlyBudgets }).expenses));
+
+  const trash = {};
+  Object.entries({ ...incomingBudget.trash, ...baseBudget.trash }).forEach(([id, item]) => {
+    if (!liveIds.has(id)) trash[id] = item;
+  });
+
+  return {
+    monthlyBudgets,
+    account: { ...incomingBudget.account, ...baseBudget.account },
+    trash
+  };
+};
@@ -0,0 +1,44 @@
+import { toRecords, fromRecords, diffBudgets } from './budgetRecords';
+
+const budget = {
+  monthlyBudgets: {
+    '2025-10': {
+      incomes: [{ id: 'pay', name: 'Salary', amount: 3000, source: 'salary', isRecurring: true }],
+      categoryLimits: { food: 400 },
+      expenses: [
+        { id: 2, name: 'Groceries', amount: 120, category: 'food', isRecurring: false },
+        { id: 1, name: 'Rent', amount: 1500, category: 'housing', isRecurring: true }
+      ]
+    }
+  },
+  account: { settings: { soundEnabled: false } },
+  trash: {}
+};
+
+test('round-trips a budget through per-record collections', () => {
+  const records = toRecords(budget);
+  expect(Object.keys(records.expenses)).toEqual(['1', '2']);
+  expect(records.expenses['1'].month).toBe('2025-10');
+  expect(records.account.settings).toEqual({ value: { soundEnabled: false } });
+
+  const restored = fromRecords(records);
+  expect(restored.monthlyBudgets['2025-10'].expenses.map(exp => exp.id)).toEqual([1, 2]);
+  expect(restored.monthlyBudgets['2025-10'].incomes[0].amount).toBe(3000);
+  expect(restored.account).toEqual(budget.account);
+});
+
+test('diff only writes records that changed', () => {
+  const month = budget.monthlyBudgets['2025-10'];
+  const next = {
+    ...budget,
+    monthlyBudgets: {
+      '2025-10': { ...month, expenses: [{ ...month.expenses[0], amount: 150 }] }
+    }
+  };
+
+  expect(diffBudgets(budget, next)).toEqual([
+    { collection: 'expenses', id: '2', data: { ...next.monthlyBudgets['2025-10'].expenses[0], month: '2025-10' } },
+    { collection: 'expenses', id: '1', data: null }
+  ]);
+  expect(diffBudgets(budget, budget)).toEqual([]);
+});
@@ -0,0 +1,669 @@
+import { toDateKey, getDaysInMonth } from './expenseDates';
+import { getSplitErrors } from './expenseSplits';
+import { normalizeTag } from './expenseTags';
+import { RECURRENCE_FREQUENCIES, createRecurrence } from './recurrence';
+import { getPayeeKey } from './payees';
+import { LOCALES, CURRENCY_DISPLAYS, DECIMAL_STYLES } from './displayFormat';
+import { ACCOUNT_TYPES } from './accounts';
+import { REFUND_TYPES } from './refunds';
+import { BUDGETING_MODES } from './envelopes';
+import { DEBT_STRATEGIES } from './debts';
+
+/**
+ * Budget Schema
+ * Versioned shape of the stored budget data, the migrations that upgrade older
+ * shapes, and validation that keeps malformed data out of storage.
+ *
+ * Version history:
+ *   1 - untyped month objects; amounts may be strings, arrays may be missing,
+ *       expense IDs are numeric Date.now() values
+ *   2 - every field present and typed; expense IDs are strings
+ *   3 - every expense has a transaction date ("YYYY-MM-DD") inside its month
+ *   4 - income is a list of named entries (incomes) instead of income/incomeRecurring
+ *   5 - repeating items come from recurrence rules (account.recurrences) and link
+ *       back to them; isRecurring no longer copies an item into the next month
+ *
+ * Migrations only fill in and convert fields, so running one on data that is
+ * already upgraded leaves it unchanged. That lets live data from devices still
+ * on an older app version go through the same pipeline.
+ *
+ * Account-wide data (see budgetRecords.js) is stored sparsely: defaults are
+ * applied when it is read, so adding a setting needs no migration.
+ */
+
+export const CURRENT_SCHEMA_VERSION = 5;
+
+const MONTH_KEY_PATTERN = /^\d{4}-\d{2}$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Default values for account settings
+ */
+export const DEFAULT_SETTINGS = {
+  soundEnabled: true,
+  trashRetentionDays: 30, // Deleted expenses are purged from the trash after this many days
+  baseCurrency: 'USD', // Currency every total is kept in (see currency.js)
+  locale: 'en-US', // How amounts, months and dates are shown (see displayFormat.js)
+  currencyDisplay: 'symbol',
+  decimalStyle: 'locale',
+  fiscalYearStartMonth: 1, // January
+  budgetingMode: 'limits', // Whether unspent budget rolls over (see envelopes.js)
+  debtBudget: 0, // Monthly amount the debt planner pays; 0 means the minimums only (see debts.js)
+  debtStrategy: 'avalanche'
+};
+
+/**
+ * Gets the account settings with defaults filled in
+ * @param {object} account - Account-wide data
+ * @returns {object} Settings
+ */
+export const getSettings = (account) => ({ ...DEFAULT_SETTINGS, ...(account?.settings || {}) });
+
+/**
+ * Creates a unique, time-ordered ID for a new record
+ * @returns {string} ID like "1760000000000-k3j9"
+ */
+export const createRecordId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Converts a stored value to a finite number
+ * @param {*} value - Number or numeric string
+ * @returns {number} The number, or 0 if it cannot be read
+ */
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Applies a function to every month of the budget data
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {function} upgradeMonth - Receives and returns month data
+ * @returns {object} New budget data
+ */
+const mapMonths = (monthlyBudgets, upgradeMonth) => {
+  const upgraded = {};
+  Object.keys(monthlyBudgets || {}).forEach(month => {
+    upgraded[month] = upgradeMonth(monthlyBudgets[month] || {}, month);
+  });
+  return upgraded;
+};
+
+/**
+ * Version 1 to 2: fills in missing fields, converts amounts to numbers and IDs to strings
+ * @param {object} monthData - Month data in the version 1 shape
+ * @returns {object} Month data in the version 2 shape
+ */
+const upgradeMonthToV2 = (monthData) => {
+  const categoryLimits = {};
+  Object.keys(monthData.categoryLimits || {}).forEach(categoryId => {
+    const limit = toNumber(monthData.categoryLimits[categoryId]);
+    if (limit > 0) categoryLimits[categoryId] = limit;
+  });
+
+  return {
+    ...monthData,
+    income: toNumber(monthData.income),
+    incomeRecurring: Boolean(monthData.incomeRecurring),
+    categoryLimits,
+    expenses: (Array.isArray(monthData.expenses) ? monthData.expenses : [])
+      .filter(expense => expense && typeof expense === 'object')
+      .map(expense => ({
+        ...expense,
+        id: expense.id !== undefined && expense.id !== null && expense.id !== ''
+          ? String(expense.id)
+          : createRecordId(),
+        name: String(expense.name || 'Untitled'),
+        amount: toNumber(expense.amount),
+        category: expense.category || 'other',
+        isRecurring: Boolean(expense.isRecurring)
+      }))
+  };
+};
+
+/**
+ * Finds a date for an expense stored before expenses had dates
+ * IDs start with the creation time, which is used if it falls inside the month
+ * @param {object} expense - Expense without a date
+ * @param {string} month - Month key the expense belongs to
+ * @returns {string} Date key
+ */
+const getDateFromId = (expense, month) => {
+  const timestamp = parseInt(expense.id, 10);
+  const created = timestamp > 0 ? toDateKey(new Date(timestamp)) : '';
+  return created.startsWith(`${month}-`) ? created : `${month}-01`;
+};
+
+/**
+ * Gives an expense a date if it has none
+ * @param {object} expense - Expense record
+ * @param {string} month - Month key the expense belongs to
+ * @returns {object} Expense with a date
+ */
+const addExpenseDate = (expense, month) => (
+  typeof expense.date === 'string' && expense.date.startsWith(`${month}-`)
+    ? expense
+    : { ...expense, date: getDateFromId(expense, month) }
+);
+
+/**
+ * Version 2 to 3: dates every expense, including those in the trash
+ * @param {object} budget - Budget in the version 2 shape
+ * @returns {object} Budget in the version 3 shape
+ */
+const upgradeBudgetToV3 = (budget) => {
+  const trash = {};
+  Object.keys(budget.trash).forEach(id => {
+    const item = budget.trash[id];
+    trash[id] = item.expense && MONTH_KEY_PATTERN.test(item.month)
+      ? { ...item, expense: addExpenseDate(item.expense, item.month) }
+      : item;
+  });
+
+  return {
+    ...budget,
+    monthlyBudgets: mapMonths(budget.monthlyBudgets, (monthData, month) => ({
+      ...monthData,
+      expenses: monthData.expenses.map(expense => addExpenseDate(expense, month))
+    })),
+    trash
+  };
+};
+
+/**
+ * Version 3 to 4: turns the single income amount into a list of income entries
+ * The entry ID is derived from the month so every device migrates to the same record.
+ * Empty months get an empty incomes list filled in when read, so an old amount wins over it.
+ * @param {object} monthData - Month data in the version 3 shape
+ * @param {string} month - Month key
+ * @returns {object} Month data in the version 4 shape
+ */
+const upgradeMonthToV4 = (monthData, month) => {
+  const { income, incomeRecurring, ...rest } = monthData;
+  if (Array.isArray(monthData.incomes) && (monthData.incomes.length > 0 || !(income > 0))) return rest;
+
+  return {
+    ...rest,
+    incomes: income > 0
+      ? [{ id: `income-${month}`, name: 'Income', amount: income, source: 'salary', isRecurring: Boolean(incomeRecurring) }]
+      : []
+  };
+};
+
+/**
+ * Version 4 to 5: turns copy-forward recurring items into monthly recurrence rules
+ * Only the latest month's recurring items were still being copied forward, so each of
+ * them becomes a rule starting on its date (the 1st for income). Recurring items in
+ * earlier months keep their flag as history but get no rule. Rule IDs are derived from
+ * the item so every device migrates to the same rules.
+ * @param {object} budget - Budget in the version 4 shape
+ * @returns {object} Budget in the version 5 shape
+ */
+const upgradeBudgetToV5 = (budget) => {
+  const latestMonth = Object.keys(budget.monthlyBudgets).sort().pop();
+  const recurrences = [...(budget.account.recurrences || [])];
+
+  /**
+   * Links a recurring item in the latest month to a rule
+   * @param {string} kind - "expense" or "income"
+   * @param {object} item - Expense or income entry
+   * @param {string} month - Month key
+   * @param {string} startDate - Date of the item's occurrence
+   * @returns {object} Upgraded item
+   */
+  const upgradeItem = (kind, item, month, startDate) => {
+    if (!item.isRecurring || item.recurrence || month !== latestMonth) return item;
+
+    const ruleId = `rule-${item.id}`;
+    if (!recurrences.some(rule => rule.id === ruleId)) {
+      recurrences.push(createRecurrence(ruleId, kind, item, { frequency: 'monthly', startDate }));
+    }
+    return { ...item, recurrence: { ruleId, date: startDate } };
+  };
+
+  const monthlyBudgets = mapMonths(budget.monthlyBudgets, (monthData, month) => ({
+    ...monthData,
+    incomes: monthData.incomes.map(entry => upgradeItem('income', entry, month, `${month}-01`)),
+    expenses: monthData.expenses.map(expense => upgradeItem('expense', expense, month, expense.date))
+  }));
+
+  return {
+    ...budget,
+    monthlyBudgets,
+    account: recurrences.length > 0 ? { ...budget.account, recurrences } : budget.account
+  };
+};
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each receives and returns a budget ({ monthlyBudgets, account, trash })
+ */
+const MIGRATIONS = {
+  1: (budget) => ({ ...budget, monthlyBudgets: mapMonths(budget.monthlyBudgets, upgradeMonthToV2) }),
+  2: upgradeBudgetToV3,
+  3: (budget) => ({ ...budget, monthlyBudgets: mapMonths(budget.monthlyBudgets, upgradeMonthToV4) }),
+  4: upgradeBudgetToV5
+};
+
+/**
+ * Wraps data stored as a bare month map (before account data existed) into a budget
+ * and fills in parts of the budget added since
+ * @param {object} data - { monthlyBudgets, account, trash } or month data by month key
+ * @returns {object} { monthlyBudgets, account, trash }
+ */
+const toBudgetShape = (data) => {
+  if (data && ('monthlyBudgets' in data || 'account' in data)) {
+    return { monthlyBudgets: data.monthlyBudgets || {}, account: data.account || {}, trash: data.trash || {} };
+  }
+  return { monthlyBudgets: data || {}, account: {}, trash: {} };
+};
+
+/**
+ * Upgrades a budget to the current schema version
+ * @param {object} budget - { monthlyBudgets, account, trash } or a bare month map, in any known version
+ * @param {number} fromVersion - Version the data was stored with (defaults to the oldest)
+ * @returns {object} Budget in the current shape
+ */
+export const migrateBudget = (budget, fromVersion = 1) => {
+  if (fromVersion >= CURRENT_SCHEMA_VERSION && budget?.monthlyBudgets && budget?.account && budget?.trash) {
+    return budget;
+  }
+
+  let upgraded = toBudgetShape(budget);
+  for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+    upgraded = MIGRATIONS[version](upgraded);
+  }
+  return upgraded;
+};
+
+/**
+ * Checks the link from a generated item back to its recurrence rule
+ * @param {*} recurrence - recurrence field of an expense or income entry
+ * @returns {boolean} True if the link is missing or well formed
+ */
+const isValidRecurrenceLink = (recurrence) => (
+  recurrence === undefined
+  || (Boolean(recurrence) && typeof recurrence.ruleId === 'string' && recurrence.ruleId !== '' && DATE_KEY_PATTERN.test(recurrence.date))
+);
+
+/**
+ * Checks the account an expense or income entry is assigned to
+ * @param {*} accountId - accountId field of the item
+ * @returns {boolean} True if it is missing or a non-empty string
+ */
+const isValidAccountLink = (accountId) => accountId === undefined || (typeof accountId === 'string' && accountId !== '');
+
+/**
+ * Checks a month's transfers between accounts
+ * @param {string} month - Month key ("YYYY-MM")
+ * @param {*} transfers - transfers field of the month record
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+const validateTransfers = (month, transfers) => {
+  if (transfers === undefined) return [];
+  if (!Array.isArray(transfers)) return [`${month}: transfers must be a list`];
+
+  const errors = [];
+  const ids = new Set();
+  transfers.forEach(transfer => {
+    const label = `${month}: transfer ${transfer?.id}`;
+    if (!transfer || typeof transfer.id !== 'string' || transfer.id === '' || ids.has(transfer.id)) {
+      errors.push(`${label}: id must be a unique non-empty string`);
+      return;
+    }
+    ids.add(transfer.id);
+    if (!DATE_KEY_PATTERN.test(transfer.date) || !transfer.date.startsWith(`${month}-`)) errors.push(`${label}: date must be a day in ${month}`);
+    const hasAccounts = [transfer.fromAccountId, transfer.toAccountId].every(id => typeof id === 'string' && id !== '');
+    if (!hasAccounts) {
+      errors.push(`${label}: fromAccountId and toAccountId are required`);
+    } else if (transfer.fromAccountId === transfer.toAccountId) {
+      errors.push(`${label}: must move money between two different accounts`);
+    }
+    if (!Number.isFinite(transfer.amount) || transfer.amount <= 0) errors.push(`${label}: amount must be a positive number`);
+    if (transfer.note !== undefined && typeof transfer.note !== 'string') errors.push(`${label}: note must be text`);
+  });
+  return errors;
+};
+
+/**
+ * Checks a month record against the current schema
+ * @param {string} month - Month key ("YYYY-MM")
+ * @param {object} data - Month record (without expenses)
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateMonthRecord = (month, data) => {
+  const errors = [];
+  if (!MONTH_KEY_PATTERN.test(month)) errors.push(`Invalid month key "${month}"`);
+  if (!Array.isArray(data.incomes)) {
+    errors.push(`${month}: incomes must be a list`);
+  } else {
+    const ids = new Set();
+    data.incomes.forEach(entry => {
+      const label = `${month}: income ${entry?.id}`;
+      if (!entry || typeof entry.id !== 'string' || entry.id === '' || ids.has(entry.id)) {
+        errors.push(`${label}: id must be a unique non-empty string`);
+        return;
+      }
+      ids.add(entry.id);
+      if (typeof entry.name !== 'string' || entry.name.trim() === '') errors.push(`${label}: name is required`);
+      if (!Number.isFinite(entry.amount) || entry.amount < 0) errors.push(`${label}: amount must be a number of at least 0`);
+      if (typeof entry.source !== 'string' || entry.source === '') errors.push(`${label}: source is required`);
+      if (typeof entry.isRecurring !== 'boolean') errors.push(`${label}: isRecurring must be true or false`);
+      if (!isValidRecurrenceLink(entry.recurrence)) errors.push(`${label}: recurrence must be { ruleId, date }`);
+      if (!isValidAccountLink(entry.accountId)) errors.push(`${label}: accountId must be a non-empty string`);
+    });
+  }
+  errors.push(...validateTransfers(month, data.transfers));
+
+  const limits = data.categoryLimits;
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    errors.push(`${month}: categoryLimits must be an object`);
+  } else {
+    Object.keys(limits).forEach(categoryId => {
+      if (!Number.isFinite(limits[categoryId]) || limits[categoryId] <= 0) {
+        errors.push(`${month}: limit for "${categoryId}" must be a positive number`);
+      }
+    });
+  }
+  return errors;
+};
+
+/**
+ * Checks an expense record against the current schema
+ * @param {object} expense - Expense record (including its month)
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateExpenseRecord = (expense) => {
+  const errors = [];
+  const label = `Expense ${expense.id}`;
+  if (typeof expense.id !== 'string' || expense.id === '') errors.push(`${label}: id must be a non-empty string`);
+  if (!MONTH_KEY_PATTERN.test(expense.month)) errors.push(`${label}: invalid month "${expense.month}"`);
+  if (typeof expense.name !== 'string' || expense.name.trim() === '') errors.push(`${label}: name is required`);
+  if (!Number.isFinite(expense.amount)) errors.push(`${label}: amount must be a number`);
+  if (typeof expense.category !== 'string' || expense.category === '') errors.push(`${label}: category is required`);
+  if (typeof expense.isRecurring !== 'boolean') errors.push(`${label}: isRecurring must be true or false`);
+  if (!isValidRecurrenceLink(expense.recurrence)) errors.push(`${label}: recurrence must be { ruleId, date }`);
+  if (!isValidAccountLink(expense.accountId)) errors.push(`${label}: accountId must be a non-empty string`);
+  if (expense.refundOf !== undefined || expense.refundType !== undefined) {
+    const link = expense.refundOf;
+    if (!link || typeof link.id !== 'string' || link.id === '' || !MONTH_KEY_PATTERN.test(link.month)) errors.push(`${label}: refundOf must be { id, month }`);
+    if (!REFUND_TYPES.some(type => type.id === expense.refundType)) errors.push(`${label}: refundType must be refund or reimbursement`);
+    if (!(expense.amount < 0)) errors.push(`${label}: a refund's amount must be below 0`);
+  }
+  if (expense.reimbursable !== undefined && typeof expense.reimbursable !== 'boolean') errors.push(`${label}: reimbursable must be true or false`);
+  if (expense.debtId !== undefined) {
+    if (typeof expense.debtId !== 'string' || expense.debtId === '') errors.push(`${label}: debtId must be a non-empty string`);
+    if (expense.splits !== undefined) errors.push(`${label}: a debt payment cannot be split`);
+  }
+  if (expense.splits !== undefined) {
+    if (!Array.isArray(expense.splits)) {
+      errors.push(`${label}: splits must be a list`);
+    } else {
+      getSplitErrors(expense.splits, expense.amount).forEach(error => errors.push(`${label}: ${error}`));
+    }
+  }
+  if (expense.tags !== undefined) {
+    const isValid = Array.isArray(expense.tags)
+      && expense.tags.every(tag => typeof tag === 'string' && tag !== '' && normalizeTag(tag) === tag)
+      && new Set(expense.tags).size === expense.tags.length;
+    if (!isValid) errors.push(`${label}: tags must be a list of unique lower-case tags`);
+  }
+  if (expense.notes !== undefined && typeof expense.notes !== 'string') errors.push(`${label}: notes must be text`);
+  if (expense.currency !== undefined || expense.originalAmount !== undefined) {
+    if (!CURRENCY_PATTERN.test(expense.currency)) errors.push(`${label}: currency must be a code like EUR`);
+    if (!Number.isFinite(expense.originalAmount)) errors.push(`${label}: originalAmount must be a number`);
+  }
+
+  if (MONTH_KEY_PATTERN.test(expense.month)) {
+    const isDate = DATE_KEY_PATTERN.test(expense.date) && expense.date.startsWith(`${expense.month}-`);
+    const day = isDate ? parseInt(expense.date.slice(8), 10) : 0;
+    if (day < 1 || day > getDaysInMonth(expense.month)) {
+      errors.push(`${label}: date must be a day in ${expense.month}`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Checks a trash record against the current schema
+ * @param {string} id - Record ID (the deleted expense's ID)
+ * @param {object} item - { expense, month, deletedAt }
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateTrashRecord = (id, item) => {
+  if (!item.expense || typeof item.expense !== 'object') return [`Trash ${id}: expense is required`];
+
+  const errors = validateExpenseRecord({ ...item.expense, month: item.month });
+  if (item.expense.id !== id) errors.push(`Trash ${id}: expense id does not match`);
+  if (typeof item.deletedAt !== 'string' || Number.isNaN(Date.parse(item.deletedAt))) {
+    errors.push(`Trash ${id}: deletedAt must be a date`);
+  }
+  return errors;
+};
+
+/**
+ * Checks for each known setting; settings left out fall back to DEFAULT_SETTINGS
+ */
+const SETTING_VALIDATORS = {
+  soundEnabled: (value) => typeof value === 'boolean' || 'must be true or false',
+  trashRetentionDays: (value) => (Number.isInteger(value) && value > 0) || 'must be a whole number of days',
+  baseCurrency: (value) => CURRENCY_PATTERN.test(value) || 'must be a currency code like USD',
+  locale: (value) => LOCALES.some(locale => locale.code === value) || 'must be a supported locale',
+  currencyDisplay: (value) => CURRENCY_DISPLAYS.some(display => display.id === value) || 'must be symbol, narrowSymbol, code or name',
+  decimalStyle: (value) => DECIMAL_STYLES.some(style => style.id === value) || 'must be a known decimal style',
+  fiscalYearStartMonth: (value) => (Number.isInteger(value) && value >= 1 && value <= 12) || 'must be a month number from 1 to 12',
+  budgetingMode: (value) => BUDGETING_MODES.some(mode => mode.id === value) || 'must be limits or envelope',
+  debtBudget: (value) => (Number.isFinite(value) && value >= 0) || 'must be a number of at least 0',
+  debtStrategy: (value) => DEBT_STRATEGIES.some(strategy => strategy.id === value) || 'must be avalanche or snowball'
+};
+
+/**
+ * Validators for each known account key
+ */
+const ACCOUNT_VALIDATORS = {
+  settings: (settings) => {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return ['settings must be an object'];
+    }
+    return Object.keys(SETTING_VALIDATORS)
+      .filter(key => settings[key] !== undefined)
+      .map(key => ({ key, result: SETTING_VALIDATORS[key](settings[key]) }))
+      .filter(({ result }) => result !== true)
+      .map(({ key, result }) => `settings.${key} ${result}`);
+  },
+  categories: (categories) => {
+    if (!Array.isArray(categories)) return ['categories must be a list'];
+    const errors = [];
+    const ids = new Set();
+    categories.forEach(category => {
+      const label = `category ${category?.id}`;
+      if (!category || typeof category.id !== 'string' || category.id === '' || ids.has(category.id)) {
+        errors.push(`${label}: id must be a unique non-empty string`);
+        return;
+      }
+      ids.add(category.id);
+      if (typeof category.name !== 'string' || category.name.trim() === '') errors.push(`${label}: name is required`);
+      if (typeof category.emoji !== 'string') errors.push(`${label}: emoji must be text`);
+      if (!COLOR_PATTERN.test(category.color)) errors.push(`${label}: color must be a hex colour like #ff6b9d`);
+      if (typeof category.archived !== 'boolean') errors.push(`${label}: archived must be true or false`);
+    });
+    // Subcategories must sit under an existing top-level category
+    categories.forEach(category => {
+      if (!category?.parentId) return;
+      const parent = categories.find(cat => cat.id === category.parentId);
+      if (!parent || parent.id === category.id || parent.parentId) {
+        errors.push(`category ${category.id}: parentId must be the ID of a top-level category`);
+      }
+    });
+    return errors;
+  },
+  recurrences: (rules) => {
+    if (!Array.isArray(rules)) return ['recurrences must be a list'];
+    const errors = [];
+    const ids = new Set();
+    rules.forEach(rule => {
+      const label = `recurrence ${rule?.id}`;
+      if (!rule || typeof rule.id !== 'string' || rule.id === '' || ids.has(rule.id)) {
+        errors.push(`${label}: id must be a unique non-empty string`);
+        return;
+      }
+      ids.add(rule.id);
+      if (rule.kind !== 'expense' && rule.kind !== 'income') errors.push(`${label}: kind must be "expense" or "income"`);
+      const template = rule.template || {};
+      if (typeof template.name !== 'string' || template.name.trim() === '') errors.push(`${label}: template name is required`);
+      if (!Number.isFinite(template.amount)) errors.push(`${label}: template amount must be a number`);
+      if (!RECURRENCE_FREQUENCIES.some(freq => freq.id === rule.frequency)) errors.push(`${label}: unknown frequency "${rule.frequency}"`);
+      if (!DATE_KEY_PATTERN.test(rule.startDate)) errors.push(`${label}: startDate must be a date`);
+      if (rule.endDate !== null && !(DATE_KEY_PATTERN.test(rule.endDate) && rule.endDate >= rule.startDate)) {
+        errors.push(`${label}: endDate must be null or a date on or after startDate`);
+      }
+      if (rule.count !== null && !(Number.isInteger(rule.count) && rule.count > 0)) {
+        errors.push(`${label}: count must be null or a whole number above 0`);
+      }
+      if (!Array.isArray(rule.exceptions) || !rule.exceptions.every(date => DATE_KEY_PATTERN.test(date))) {
+        errors.push(`${label}: exceptions must be a list of dates`);
+      }
+    });
+    return errors;
+  },
+  exchangeRates: (rates) => {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) return ['exchangeRates must be an object'];
+    const errors = [];
+    Object.keys(rates).forEach(month => {
+      if (!MONTH_KEY_PATTERN.test(month)) errors.push(`exchangeRates: invalid month key "${month}"`);
+      const monthRates = rates[month];
+      if (!monthRates || typeof monthRates !== 'object' || Array.isArray(monthRates)) {
+        errors.push(`exchangeRates ${month}: rates must be an object`);
+        return;
+      }
+      Object.keys(monthRates).forEach(currency => {
+        if (!CURRENCY_PATTERN.test(currency) || !Number.isFinite(monthRates[currency]) || monthRates[currency] <= 0) {
+          errors.push(`exchangeRates ${month}: ${currency} must be a currency code with a positive rate`);
+        }
+      });
+    });
+    return errors;
+  },
+  payees: (payees) => {
+    if (!Array.isArray(payees)) return ['payees must be a list'];
+    const errors = [];
+    const ids = new Set();
+    const aliases = new Set(); // A name can only belong to one payee
+    payees.forEach(payee => {
+      const label = `payee ${payee?.id}`;
+      if (!payee || typeof payee.id !== 'string' || payee.id === '' || ids.has(payee.id)) {
+        errors.push(`${label}: id must be a unique non-empty string`);
+        return;
+      }
+      ids.add(payee.id);
+      if (typeof payee.name !== 'string' || payee.name.trim() === '') errors.push(`${label}: name is required`);
+      if (!Array.isArray(payee.aliases) || payee.aliases.length === 0) {
+        errors.push(`${label}: aliases must be a non-empty list`);
+        return;
+      }
+      payee.aliases.forEach(alias => {
+        if (typeof alias !== 'string' || alias === '' || getPayeeKey(alias) !== alias || aliases.has(alias)) {
+          errors.push(`${label}: alias "${alias}" must be a normalised name not used by another payee`);
+        }
+        aliases.add(alias);
+      });
+    });
+    return errors;
+  },
+  accounts: (accounts) => {
+    if (!Array.isArray(accounts)) return ['accounts must be a list'];
+    const errors = [];
+    const ids = new Set();
+    accounts.forEach(acct => {
+      const label = `account ${acct?.id}`;
+      if (!acct || typeof acct.id !== 'string' || acct.id === '' || ids.has(acct.id)) {
+        errors.push(`${label}: id must be a unique non-empty string`);
+        return;
+      }
+      ids.add(acct.id);
+      if (typeof acct.name !== 'string' || acct.name.trim() === '') errors.push(`${label}: name is required`);
+      if (!ACCOUNT_TYPES.some(type => type.id === acct.type)) errors.push(`${label}: type must be checking, credit, cash or savings`);
+      if (!Number.isFinite(acct.openingBalance)) errors.push(`${label}: openingBalance must be a number`);
+    });
+    return errors;
+  },
+  goals: (goals) => {
+    if (!Array.isArray(goals)) return ['goals must be a list'];
+    const errors = [];
+    const ids = new Set();
+    goals.forEach(goal => {
+      const label = `goal ${goal?.id}`;
+      if (!goal || typeof goal.id !== 'string' || goal.id === '' || ids.has(goal.id)) {
+        errors.push(`${label}: id must be a unique non-empty string`);
+        return;
+      }
+      ids.add(goal.id);
+      if (typeof goal.name !== 'string' || goal.name.trim() === '') errors.push(`${label}: name is required`);
+      if (!(Number.isFinite(goal.targetAmount) && goal.targetAmount > 0)) errors.push(`${label}: targetAmount must be a positive number`);
+      if (!DATE_KEY_PATTERN.test(goal.targetDate)) errors.push(`${label}: targetDate must be a date (YYYY-MM-DD)`);
+      if (typeof goal.categoryId !== 'string' || goal.categoryId === '') errors.push(`${label}: categoryId is required`);
+      if (goal.startMonth !== undefined && !MONTH_KEY_PATTERN.test(goal.startMonth)) errors.push(`${label}: startMonth must be a month (YYYY-MM)`);
+    });
+    return errors;
+  },
+  debts: (debts) => {
+    if (!Array.isArray(debts)) return ['debts must be a list'];
+    const errors = [];
+    const ids = new Set();
+    debts.forEach(debt => {
+      const label = `debt ${debt?.id}`;
+      if (!debt || typeof debt.id !== 'string' || debt.id === '' || ids.has(debt.id)) {
+        errors.push(`${label}: id must be a unique non-empty string`);
+        return;
+      }
+      ids.add(debt.id);
+      if (typeof debt.name !== 'string' || debt.name.trim() === '') errors.push(`${label}: name is required`);
+      if (!(Number.isFinite(debt.balance) && debt.balance >= 0)) errors.push(`${label}: balance must be a number of at least 0`);
+      if (!(Number.isFinite(debt.apr) && debt.apr >= 0 && debt.apr <= 100)) errors.push(`${label}: apr must be a percentage from 0 to 100`);
+      if (!(Number.isFinite(debt.minimumPayment) && debt.minimumPayment >= 0)) errors.push(`${label}: minimumPayment must be a number of at least 0`);
+      if (!MONTH_KEY_PATTERN.test(debt.startMonth)) errors.push(`${label}: startMonth must be a month (YYYY-MM)`);
+    });
+    return errors;
+  }
+};
+
+/**
+ * Checks an account record against the current schema
+ * @param {string} key - Account key
+ * @param {object} record - Account record ({ value })
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateAccountRecord = (key, record) => {
+  const validate = ACCOUNT_VALIDATORS[key];
+  if (!validate) return [`Unknown account data "${key}"`];
+  if (!record || record.value === undefined) return [`${key}: value is required`];
+  return validate(record.value);
+};
+
+/**
+ * Checks a record write against the current schema
+ * Deletes are always valid
+ * @param {object} write - { collection, id, data } record write
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateRecordWrite = (write) => {
+  if (!write.data) return [];
+  if (write.collection === 'months') return validateMonthRecord(write.id, write.data);
+  if (write.collection === 'expenses') return validateExpenseRecord(write.data);
+  if (write.collection === 'account') return validateAccountRecord(write.id, write.data);
+  if (write.collection === 'trash') return validateTrashRecord(write.id, write.data);
+  return [`Unknown collection "${write.collection}"`];
+};
+
+/**
+ * Throws if any record write does not match the current schema
+ * @param {Array} writes - Array of record writes
+ */
+export const assertValidRecordWrites = (writes) => {
+  const errors = writes.flatMap(validateRecordWrite);
+  if (errors.length > 0) {
+    throw new Error(`Refusing to save malformed budget data: ${errors.join('; ')}`);
+  }
+};
@@ -0,0 +1,211 @@
+import { migrateBudget, validateRecordWrite, CURRENT_SCHEMA_VERSION } from './budgetSchema';
+
+test('upgrades version 1 data into the current shape', () => {
+  const { monthlyBudgets: upgraded, account } = migrateBudget({
+    '2025-09': { income: '2500' },
+    '2025-10': {
+      income: 3000,
+      categoryLimits: { food: '400', housing: 'none' },
+      expenses: [{ id: 1759000000000, name: 'Groceries', amount: '42.50', category: 'food' }, null]
+    }
+  }, 1);
+
+  expect(account).toEqual({});
+  expect(upgraded['2025-09']).toEqual({
+    incomes: [{ id: 'income-2025-09', name: 'Income', amount: 2500, source: 'salary', isRecurring: false }],
+    categoryLimits: {},
+    expenses: []
+  });
+  expect(upgraded['2025-10'].categoryLimits).toEqual({ food: 400 });
+  expect(upgraded['2025-10'].expenses).toEqual([
+    { id: '1759000000000', name: 'Groceries', amount: 42.5, category: 'food', isRecurring: false, date: '2025-10-01' }
+  ]);
+});
+
+test('migrating current data leaves it unchanged', () => {
+  const current = migrateBudget({ '2025-10': { income: 100, expenses: [{ id: 'a', name: 'Tea', amount: 3, category: 'food' }] } });
+  expect(migrateBudget(current, 1)).toEqual(current);
+  expect(migrateBudget(current, CURRENT_SCHEMA_VERSION)).toBe(current);
+});
+
+test('refuses malformed records', () => {
+  expect(validateRecordWrite({
+    collection: 'expenses',
+    id: 'a',
+    data: { id: 'a', month: '2025-10', date: '2025-10-03', name: '', amount: NaN, category: 'food', isRecurring: false }
+  })).toHaveLength(2);
+  expect(validateRecordWrite({ collection: 'months', id: '2025-10', data: null })).toEqual([]);
+  expect(validateRecordWrite({ collection: 'account', id: 'mystery', data: { value: 1 } })).toHaveLength(1);
+  expect(validateRecordWrite({
+    collection: 'account',
+    id: 'categories',
+    data: { value: [{ id: 'pets', name: 'Pets', emoji: '🐶', color: 'brown', archived: false }] }
+  })).toHaveLength(1);
+  expect(validateRecordWrite({
+    collection: 'account',
+    id: 'categories',
+    data: {
+      value: [
+        { id: 'food', name: 'Food', emoji: '🍕', color: '#ff6b9d', archived: false, parentId: null },
+        { id: 'groceries', name: 'Groceries', emoji: '🛒', color: '#22c55e', archived: false, parentId: 'food' },
+        { id: 'organic', name: 'Organic', emoji: '🥬', color: '#16a34a', archived: false, parentId: 'groceries' }
+      ]
+    }
+  })).toEqual(['category organic: parentId must be the ID of a top-level category']);
+});
+
+test('dates undated expenses from their creation time when it falls in the month', () => {
+  const created = new Date(2025, 9, 14, 12).getTime();
+  const { monthlyBudgets, trash } = migrateBudget({
+    monthlyBudgets: {
+      '2025-10': { income: 0, expenses: [{ id: `${created}-ab12`, name: 'Tea', amount: 3, category: 'food' }] }
+    },
+    trash: {
+      old: { expense: { id: 'old', name: 'Gym', amount: 30, category: 'personal', isRecurring: false }, month: '2025-09', deletedAt: '2025-10-01T00:00:00.000Z' }
+    }
+  }, 2);
+
+  expect(monthlyBudgets['2025-10'].expenses[0].date).toBe('2025-10-14');
+  expect(trash.old.expense.date).toBe('2025-09-01');
+});
+
+test('turns a single income amount into an income entry', () => {
+  const { monthlyBudgets } = migrateBudget({
+    monthlyBudgets: {
+      '2025-09': { income: 0, incomeRecurring: false, incomes: [], categoryLimits: {}, expenses: [] },
+      '2025-10': { income: 3000, incomeRecurring: true, incomes: [], categoryLimits: {}, expenses: [] },
+      '2025-11': {
+        incomes: [{ id: 'side', name: 'Side gig', amount: 200, source: 'freelance', isRecurring: false }],
+        categoryLimits: {},
+        expenses: []
+      }
+    }
+  }, 3);
+
+  expect(monthlyBudgets['2025-09'].incomes).toEqual([]);
+  expect(monthlyBudgets['2025-09']).not.toHaveProperty('income');
+  expect(monthlyBudgets['2025-10'].incomes).toEqual([
+    { id: 'income-2025-10', name: 'Income', amount: 3000, source: 'salary', isRecurring: true }
+  ]);
+  expect(monthlyBudgets['2025-11'].incomes).toHaveLength(1);
+});
+
+test('refuses malformed income entries', () => {
+  const entry = { id: 'pay', name: 'Pay', amount: 100, source: 'salary', isRecurring: false };
+  const month = (incomes) => ({ collection: 'months', id: '2025-10', data: { incomes, categoryLimits: {} } });
+  expect(validateRecordWrite(month([entry]))).toEqual([]);
+  expect(validateRecordWrite(month([entry, entry]))).toHaveLength(1);
+  expect(validateRecordWrite(month([{ ...entry, amount: -5 }]))).toHaveLength(1);
+});
+
+test('turns recurring items of the latest month into monthly recurrence rules', () => {
+  const rent = { id: 'rent', name: 'Rent', amount: 1200, category: 'housing', isRecurring: true, date: '2025-10-31' };
+  const pay = { id: 'pay', name: 'Pay', amount: 3000, source: 'salary', isRecurring: true };
+  const budget = {
+    monthlyBudgets: {
+      '2025-09': { incomes: [], categoryLimits: {}, expenses: [{ ...rent, id: 'old-rent', date: '2025-09-30' }] },
+      '2025-10': { incomes: [pay], categoryLimits: {}, expenses: [rent] }
+    },
+    account: {},
+    trash: {}
+  };
+  const upgraded = migrateBudget(budget, 4);
+
+  expect(upgraded.account.recurrences).toEqual([
+    { id: 'rule-pay', kind: 'income', template: { name: 'Pay', amount: 3000, source: 'salary' }, frequency: 'monthly', startDate: '2025-10-01', endDate: null, count: null, exceptions: [] },
+    { id: 'rule-rent', kind: 'expense', template: { name: 'Rent', amount: 1200, category: 'housing' }, frequency: 'monthly', startDate: '2025-10-31', endDate: null, count: null, exceptions: [] }
+  ]);
+  expect(upgraded.monthlyBudgets['2025-10'].expenses[0].recurrence).toEqual({ ruleId: 'rule-rent', date: '2025-10-31' });
+  expect(upgraded.monthlyBudgets['2025-09'].expenses[0]).toEqual({ ...rent, id: 'old-rent', date: '2025-09-30' });
+  expect(migrateBudget(upgraded, 4)).toEqual(upgraded);
+});
+
+test('refuses malformed recurrence rules', () => {
+  const rule = { id: 'r', kind: 'expense', template: { name: 'Rent', amount: 1200, category: 'housing' }, frequency: 'monthly', startDate: '2025-10-31', endDate: null, count: null, exceptions: [] };
+  const write = (value) => ({ collection: 'account', id: 'recurrences', data: { value } });
+  expect(validateRecordWrite(write([rule]))).toEqual([]);
+  expect(validateRecordWrite(write([{ ...rule, frequency: 'daily' }]))).toHaveLength(1);
+  expect(validateRecordWrite(write([{ ...rule, endDate: '2025-01-01', count: 0 }]))).toHaveLength(2);
+});
+
+test('refuses payees that share a name', () => {
+  const write = (value) => ({ collection: 'account', id: 'payees', data: { value } });
+  expect(validateRecordWrite(write([{ id: 'payee-netflix', name: 'Netflix', aliases: ['netflix', 'netflix inc'] }]))).toEqual([]);
+  expect(validateRecordWrite(write([
+    { id: 'a', name: 'Netflix', aliases: ['netflix'] },
+    { id: 'b', name: 'Streaming', aliases: ['netflix', 'Hulu'] }
+  ]))).toHaveLength(2);
+});
+
+test('refuses malformed exchange rates and currency fields', () => {
+  const rates = (value) => ({ collection: 'account', id: 'exchangeRates', data: { value } });
+  expect(validateRecordWrite(rates({ '2025-10': { EUR: 1.08 } }))).toEqual([]);
+  expect(validateRecordWrite(rates({ '2025-10': { eur: 1.08, JPY: 0 } }))).toHaveLength(2);
+  expect(validateRecordWrite({
+    collection: 'expenses',
+    id: 'a',
+    data: { id: 'a', month: '2025-10', date: '2025-10-03', name: 'Dinner', amount: 16.2, category: 'food', isRecurring: false, currency: 'EUR' }
+  })).toEqual(['Expense a: originalAmount must be a number']);
+});
+
+test('refuses unknown display preferences', () => {
+  const settings = (value) => ({ collection: 'account', id: 'settings', data: { value } });
+  expect(validateRecordWrite(settings({ locale: 'de-DE', currencyDisplay: 'code', decimalStyle: 'space', fiscalYearStartMonth: 4 }))).toEqual([]);
+  expect(validateRecordWrite(settings({ locale: 'xx', currencyDisplay: 'emoji', decimalStyle: 'roman', fiscalYearStartMonth: 13 }))).toHaveLength(4);
+  expect(validateRecordWrite(settings({ budgetingMode: 'envelope' }))).toEqual([]);
+  expect(validateRecordWrite(settings({ budgetingMode: 'zero-based' }))).toHaveLength(1);
+});
+
+test('refuses malformed accounts and transfers', () => {
+  const accounts = (value) => ({ collection: 'account', id: 'accounts', data: { value } });
+  expect(validateRecordWrite(accounts([{ id: 'a', name: 'Everyday', type: 'checking', openingBalance: -20.5 }]))).toEqual([]);
+  expect(validateRecordWrite(accounts([{ id: 'a', name: '', type: 'stocks', openingBalance: '5' }]))).toHaveLength(3);
+
+  const month = (transfers) => ({ collection: 'months', id: '2025-10', data: { incomes: [], categoryLimits: {}, transfers } });
+  expect(validateRecordWrite(month([{ id: 't', date: '2025-10-05', fromAccountId: 'a', toAccountId: 'b', amount: 400 }]))).toEqual([]);
+  expect(validateRecordWrite(month([
+    { id: 't', date: '2025-11-05', fromAccountId: 'a', toAccountId: 'a', amount: 0 },
+    { id: 'u', date: '2025-10-05', fromAccountId: 'a', amount: 5 }
+  ]))).toHaveLength(4);
+});
+
+test('refuses malformed refunds', () => {
+  const write = (data) => ({
+    collection: 'expenses',
+    id: 'r',
+    data: { id: 'r', month: '2025-11', date: '2025-11-02', name: 'Headphones', category: 'shopping', isRecurring: false, ...data }
+  });
+  expect(validateRecordWrite(write({ amount: -80, refundOf: { id: 'a', month: '2025-10' }, refundType: 'refund' }))).toEqual([]);
+  expect(validateRecordWrite(write({
+    amount: -30,
+    refundOf: { id: 'a', month: '2025-10' },
+    refundType: 'refund',
+    splits: [{ category: 'food', amount: -20 }, { category: 'home', amount: -10 }]
+  }))).toEqual([]);
+  expect(validateRecordWrite(write({ amount: 80, refundOf: { id: 'a' }, refundType: 'rebate' }))).toHaveLength(3);
+  expect(validateRecordWrite(write({ amount: 80, reimbursable: 'yes' }))).toEqual(['Expense r: reimbursable must be true or false']);
+});
+
+test('refuses malformed savings goals', () => {
+  const goals = (value) => ({ collection: 'account', id: 'goals', data: { value } });
+  expect(validateRecordWrite(goals([{ id: 'g', name: 'Japan trip', targetAmount: 3000, targetDate: '2026-06-30', categoryId: 'vacation', startMonth: '2025-09' }]))).toEqual([]);
+  expect(validateRecordWrite(goals([{ id: 'g', name: ' ', targetAmount: 0, targetDate: '2026-06', categoryId: '', startMonth: '2025' }]))).toHaveLength(5);
+});
+
+test('refuses malformed debts, debt payments and planner settings', () => {
+  const debts = (value) => ({ collection: 'account', id: 'debts', data: { value } });
+  expect(validateRecordWrite(debts([{ id: 'd', name: 'Visa', balance: 2400, apr: 22.9, minimumPayment: 60, startMonth: '2025-09' }]))).toEqual([]);
+  expect(validateRecordWrite(debts([{ id: 'd', name: '', balance: -1, apr: 120, minimumPayment: '60', startMonth: '2025-9' }]))).toHaveLength(5);
+
+  const payment = (data) => ({
+    collection: 'expenses',
+    id: 'p',
+    data: { id: 'p', month: '2025-10', date: '2025-10-20', name: 'Visa payment', amount: 150, category: 'debt', isRecurring: false, ...data }
+  });
+  expect(validateRecordWrite(payment({ debtId: 'd' }))).toEqual([]);
+  expect(validateRecordWrite(payment({ debtId: '', splits: [{ category: 'debt', amount: 100 }, { category: 'food', amount: 50 }] }))).toHaveLength(2);
+
+  const settings = (value) => ({ collection: 'account', id: 'settings', data: { value } });
+  expect(validateRecordWrite(settings({ debtBudget: 450, debtStrategy: 'snowball' }))).toEqual([]);
+  expect(validateRecordWrite(settings({ debtBudget: -5, debtStrategy: 'random' }))).toHaveLength(2);
+});
@@ -0,0 +1,241 @@
+import { expandSplits, getExpenseCategoryIds } from './expenseSplits';
+
+/**
+ * Categories
+ * Expense categories are defined per account and stored under account.categories:
+ *   [{ id, name, emoji, color, archived, parentId? }]
+ * Accounts that never customised them use DEFAULT_CATEGORIES. Archived categories
+ * keep their history but are no longer offered for new expenses or limits.
+ *
+ * Categories are one level deep: a subcategory has the ID of a top-level category
+ * as its parentId. Expenses and limits can use either level, and a parent's total
+ * includes the spending of its subcategories.
+ */
+
+// Categories every account starts with
+export const DEFAULT_CATEGORIES = [
+  { id: 'food', name: 'Food', emoji: '🍕', color: '#ff6b9d', archived: false },
+  { id: 'housing', name: 'Housing', emoji: '🏠', color: '#00e5ff', archived: false },
+  { id: 'transport', name: 'Transport', emoji: '🚗', color: '#ffd700', archived: false },
+  { id: 'entertainment', name: 'Entertainment', emoji: '🎮', color: '#00ff00', archived: false },
+  { id: 'utilities', name: 'Utilities', emoji: '⚡', color: '#ff6b00', archived: false },
+  { id: 'debt', name: 'Debt', emoji: '💳', color: '#ff4444', archived: false },
+  { id: 'personal', name: 'Personal Care & Recreation', emoji: '💆', color: '#ff69b4', archived: false },
+  { id: 'savings', name: 'Savings', emoji: '💰', color: '#ffd700', archived: false },
+  { id: 'vacation', name: 'Vacation Fund', emoji: '✈️', color: '#00bfff', archived: false },
+  { id: 'other', name: 'Other', emoji: '📦', color: '#c084fc', archived: false }
+];
+
+/**
+ * Gets the account's categories, falling back to the defaults
+ * @param {object} account - Account data
+ * @returns {Array} Category definitions
+ */
+export const getCategories = (account) => account?.categories || DEFAULT_CATEGORIES;
+
+/**
+ * Formats a category for display with its emoji
+ * @param {object} category - Category definition
+ * @returns {string} Label such as "🍕 Food"
+ */
+export const getCategoryLabel = (category) => (
+  category.emoji ? `${category.emoji} ${category.name}` : category.name
+);
+
+/**
+ * Formats a category for dropdowns, indenting subcategories under their parent
+ * @param {object} category - Category definition with a label
+ * @returns {string} Option text
+ */
+export const getCategoryOptionLabel = (category) => (
+  category.parentId ? `\u00A0\u00A0↳ ${category.label}` : category.label
+);
+
+/**
+ * Adds display labels to categories and a placeholder for any ID used by expenses
+ * that is no longer defined (e.g. from an older backup), so totals never lose money
+ * @param {Array} categories - Category definitions
+ * @param {Array} usedIds - Category IDs referenced by expenses
+ * @returns {Array} Categories with a label field
+ */
+export const withCategoryLabels = (categories, usedIds = []) => {
+  const known = new Set(categories.map(cat => cat.id));
+  const missing = [...new Set(usedIds)]
+    .filter(id => !known.has(id))
+    .map(id => ({ id, name: id, emoji: '❓', color: '#999999', archived: true }));
+
+  return [...categories, ...missing].map(cat => ({ ...cat, label: getCategoryLabel(cat) }));
+};
+
+/**
+ * Orders categories as a tree: each top-level category followed by its subcategories
+ * @param {Array} categories - Category definitions
+ * @returns {Array} Reordered copy
+ */
+export const sortCategoryTree = (categories) => {
+  const ids = new Set(categories.map(cat => cat.id));
+  const isTopLevel = (cat) => !cat.parentId || !ids.has(cat.parentId);
+  return categories
+    .filter(isTopLevel)
+    .flatMap(parent => [parent, ...categories.filter(cat => cat.parentId === parent.id && !isTopLevel(cat))]);
+};
+
+/**
+ * Totals spending per category and rolls subcategory spending up into their parents
+ * @param {Array} categories - Category definitions (with labels)
+ * @param {Array} expenses - Expenses to total
+ * @param {object} limits - Limits by category ID
+ * @param {number} base - Amount percentages are relative to (e.g. income)
+ * @returns {Array} Top-level categories with spending, each with its subcategories as children
+ */
+export const getCategoryTotals = (categories, expenses, limits = {}, base = 0) => {
+  const ownTotals = {};
+  // Each line of a split expense counts towards its own category
+  expandSplits(expenses).forEach(expense => {
+    ownTotals[expense.category] = (ownTotals[expense.category] || 0) + parseFloat(expense.amount);
+  });
+
+  /**
+   * Adds spending, limit and percentage figures to a category
+   * @param {object} cat - Category definition
+   * @param {number} total - Spending including subcategories
+   * @returns {object} Category with totals
+   */
+  const toRow = (cat, total) => {
+    const limit = limits[cat.id] || 0;
+    return {
+      ...cat,
+      total,
+      ownTotal: ownTotals[cat.id] || 0,
+      percentage: base > 0 ? (total / base) * 100 : 0,
+      limit,
+      percentOfLimit: limit > 0 ? (total / limit) * 100 : 0,
+      isOverLimit: limit > 0 && total > limit,
+      isNearLimit: limit > 0 && total >= limit * 0.8 && total <= limit
+    };
+  };
+
+  const tree = sortCategoryTree(categories);
+  return tree
+    .filter(cat => !cat.parentId || !categories.some(parent => parent.id === cat.parentId))
+    .map(parent => {
+      const rows = tree
+        .filter(cat => cat.parentId === parent.id)
+        .map(cat => toRow(cat, ownTotals[cat.id] || 0));
+      // A subcategory left below zero by refunds still reduces its parent's total
+      const total = (ownTotals[parent.id] || 0) + rows.reduce((sum, cat) => sum + cat.total, 0);
+      return { ...toRow(parent, total), children: rows.filter(cat => cat.total > 0) };
+    })
+    .filter(cat => cat.total > 0); // Only categories with net spending
+};
+
+/**
+ * Lists every category row of a totals tree, parents before their children
+ * @param {Array} rows - Result of getCategoryTotals
+ * @returns {Array} Flat list of category rows
+ */
+export const flattenCategoryTotals = (rows) => rows.flatMap(row => [row, ...row.children]);
+
+/**
+ * Gets the slices shown when drilling into a parent category: its subcategories,
+ * plus the spending booked on the parent itself
+ * @param {object} row - Top-level row from getCategoryTotals
+ * @param {number} base - Amount percentages are relative to
+ * @returns {Array} Category rows
+ */
+export const getDrillDownRows = (row, base = row.total) => {
+  const toShare = (total) => (base > 0 ? (total / base) * 100 : 0);
+  const children = row.children.map(child => ({ ...child, percentage: toShare(child.total) }));
+  if (row.ownTotal <= 0) return children;
+  return [
+    ...children,
+    { ...row, label: `${row.label} (general)`, total: row.ownTotal, percentage: toShare(row.ownTotal), children: [] }
+  ];
+};
+
+/**
+ * Merges one category into another: every expense (including those in the trash and
+ * recurrence templates), every monthly limit and every savings goal moves to the
+ * target, and the source category is removed.
+ * Limits of both categories in the same month are added together.
+ * @param {object} budget - Budget ({ monthlyBudgets, account, trash })
+ * @param {string} fromId - Category being merged away
+ * @param {string} toId - Category that receives everything
+ * @returns {object} Updated budget
+ */
+export const mergeCategories = (budget, fromId, toId) => {
+  if (fromId === toId) return budget;
+
+  const reassign = (expense) => {
+    if (!getExpenseCategoryIds(expense).includes(fromId)) return expense;
+    const moved = { ...expense, category: expense.category === fromId ? toId : expense.category };
+    if (expense.splits) {
+      moved.splits = expense.splits.map(line => (line.category === fromId ? { ...line, category: toId } : line));
+    }
+    return moved;
+  };
+
+  const monthlyBudgets = {};
+  Object.keys(budget.monthlyBudgets).forEach(month => {
+    const monthData = budget.monthlyBudgets[month];
+    const { [fromId]: movedLimit, ...categoryLimits } = monthData.categoryLimits || {};
+    if (movedLimit > 0) categoryLimits[toId] = (categoryLimits[toId] || 0) + movedLimit;
+
+    monthlyBudgets[month] = {
+      ...monthData,
+      categoryLimits,
+      expenses: (monthData.expenses || []).map(reassign)
+    };
+  });
+
+  const trash = {};
+  Object.keys(budget.trash || {}).forEach(id => {
+    const item = budget.trash[id];
+    trash[id] = { ...item, expense: reassign(item.expense) };
+  });
+
+  // Subcategories of the merged category move under the target's top-level category;
+  // if the target was one of them it becomes top-level itself
+  const categories = getCategories(budget.account);
+  const target = categories.find(cat => cat.id === toId);
+  const newParentId = !target?.parentId || target.parentId === fromId ? toId : target.parentId;
+
+  return {
+    ...budget,
+    monthlyBudgets,
+    trash,
+    account: {
+      ...budget.account,
+      ...(budget.account.recurrences && {
+        recurrences: budget.account.recurrences.map(rule => (
+          rule.kind === 'expense' ? { ...rule, template: reassign(rule.template) } : rule
+        ))
+      }),
+      ...(budget.account.goals && {
+        goals: budget.account.goals.map(goal => (goal.categoryId === fromId ? { ...goal, categoryId: toId } : goal))
+      }),
+      categories: categories
+        .filter(cat => cat.id !== fromId)
+        .map(cat => {
+          if (cat.parentId !== fromId) return cat;
+          if (cat.id === toId) return { ...cat, parentId: null };
+          return { ...cat, parentId: newParentId };
+        })
+    }
+  };
+};
+
+/**
+ * Counts how many expenses (including trashed ones) use a category
+ * @param {object} budget - Budget ({ monthlyBudgets, account, trash })
+ * @param {string} categoryId - Category ID
+ * @returns {number} Number of expenses
+ */
+export const countCategoryExpenses = (budget, categoryId) => {
+  const live = Object.values(budget.monthlyBudgets)
+    .flatMap(monthData => monthData.expenses || [])
+    .filter(expense => getExpenseCategoryIds(expense).includes(categoryId)).length;
+  const trashed = Object.values(budget.trash || {})
+    .filter(item => getExpenseCategoryIds(item.expense).includes(categoryId)).length;
+  return live + trashed;
+};
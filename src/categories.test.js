@@ -0,0 +1,126 @@
+import {
+  DEFAULT_CATEGORIES,
+  getCategories,
+  withCategoryLabels,
+  sortCategoryTree,
+  getCategoryTotals,
+  flattenCategoryTotals,
+  getDrillDownRows,
+  mergeCategories,
+  countCategoryExpenses
+} from './categories';
+
+const budget = {
+  monthlyBudgets: {
+    '2025-09': {
+      incomes: [],
+      categoryLimits: { vacation: 200, other: 50 },
+      expenses: [{ id: 'a', name: 'Flights', amount: 300, category: 'vacation', isRecurring: false, date: '2025-09-02' }]
+    },
+    '2025-10': {
+      incomes: [],
+      categoryLimits: { vacation: 100 },
+      expenses: [{ id: 'b', name: 'Tea', amount: 3, category: 'food', isRecurring: false, date: '2025-10-01' }]
+    }
+  },
+  account: {},
+  trash: {
+    c: { expense: { id: 'c', name: 'Hotel', amount: 90, category: 'vacation', isRecurring: false, date: '2025-09-05' }, month: '2025-09', deletedAt: '2025-10-01T00:00:00.000Z' }
+  }
+};
+
+test('accounts without custom categories use the defaults', () => {
+  expect(getCategories({})).toBe(DEFAULT_CATEGORIES);
+  expect(withCategoryLabels(DEFAULT_CATEGORIES)[0].label).toBe('🍕 Food');
+});
+
+test('unknown category IDs get an archived placeholder', () => {
+  const labelled = withCategoryLabels(DEFAULT_CATEGORIES, ['food', 'pets']);
+  expect(labelled).toHaveLength(DEFAULT_CATEGORIES.length + 1);
+  expect(labelled[labelled.length - 1]).toMatchObject({ id: 'pets', archived: true });
+});
+
+test('merging moves expenses, trash and limits to the target category', () => {
+  const merged = mergeCategories(budget, 'vacation', 'other');
+
+  expect(merged.monthlyBudgets['2025-09'].expenses[0].category).toBe('other');
+  expect(merged.monthlyBudgets['2025-09'].categoryLimits).toEqual({ other: 250 });
+  expect(merged.monthlyBudgets['2025-10'].categoryLimits).toEqual({ other: 100 });
+  expect(merged.monthlyBudgets['2025-10'].expenses[0]).toBe(budget.monthlyBudgets['2025-10'].expenses[0]);
+  expect(merged.trash.c.expense.category).toBe('other');
+  expect(merged.account.categories.map(cat => cat.id)).not.toContain('vacation');
+  expect(countCategoryExpenses(merged, 'other')).toBe(2);
+});
+
+test('merging moves savings goals to the target category', () => {
+  const goals = [{ id: 'g', name: 'Japan trip', targetAmount: 3000, targetDate: '2026-06-30', categoryId: 'vacation' }];
+  const merged = mergeCategories({ ...budget, account: { goals } }, 'vacation', 'other');
+  expect(merged.account.goals[0].categoryId).toBe('other');
+  expect(mergeCategories(budget, 'vacation', 'other').account).not.toHaveProperty('goals');
+});
+
+const food = { id: 'food', name: 'Food', emoji: '🍕', color: '#ff6b9d', archived: false };
+const groceries = { id: 'groceries', name: 'Groceries', emoji: '🛒', color: '#22c55e', archived: false, parentId: 'food' };
+const dining = { id: 'dining', name: 'Dining out', emoji: '🍽️', color: '#f97316', archived: false, parentId: 'food' };
+const housing = { id: 'housing', name: 'Housing', emoji: '🏠', color: '#00e5ff', archived: false };
+const tree = withCategoryLabels([groceries, housing, food, dining]);
+
+test('orders subcategories under their parent', () => {
+  expect(sortCategoryTree(tree).map(cat => cat.id)).toEqual(['housing', 'food', 'groceries', 'dining']);
+});
+
+test('rolls subcategory spending and limits up into the parent', () => {
+  const expenses = [
+    { id: '1', amount: 60, category: 'groceries' },
+    { id: '2', amount: 30, category: 'dining' },
+    { id: '3', amount: 10, category: 'food' }
+  ];
+  const [foodRow] = getCategoryTotals(tree, expenses, { food: 90, dining: 25 }, 1000);
+
+  expect(foodRow).toMatchObject({ id: 'food', total: 100, ownTotal: 10, percentage: 10, isOverLimit: true });
+  expect(foodRow.children.map(child => [child.id, child.total])).toEqual([['groceries', 60], ['dining', 30]]);
+  expect(flattenCategoryTotals([foodRow]).filter(cat => cat.isOverLimit).map(cat => cat.id)).toEqual(['food', 'dining']);
+
+  const slices = getDrillDownRows(foodRow);
+  expect(slices.map(slice => [slice.label, slice.percentage])).toEqual([
+    ['🛒 Groceries', 60],
+    ['🍽️ Dining out', 30],
+    ['🍕 Food (general)', 10]
+  ]);
+});
+
+test('refunds net against their category and its parent', () => {
+  const expenses = [
+    { id: '1', amount: 60, category: 'groceries' },
+    { id: '2', amount: -20, category: 'dining', refundOf: { id: 'x', month: '2025-09' }, refundType: 'refund' },
+    { id: '3', amount: -15, category: 'groceries', refundOf: { id: '1', month: '2025-10' }, refundType: 'refund' }
+  ];
+  const [foodRow] = getCategoryTotals(tree, expenses, { groceries: 50 }, 100);
+
+  expect(foodRow).toMatchObject({ id: 'food', total: 25 });
+  expect(foodRow.children.map(child => [child.id, child.total, child.isOverLimit])).toEqual([['groceries', 45, false]]);
+  expect(getCategoryTotals(tree, [expenses[1]])).toEqual([]);
+});
+
+test('merging a parent moves its subcategories to the target', () => {
+  const merged = mergeCategories({ ...budget, account: { categories: [food, groceries, dining, housing] } }, 'food', 'housing');
+  expect(merged.account.categories.map(cat => [cat.id, cat.parentId])).toEqual([
+    ['groceries', 'housing'],
+    ['dining', 'housing'],
+    ['housing', undefined]
+  ]);
+
+  const intoChild = mergeCategories({ ...budget, account: { categories: [food, groceries, dining] } }, 'food', 'groceries');
+  expect(intoChild.account.categories.map(cat => [cat.id, cat.parentId])).toEqual([['groceries', null], ['dining', 'groceries']]);
+});
+
+test('merging reassigns split lines too', () => {
+  const split = { id: 's', name: 'Costco', amount: 50, category: 'vacation', isRecurring: false, date: '2025-10-02', splits: [{ category: 'vacation', amount: 30 }, { category: 'food', amount: 20 }] };
+  const withSplit = { ...budget, monthlyBudgets: { '2025-10': { ...budget.monthlyBudgets['2025-10'], expenses: [split] } } };
+  const merged = mergeCategories(withSplit, 'vacation', 'other');
+  expect(merged.monthlyBudgets['2025-10'].expenses[0]).toMatchObject({
+    category: 'other',
+    splits: [{ category: 'other', amount: 30 }, { category: 'food', amount: 20 }]
+  });
+  expect(countCategoryExpenses(withSplit, 'food')).toBe(1);
+});
@@ -0,0 +1,201 @@
+import { scaleSplits } from './expenseSplits';
+
+/**
+ * Currency
+ * Every account has a base currency (settings.baseCurrency) that all totals, limits
+ * and Insights use. An expense paid in another currency keeps what was paid and
+ * stores the converted value in amount, so the rest of the app only sees base amounts:
+ *   { ..., amount: 16.2, currency: 'EUR', originalAmount: 15 }
+ * Rates are entered by hand per month in account.exchangeRates, as base units per
+ * unit of the other currency:
+ *   { '2025-10': { EUR: 1.08, JPY: 0.0067 } }
+ * A month without its own rate uses the latest earlier month's.
+ */
+
+// Currencies offered in pickers
+export const CURRENCIES = [
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' },
+  { code: 'JPY', name: 'Japanese Yen' },
+  { code: 'CAD', name: 'Canadian Dollar' },
+  { code: 'AUD', name: 'Australian Dollar' },
+  { code: 'NZD', name: 'New Zealand Dollar' },
+  { code: 'CHF', name: 'Swiss Franc' },
+  { code: 'CNY', name: 'Chinese Yuan' },
+  { code: 'HKD', name: 'Hong Kong Dollar' },
+  { code: 'SGD', name: 'Singapore Dollar' },
+  { code: 'KRW', name: 'South Korean Won' },
+  { code: 'INR', name: 'Indian Rupee' },
+  { code: 'MXN', name: 'Mexican Peso' },
+  { code: 'BRL', name: 'Brazilian Real' },
+  { code: 'ZAR', name: 'South African Rand' },
+  { code: 'SEK', name: 'Swedish Krona' },
+  { code: 'NOK', name: 'Norwegian Krone' },
+  { code: 'DKK', name: 'Danish Krone' },
+  { code: 'PLN', name: 'Polish Złoty' }
+];
+
+/**
+ * Gets the exchange-rate table
+ * @param {object} account - Account-wide data
+ * @returns {object} Rates by month key, then currency code
+ */
+export const getExchangeRates = (account) => account?.exchangeRates || {};
+
+/**
+ * Rounds an amount to whole cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Finds the rate for a currency in a month
+ * @param {object} rates - Exchange-rate table
+ * @param {string} month - Month key
+ * @param {string} currency - Currency code
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object|null} { rate, month } with the month the rate was entered for, or null if there is none yet
+ */
+export const getExchangeRate = (rates, month, currency, baseCurrency) => {
+  if (currency === baseCurrency) return { rate: 1, month };
+
+  const fromMonth = Object.keys(rates)
+    .filter(key => key <= month && rates[key][currency] > 0)
+    .sort()
+    .pop();
+  return fromMonth ? { rate: rates[fromMonth][currency], month: fromMonth } : null;
+};
+
+/**
+ * Converts an expense entered in some currency into the base currency
+ * The expense's amount (and split lines) are in the given currency; a base-currency
+ * expense loses any currency fields it had.
+ * @param {object} expense - Expense with amounts in the entered currency
+ * @param {string} currency - Currency the amounts were entered in
+ * @param {number} rate - Base units per unit of the currency
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object} Expense ready to save
+ */
+export const applyCurrency = (expense, currency, rate, baseCurrency) => {
+  const { currency: _currency, originalAmount: _original, ...rest } = expense;
+  if (!currency || currency === baseCurrency) return rest;
+
+  const amount = toCents(expense.amount * rate);
+  return {
+    ...rest,
+    amount,
+    currency,
+    originalAmount: expense.amount,
+    ...(expense.splits && { splits: scaleSplits(expense.splits, rate, amount) })
+  };
+};
+
+/**
+ * Converts a saved expense's amounts back into the currency it was paid in, for editing
+ * @param {object} expense - Saved expense
+ * @returns {object} Expense with amount (and split lines) in its own currency
+ */
+export const toOriginalAmounts = (expense) => {
+  if (!expense.currency) return expense;
+  const ratio = expense.amount > 0 ? expense.originalAmount / expense.amount : 0;
+  return {
+    ...expense,
+    amount: expense.originalAmount,
+    ...(expense.splits && { splits: scaleSplits(expense.splits, ratio, expense.originalAmount) })
+  };
+};
+
+/**
+ * Converts a foreign-currency expense with the rate for a month
+ * @param {object} expense - Saved expense
+ * @param {object} rates - Exchange-rate table
+ * @param {string} month - Month key the rate is looked up for
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object} Converted expense, or the same expense if it is in the base currency,
+ *   has no rate yet or already matches
+ */
+export const convertAtMonthRate = (expense, rates, month, baseCurrency) => {
+  if (!expense.currency) return expense;
+  const found = getExchangeRate(rates, month, expense.currency, baseCurrency);
+  const amount = found && toCents(expense.originalAmount * found.rate);
+  if (!found || amount === expense.amount) return expense;
+
+  return {
+    ...expense,
+    amount,
+    ...(expense.splits && { splits: scaleSplits(expense.splits, amount / expense.amount, amount) })
+  };
+};
+
+/**
+ * Re-converts every foreign-currency expense with the current rate table
+ * Run after the rates change; expenses whose currency has no rate yet are left alone.
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object} New budget, or the same budget if nothing changed
+ */
+export const applyExchangeRates = (budget, baseCurrency) => {
+  const rates = getExchangeRates(budget.account);
+  let changed = false;
+  const monthlyBudgets = {};
+
+  Object.keys(budget.monthlyBudgets).forEach(month => {
+    const monthData = budget.monthlyBudgets[month];
+    let monthChanged = false;
+    const expenses = (monthData.expenses || []).map(expense => {
+      const converted = convertAtMonthRate(expense, rates, month, baseCurrency);
+      monthChanged = monthChanged || converted !== expense;
+      return converted;
+    });
+    monthlyBudgets[month] = monthChanged ? { ...monthData, expenses } : monthData;
+    changed = changed || monthChanged;
+  });
+
+  return changed ? { ...budget, monthlyBudgets } : budget;
+};
+
+// Account-wide data holding amounts or rates in the base currency
+const ACCOUNT_AMOUNT_KEYS = ['exchangeRates', 'recurrences', 'accounts', 'goals', 'debts'];
+
+/**
+ * Checks whether the base currency can still be changed
+ * Amounts, limits and rates are all kept in the base currency and nothing converts
+ * them, so it is fixed once anything with an amount has been entered.
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @returns {boolean} True while nothing is stored in the base currency
+ */
+export const canChangeBaseCurrency = (budget) => (
+  Object.values(budget.monthlyBudgets).every(monthData => (
+    ['incomes', 'expenses', 'transfers'].every(key => (monthData[key] || []).length === 0)
+    && Object.keys(monthData.categoryLimits || {}).length === 0
+  ))
+  && ACCOUNT_AMOUNT_KEYS.every(key => Object.keys(budget.account[key] || {}).length === 0)
+  && Object.keys(budget.trash).length === 0
+);
+
+/**
+ * Lists the currencies expenses were paid in, other than the base currency
+ * @param {object} monthlyBudgets - Budget data by month
+ * @returns {Array} Currency codes, alphabetically
+ */
+export const getUsedCurrencies = (monthlyBudgets) => [...new Set(
+  Object.values(monthlyBudgets).flatMap(monthData => (monthData.expenses || []).map(expense => expense.currency).filter(Boolean))
+)].sort();
+
+/**
+ * Sets or clears one rate in the table
+ * @param {object} rates - Exchange-rate table
+ * @param {string} month - Month key
+ * @param {string} currency - Currency code
+ * @param {number|null} rate - New rate, or null to remove it
+ * @returns {object} New table (months left without rates are removed)
+ */
+export const setExchangeRate = (rates, month, currency, rate) => {
+  const { [currency]: _previous, ...monthRates } = rates[month] || {};
+  if (rate > 0) monthRates[currency] = rate;
+
+  const { [month]: _month, ...others } = rates;
+  return Object.keys(monthRates).length > 0 ? { ...others, [month]: monthRates } : others;
+};
@@ -0,0 +1,68 @@
+import {
+  getExchangeRate,
+  applyCurrency,
+  toOriginalAmounts,
+  convertAtMonthRate,
+  applyExchangeRates,
+  canChangeBaseCurrency,
+  getUsedCurrencies,
+  setExchangeRate
+} from './currency';
+
+const rates = { '2025-09': { EUR: 1.1, JPY: 0.0068 }, '2025-10': { EUR: 1.08 } };
+
+test('finds a month\'s rate or the latest earlier one', () => {
+  expect(getExchangeRate(rates, '2025-10', 'EUR', 'USD')).toEqual({ rate: 1.08, month: '2025-10' });
+  expect(getExchangeRate(rates, '2025-11', 'JPY', 'USD')).toEqual({ rate: 0.0068, month: '2025-09' });
+  expect(getExchangeRate(rates, '2025-08', 'EUR', 'USD')).toBeNull();
+  expect(getExchangeRate(rates, '2025-08', 'USD', 'USD')).toEqual({ rate: 1, month: '2025-08' });
+});
+
+test('converts an expense into the base currency, keeping what was paid', () => {
+  const expense = { id: 'a', name: 'Dinner', amount: 15, category: 'food', isRecurring: false, date: '2025-10-02' };
+  expect(applyCurrency(expense, 'EUR', 1.08, 'USD')).toEqual({ ...expense, amount: 16.2, currency: 'EUR', originalAmount: 15 });
+  expect(applyCurrency({ ...expense, currency: 'EUR', originalAmount: 15 }, 'USD', 1, 'USD')).toEqual(expense);
+
+  const split = applyCurrency(
+    { ...expense, amount: 10, splits: [{ category: 'food', amount: 3.33 }, { category: 'personal', amount: 6.67 }] },
+    'EUR', 1.1, 'USD'
+  );
+  expect(split.splits.map(line => line.amount)).toEqual([3.66, 7.34]);
+  expect(toOriginalAmounts(split).splits.map(line => line.amount)).toEqual([3.33, 6.67]);
+});
+
+test('re-converts foreign expenses when the rates change', () => {
+  const budget = {
+    monthlyBudgets: {
+      '2025-10': {
+        expenses: [
+          { id: 'a', name: 'Dinner', amount: 16.2, category: 'food', date: '2025-10-02', currency: 'EUR', originalAmount: 15 },
+          { id: 'b', name: 'Ramen', amount: 6.8, category: 'food', date: '2025-10-03', currency: 'KRW', originalAmount: 9000 },
+          { id: 'c', name: 'Tea', amount: 3, category: 'food', date: '2025-10-04' }
+        ]
+      }
+    },
+    account: { exchangeRates: setExchangeRate(rates, '2025-10', 'EUR', 1.2) },
+    trash: {}
+  };
+  const converted = applyExchangeRates(budget, 'USD');
+  expect(converted.monthlyBudgets['2025-10'].expenses.map(exp => exp.amount)).toEqual([18, 6.8, 3]);
+  expect(applyExchangeRates(converted, 'USD')).toBe(converted);
+  // An amount in the base currency itself needs no rate
+  const euro = { id: 'd', name: 'Dinner', amount: 16.2, category: 'food', date: '2025-08-02', currency: 'EUR', originalAmount: 15 };
+  expect(convertAtMonthRate(euro, rates, '2025-08', 'USD')).toBe(euro);
+  expect(convertAtMonthRate(euro, rates, '2025-08', 'EUR').amount).toBe(15);
+  expect(getUsedCurrencies(budget.monthlyBudgets)).toEqual(['EUR', 'KRW']);
+});
+
+test('clearing the last rate of a month removes the month', () => {
+  expect(setExchangeRate(rates, '2025-10', 'EUR', null)).toEqual({ '2025-09': rates['2025-09'] });
+  expect(setExchangeRate({}, '2025-11', 'GBP', 1.3)).toEqual({ '2025-11': { GBP: 1.3 } });
+});
+
+test('the base currency is fixed once anything is stored in it', () => {
+  const empty = { monthlyBudgets: { '2025-10': { incomes: [], expenses: [], categoryLimits: {} } }, account: { settings: { baseCurrency: 'USD' } }, trash: {} };
+  expect(canChangeBaseCurrency(empty)).toBe(true);
+  expect(canChangeBaseCurrency({ ...empty, monthlyBudgets: { '2025-10': { incomes: [], expenses: [], categoryLimits: { food: 100 } } } })).toBe(false);
+  expect(canChangeBaseCurrency({ ...empty, account: { exchangeRates: { '2025-10': { EUR: 1.1 } } } })).toBe(false);
+});
@@ -0,0 +1,199 @@
+import { addMonthsToMonth } from './recurrence';
+
+/**
+ * Debts
+ * Cards and loans being paid off, stored in account.debts:
+ *   [{ id, name: 'Visa', balance: 2400, apr: 22.9, minimumPayment: 60, startMonth: '2025-09' }]
+ * balance is what was owed at the start of startMonth. Expenses in the debt category
+ * that name a debt in debtId are payments against it:
+ *   { id, name: 'Visa payment', amount: 150, category: 'debt', date: '2025-10-20', debtId: 'debt-…' }
+ * Each month interest is added to the balance (APR / 12) and that month's payments
+ * come off it. The planner continues the same way into the future, paying a fixed
+ * monthly amount across all debts in the order a strategy picks.
+ */
+
+// Category whose expenses (and its subcategories') can be debt payments
+export const DEBT_CATEGORY_ID = 'debt';
+
+// Orders in which money beyond the minimum payments is put towards debts
+export const DEBT_STRATEGIES = [
+  { id: 'avalanche', name: 'Avalanche', emoji: '🏔️', description: 'Highest interest rate first: the least interest paid' },
+  { id: 'snowball', name: 'Snowball', emoji: '⛄', description: 'Smallest balance first: debts disappear soonest' }
+];
+
+// Longest plan simulated, in months
+const MAX_PLAN_MONTHS = 600;
+
+/**
+ * Rounds to whole cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Gets the stored debts
+ * @param {object} account - Account-wide data
+ * @returns {Array} Debts, in display order
+ */
+export const getDebts = (account) => account?.debts || [];
+
+/**
+ * Creates a debt
+ * @param {string} id - New debt ID
+ * @param {object} fields - { name, balance, apr, minimumPayment, startMonth }
+ * @returns {object} Debt
+ */
+export const createDebt = (id, { name, balance, apr, minimumPayment, startMonth }) => ({
+  id,
+  name: name.trim(),
+  balance,
+  apr,
+  minimumPayment,
+  startMonth
+});
+
+/**
+ * Checks whether expenses in a category can pay off a debt
+ * @param {Array} categories - Category definitions
+ * @param {string} categoryId - Category ID
+ * @returns {boolean} True for the debt category and its subcategories
+ */
+export const isDebtCategory = (categories, categoryId) => (
+  categoryId === DEBT_CATEGORY_ID
+  || categories.some(cat => cat.id === categoryId && cat.parentId === DEBT_CATEGORY_ID)
+);
+
+/**
+ * Gets the debt link an expense may carry
+ * Only unsplit expenses in the debt category (or a subcategory) pay off a debt, and
+ * only a debt that still exists.
+ * @param {object} expense - Expense fields ({ category, splits })
+ * @param {string} debtId - Debt the expense is meant to pay ('' or undefined for none)
+ * @param {Array} categories - Category definitions
+ * @param {Array} debts - Stored debts
+ * @returns {object} { debtId } to spread into the expense, or nothing
+ */
+export const getDebtLink = (expense, debtId, categories, debts) => (
+  debtId && !expense.splits && isDebtCategory(categories, expense.category) && debts.some(debt => debt.id === debtId)
+    ? { debtId }
+    : {}
+);
+
+/**
+ * Totals the payments made against a debt in each month
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {string} debtId - Debt ID
+ * @returns {object} Amount paid by month key, only months with payments
+ */
+export const getDebtPayments = (monthlyBudgets, debtId) => {
+  const payments = {};
+  Object.keys(monthlyBudgets).forEach(month => {
+    const paid = (monthlyBudgets[month].expenses || [])
+      .filter(expense => expense.debtId === debtId)
+      .reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
+    if (paid !== 0) payments[month] = roundCents(paid);
+  });
+  return payments;
+};
+
+/**
+ * Works out what is owed on a debt at the end of a month from its payments so far
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {object} debt - Debt
+ * @param {string} throughMonth - Last month to include ("YYYY-MM")
+ * @returns {object} { balance, paid, interest } since the debt's start month
+ */
+export const getDebtBalance = (monthlyBudgets, debt, throughMonth) => {
+  const payments = getDebtPayments(monthlyBudgets, debt.id);
+  let balance = debt.balance;
+  let paid = 0;
+  let interest = 0;
+  for (let month = debt.startMonth; month <= throughMonth; month = addMonthsToMonth(month, 1)) {
+    const charged = roundCents(Math.max(0, balance) * debt.apr / 1200);
+    const payment = payments[month] || 0;
+    interest += charged;
+    paid += payment;
+    balance = roundCents(balance + charged - payment);
+  }
+  return { balance: Math.max(0, balance), paid: roundCents(paid), interest: roundCents(interest) };
+};
+
+/**
+ * Orders debts for a strategy
+ * @param {Array} debts - Debts with their current balance
+ * @param {string} strategy - Strategy ID
+ * @returns {Array} Debts in the order extra money goes to them
+ */
+const orderDebts = (debts, strategy) => [...debts].sort((a, b) => (
+  strategy === 'snowball'
+    ? a.balance - b.balance || b.apr - a.apr
+    : b.apr - a.apr || a.balance - b.balance
+));
+
+/**
+ * Simulates paying off debts month by month
+ * Every month interest is added, each debt gets its minimum payment and whatever is
+ * left of the monthly amount goes to debts in strategy order. A paid-off debt's
+ * minimum then rolls into the others. The monthly amount is never less than the
+ * minimums due.
+ * @param {Array} debts - Debts with the balance to start from
+ * @param {number} monthlyAmount - Money put towards debts each month
+ * @param {string} strategy - Strategy ID ("avalanche" or "snowball")
+ * @param {string} firstMonth - First month to pay ("YYYY-MM")
+ * @returns {object} { schedule: [{ month, total, balances }], payoffMonths, totalInterest,
+ *   totalPaid, debtFreeMonth, isComplete, monthlyPayment }; isComplete is false when
+ *   the payments never catch up with the interest
+ */
+export const simulatePayoff = (debts, monthlyAmount, strategy, firstMonth) => {
+  const order = orderDebts(debts.filter(debt => debt.balance > 0), strategy);
+  const balances = {};
+  order.forEach(debt => { balances[debt.id] = debt.balance; });
+  const monthlyPayment = Math.max(monthlyAmount, order.reduce((sum, debt) => sum + debt.minimumPayment, 0));
+  const schedule = [];
+  const payoffMonths = {};
+  let totalInterest = 0;
+  let totalPaid = 0;
+  let total = order.reduce((sum, debt) => sum + debt.balance, 0);
+
+  for (let index = 0; total > 0 && index < MAX_PLAN_MONTHS; index++) {
+    const month = addMonthsToMonth(firstMonth, index);
+    const open = order.filter(debt => balances[debt.id] > 0);
+    let available = monthlyPayment;
+
+    for (const debt of open) {
+      const charged = roundCents(balances[debt.id] * debt.apr / 1200);
+      balances[debt.id] = roundCents(balances[debt.id] + charged);
+      totalInterest += charged;
+    }
+    // Minimums first, then whatever is left in strategy order
+    for (const pass of ['minimum', 'extra']) {
+      for (const debt of open) {
+        const amount = pass === 'minimum' ? debt.minimumPayment : available;
+        const payment = roundCents(Math.min(balances[debt.id], amount, available));
+        balances[debt.id] = roundCents(balances[debt.id] - payment);
+        available = roundCents(available - payment);
+        totalPaid += payment;
+      }
+    }
+    for (const debt of open) {
+      if (balances[debt.id] === 0) payoffMonths[debt.id] = month;
+    }
+
+    const newTotal = roundCents(Object.values(balances).reduce((sum, balance) => sum + balance, 0));
+    schedule.push({ month, total: newTotal, balances: { ...balances } });
+    if (newTotal >= total) break; // Interest outgrows the payments: never paid off
+    total = newTotal;
+  }
+
+  const isComplete = Object.values(balances).every(balance => balance === 0);
+  return {
+    schedule,
+    payoffMonths,
+    totalInterest: roundCents(totalInterest),
+    totalPaid: roundCents(totalPaid),
+    debtFreeMonth: isComplete ? schedule[schedule.length - 1]?.month || null : null,
+    isComplete,
+    monthlyPayment
+  };
+};
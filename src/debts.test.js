@@ -0,0 +1,78 @@
+import { createDebt, isDebtCategory, getDebtLink, getDebtPayments, getDebtBalance, simulatePayoff } from './debts';
+
+const visa = createDebt('visa', { name: ' Visa ', balance: 1200, apr: 24, minimumPayment: 50, startMonth: '2025-09' });
+const car = createDebt('car', { name: 'Car loan', balance: 3000, apr: 6, minimumPayment: 100, startMonth: '2025-09' });
+
+const monthlyBudgets = {
+  '2025-09': {
+    expenses: [
+      { id: 'p1', name: 'Visa payment', amount: 212, category: 'debt', debtId: 'visa' },
+      { id: 'p2', name: 'Car payment', amount: 100, category: 'debt', debtId: 'car' }
+    ]
+  },
+  '2025-10': {
+    expenses: [
+      { id: 'p3', name: 'Visa payment', amount: 209.76, category: 'debt', debtId: 'visa' },
+      { id: 'lunch', name: 'Lunch', amount: 12, category: 'food' }
+    ]
+  }
+};
+
+test('the debt category and its subcategories hold payments', () => {
+  const categories = [{ id: 'debt' }, { id: 'cards', parentId: 'debt' }, { id: 'food' }];
+  expect(isDebtCategory(categories, 'debt')).toBe(true);
+  expect(isDebtCategory(categories, 'cards')).toBe(true);
+  expect(isDebtCategory(categories, 'food')).toBe(false);
+  expect(visa.name).toBe('Visa');
+});
+
+test('only unsplit expenses in a debt category keep their link to an existing debt', () => {
+  const categories = [{ id: 'debt' }, { id: 'cards', parentId: 'debt' }, { id: 'food' }];
+  const debts = [visa, car];
+  expect(getDebtLink({ category: 'cards' }, 'visa', categories, debts)).toEqual({ debtId: 'visa' });
+  expect(getDebtLink({ category: 'food' }, 'visa', categories, debts)).toEqual({});
+  expect(getDebtLink({ category: 'debt', splits: [{ category: 'debt', amount: 10 }] }, 'visa', categories, debts)).toEqual({});
+  expect(getDebtLink({ category: 'debt' }, 'gone', categories, debts)).toEqual({});
+  expect(getDebtLink({ category: 'debt' }, '', categories, debts)).toEqual({});
+});
+
+test('payments are linked expenses, totalled by month', () => {
+  expect(getDebtPayments(monthlyBudgets, 'visa')).toEqual({ '2025-09': 212, '2025-10': 209.76 });
+  expect(getDebtPayments(monthlyBudgets, 'car')).toEqual({ '2025-09': 100 });
+});
+
+test('balances add monthly interest and take off payments', () => {
+  // 1200 + 24 - 212 = 1012, then 1012 + 20.24 - 209.76 = 822.48
+  expect(getDebtBalance(monthlyBudgets, visa, '2025-09')).toEqual({ balance: 1012, paid: 212, interest: 24 });
+  expect(getDebtBalance(monthlyBudgets, visa, '2025-10')).toEqual({ balance: 822.48, paid: 421.76, interest: 44.24 });
+  // 3000 + 15 - 100 = 2915, then no payment in October: 2915 + 14.58
+  expect(getDebtBalance(monthlyBudgets, car, '2025-10').balance).toBe(2929.58);
+  expect(getDebtBalance(monthlyBudgets, car, '2025-08').balance).toBe(3000);
+});
+
+test('avalanche pays the highest rate first and snowball the smallest balance', () => {
+  const small = { id: 'small', balance: 500, apr: 5, minimumPayment: 25 };
+  const costly = { id: 'costly', balance: 2000, apr: 25, minimumPayment: 50 };
+  const avalanche = simulatePayoff([small, costly], 400, 'avalanche', '2025-11');
+  const snowball = simulatePayoff([small, costly], 400, 'snowball', '2025-11');
+
+  expect(snowball.schedule[0].balances.small).toBeLessThan(avalanche.schedule[0].balances.small);
+  expect(avalanche.schedule[0].balances.costly).toBeLessThan(snowball.schedule[0].balances.costly);
+  expect(snowball.payoffMonths.small < avalanche.payoffMonths.small).toBe(true);
+  expect(avalanche.totalInterest).toBeLessThan(snowball.totalInterest);
+  expect(avalanche.isComplete && snowball.isComplete).toBe(true);
+  expect(avalanche.debtFreeMonth).toBe(avalanche.schedule[avalanche.schedule.length - 1].month);
+  expect(avalanche.totalPaid).toBeCloseTo(2500 + avalanche.totalInterest, 2);
+});
+
+test('the monthly amount is at least the minimums, and payments that lose to interest never finish', () => {
+  const plan = simulatePayoff([{ id: 'a', balance: 100, apr: 0, minimumPayment: 40 }], 0, 'avalanche', '2025-11');
+  expect(plan.monthlyPayment).toBe(40);
+  expect(plan.schedule.map(row => row.total)).toEqual([60, 20, 0]);
+  expect(plan.debtFreeMonth).toBe('2026-01');
+
+  const stuck = simulatePayoff([{ id: 'b', balance: 10000, apr: 30, minimumPayment: 100 }], 100, 'snowball', '2025-11');
+  expect(stuck.isComplete).toBe(false);
+  expect(stuck.debtFreeMonth).toBeNull();
+  expect(stuck.schedule).toHaveLength(1);
+});
@@ -0,0 +1,187 @@
+import { getMonthIncome } from './income';
+
+/**
+ * Display Format
+ * Per-user preferences for how amounts, months and dates are shown, kept in the
+ * account settings next to the base currency:
+ *   { locale: 'en-GB', currencyDisplay: 'code', decimalStyle: 'comma', fiscalYearStartMonth: 4 }
+ * The locale picks month names and the number layout; decimalStyle can override the
+ * locale's separators. The fiscal year starts on the first of fiscalYearStartMonth
+ * (1 = January) and is named after the calendar year it starts in.
+ */
+
+// Languages and regions offered in Settings
+export const LOCALES = [
+  { code: 'en-US', name: 'English (United States)' },
+  { code: 'en-GB', name: 'English (United Kingdom)' },
+  { code: 'en-CA', name: 'English (Canada)' },
+  { code: 'en-AU', name: 'English (Australia)' },
+  { code: 'en-IN', name: 'English (India)' },
+  { code: 'fr-FR', name: 'Français (France)' },
+  { code: 'fr-CA', name: 'Français (Canada)' },
+  { code: 'de-DE', name: 'Deutsch (Deutschland)' },
+  { code: 'de-CH', name: 'Deutsch (Schweiz)' },
+  { code: 'es-ES', name: 'Español (España)' },
+  { code: 'es-MX', name: 'Español (México)' },
+  { code: 'it-IT', name: 'Italiano (Italia)' },
+  { code: 'nl-NL', name: 'Nederlands (Nederland)' },
+  { code: 'pt-BR', name: 'Português (Brasil)' },
+  { code: 'sv-SE', name: 'Svenska (Sverige)' },
+  { code: 'pl-PL', name: 'Polski (Polska)' },
+  { code: 'ja-JP', name: '日本語 (日本)' },
+  { code: 'zh-CN', name: '中文 (中国)' },
+  { code: 'ko-KR', name: '한국어 (대한민국)' }
+];
+
+// Ways to show the currency next to an amount (Intl currencyDisplay values)
+export const CURRENCY_DISPLAYS = [
+  { id: 'symbol', name: 'Symbol (US$, €)' },
+  { id: 'narrowSymbol', name: 'Short symbol ($, €)' },
+  { id: 'code', name: 'Code (USD, EUR)' },
+  { id: 'name', name: 'Name (US dollars)' }
+];
+
+// Digit grouping and decimal separators; 'locale' keeps the locale's own
+export const DECIMAL_STYLES = [
+  { id: 'locale', name: 'Match language' },
+  { id: 'dot', name: '1,234.56', group: ',', decimal: '.' },
+  { id: 'comma', name: '1.234,56', group: '.', decimal: ',' },
+  { id: 'space', name: '1 234,56', group: ' ', decimal: ',' },
+  { id: 'apostrophe', name: "1'234.56", group: "'", decimal: '.' }
+];
+
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Joins formatted number parts, swapping in the separators of a decimal style
+ * @param {Array} parts - Parts from Intl.NumberFormat#formatToParts
+ * @param {string} decimalStyle - Decimal style ID
+ * @returns {string} Formatted text
+ */
+const joinParts = (parts, decimalStyle) => {
+  const style = DECIMAL_STYLES.find(s => s.id === decimalStyle);
+  return parts.map(part => {
+    if (style?.group && part.type === 'group') return style.group;
+    if (style?.decimal && part.type === 'decimal') return style.decimal;
+    return part.value;
+  }).join('');
+};
+
+/**
+ * Formats an amount in a currency
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @param {object} preferences - { locale, currencyDisplay, decimalStyle } from the settings
+ * @param {object} options - { wholeUnits } to drop the cents (for chart axes)
+ * @returns {string} Formatted amount (e.g. "€15.00")
+ */
+export const formatMoney = (amount, currency, preferences = {}, { wholeUnits = false } = {}) => {
+  const { locale = DEFAULT_LOCALE, currencyDisplay = 'symbol', decimalStyle = 'locale' } = preferences;
+  const format = new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    currencyDisplay,
+    ...(wholeUnits && { minimumFractionDigits: 0, maximumFractionDigits: 0 })
+  });
+  return joinParts(format.formatToParts(amount), decimalStyle);
+};
+
+/**
+ * Formats a month key
+ * @param {string} monthKey - Month key ("YYYY-MM")
+ * @param {object} preferences - { locale } from the settings
+ * @param {string} length - "long" for "October 2025", "short" for just "Oct"
+ * @returns {string} Formatted month
+ */
+export const formatMonth = (monthKey, preferences = {}, length = 'long') => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const options = length === 'short' ? { month: 'short' } : { month: 'long', year: 'numeric' };
+  return new Date(year, month - 1).toLocaleDateString(preferences.locale || DEFAULT_LOCALE, options);
+};
+
+/**
+ * Formats a date key
+ * @param {string} dateKey - Date key ("YYYY-MM-DD")
+ * @param {object} preferences - { locale } from the settings
+ * @param {object} options - Intl date options
+ * @returns {string} Formatted date (e.g. "Wed, Oct 15")
+ */
+export const formatDate = (dateKey, preferences = {}, options = { weekday: 'short', month: 'short', day: 'numeric' }) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(preferences.locale || DEFAULT_LOCALE, options);
+};
+
+/**
+ * Gets the decimal separator amounts are shown with
+ * @param {object} preferences - { locale, decimalStyle } from the settings
+ * @returns {string} "." or ","
+ */
+export const getDecimalSeparator = ({ locale = DEFAULT_LOCALE, decimalStyle = 'locale' } = {}) => {
+  const style = DECIMAL_STYLES.find(s => s.id === decimalStyle);
+  if (style?.decimal) return style.decimal;
+  return new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal')?.value || '.';
+};
+
+/**
+ * Gets how CSV files are written for the user's preferences
+ * Spreadsheets that read "1,5" as a number expect ";" between fields, so a comma
+ * decimal separator switches the delimiter too.
+ * @param {object} preferences - { locale, decimalStyle } from the settings
+ * @returns {object} { delimiter, formatAmount, formatRow }
+ */
+export const getCsvFormat = (preferences = {}) => {
+  const decimal = getDecimalSeparator(preferences);
+  const delimiter = decimal === ',' ? ';' : ',';
+
+  /**
+   * Quotes a field that contains the delimiter, a quote or a line break
+   * @param {*} value - Field value
+   * @returns {string} CSV field
+   */
+  const formatField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text.includes(delimiter) || /["\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return {
+    delimiter,
+    formatAmount: (amount) => (amount === undefined || amount === null || amount === ''
+      ? ''
+      : Number(amount).toFixed(2).replace('.', decimal)),
+    formatRow: (fields) => fields.map(formatField).join(delimiter)
+  };
+};
+
+/**
+ * Gets the fiscal year a month falls in
+ * @param {string} monthKey - Month key ("YYYY-MM")
+ * @param {number} startMonth - First month of the fiscal year (1-12)
+ * @returns {object} { label, months, index } with the year's twelve month keys and the month's position in them
+ */
+export const getFiscalYear = (monthKey, startMonth = 1) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const startYear = month >= startMonth ? year : year - 1;
+  const months = Array.from({ length: 12 }, (_, i) => {
+    const offset = startMonth - 1 + i;
+    return `${startYear + Math.floor(offset / 12)}-${String((offset % 12) + 1).padStart(2, '0')}`;
+  });
+  const label = startMonth === 1 ? `FY ${startYear}` : `FY ${startYear}/${String(startYear + 1).slice(-2)}`;
+  return { label, months, index: months.indexOf(monthKey) };
+};
+
+/**
+ * Totals the fiscal year up to and including a month
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {string} monthKey - Last month counted
+ * @param {number} startMonth - First month of the fiscal year (1-12)
+ * @returns {object} { label, months, income, expenses, saved } where months are the tracked months counted
+ */
+export const getFiscalYearToDate = (monthlyBudgets, monthKey, startMonth = 1) => {
+  const fiscalYear = getFiscalYear(monthKey, startMonth);
+  const months = fiscalYear.months.slice(0, fiscalYear.index + 1).filter(month => monthlyBudgets[month]);
+  const income = months.reduce((sum, month) => sum + getMonthIncome(monthlyBudgets[month]), 0);
+  const expenses = months.reduce((sum, month) => (
+    sum + (monthlyBudgets[month].expenses || []).reduce((total, exp) => total + parseFloat(exp.amount), 0)
+  ), 0);
+  return { label: fiscalYear.label, months, income, expenses, saved: income - expenses };
+};
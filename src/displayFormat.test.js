@@ -0,0 +1,50 @@
+import { formatMoney, formatMonth, formatDate, getCsvFormat, getFiscalYear, getFiscalYearToDate } from './displayFormat';
+
+test('formats money with the chosen locale, currency display and separators', () => {
+  expect(formatMoney(1500, 'JPY')).toBe('¥1,500');
+  expect(formatMoney(1234.5, 'USD')).toBe('$1,234.50');
+  expect(formatMoney(1234.5, 'USD', { currencyDisplay: 'code' })).toBe('USD 1,234.50');
+  expect(formatMoney(1234.5, 'EUR', { decimalStyle: 'comma' })).toBe('€1.234,50');
+  expect(formatMoney(1234.5, 'EUR', { decimalStyle: 'apostrophe' }, { wholeUnits: true })).toBe("€1'235");
+});
+
+test('formats months and dates in the chosen locale', () => {
+  expect(formatMonth('2025-10')).toBe('October 2025');
+  expect(formatMonth('2025-10', { locale: 'en-GB' }, 'short')).toBe('Oct');
+  expect(formatDate('2025-10-15')).toBe('Wed, Oct 15');
+  expect(formatDate('2025-10-15', { locale: 'en-GB' }, { day: 'numeric', month: 'long' })).toBe('15 October');
+});
+
+test('switches the CSV delimiter when amounts use a decimal comma', () => {
+  const us = getCsvFormat();
+  expect(us.formatRow(['2025-10-03', 'Dinner, drinks', us.formatAmount(16.2)])).toBe('2025-10-03,"Dinner, drinks",16.20');
+
+  const european = getCsvFormat({ decimalStyle: 'comma' });
+  expect(european.delimiter).toBe(';');
+  expect(european.formatRow(['Dinner', european.formatAmount(16.2), european.formatAmount(undefined)])).toBe('Dinner;16,20;');
+});
+
+test('finds the fiscal year a month falls in', () => {
+  expect(getFiscalYear('2025-10')).toMatchObject({ label: 'FY 2025', index: 9 });
+  const april = getFiscalYear('2026-02', 4);
+  expect(april.label).toBe('FY 2025/26');
+  expect(april.months[0]).toBe('2025-04');
+  expect(april.months[11]).toBe('2026-03');
+  expect(april.index).toBe(10);
+});
+
+test('totals the fiscal year to date', () => {
+  const monthlyBudgets = {
+    '2025-03': { incomes: [{ id: 'i', name: 'Pay', amount: 1000, source: 'salary' }], expenses: [{ id: 'a', amount: 900 }] },
+    '2025-04': { incomes: [{ id: 'i', name: 'Pay', amount: 1000, source: 'salary' }], expenses: [{ id: 'b', amount: 400 }] },
+    '2025-05': { incomes: [{ id: 'i', name: 'Pay', amount: 1000, source: 'salary' }], expenses: [{ id: 'c', amount: 300 }] },
+    '2025-06': { incomes: [{ id: 'i', name: 'Pay', amount: 1000, source: 'salary' }], expenses: [{ id: 'd', amount: 100 }] }
+  };
+  expect(getFiscalYearToDate(monthlyBudgets, '2025-05', 4)).toEqual({
+    label: 'FY 2025/26',
+    months: ['2025-04', '2025-05'],
+    income: 2000,
+    expenses: 700,
+    saved: 1300
+  });
+});
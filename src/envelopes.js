@@ -0,0 +1,139 @@
+import { expandSplits } from './expenseSplits';
+import { getMonthIncome } from './income';
+
+/**
+ * Envelopes
+ * In envelope mode a month's category limits are the money assigned to each
+ * category that month. Whatever a category does not spend rolls into the next
+ * month, and overspending rolls in as a negative balance:
+ *   available = carried in + assigned - spent
+ * A subcategory has its own envelope; its parent's row adds up the envelopes
+ * under it, just as its spending includes theirs.
+ * Income that has not been assigned to any category is "to be assigned" and also
+ * carries forward until it is.
+ */
+
+// How category limits are used
+export const BUDGETING_MODES = [
+  { id: 'limits', name: 'Spending limits', description: 'Each month starts fresh; unused budget is not kept' },
+  { id: 'envelope', name: 'Envelopes', description: 'Unspent (or overspent) money rolls into next month' }
+];
+
+/**
+ * Checks whether a budgeting mode uses envelopes
+ * @param {string} mode - Budgeting mode ID
+ * @returns {boolean} True in envelope mode
+ */
+export const isEnvelopeMode = (mode) => mode === 'envelope';
+
+/**
+ * Totals a month's spending by the category it was booked to (split lines separately)
+ * @param {Array} expenses - The month's expenses
+ * @returns {object} Spending by category ID (refunds already netted)
+ */
+const getOwnSpending = (expenses) => {
+  const spent = {};
+  expandSplits(expenses).forEach(expense => {
+    spent[expense.category] = (spent[expense.category] || 0) + parseFloat(expense.amount);
+  });
+  return spent;
+};
+
+/**
+ * Rounds to whole cents so repeated carrying does not drift
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Works out every category's envelope for a month from all months up to it
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} categories - Category definitions
+ * @param {string} month - Month key ("YYYY-MM")
+ * @returns {object} { carriedIn, assigned, spent, available } by category ID;
+ *   top-level categories include their subcategories
+ */
+export const getEnvelopes = (monthlyBudgets, categories, month) => {
+  const own = {};
+  const envelopeFor = (id) => {
+    if (!own[id]) own[id] = { carriedIn: 0, assigned: 0, spent: 0, available: 0 };
+    return own[id];
+  };
+
+  Object.keys(monthlyBudgets).filter(key => key <= month).sort().forEach(key => {
+    const monthData = monthlyBudgets[key];
+    const limits = monthData.categoryLimits || {};
+    const spent = getOwnSpending(monthData.expenses || []);
+    // Last month's balance becomes this month's starting point
+    Object.values(own).forEach(envelope => {
+      envelope.carriedIn = envelope.available;
+      envelope.assigned = 0;
+      envelope.spent = 0;
+    });
+    [...new Set([...Object.keys(limits), ...Object.keys(spent)])].forEach(id => {
+      const envelope = envelopeFor(id);
+      envelope.assigned = limits[id] || 0;
+      envelope.spent = spent[id] || 0;
+    });
+    Object.values(own).forEach(envelope => {
+      envelope.available = roundCents(envelope.carriedIn + envelope.assigned - envelope.spent);
+    });
+  });
+
+  // Parents show the sum of their own envelope and their subcategories'
+  const envelopes = { ...own };
+  categories.filter(cat => cat.parentId).forEach(cat => {
+    const child = own[cat.id];
+    if (!child) return;
+    const parent = envelopes[cat.parentId] || { carriedIn: 0, assigned: 0, spent: 0, available: 0 };
+    envelopes[cat.parentId] = {
+      carriedIn: roundCents(parent.carriedIn + child.carriedIn),
+      assigned: roundCents(parent.assigned + child.assigned),
+      spent: roundCents(parent.spent + child.spent),
+      available: roundCents(parent.available + child.available)
+    };
+  });
+  return envelopes;
+};
+
+/**
+ * Gets the money each category can spend in a month before it is overspent
+ * Categories with nothing to spend are left out, so they show no limit.
+ * @param {object} envelopes - Result of getEnvelopes
+ * @returns {object} Carried in plus assigned, by category ID
+ */
+export const getEnvelopeFunds = (envelopes) => {
+  const funds = {};
+  Object.keys(envelopes).forEach(id => {
+    const amount = roundCents(envelopes[id].carriedIn + envelopes[id].assigned);
+    if (amount > 0) funds[id] = amount;
+  });
+  return funds;
+};
+
+/**
+ * Gets the income not yet given to a category, counting every month up to this one
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {string} month - Month key ("YYYY-MM")
+ * @returns {number} Income minus assigned money (negative when more was assigned than earned)
+ */
+export const getToBeAssigned = (monthlyBudgets, month) => roundCents(
+  Object.keys(monthlyBudgets).filter(key => key <= month).reduce((sum, key) => {
+    const monthData = monthlyBudgets[key];
+    const assigned = Object.values(monthData.categoryLimits || {}).reduce((total, limit) => total + limit, 0);
+    return sum + getMonthIncome(monthData) - assigned;
+  }, 0)
+);
+
+/**
+ * Gets what was assigned in the latest earlier month, for "assign same as last month"
+ * New months start with nothing assigned; copying is always the user's choice.
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {string} month - Month key ("YYYY-MM")
+ * @returns {object} Assigned amount by category ID (empty if there is no earlier month)
+ */
+export const getLastAssignments = (monthlyBudgets, month) => {
+  const previousMonth = Object.keys(monthlyBudgets).filter(key => key < month).sort().pop();
+  return { ...(monthlyBudgets[previousMonth]?.categoryLimits || {}) };
+};
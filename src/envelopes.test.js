@@ -0,0 +1,64 @@
+import { getEnvelopes, getEnvelopeFunds, getToBeAssigned, getLastAssignments } from './envelopes';
+
+const categories = [
+  { id: 'food', name: 'Food' },
+  { id: 'groceries', name: 'Groceries', parentId: 'food' },
+  { id: 'fun', name: 'Fun' }
+];
+
+const monthlyBudgets = {
+  '2025-09': {
+    incomes: [{ id: 'pay', name: 'Pay', amount: 2000 }],
+    expenses: [
+      { id: 'shop', name: 'Shop', amount: 300, category: 'groceries' },
+      { id: 'film', name: 'Film', amount: 120, category: 'fun' }
+    ],
+    categoryLimits: { groceries: 400, fun: 100 }
+  },
+  '2025-10': {
+    incomes: [{ id: 'pay', name: 'Pay', amount: 2000 }],
+    expenses: [
+      { id: 'shop2', name: 'Shop', amount: 450, category: 'groceries' },
+      { id: 'back', name: 'Shop', amount: -30, category: 'groceries', refundOf: { id: 'shop2', month: '2025-10' } },
+      { id: 'cafe', name: 'Cafe', amount: 20, category: 'food' }
+    ],
+    categoryLimits: { groceries: 400, fun: 100 }
+  }
+};
+
+test('unspent and overspent money rolls into the next month', () => {
+  const september = getEnvelopes(monthlyBudgets, categories, '2025-09');
+  expect(september.groceries).toEqual({ carriedIn: 0, assigned: 400, spent: 300, available: 100 });
+  expect(september.fun.available).toBe(-20);
+
+  const october = getEnvelopes(monthlyBudgets, categories, '2025-10');
+  expect(october.groceries).toEqual({ carriedIn: 100, assigned: 400, spent: 420, available: 80 });
+  expect(october.fun).toEqual({ carriedIn: -20, assigned: 100, spent: 0, available: 80 });
+});
+
+test('a parent envelope adds up its subcategories', () => {
+  const october = getEnvelopes(monthlyBudgets, categories, '2025-10');
+  expect(october.food).toEqual({ carriedIn: 100, assigned: 400, spent: 440, available: 60 });
+});
+
+test('later months do not affect an earlier month', () => {
+  expect(getEnvelopes(monthlyBudgets, categories, '2025-09').groceries.carriedIn).toBe(0);
+  expect(getEnvelopes(monthlyBudgets, categories, '2025-08')).toEqual({});
+});
+
+test('funds are what was carried in plus assigned, when there is any', () => {
+  const funds = getEnvelopeFunds(getEnvelopes(monthlyBudgets, categories, '2025-10'));
+  expect(funds).toEqual({ groceries: 500, fun: 80, food: 500 });
+  expect(getEnvelopeFunds({ gone: { carriedIn: -50, assigned: 0, spent: 0, available: -50 } })).toEqual({});
+});
+
+test('unassigned income carries forward', () => {
+  expect(getToBeAssigned(monthlyBudgets, '2025-09')).toBe(1500);
+  expect(getToBeAssigned(monthlyBudgets, '2025-10')).toBe(3000);
+  expect(getToBeAssigned({ '2025-09': { incomes: [], categoryLimits: { fun: 50 } } }, '2025-09')).toBe(-50);
+});
+
+test('last month\'s assignments come from the latest earlier month', () => {
+  expect(getLastAssignments(monthlyBudgets, '2025-12')).toEqual(monthlyBudgets['2025-10'].categoryLimits);
+  expect(getLastAssignments(monthlyBudgets, '2025-09')).toEqual({});
+});
@@ -0,0 +1,123 @@
+/**
+ * Expense Dates
+ * Helpers for the transaction date every expense carries, stored as a local
+ * calendar date "YYYY-MM-DD" that always falls inside the expense's month.
+ */
+
+/**
+ * Formats a Date as a local "YYYY-MM-DD" key
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ */
+export const toDateKey = (date) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+/**
+ * Gets the number of days in a month
+ * @param {string} month - Month key ("YYYY-MM")
+ * @returns {number} Days in the month
+ */
+export const getDaysInMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber, 0).getDate();
+};
+
+/**
+ * Builds the date for a day of a month, moving days past the end of the month back to its last day
+ * @param {string} month - Month key ("YYYY-MM")
+ * @param {number} day - Day of the month
+ * @returns {string} Date key
+ */
+export const getDateInMonth = (month, day) => {
+  const clamped = Math.min(Math.max(day, 1), getDaysInMonth(month));
+  return `${month}-${String(clamped).padStart(2, '0')}`;
+};
+
+/**
+ * Gets the date new expenses default to: today if it falls in the month, otherwise the same day of that month
+ * @param {string} month - Month key ("YYYY-MM")
+ * @param {Date} today - Current date
+ * @returns {string} Date key
+ */
+export const getDefaultExpenseDate = (month, today = new Date()) => {
+  const todayKey = toDateKey(today);
+  return todayKey.startsWith(`${month}-`) ? todayKey : getDateInMonth(month, today.getDate());
+};
+
+/**
+ * Moves a date to the same day of another month
+ * @param {string} date - Date key
+ * @param {string} month - Target month key
+ * @returns {string} Date key in the target month
+ */
+export const moveDateToMonth = (date, month) => getDateInMonth(month, parseInt(date.slice(8, 10), 10) || 1);
+
+/**
+ * Sorts expenses
+ * @param {Array} expenses - Expenses with dates
+ * @param {string} sortBy - "date-desc", "date-asc", "amount-desc" or "amount-asc"
+ * @returns {Array} Sorted copy
+ */
+export const sortExpenses = (expenses, sortBy) => {
+  const [field, direction] = sortBy.split('-');
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...expenses].sort((a, b) => {
+    const order = field === 'amount' ? a.amount - b.amount : a.date.localeCompare(b.date);
+    // Expenses on the same day keep the order they were added in
+    return sign * order || sign * String(a.id).localeCompare(String(b.id));
+  });
+};
+
+/**
+ * Groups sorted expenses by date, keeping their order
+ * @param {Array} expenses - Expenses sorted by date
+ * @returns {Array} Array of { date, expenses, total }
+ */
+export const groupExpensesByDate = (expenses) => {
+  const groups = [];
+  expenses.forEach(expense => {
+    const last = groups[groups.length - 1];
+    if (last && last.date === expense.date) {
+      last.expenses.push(expense);
+      last.total += expense.amount;
+    } else {
+      groups.push({ date: expense.date, expenses: [expense], total: expense.amount });
+    }
+  });
+  return groups;
+};
+
+/**
+ * Sums expenses per day
+ * @param {Array} expenses - Expenses with dates
+ * @returns {object} Totals by date key
+ */
+export const getDailyTotals = (expenses) => {
+  const totals = {};
+  expenses.forEach(expense => {
+    totals[expense.date] = (totals[expense.date] || 0) + expense.amount;
+  });
+  return totals;
+};
+
+/**
+ * Lays a month out as calendar weeks starting on Sunday
+ * @param {string} month - Month key ("YYYY-MM")
+ * @returns {Array} Array of weeks, each an array of 7 date keys (null for days outside the month)
+ */
+export const getCalendarWeeks = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const firstWeekday = new Date(year, monthNumber - 1, 1).getDay();
+  const days = [
+    ...Array(firstWeekday).fill(null),
+    ...Array.from({ length: getDaysInMonth(month) }, (_, index) => getDateInMonth(month, index + 1))
+  ];
+  while (days.length % 7 !== 0) days.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) {
+    weeks.push(days.slice(i, i + 7));
+  }
+  return weeks;
+};
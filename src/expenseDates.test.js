@@ -0,0 +1,28 @@
+import { getDefaultExpenseDate, moveDateToMonth, sortExpenses, groupExpensesByDate, getCalendarWeeks } from './expenseDates';
+
+test('defaults to today inside the month, otherwise the same day of the month', () => {
+  const today = new Date(2025, 9, 31);
+  expect(getDefaultExpenseDate('2025-10', today)).toBe('2025-10-31');
+  expect(getDefaultExpenseDate('2025-11', today)).toBe('2025-11-30');
+  expect(moveDateToMonth('2025-01-31', '2025-02')).toBe('2025-02-28');
+});
+
+test('groups expenses by day in the chosen order', () => {
+  const expenses = [
+    { id: '1', date: '2025-10-02', amount: 5 },
+    { id: '2', date: '2025-10-05', amount: 20 },
+    { id: '3', date: '2025-10-02', amount: 10 }
+  ];
+
+  expect(groupExpensesByDate(sortExpenses(expenses, 'date-desc'))).toEqual([
+    { date: '2025-10-05', expenses: [expenses[1]], total: 20 },
+    { date: '2025-10-02', expenses: [expenses[2], expenses[0]], total: 15 }
+  ]);
+  expect(sortExpenses(expenses, 'amount-desc').map(expense => expense.id)).toEqual(['2', '3', '1']);
+});
+
+test('lays out a month as Sunday-first weeks', () => {
+  const weeks = getCalendarWeeks('2025-10'); // October 1st 2025 is a Wednesday
+  expect(weeks[0]).toEqual([null, null, null, '2025-10-01', '2025-10-02', '2025-10-03', '2025-10-04']);
+  expect(weeks).toHaveLength(5);
+});
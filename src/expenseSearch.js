@@ -0,0 +1,66 @@
+import { sortExpenses } from './expenseDates';
+import { getExpenseCategoryIds } from './expenseSplits';
+
+/**
+ * Expense Search
+ * Finds expenses across every month by text, category, amount, recurring flag and month range.
+ */
+
+// Criteria that match every expense
+export const EMPTY_SEARCH = {
+  text: '',
+  category: '',
+  minAmount: '',
+  maxAmount: '',
+  recurring: 'any', // "any", "yes" or "no"
+  fromMonth: '',
+  toMonth: '',
+  sortBy: 'date-desc'
+};
+
+/**
+ * Checks whether an expense mentions every word of the search text in its name, notes or tags
+ * @param {object} expense - Expense
+ * @param {string} query - Lower-case search text
+ * @returns {boolean} True if the text was found
+ */
+const matchesText = (expense, query) => {
+  const haystack = [
+    expense.name,
+    expense.notes || '',
+    ...(expense.tags || []).map(tag => `#${tag}`)
+  ].join(' ').toLowerCase();
+  return query.split(/\s+/).every(word => haystack.includes(word));
+};
+
+/**
+ * Searches every month for expenses matching the criteria
+ * Picking a top-level category also finds expenses in its subcategories, and a split
+ * expense matches if any of its lines does.
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {object} criteria - Search criteria (see EMPTY_SEARCH)
+ * @param {Array} categories - Category definitions
+ * @returns {Array} Matching expenses, each with its month, in the chosen order
+ */
+export const searchExpenses = (monthlyBudgets, criteria, categories = []) => {
+  const query = criteria.text.trim().toLowerCase();
+  const minAmount = parseFloat(criteria.minAmount);
+  const maxAmount = parseFloat(criteria.maxAmount);
+  const categoryIds = criteria.category
+    ? [criteria.category, ...categories.filter(cat => cat.parentId === criteria.category).map(cat => cat.id)]
+    : [];
+
+  const results = Object.keys(monthlyBudgets)
+    .filter(month => (!criteria.fromMonth || month >= criteria.fromMonth) && (!criteria.toMonth || month <= criteria.toMonth))
+    .flatMap(month => (monthlyBudgets[month].expenses || []).map(expense => ({ ...expense, month })))
+    .filter(expense => !query || matchesText(expense, query))
+    .filter(expense => categoryIds.length === 0 || getExpenseCategoryIds(expense).some(id => categoryIds.includes(id)))
+    .filter(expense => Number.isNaN(minAmount) || expense.amount >= minAmount)
+    .filter(expense => Number.isNaN(maxAmount) || expense.amount <= maxAmount)
+    .filter(expense => criteria.recurring === 'any' || expense.isRecurring === (criteria.recurring === 'yes'));
+
+  if (criteria.sortBy === 'name') {
+    return [...results].sort((a, b) => a.name.localeCompare(b.name) || b.date.localeCompare(a.date));
+  }
+  return sortExpenses(results, criteria.sortBy);
+};
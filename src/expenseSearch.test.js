@@ -0,0 +1,43 @@
+import { EMPTY_SEARCH, searchExpenses } from './expenseSearch';
+
+const monthlyBudgets = {
+  '2025-04': {
+    incomes: [],
+    categoryLimits: {},
+    expenses: [
+      { id: 'a', name: 'Amazon order', amount: 64, category: 'other', isRecurring: false, date: '2025-04-12', notes: 'Garden hose' },
+      { id: 'b', name: 'Rent', amount: 1500, category: 'housing', isRecurring: true, date: '2025-04-01' }
+    ]
+  },
+  '2025-10': {
+    incomes: [],
+    categoryLimits: {},
+    expenses: [
+      { id: 'c', name: 'Amazon', amount: 20, category: 'groceries', isRecurring: false, date: '2025-10-03', tags: ['kid-1'] },
+      { id: 'd', name: 'Rent', amount: 1550, category: 'housing', isRecurring: true, date: '2025-10-01' }
+    ]
+  }
+};
+
+const categories = [
+  { id: 'food', name: 'Food' },
+  { id: 'groceries', name: 'Groceries', parentId: 'food' }
+];
+
+const search = (criteria) => searchExpenses(monthlyBudgets, { ...EMPTY_SEARCH, ...criteria }, categories).map(exp => exp.id);
+
+test('finds expenses in every month by text in name, notes or tags', () => {
+  expect(search({ text: 'amazon' })).toEqual(['c', 'a']);
+  expect(search({ text: 'garden' })).toEqual(['a']);
+  expect(search({ text: '#kid' })).toEqual(['c']);
+  expect(searchExpenses(monthlyBudgets, { ...EMPTY_SEARCH, text: 'hose' })[0].month).toBe('2025-04');
+});
+
+test('filters by category including subcategories, amount, recurring flag and months', () => {
+  expect(search({ category: 'food' })).toEqual(['c']);
+  expect(search({ minAmount: '50', maxAmount: '1500' })).toEqual(['a', 'b']);
+  expect(search({ recurring: 'yes' })).toEqual(['d', 'b']);
+  expect(search({ recurring: 'no', fromMonth: '2025-05' })).toEqual(['c']);
+  expect(search({ toMonth: '2025-04', sortBy: 'amount-asc' })).toEqual(['a', 'b']);
+  expect(search({ sortBy: 'name' })).toEqual(['c', 'a', 'd', 'b']);
+});
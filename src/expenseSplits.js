@@ -0,0 +1,123 @@
+/**
+ * Expense Splits
+ * A split expense is one transaction shared between categories. It keeps its total
+ * in amount and lists the parts in splits:
+ *   { ..., amount: 120, category: 'food', splits: [{ category: 'food', amount: 80 }, { category: 'personal', amount: 40 }] }
+ * The lines must add up to the amount (a refund's lines are negative, like its
+ * amount). category holds the largest line so code that
+ * only needs one category (colours, the calendar) keeps working.
+ */
+
+// Largest rounding difference allowed between the lines and the total
+const SPLIT_TOLERANCE = 0.005;
+
+/**
+ * Rounds an amount to whole cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Checks whether an expense is split across categories
+ * @param {object} expense - Expense
+ * @returns {boolean} True if the expense has split lines
+ */
+export const isSplitExpense = (expense) => Array.isArray(expense.splits) && expense.splits.length > 0;
+
+/**
+ * Gets the category/amount lines an expense counts towards
+ * @param {object} expense - Expense
+ * @returns {Array} Array of { category, amount }
+ */
+export const getExpenseAllocations = (expense) => (
+  isSplitExpense(expense)
+    ? expense.splits
+    : [{ category: expense.category, amount: parseFloat(expense.amount) }]
+);
+
+/**
+ * Turns split expenses into one entry per line, so totals by category count each part
+ * @param {Array} expenses - Expenses
+ * @returns {Array} Expenses with split ones replaced by their lines
+ */
+export const expandSplits = (expenses) => expenses.flatMap(expense => (
+  isSplitExpense(expense)
+    ? expense.splits.map((line, index) => ({ ...expense, category: line.category, amount: line.amount, splitIndex: index }))
+    : [expense]
+));
+
+/**
+ * Lists the category IDs an expense uses, including every split line
+ * @param {object} expense - Expense
+ * @returns {Array} Category IDs
+ */
+export const getExpenseCategoryIds = (expense) => getExpenseAllocations(expense).map(line => line.category);
+
+/**
+ * Finds the category of the largest line (by size, as a refund's lines are negative)
+ * @param {Array} splits - Split lines
+ * @returns {string} Category ID
+ */
+export const getPrimaryCategory = (splits) => (
+  splits.reduce((largest, line) => (Math.abs(line.amount) > Math.abs(largest.amount) ? line : largest), splits[0]).category
+);
+
+/**
+ * Checks split lines against the expense total
+ * @param {Array} splits - Split lines with numeric amounts
+ * @param {number} total - Expense amount
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const getSplitErrors = (splits, total) => {
+  const errors = [];
+  const sign = total < 0 ? -1 : 1;
+  if (splits.length < 2) errors.push('A split needs at least two lines');
+  splits.forEach((line, index) => {
+    if (typeof line.category !== 'string' || line.category === '') errors.push(`Line ${index + 1}: category is required`);
+    // A refund's lines are negative, like its total
+    if (!Number.isFinite(line.amount) || line.amount * sign <= 0) errors.push(`Line ${index + 1}: amount must be ${sign < 0 ? 'below' : 'more than'} 0`);
+  });
+  const sum = splits.reduce((total, line) => total + (Number.isFinite(line.amount) ? line.amount : 0), 0);
+  if (Math.abs(sum - total) > SPLIT_TOLERANCE) errors.push(`Lines add up to ${sum.toFixed(2)}, not ${Number(total).toFixed(2)}`);
+  return errors;
+};
+
+/**
+ * Scales split lines to a new total, putting any rounding difference on the last line
+ * @param {Array} splits - Split lines
+ * @param {number} ratio - New total divided by the old one
+ * @param {number} total - New total
+ * @returns {Array} Scaled lines
+ */
+export const scaleSplits = (splits, ratio, total) => {
+  const lines = splits.map(line => ({ ...line, amount: toCents(line.amount * ratio) }));
+  const rest = lines.slice(0, -1).reduce((sum, line) => sum + line.amount, 0);
+  lines[lines.length - 1].amount = toCents(total - rest);
+  return lines;
+};
+
+/**
+ * Gets how much of the total is not yet assigned to a line
+ * @param {Array} splits - Split lines (amounts may be form strings)
+ * @param {number} total - Expense amount
+ * @returns {number} Unassigned amount (negative if the lines add up to more)
+ */
+export const getUnassignedAmount = (splits, total) => (
+  (parseFloat(total) || 0) - splits.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0)
+);
+
+/**
+ * Applies split lines from a form to an expense: converts amounts to numbers and sets
+ * the primary category, or removes the split if it has no lines
+ * @param {object} expense - Expense with a numeric amount
+ * @param {Array} splits - Split lines from the form, or null for a single category
+ * @returns {object} Expense ready to save
+ */
+export const applySplits = (expense, splits) => {
+  const { splits: _previous, ...rest } = expense;
+  if (!splits || splits.length === 0) return rest;
+
+  const lines = splits.map(line => ({ category: line.category, amount: parseFloat(line.amount) }));
+  return { ...rest, category: getPrimaryCategory(lines), splits: lines };
+};
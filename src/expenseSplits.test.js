@@ -0,0 +1,45 @@
+import { expandSplits, getSplitErrors, getUnassignedAmount, applySplits } from './expenseSplits';
+import { getCategoryTotals, withCategoryLabels, DEFAULT_CATEGORIES } from './categories';
+import { validateRecordWrite } from './budgetSchema';
+
+const costco = {
+  id: 'c',
+  name: 'Costco',
+  amount: 150,
+  category: 'food',
+  isRecurring: false,
+  date: '2025-10-04',
+  splits: [{ category: 'food', amount: 90 }, { category: 'utilities', amount: 40 }, { category: 'personal', amount: 20 }]
+};
+
+test('each split line counts towards its own category', () => {
+  const expenses = [costco, { id: 'd', name: 'Tea', amount: 5, category: 'food', isRecurring: false, date: '2025-10-05' }];
+  expect(expandSplits(expenses).map(line => [line.category, line.amount])).toEqual([
+    ['food', 90], ['utilities', 40], ['personal', 20], ['food', 5]
+  ]);
+
+  const totals = getCategoryTotals(withCategoryLabels(DEFAULT_CATEGORIES), expenses, { utilities: 30 });
+  expect(totals.map(cat => [cat.id, cat.total])).toEqual([['food', 95], ['utilities', 40], ['personal', 20]]);
+  expect(totals.find(cat => cat.id === 'utilities').isOverLimit).toBe(true);
+});
+
+test('split lines must add up to the total', () => {
+  expect(getSplitErrors(costco.splits, 150)).toEqual([]);
+  expect(getSplitErrors(costco.splits, 160)).toEqual(['Lines add up to 150.00, not 160.00']);
+  expect(getSplitErrors([{ category: 'food', amount: 10 }], 10)).toEqual(['A split needs at least two lines']);
+  expect(getUnassignedAmount([{ category: 'food', amount: '60' }, { category: 'food', amount: '' }], '100')).toBe(40);
+  expect(getSplitErrors([{ category: 'food', amount: -20 }, { category: 'home', amount: 10 }], -10)).toEqual(['Line 2: amount must be below 0']);
+
+  expect(validateRecordWrite({ collection: 'expenses', id: 'c', data: { ...costco, month: '2025-10' } })).toEqual([]);
+  expect(validateRecordWrite({ collection: 'expenses', id: 'c', data: { ...costco, month: '2025-10', amount: 10 } })).toHaveLength(1);
+});
+
+test('applying form lines sets the largest line as the category', () => {
+  const split = applySplits({ ...costco, splits: undefined, category: 'other' }, [
+    { category: 'utilities', amount: '40' },
+    { category: 'food', amount: '110' }
+  ]);
+  expect(split.category).toBe('food');
+  expect(split.splits).toEqual([{ category: 'utilities', amount: 40 }, { category: 'food', amount: 110 }]);
+  expect(applySplits(costco, null)).not.toHaveProperty('splits');
+});
@@ -0,0 +1,109 @@
+/**
+ * Expense Tags
+ * Expenses can carry free-form tags (e.g. "business-trip", "reimbursable") and notes:
+ *   { ..., tags: ['business-trip'], notes: 'Client dinner with Sam' }
+ * Tags are stored normalised: lower case, words joined with hyphens, no "#".
+ */
+
+// Suggestions shown while typing a tag
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Normalises a tag as typed by the user
+ * @param {string} text - Tag text (e.g. "#Business Trip")
+ * @returns {string} Normalised tag (e.g. "business-trip"), or '' if nothing is left
+ */
+export const normalizeTag = (text) => (
+  String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[\s,]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+);
+
+/**
+ * Gets every tag used in the budget, most used first
+ * @param {object} monthlyBudgets - Budget data by month
+ * @returns {Array} Tags
+ */
+export const getUsedTags = (monthlyBudgets) => {
+  const counts = {};
+  Object.values(monthlyBudgets).forEach(monthData => {
+    (monthData.expenses || []).forEach(expense => {
+      (expense.tags || []).forEach(tag => {
+        counts[tag] = (counts[tag] || 0) + 1;
+      });
+    });
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
+
+/**
+ * Suggests previously used tags for what has been typed so far
+ * Tags starting with the text come before tags that only contain it.
+ * @param {Array} usedTags - Tags from getUsedTags
+ * @param {string} text - Text typed so far
+ * @param {Array} selected - Tags already on the expense
+ * @returns {Array} Matching tags
+ */
+export const suggestTags = (usedTags, text, selected = []) => {
+  const query = normalizeTag(text);
+  const available = usedTags.filter(tag => !selected.includes(tag));
+  if (!query) return available.slice(0, MAX_SUGGESTIONS);
+
+  return [
+    ...available.filter(tag => tag.startsWith(query)),
+    ...available.filter(tag => !tag.startsWith(query) && tag.includes(query))
+  ].slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Keeps the expenses that have every one of the given tags
+ * @param {Array} expenses - Expenses
+ * @param {Array} tags - Tags to filter by (empty keeps everything)
+ * @returns {Array} Matching expenses
+ */
+export const filterExpensesByTags = (expenses, tags) => (
+  tags.length === 0 ? expenses : expenses.filter(expense => tags.every(tag => (expense.tags || []).includes(tag)))
+);
+
+/**
+ * Totals spending per tag over a set of months
+ * An expense with several tags counts in full towards each of them.
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} months - Month keys to include
+ * @returns {Array} Array of { tag, total, count, months }, largest total first
+ */
+export const getTagReport = (monthlyBudgets, months) => {
+  const report = {};
+  months.forEach(month => {
+    (monthlyBudgets[month]?.expenses || []).forEach(expense => {
+      (expense.tags || []).forEach(tag => {
+        const row = report[tag] || (report[tag] = { tag, total: 0, count: 0, months: [] });
+        row.total += parseFloat(expense.amount);
+        row.count += 1;
+        if (!row.months.includes(month)) row.months.push(month);
+      });
+    });
+  });
+  return Object.values(report).sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Applies tags and notes from a form to an expense, leaving the fields out when empty
+ * @param {object} expense - Expense
+ * @param {Array} tags - Tags from the form
+ * @param {string} notes - Notes from the form
+ * @returns {object} Expense ready to save
+ */
+export const applyTagsAndNotes = (expense, tags = [], notes = '') => {
+  const { tags: _tags, notes: _notes, ...rest } = expense;
+  const cleanTags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  return {
+    ...rest,
+    ...(cleanTags.length > 0 && { tags: cleanTags }),
+    ...(notes.trim() && { notes: notes.trim() })
+  };
+};
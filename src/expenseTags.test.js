@@ -0,0 +1,59 @@
+import { normalizeTag, getUsedTags, suggestTags, filterExpensesByTags, getTagReport, applyTagsAndNotes } from './expenseTags';
+import { validateRecordWrite } from './budgetSchema';
+
+const monthlyBudgets = {
+  '2025-09': {
+    incomes: [],
+    categoryLimits: {},
+    expenses: [
+      { id: 'a', name: 'Hotel', amount: 200, category: 'vacation', isRecurring: false, date: '2025-09-03', tags: ['business-trip', 'reimbursable'] }
+    ]
+  },
+  '2025-10': {
+    incomes: [],
+    categoryLimits: {},
+    expenses: [
+      { id: 'b', name: 'Taxi', amount: 30, category: 'transport', isRecurring: false, date: '2025-10-01', tags: ['business-trip'] },
+      { id: 'c', name: 'Shoes', amount: 45, category: 'personal', isRecurring: false, date: '2025-10-02', tags: ['kid-1'] },
+      { id: 'd', name: 'Tea', amount: 3, category: 'food', isRecurring: false, date: '2025-10-02' }
+    ]
+  }
+};
+
+test('normalises typed tags', () => {
+  expect(normalizeTag('  #Business Trip ')).toBe('business-trip');
+  expect(normalizeTag('#')).toBe('');
+});
+
+test('suggests used tags, prefix matches first', () => {
+  const used = getUsedTags(monthlyBudgets);
+  expect(used).toEqual(['business-trip', 'kid-1', 'reimbursable']);
+  expect(suggestTags(used, 'i')).toEqual(['business-trip', 'kid-1', 'reimbursable']);
+  expect(suggestTags(used, 'k')).toEqual(['kid-1']);
+  expect(suggestTags(used, '', ['kid-1'])).toEqual(['business-trip', 'reimbursable']);
+});
+
+test('filters expenses that have every selected tag', () => {
+  const expenses = monthlyBudgets['2025-10'].expenses;
+  expect(filterExpensesByTags(expenses, ['business-trip']).map(exp => exp.id)).toEqual(['b']);
+  expect(filterExpensesByTags(expenses, [])).toBe(expenses);
+});
+
+test('reports spending per tag over the chosen months', () => {
+  expect(getTagReport(monthlyBudgets, ['2025-09', '2025-10'])).toEqual([
+    { tag: 'business-trip', total: 230, count: 2, months: ['2025-09', '2025-10'] },
+    { tag: 'reimbursable', total: 200, count: 1, months: ['2025-09'] },
+    { tag: 'kid-1', total: 45, count: 1, months: ['2025-10'] }
+  ]);
+  expect(getTagReport(monthlyBudgets, ['2025-10']).map(row => row.tag)).toEqual(['kid-1', 'business-trip']);
+});
+
+test('tags and notes are left out when empty and validated when present', () => {
+  const tea = monthlyBudgets['2025-10'].expenses[2];
+  expect(applyTagsAndNotes({ ...tea, tags: ['x'] }, [], '  ')).toEqual(tea);
+  expect(applyTagsAndNotes(tea, ['Work', 'work'], ' Client ')).toMatchObject({ tags: ['work'], notes: 'Client' });
+
+  const write = (data) => ({ collection: 'expenses', id: 'd', data: { ...tea, month: '2025-10', ...data } });
+  expect(validateRecordWrite(write({ tags: ['work'], notes: 'Client' }))).toEqual([]);
+  expect(validateRecordWrite(write({ tags: ['Work Trip'] }))).toHaveLength(1);
+});
@@ -1,24 +1,145 @@
-import { doc, setDoc, getDoc } from 'firebase/firestore';
+import { doc, getDoc, getDocs, setDoc, collection, runTransaction, deleteDoc, onSnapshot, writeBatch, query, orderBy, limit } from 'firebase/firestore';
 import { db } from './firebase';
+import { RECORD_COLLECTIONS, toRecords, fromRecords, createEmptyBudget, diffBudgets, stampWrites, mergeBudgets } from './budgetRecords';
+import { CURRENT_SCHEMA_VERSION, migrateBudget, assertValidRecordWrites } from './budgetSchema';
 
 /**
  * Firestore Service
  * Handles all database operations for budget data
+ *
+ * Layout:
+ *   users/{uid}/months/{YYYY-MM}   - income entries and category limits for a month
+ *   users/{uid}/expenses/{id}      - one document per expense, tagged with its month
+ *   users/{uid}/account/{key}      - account-wide data such as settings, as { value }
+ *   users/{uid}/auditLog/{id}      - append-only log of every change (see auditLog.js)
+ *   users/{uid}/budgets/meta       - schemaVersion of the stored records
+ *   users/{uid}/budgets/data       - legacy single document, migrated on first load
+ *
+ * Every record document carries an updatedAt timestamp set when the edit
+ * was made, so writes replayed after being offline never overwrite a newer edit.
+ * A deleted record is kept as a tombstone ({ deleted: true, updatedAt }) so an
+ * older edit replayed later cannot bring it back; tombstones are skipped on read.
  */
 
+// Firestore allows at most 500 writes per transaction; keep reads per transaction modest too
+const TRANSACTION_LIMIT = 100;
+
 /**
- * Saves monthly budgets to Firestore
+ * Gets the reference to the legacy single-document budget
  * @param {string} userId - The user's unique ID
- * @param {object} monthlyBudgets - The budget data to save
  */
-export const saveMonthlyBudgets = async (userId, monthlyBudgets) => {
-  try {
-    const userDocRef = doc(db, 'users', userId, 'budgets', 'data');
-    await setDoc(userDocRef, {
-      monthlyBudgets: monthlyBudgets,
-      updatedAt: new Date().toISOString()
+const getLegacyDocRef = (userId) => doc(db, 'users', userId, 'budgets', 'data');
+
+/**
+ * Gets the reference to the document holding the stored schema version
+ * @param {string} userId - The user's unique ID
+ */
+const getMetaDocRef = (userId) => doc(db, 'users', userId, 'budgets', 'meta');
+
+/**
+ * Collects the records of a collection snapshot, leaving out tombstones
+ * @param {object} snapshot - Query snapshot of a record collection
+ * @returns {object} Record data by document ID
+ */
+const readRecords = (snapshot) => {
+  const records = {};
+  snapshot.forEach(docSnap => {
+    const data = docSnap.data();
+    if (!data.deleted) records[docSnap.id] = data;
+  });
+  return records;
+};
+
+/**
+ * Works out the schema version stored records were written with
+ * Data stored before versioning existed has no meta document and counts as version 1
+ * @param {object|null} meta - Data of the meta document, or null if there is none
+ * @param {object} records - Stored records by collection name, then document ID
+ * @returns {number} Schema version
+ */
+const getStoredSchemaVersion = (meta, records) => {
+  if (meta) return meta.schemaVersion;
+  const hasRecords = RECORD_COLLECTIONS.some(name => Object.keys(records[name]).length > 0);
+  return hasRecords ? 1 : CURRENT_SCHEMA_VERSION;
+};
+
+/**
+ * Reads the stored records and the schema version they were written with
+ * @param {string} userId - The user's unique ID
+ * @returns {object} { budget, schemaVersion, hasMeta } with the data as stored
+ */
+const loadStoredBudgets = async (userId) => {
+  const records = {};
+  for (const name of RECORD_COLLECTIONS) {
+    records[name] = readRecords(await getDocs(collection(db, 'users', userId, name)));
+  }
+
+  const metaSnap = await getDoc(getMetaDocRef(userId));
+  const schemaVersion = getStoredSchemaVersion(metaSnap.exists() ? metaSnap.data() : null, records);
+
+  return { budget: fromRecords(records), schemaVersion, hasMeta: metaSnap.exists() };
+};
+
+/**
+ * Writes record changes, resolving conflicts per record
+ * A write is skipped when the stored record (or its tombstone) was updated after the
+ * write was made, so the newer edit from another device wins for that record only.
+ * Deletes leave a tombstone stamped with the time of the delete. Throws without
+ * writing anything if a write does not match the current schema.
+ * @param {string} userId - The user's unique ID
+ * @param {Array} writes - Array of { collection, id, data, updatedAt } writes (data is null for deletes)
+ * @returns {Array} Writes describing the stored records that superseded skipped writes
+ */
+export const saveRecordWrites = async (userId, writes) => {
+  assertValidRecordWrites(writes);
+  const superseded = [];
+
+  for (let i = 0; i < writes.length; i += TRANSACTION_LIMIT) {
+    const chunk = writes.slice(i, i + TRANSACTION_LIMIT);
+
+    const chunkSuperseded = await runTransaction(db, async (transaction) => {
+      const refs = chunk.map(write => doc(db, 'users', userId, write.collection, write.id));
+      const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+      const skipped = [];
+
+      chunk.forEach((write, index) => {
+        const stored = snapshots[index].exists() ? snapshots[index].data() : null;
+        if (stored && stored.updatedAt && stored.updatedAt > write.updatedAt) {
+          const { updatedAt, deleted, ...storedData } = stored;
+          skipped.push({ collection: write.collection, id: write.id, data: deleted ? null : storedData, updatedAt });
+          return;
+        }
+
+        transaction.set(refs[index], write.data
+          ? { ...write.data, updatedAt: write.updatedAt }
+          : { deleted: true, updatedAt: write.updatedAt });
+      });
+
+      return skipped;
     });
-    console.log('✅ Data saved to Firestore');
+    superseded.push(...chunkSuperseded);
+  }
+
+  if (superseded.length > 0) {
+    console.log(`⚠️ Skipped ${superseded.length} write(s) superseded by newer edits`);
+  }
+  return superseded;
+};
+
+/**
+ * Saves a budget to Firestore
+ * Only records that differ from previousBudget are written
+ * @param {string} userId - The user's unique ID
+ * @param {object} budget - The budget to save ({ monthlyBudgets, account, trash })
+ * @param {object} previousBudget - The budget already stored (defaults to none)
+ */
+export const saveBudget = async (userId, budget, previousBudget = createEmptyBudget()) => {
+  try {
+    const writes = diffBudgets(previousBudget, budget);
+    if (writes.length === 0) return;
+
+    await saveRecordWrites(userId, stampWrites(writes));
+    console.log(`✅ Saved ${writes.length} change(s) to Firestore`);
   } catch (error) {
     console.error('❌ Error saving to Firestore:', error);
     throw error;
@@ -26,41 +147,165 @@ export const saveMonthlyBudgets = async (userId, monthlyBudgets) => {
 };
 
 /**
- * Loads monthly budgets from Firestore
+ * Loads the user's budget from Firestore
+ * Data stored with an older schema version is upgraded to the current shape
  * @param {string} userId - The user's unique ID
- * @returns {object} The user's budget data
+ * @returns {object} The user's budget ({ monthlyBudgets, account, trash })
  */
-export const loadMonthlyBudgets = async (userId) => {
+export const loadBudget = async (userId) => {
   try {
-    const userDocRef = doc(db, 'users', userId, 'budgets', 'data');
-    const docSnap = await getDoc(userDocRef);
-    
-    if (docSnap.exists()) {
-      console.log('✅ Data loaded from Firestore');
-      return docSnap.data().monthlyBudgets || {};
-    } else {
-      console.log('📝 No data found, starting fresh');
-      return {};
-    }
+    const { budget, schemaVersion } = await loadStoredBudgets(userId);
+    console.log('✅ Data loaded from Firestore');
+    return migrateBudget(budget, schemaVersion);
   } catch (error) {
     console.error('❌ Error loading from Firestore:', error);
     throw error;
   }
 };
 
+/**
+ * Upgrades the stored records to the current schema version
+ * Only records changed by the migration are rewritten; also records the version
+ * for accounts that have no meta document yet
+ * @param {string} userId - The user's unique ID
+ * @returns {boolean} True if stored data or its version was updated
+ */
+export const upgradeStoredSchema = async (userId) => {
+  try {
+    const { budget, schemaVersion, hasMeta } = await loadStoredBudgets(userId);
+    if (hasMeta && schemaVersion >= CURRENT_SCHEMA_VERSION) return false;
+
+    await saveBudget(userId, migrateBudget(budget, schemaVersion), budget);
+    await setDoc(getMetaDocRef(userId), {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      updatedAt: new Date().toISOString()
+    });
+    if (schemaVersion < CURRENT_SCHEMA_VERSION) {
+      console.log(`✅ Upgraded stored data from schema v${schemaVersion} to v${CURRENT_SCHEMA_VERSION}`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error upgrading stored data:', error);
+    return false;
+  }
+};
+
+/**
+ * Subscribes to live updates of the user's budget
+ * The callback fires once every collection and the schema version have been read from
+ * the server, then on every change. Records written by older app versions are passed
+ * through the migration pipeline from the version they were stored with.
+ * @param {string} userId - The user's unique ID
+ * @param {function} onChange - Called with the full budget after each change
+ * @param {function} onError - Called if a listener fails
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToBudget = (userId, onChange, onError) => {
+  const records = {};
+  let meta; // Meta document data, null if there is none; undefined until it has been read
+
+  /**
+   * Reports the budget once every collection and the meta document have been read
+   */
+  const emit = () => {
+    if (meta === undefined || !RECORD_COLLECTIONS.every(collectionName => records[collectionName])) return;
+    onChange(migrateBudget(fromRecords(records), getStoredSchemaVersion(meta, records)));
+  };
+
+  /**
+   * Logs a failed listener and passes the error on
+   * @param {string} name - What was being listened to
+   * @param {Error} error - Listener error
+   */
+  const handleError = (name, error) => {
+    console.error(`❌ Error listening to ${name}:`, error);
+    if (onError) onError(error);
+  };
+
+  const unsubscribers = RECORD_COLLECTIONS.map(name =>
+    onSnapshot(
+      collection(db, 'users', userId, name),
+      { includeMetadataChanges: true },
+      (snapshot) => {
+        // While offline Firestore reports an empty cache; wait for the server instead
+        if (!records[name] && snapshot.metadata.fromCache) return;
+
+        records[name] = readRecords(snapshot);
+        emit();
+      },
+      (error) => handleError(name, error)
+    )
+  );
+  unsubscribers.push(onSnapshot(
+    getMetaDocRef(userId),
+    { includeMetadataChanges: true },
+    (metaSnap) => {
+      if (meta === undefined && metaSnap.metadata.fromCache) return;
+      meta = metaSnap.exists() ? metaSnap.data() : null;
+      emit();
+    },
+    (error) => handleError('meta', error)
+  ));
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
+
+/**
+ * Deletes every record for the user, leaving tombstones behind
+ * @param {string} userId - The user's unique ID
+ */
+export const clearBudget = async (userId) => {
+  try {
+    const current = await loadBudget(userId);
+    await saveBudget(userId, createEmptyBudget(), current);
+  } catch (error) {
+    console.error('❌ Error clearing Firestore data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Migrates the legacy single-document budget into per-month/per-expense documents
+ * The legacy document is deleted once its data has been written
+ * @param {string} userId - The user's unique ID
+ * @returns {boolean} True if legacy data was migrated
+ */
+export const migrateLegacyBudgetDocument = async (userId) => {
+  try {
+    const legacyDocRef = getLegacyDocRef(userId);
+    const docSnap = await getDoc(legacyDocRef);
+
+    if (!docSnap.exists()) return false;
+
+    const legacyBudget = migrateBudget(docSnap.data().monthlyBudgets || {});
+    const recordCount = Object.keys(toRecords(legacyBudget).expenses).length;
+
+    await saveBudget(userId, legacyBudget);
+    await deleteDoc(legacyDocRef);
+    console.log(`✅ Migrated legacy budget document (${recordCount} expenses)`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error migrating legacy budget document:', error);
+    return false;
+  }
+};
+
 /**
  * Migrates data from localStorage to Firestore
+ * Used both for data from before the Firestore move and for guest data when a guest
+ * signs in; it is merged into the account rather than replacing it
  * @param {string} userId - The user's unique ID
  */
 export const migrateLocalStorageToFirestore = async (userId) => {
   try {
     const localData = localStorage.getItem('monthlyBudgets');
-    
+
     if (localData) {
-      const parsedData = JSON.parse(localData);
-      await saveMonthlyBudgets(userId, parsedData);
+      const parsedData = migrateBudget(JSON.parse(localData));
+      const remoteData = await loadBudget(userId);
+      await saveBudget(userId, mergeBudgets(remoteData, parsedData), remoteData);
       console.log('✅ Migrated localStorage to Firestore');
-      
+
       // Clear localStorage after successful migration
       localStorage.removeItem('monthlyBudgets');
       return true;
@@ -70,4 +315,42 @@ export const migrateLocalStorageToFirestore = async (userId) => {
     console.error('❌ Error migrating data:', error);
     return false;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Appends entries to the audit log
+ * Entries are only ever created, never updated or deleted
+ * @param {string} userId - The user's unique ID
+ * @param {Array} entries - Audit entries (see auditLog.js)
+ */
+export const appendAuditEntries = async (userId, entries) => {
+  try {
+    for (let i = 0; i < entries.length; i += TRANSACTION_LIMIT) {
+      const batch = writeBatch(db);
+      entries.slice(i, i + TRANSACTION_LIMIT).forEach(entry => {
+        batch.set(doc(db, 'users', userId, 'auditLog', entry.id), entry);
+      });
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('❌ Error writing audit log:', error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribes to the most recent audit log entries
+ * @param {string} userId - The user's unique ID
+ * @param {function} onChange - Called with the entries, newest first
+ * @param {function} onError - Called if the listener fails
+ * @param {number} maxEntries - Number of recent entries to keep in view
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToAuditLog = (userId, onChange, onError, maxEntries) => onSnapshot(
+  query(collection(db, 'users', userId, 'auditLog'), orderBy('timestamp', 'desc'), limit(maxEntries)),
+  (snapshot) => onChange(snapshot.docs.map(docSnap => docSnap.data())),
+  (error) => {
+    console.error('❌ Error listening to audit log:', error);
+    if (onError) onError(error);
+  }
+);
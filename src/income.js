@@ -0,0 +1,58 @@
+/**
+ * Income
+ * Each month holds a list of named income entries:
+ *   { id, name, amount, source, isRecurring }
+ * Recurring entries are copied into new months by the auto-population effect.
+ */
+
+// Source types an income entry can have, with the colour used in charts
+export const INCOME_SOURCES = [
+  { id: 'salary', name: '💼 Salary', color: '#10b981' },
+  { id: 'freelance', name: '🧾 Freelance', color: '#22d3ee' },
+  { id: 'partner', name: '💑 Partner', color: '#f472b6' },
+  { id: 'benefits', name: '🏛️ Benefits', color: '#a78bfa' },
+  { id: 'investment', name: '📈 Investments', color: '#fbbf24' },
+  { id: 'gift', name: '🎁 Gifts', color: '#fb923c' },
+  { id: 'other', name: '💰 Other', color: '#94a3b8' }
+];
+
+/**
+ * Finds an income source by ID, falling back to "other"
+ * @param {string} sourceId - Source ID
+ * @returns {object} Source definition
+ */
+export const getIncomeSource = (sourceId) => (
+  INCOME_SOURCES.find(source => source.id === sourceId) || INCOME_SOURCES[INCOME_SOURCES.length - 1]
+);
+
+/**
+ * Sums every income entry of a month
+ * @param {object} monthData - Month data
+ * @returns {number} Total income
+ */
+export const getMonthIncome = (monthData) => (
+  (monthData?.incomes || []).reduce((sum, entry) => sum + entry.amount, 0)
+);
+
+/**
+ * Totals a month's income per source type, largest first
+ * @param {Array} incomes - Income entries
+ * @returns {Array} Array of { id, name, color, total, percentage }
+ */
+export const getIncomeBySource = (incomes) => {
+  const grandTotal = incomes.reduce((sum, entry) => sum + entry.amount, 0);
+  const totals = {};
+  incomes.forEach(entry => {
+    const source = getIncomeSource(entry.source);
+    totals[source.id] = (totals[source.id] || 0) + entry.amount;
+  });
+
+  return Object.keys(totals)
+    .map(id => ({
+      ...getIncomeSource(id),
+      total: totals[id],
+      percentage: grandTotal > 0 ? (totals[id] / grandTotal) * 100 : 0
+    }))
+    .filter(source => source.total > 0)
+    .sort((a, b) => b.total - a.total);
+};
@@ -0,0 +1,23 @@
+import { getIncomeSource, getMonthIncome, getIncomeBySource } from './income';
+
+const incomes = [
+  { id: 'a', name: 'Salary', amount: 3000, source: 'salary', isRecurring: true },
+  { id: 'b', name: 'Logo job', amount: 400, source: 'freelance', isRecurring: false },
+  { id: 'c', name: 'Bonus', amount: 600, source: 'salary', isRecurring: false }
+];
+
+test('sums every income entry of a month', () => {
+  expect(getMonthIncome({ incomes })).toBe(4000);
+  expect(getMonthIncome(undefined)).toBe(0);
+});
+
+test('totals income per source, largest first', () => {
+  expect(getIncomeBySource(incomes).map(({ id, total, percentage }) => ({ id, total, percentage }))).toEqual([
+    { id: 'salary', total: 3600, percentage: 90 },
+    { id: 'freelance', total: 400, percentage: 10 }
+  ]);
+});
+
+test('unknown sources fall back to other', () => {
+  expect(getIncomeSource('lottery').id).toBe('other');
+});
@@ -0,0 +1,186 @@
+/**
+ * Local Cache
+ * IndexedDB persistence for budget data and writes that have not reached Firestore yet
+ *
+ * Stores:
+ *   budgets       - last known budget data per user, with its schema version (key: userId)
+ *   pendingWrites - queued record writes (key: "userId/collection/recordId")
+ *
+ * Every function resolves quietly when IndexedDB is unavailable (private mode, tests),
+ * in which case the app simply runs without an offline cache.
+ */
+
+const DB_NAME = 'space-budget-tracker';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Opens (and creates on first use) the cache database
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('budgets')) {
+          db.createObjectStore('budgets');
+        }
+        if (!db.objectStoreNames.contains('pendingWrites')) {
+          db.createObjectStore('pendingWrites');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Error opening local cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Runs a callback inside a transaction and resolves when it completes
+ * @param {string} storeName - Object store to open
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {function} callback - Receives the object store; its return value is resolved
+ * @returns {Promise<*>} The callback's result (request results are unwrapped)
+ */
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const result = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Builds the queue key for a record write
+ * @param {string} userId - The user's unique ID
+ * @param {object} write - Record write
+ * @returns {string} Queue key
+ */
+const getWriteKey = (userId, write) => `${userId}/${write.collection}/${write.id}`;
+
+/**
+ * Builds the key range covering every queued write for a user
+ * @param {string} userId - The user's unique ID
+ * @returns {IDBKeyRange} Key range
+ */
+const getUserRange = (userId) => IDBKeyRange.bound(`${userId}/`, `${userId}/\uffff`);
+
+/**
+ * Loads the cached budget for a user
+ * Entries cached by older versions hold a bare month map or have no schema version;
+ * they count as version 1, which migrateBudget accepts
+ * @param {string} userId - The user's unique ID
+ * @returns {object|null} { budget, schemaVersion }, or null if nothing is cached
+ */
+export const loadCachedBudgets = async (userId) => {
+  try {
+    const entry = await withStore('budgets', 'readonly', store => store.get(userId));
+    return entry ? { budget: entry.budget || entry.monthlyBudgets, schemaVersion: entry.schemaVersion || 1 } : null;
+  } catch (error) {
+    console.error('❌ Error reading local cache:', error);
+    return null;
+  }
+};
+
+/**
+ * Caches the budget for a user
+ * @param {string} userId - The user's unique ID
+ * @param {object} budget - The budget to cache ({ monthlyBudgets, account, trash })
+ * @param {number} schemaVersion - Schema version the budget is in
+ */
+export const cacheBudgets = async (userId, budget, schemaVersion) => {
+  try {
+    await withStore('budgets', 'readwrite', store => store.put({
+      budget,
+      schemaVersion,
+      cachedAt: new Date().toISOString()
+    }, userId));
+  } catch (error) {
+    console.error('❌ Error writing local cache:', error);
+  }
+};
+
+/**
+ * Loads the queued writes for a user, oldest first
+ * @param {string} userId - The user's unique ID
+ * @returns {Array} Array of record writes
+ */
+export const loadPendingWrites = async (userId) => {
+  try {
+    const writes = await withStore('pendingWrites', 'readonly', store => store.getAll(getUserRange(userId)));
+    return (writes || []).sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+  } catch (error) {
+    console.error('❌ Error reading pending writes:', error);
+    return [];
+  }
+};
+
+/**
+ * Queues record writes for a user
+ * A newer write to the same record replaces the queued one
+ * @param {string} userId - The user's unique ID
+ * @param {Array} writes - Array of timestamped record writes
+ */
+export const queueWrites = async (userId, writes) => {
+  try {
+    await withStore('pendingWrites', 'readwrite', store => {
+      writes.forEach(write => store.put(write, getWriteKey(userId, write)));
+    });
+  } catch (error) {
+    console.error('❌ Error queueing writes:', error);
+  }
+};
+
+/**
+ * Removes writes from the queue once they have been replayed
+ * A queued write is kept if it was replaced by a newer one in the meantime
+ * @param {string} userId - The user's unique ID
+ * @param {Array} writes - Array of record writes that were replayed
+ */
+export const removePendingWrites = async (userId, writes) => {
+  try {
+    await withStore('pendingWrites', 'readwrite', store => {
+      writes.forEach(write => {
+        const key = getWriteKey(userId, write);
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (request.result && request.result.updatedAt === write.updatedAt) {
+            store.delete(key);
+          }
+        };
+      });
+    });
+  } catch (error) {
+    console.error('❌ Error removing pending writes:', error);
+  }
+};
+
+/**
+ * Removes the cached budget data and every queued write for a user
+ * @param {string} userId - The user's unique ID
+ */
+export const clearLocalCache = async (userId) => {
+  try {
+    await withStore('budgets', 'readwrite', store => store.delete(userId));
+    await withStore('pendingWrites', 'readwrite', store => store.delete(getUserRange(userId)));
+  } catch (error) {
+    console.error('❌ Error clearing local cache:', error);
+  }
+};
@@ -0,0 +1,215 @@
+import { isRefund } from './refunds';
+
+/**
+ * Payees
+ * The payee directory groups expenses by who was paid, using the expense name. Names
+ * are compared by a normalised key, so "Netflix", "netflix" and "NETFLIX.COM" are the
+ * same payee without any setup. Payees the user has renamed or merged are kept in
+ * account.payees:
+ *   [{ id: 'payee-netflix', name: 'Netflix', aliases: ['netflix', 'netflix inc'] }]
+ * Expense names are never rewritten; an alias only changes which payee they count towards.
+ */
+
+// Suggestions shown while typing an expense name
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * Normalises an expense name into a payee key
+ * Case, punctuation, a web address around the name and a trailing store number are ignored.
+ * @param {string} name - Expense name (e.g. "NETFLIX.COM" or "Starbucks #1234")
+ * @returns {string} Payee key (e.g. "netflix" or "starbucks"), or '' if nothing is left
+ */
+export const getPayeeKey = (name) => (
+  String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/^(https?:\/\/)?(www\.)?/, '')
+    .replace(/\.(com|net|org|io|co(\.uk)?)(\/.*)?$/, '')
+    .replace(/\s*#?\d{3,}$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+);
+
+/**
+ * Gets the stored payees (renamed or merged ones)
+ * @param {object} account - Account-wide data
+ * @returns {Array} Stored payees
+ */
+export const getPayees = (account) => account?.payees || [];
+
+/**
+ * Finds which payee an expense name belongs to
+ * @param {Array} payees - Stored payees
+ * @param {string} name - Expense name
+ * @returns {string} Payee ID: a stored payee's ID, or the name's key
+ */
+export const resolvePayeeId = (payees, name) => {
+  const key = getPayeeKey(name);
+  return payees.find(payee => payee.aliases.includes(key))?.id || key;
+};
+
+/**
+ * Picks the most common value, preferring the most recent one on a tie
+ * @param {object} counts - Object of value => { count, lastDate }
+ * @returns {string} Most common value
+ */
+const getMostCommon = (counts) => Object.keys(counts).sort((a, b) => (
+  counts[b].count - counts[a].count || counts[b].lastDate.localeCompare(counts[a].lastDate)
+))[0];
+
+/**
+ * Builds the payee directory from every expense
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} payees - Stored payees
+ * @returns {Array} Array of { id, name, keys, spellings, count, total, lastDate, usualAmount,
+ *                  usualCategory, isStored }, most used first
+ */
+export const getPayeeDirectory = (monthlyBudgets, payees = []) => {
+  const directory = {};
+  Object.values(monthlyBudgets).forEach(monthData => {
+    (monthData.expenses || []).forEach(expense => {
+      const key = getPayeeKey(expense.name);
+      if (!key) return;
+
+      const id = resolvePayeeId(payees, expense.name);
+      const entry = directory[id] || (directory[id] = {
+        id, keys: [], spellings: {}, categories: {}, count: 0, total: 0, lastDate: '', usualAmount: 0
+      });
+      if (!entry.keys.includes(key)) entry.keys.push(key);
+      // Refunds net against the payee's total but are not purchases from it
+      if (isRefund(expense)) {
+        entry.total += parseFloat(expense.amount);
+        return;
+      }
+      [[entry.spellings, expense.name.trim()], [entry.categories, expense.category]].forEach(([counts, value]) => {
+        const count = counts[value] || (counts[value] = { count: 0, lastDate: '' });
+        count.count += 1;
+        if (expense.date > count.lastDate) count.lastDate = expense.date;
+      });
+      entry.count += 1;
+      entry.total += parseFloat(expense.amount);
+      if (expense.date >= entry.lastDate) {
+        entry.lastDate = expense.date;
+        entry.usualAmount = parseFloat(expense.amount); // The latest amount, e.g. a subscription's current price
+      }
+    });
+  });
+
+  return Object.values(directory)
+    .filter(entry => entry.count > 0) // Only refunds left, e.g. after the purchase was deleted
+    .map(({ spellings, categories, ...entry }) => {
+      const stored = payees.find(payee => payee.id === entry.id);
+      return {
+        ...entry,
+        name: stored?.name || getMostCommon(spellings),
+        keys: stored ? [...new Set([...stored.aliases, ...entry.keys])] : entry.keys,
+        spellings: Object.keys(spellings).sort(),
+        usualCategory: getMostCommon(categories),
+        isStored: Boolean(stored)
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Suggests payees for what has been typed into an expense name
+ * Payees whose name starts with the text come before those that only contain it.
+ * @param {Array} directory - Payee directory from getPayeeDirectory
+ * @param {string} text - Text typed so far
+ * @returns {Array} Matching payees
+ */
+export const suggestPayees = (directory, text) => {
+  const query = getPayeeKey(text);
+  if (!query) return [];
+
+  const matches = (payee, test) => [getPayeeKey(payee.name), ...payee.keys].some(test);
+  return [
+    ...directory.filter(payee => matches(payee, key => key.startsWith(query))),
+    ...directory.filter(payee => !matches(payee, key => key.startsWith(query)) && matches(payee, key => key.includes(query)))
+  ]
+    .filter(payee => payee.name !== text.trim())
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Creates the stored form of a directory payee
+ * @param {object} payee - Payee from getPayeeDirectory
+ * @param {Array} payees - Stored payees
+ * @returns {object} Stored payee
+ */
+const toStoredPayee = (payee, payees) => (
+  payees.find(stored => stored.id === payee.id)
+  || { id: `payee-${payee.id.replace(/ /g, '-')}`, name: payee.name, aliases: payee.keys }
+);
+
+/**
+ * Renames a payee; the new name is shown everywhere the payee appears
+ * @param {Array} payees - Stored payees
+ * @param {object} payee - Payee from getPayeeDirectory
+ * @param {string} name - New name
+ * @returns {Array} New stored payees
+ */
+export const renamePayee = (payees, payee, name) => {
+  const stored = { ...toStoredPayee(payee, payees), name: name.trim() };
+  return [...payees.filter(p => p.id !== stored.id), stored];
+};
+
+/**
+ * Merges one payee into another: the source's names become aliases of the target
+ * @param {Array} payees - Stored payees
+ * @param {object} from - Payee from getPayeeDirectory being merged away
+ * @param {object} to - Payee from getPayeeDirectory that receives its names
+ * @returns {Array} New stored payees
+ */
+export const mergePayees = (payees, from, to) => {
+  if (from.id === to.id) return payees;
+
+  const target = toStoredPayee(to, payees);
+  const merged = { ...target, aliases: [...new Set([...target.aliases, ...to.keys, ...from.keys])] };
+  return [...payees.filter(p => p.id !== from.id && p.id !== merged.id), merged];
+};
+
+/**
+ * Detaches a name from a stored payee, so expenses with it form their own payee again
+ * A stored payee left without aliases is removed.
+ * @param {Array} payees - Stored payees
+ * @param {string} payeeId - Stored payee ID
+ * @param {string} key - Payee key to detach
+ * @returns {Array} New stored payees
+ */
+export const removePayeeAlias = (payees, payeeId, key) => payees
+  .map(payee => (payee.id === payeeId ? { ...payee, aliases: payee.aliases.filter(alias => alias !== key) } : payee))
+  .filter(payee => payee.aliases.length > 0);
+
+/**
+ * Gathers one payee's spending, month by month
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} payees - Stored payees
+ * @param {string} payeeId - Payee ID
+ * @returns {object} { months: [{ month, total, count }], expenses, total, count, average }
+ */
+export const getPayeeReport = (monthlyBudgets, payees, payeeId) => {
+  const expenses = Object.keys(monthlyBudgets).sort()
+    .flatMap(month => (monthlyBudgets[month].expenses || []).map(expense => ({ ...expense, month })))
+    .filter(expense => getPayeeKey(expense.name) && resolvePayeeId(payees, expense.name) === payeeId);
+
+  const months = [];
+  expenses.forEach(expense => {
+    const last = months[months.length - 1];
+    if (last?.month === expense.month) {
+      last.total += parseFloat(expense.amount);
+      last.count += 1;
+    } else {
+      months.push({ month: expense.month, total: parseFloat(expense.amount), count: 1 });
+    }
+  });
+
+  const total = expenses.reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
+  return {
+    months,
+    expenses: [...expenses].sort((a, b) => b.date.localeCompare(a.date)),
+    total,
+    count: expenses.length,
+    average: expenses.length > 0 ? total / expenses.length : 0
+  };
+};
@@ -0,0 +1,94 @@
+import {
+  getPayeeKey,
+  getPayeeDirectory,
+  suggestPayees,
+  renamePayee,
+  mergePayees,
+  removePayeeAlias,
+  getPayeeReport
+} from './payees';
+
+const expense = (id, name, amount, date, category = 'entertainment') => ({ id, name, amount, category, isRecurring: false, date });
+
+const monthlyBudgets = {
+  '2025-09': {
+    expenses: [
+      expense('a', 'Netflix', 15.49, '2025-09-03'),
+      expense('b', 'Starbucks #1234', 4.5, '2025-09-10', 'food'),
+      expense('c', 'Netflix Inc', 15.49, '2025-09-28')
+    ]
+  },
+  '2025-10': {
+    expenses: [
+      expense('d', 'NETFLIX.COM', 17.99, '2025-10-03'),
+      expense('e', 'starbucks', 5, '2025-10-12', 'food'),
+      expense('f', 'Starbucks', 4.75, '2025-10-20', 'personal')
+    ]
+  }
+};
+
+test('normalises names into payee keys', () => {
+  expect(['Netflix', 'NETFLIX.COM', 'https://www.netflix.com/account', ' netflix '].map(getPayeeKey))
+    .toEqual(['netflix', 'netflix', 'netflix', 'netflix']);
+  expect(getPayeeKey('Starbucks #1234')).toBe('starbucks');
+  expect(getPayeeKey("Trader Joe's")).toBe('trader joe s');
+});
+
+test('builds the directory with the usual spelling, category and latest amount', () => {
+  const directory = getPayeeDirectory(monthlyBudgets);
+  expect(directory.map(payee => [payee.id, payee.name, payee.count])).toEqual([
+    ['starbucks', 'Starbucks', 3],
+    ['netflix', 'NETFLIX.COM', 2],
+    ['netflix inc', 'Netflix Inc', 1]
+  ]);
+  expect(directory[0]).toMatchObject({ usualCategory: 'food', usualAmount: 4.75, lastDate: '2025-10-20' });
+  expect(directory[1].spellings).toEqual(['NETFLIX.COM', 'Netflix']);
+});
+
+test('suggests payees starting with the typed text first', () => {
+  const directory = getPayeeDirectory(monthlyBudgets);
+  expect(suggestPayees(directory, 'net').map(payee => payee.id)).toEqual(['netflix', 'netflix inc']);
+  expect(suggestPayees(directory, 'bucks').map(payee => payee.id)).toEqual(['starbucks']);
+  expect(suggestPayees(directory, 'Starbucks')).toEqual([]);
+  expect(suggestPayees(directory, '')).toEqual([]);
+});
+
+test('merging makes one payee out of several names without renaming expenses', () => {
+  const directory = getPayeeDirectory(monthlyBudgets);
+  const [, netflix, netflixInc] = directory;
+  const payees = renamePayee(mergePayees([], netflixInc, netflix), { ...netflix, id: 'payee-netflix' }, 'Netflix');
+
+  expect(payees).toEqual([{ id: 'payee-netflix', name: 'Netflix', aliases: ['netflix', 'netflix inc'] }]);
+  const merged = getPayeeDirectory(monthlyBudgets, payees);
+  expect(merged.find(payee => payee.id === 'payee-netflix')).toMatchObject({ name: 'Netflix', count: 3, usualAmount: 17.99, isStored: true });
+  expect(monthlyBudgets['2025-09'].expenses[2].name).toBe('Netflix Inc');
+
+  expect(removePayeeAlias(payees, 'payee-netflix', 'netflix inc')[0].aliases).toEqual(['netflix']);
+  expect(removePayeeAlias(removePayeeAlias(payees, 'payee-netflix', 'netflix inc'), 'payee-netflix', 'netflix')).toEqual([]);
+});
+
+test('reports a payee month by month', () => {
+  const payees = [{ id: 'payee-netflix', name: 'Netflix', aliases: ['netflix', 'netflix inc'] }];
+  const report = getPayeeReport(monthlyBudgets, payees, 'payee-netflix');
+  expect(report.months).toEqual([
+    { month: '2025-09', total: 30.98, count: 2 },
+    { month: '2025-10', total: 17.99, count: 1 }
+  ]);
+  expect(report.expenses.map(exp => exp.id)).toEqual(['d', 'c', 'a']);
+  expect(report.average).toBeCloseTo(16.32, 2);
+});
+
+test('refunds net against a payee without counting as purchases', () => {
+  const monthlyBudgets = {
+    '2025-10': { expenses: [{ id: 'a', name: 'Argos', amount: 80, category: 'shopping', date: '2025-10-10' }] },
+    '2025-11': {
+      expenses: [
+        { id: 'b', name: 'Argos', amount: -80, category: 'shopping', date: '2025-11-02', refundOf: { id: 'a', month: '2025-10' }, refundType: 'refund' },
+        { id: 'c', name: 'Boots', amount: -5, category: 'shopping', date: '2025-11-03', refundOf: { id: 'gone', month: '2025-09' }, refundType: 'refund' }
+      ]
+    }
+  };
+  expect(getPayeeDirectory(monthlyBudgets).map(payee => [payee.name, payee.count, payee.total, payee.usualAmount])).toEqual([
+    ['Argos', 1, 0, 80]
+  ]);
+});
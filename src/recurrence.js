@@ -0,0 +1,485 @@
+import { toDateKey, getDateInMonth } from './expenseDates';
+import { createEmptyMonth } from './budgetRecords';
+import { getExchangeRates, convertAtMonthRate } from './currency';
+import { isEnvelopeMode } from './envelopes';
+import { formatDate } from './displayFormat';
+
+/**
+ * Recurrence Rules
+ * Repeating expenses and income entries are described by rules kept in account.recurrences:
+ *   { id, kind: 'expense', template: { name, amount, category }, frequency: 'monthly',
+ *     startDate: '2025-01-31', endDate: null, count: null, exceptions: ['2025-03-31'] }
+ * Each occurrence is materialised as an ordinary item in its month, with the ID
+ * "<ruleId>@<date>" and recurrence: { ruleId, date } pointing back at the rule, so it
+ * can be edited like any other item. The ID is derived from the schedule, so every
+ * device generates the same records. Deleting an occurrence adds its date to exceptions
+ * so it is not generated again.
+ */
+
+// Supported frequencies, with their step in days or months
+export const RECURRENCE_FREQUENCIES = [
+  { id: 'weekly', label: 'Weekly', days: 7 },
+  { id: 'biweekly', label: 'Every 2 weeks', days: 14 },
+  { id: 'monthly', label: 'Monthly', months: 1 },
+  { id: 'quarterly', label: 'Quarterly', months: 3 },
+  { id: 'yearly', label: 'Yearly', months: 12 }
+];
+
+// Repeat settings of a form that does not repeat
+export const NO_REPEAT = {
+  frequency: '', // Empty for a one-time item, otherwise a RECURRENCE_FREQUENCIES ID
+  endType: 'never', // "never", "date" or "count"
+  endDate: '',
+  count: ''
+};
+
+// Item fields copied from the rule's template into each occurrence
+const TEMPLATE_KEYS = {
+  expense: ['name', 'amount', 'category', 'splits', 'tags', 'notes', 'currency', 'originalAmount', 'accountId', 'debtId'],
+  income: ['name', 'amount', 'source', 'accountId']
+};
+
+/**
+ * Gets the account's stored recurrence rules
+ * @param {object} account - Account-wide data
+ * @returns {Array} Recurrence rules
+ */
+export const getRecurrences = (account) => account?.recurrences || [];
+
+/**
+ * Finds a frequency definition
+ * @param {string} frequencyId - Frequency ID
+ * @returns {object} Frequency definition (monthly if unknown)
+ */
+const getFrequency = (frequencyId) => (
+  RECURRENCE_FREQUENCIES.find(freq => freq.id === frequencyId) || RECURRENCE_FREQUENCIES[2]
+);
+
+/**
+ * Adds days to a date key
+ * @param {string} date - Date key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date key
+ */
+export const addDaysToDate = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + days));
+};
+
+/**
+ * Adds months to a month key
+ * @param {string} month - Month key ("YYYY-MM")
+ * @param {number} months - Months to add
+ * @returns {string} Month key
+ */
+export const addMonthsToMonth = (month, months) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const date = new Date(year, monthNumber - 1 + months, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Gets the date of the nth occurrence of a rule, ignoring its end and exceptions
+ * Monthly steps keep the start day, using the last day in shorter months.
+ * @param {object} rule - Recurrence rule
+ * @param {number} index - Occurrence number, starting at 0
+ * @returns {string} Date key
+ */
+const getNthOccurrence = (rule, index) => {
+  const frequency = getFrequency(rule.frequency);
+  if (frequency.days) return addDaysToDate(rule.startDate, index * frequency.days);
+
+  const month = addMonthsToMonth(rule.startDate.slice(0, 7), index * frequency.months);
+  return getDateInMonth(month, parseInt(rule.startDate.slice(8, 10), 10));
+};
+
+/**
+ * Lists the scheduled dates of a rule up to a date, respecting its end date and count
+ * Exceptions are included; callers skip them where needed.
+ * @param {object} rule - Recurrence rule
+ * @param {string} untilDate - Last date to include
+ * @returns {Array} Date keys in order
+ */
+export const getOccurrenceDates = (rule, untilDate) => {
+  const dates = [];
+  for (let index = 0; !rule.count || index < rule.count; index++) {
+    const date = getNthOccurrence(rule, index);
+    if (date > untilDate || (rule.endDate && date > rule.endDate)) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Checks whether a rule schedules anything after a date
+ * @param {object} rule - Recurrence rule
+ * @param {string} date - Date key
+ * @returns {boolean} True if the rule continues after the date
+ */
+export const hasLaterOccurrences = (rule, date) => {
+  const index = getOccurrenceDates(rule, date).length;
+  if (rule.count && index >= rule.count) return false;
+  return !rule.endDate || getNthOccurrence(rule, index) <= rule.endDate;
+};
+
+/**
+ * Takes the fields a rule repeats from an expense or income entry
+ * @param {string} kind - "expense" or "income"
+ * @param {object} item - Expense or income entry
+ * @returns {object} Template
+ */
+export const getTemplate = (kind, item) => {
+  const template = {};
+  TEMPLATE_KEYS[kind].forEach(key => {
+    if (item[key] !== undefined) template[key] = item[key];
+  });
+  return template;
+};
+
+/**
+ * Replaces the repeated fields of an item with a template
+ * @param {string} kind - "expense" or "income"
+ * @param {object} item - Expense or income entry
+ * @param {object} template - Template
+ * @returns {object} Updated item
+ */
+const applyTemplate = (kind, item, template) => {
+  const rest = { ...item };
+  TEMPLATE_KEYS[kind].forEach(key => delete rest[key]);
+  return { ...rest, ...template };
+};
+
+/**
+ * Creates a recurrence rule that repeats an item
+ * @param {string} id - Rule ID
+ * @param {string} kind - "expense" or "income"
+ * @param {object} item - Expense or income entry to repeat
+ * @param {object} schedule - { frequency, startDate, endDate, count }
+ * @returns {object} Recurrence rule
+ */
+export const createRecurrence = (id, kind, item, schedule) => ({
+  id,
+  kind,
+  template: getTemplate(kind, item),
+  frequency: schedule.frequency,
+  startDate: schedule.startDate,
+  endDate: schedule.endDate || null,
+  count: schedule.count || null,
+  exceptions: []
+});
+
+/**
+ * Turns the repeat settings of a form into a schedule for createRecurrence
+ * @param {object} repeat - Form settings (see NO_REPEAT)
+ * @param {string} startDate - Date of the first occurrence
+ * @returns {object|null} { frequency, startDate, endDate, count }, or null for a one-time item
+ */
+export const getRecurrenceSchedule = (repeat, startDate) => {
+  if (!repeat.frequency) return null;
+  const count = parseInt(repeat.count, 10);
+  return {
+    frequency: repeat.frequency,
+    startDate,
+    endDate: repeat.endType === 'date' && repeat.endDate ? (repeat.endDate < startDate ? startDate : repeat.endDate) : null,
+    count: repeat.endType === 'count' && count > 0 ? count : null
+  };
+};
+
+/**
+ * Describes a rule's schedule for display
+ * Weekdays, days and dates are formatted with the display preferences.
+ * @param {object} rule - Recurrence rule
+ * @param {object} displayPreferences - { locale, ... } from the settings
+ * @returns {string} Description like "Monthly on day 31, 12 times"
+ */
+export const describeRecurrence = (rule, displayPreferences = {}) => {
+  const format = (options) => formatDate(rule.startDate, displayPreferences, options);
+  const descriptions = {
+    weekly: `Weekly on ${format({ weekday: 'long' })}`,
+    biweekly: `Every 2 weeks on ${format({ weekday: 'long' })}`,
+    monthly: `Monthly on day ${format({ day: 'numeric' })}`,
+    quarterly: `Every 3 months on day ${format({ day: 'numeric' })}`,
+    yearly: `Yearly on ${format({ month: 'short', day: 'numeric' })}`
+  };
+  const schedule = descriptions[rule.frequency] || descriptions.monthly;
+  if (rule.endDate) return `${schedule} until ${formatDate(rule.endDate, displayPreferences, { year: 'numeric', month: 'short', day: 'numeric' })}`;
+  if (rule.count) return `${schedule}, ${rule.count} times`;
+  return schedule;
+};
+
+/**
+ * Applies a function to the items of one kind in every month
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {string} kind - "expense" or "income"
+ * @param {function} update - Receives a month's items and returns the new list
+ * @returns {object} New budget data (unchanged months keep their objects)
+ */
+const mapItems = (monthlyBudgets, kind, update) => {
+  const key = kind === 'income' ? 'incomes' : 'expenses';
+  const updated = {};
+  Object.keys(monthlyBudgets).forEach(month => {
+    const monthData = monthlyBudgets[month];
+    const items = monthData[key] || [];
+    const next = update(items);
+    updated[month] = next === items ? monthData : { ...monthData, [key]: next };
+  });
+  return updated;
+};
+
+/**
+ * Replaces one rule in the account data
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} ruleId - ID of the rule to replace
+ * @param {function} update - Receives the rule and returns the new rule, or null to remove it
+ * @returns {object} New budget
+ */
+const updateRule = (budget, ruleId, update) => ({
+  ...budget,
+  account: {
+    ...budget.account,
+    recurrences: getRecurrences(budget.account)
+      .map(rule => (rule.id === ruleId ? update(rule) : rule))
+      .filter(Boolean)
+  }
+});
+
+/**
+ * Creates a month for an occurrence, copying the limits of the latest earlier month
+ * In envelope mode limits are money assigned, so the new month starts with nothing
+ * assigned instead (the default mode is limits, so an unset mode copies).
+ * @param {object} account - Account-wide data
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {string} month - Month key
+ * @returns {object} Month data
+ */
+const createMonthFor = (account, monthlyBudgets, month) => {
+  if (isEnvelopeMode(account?.settings?.budgetingMode)) return createEmptyMonth();
+
+  const previousMonth = Object.keys(monthlyBudgets).filter(key => key < month).sort().pop();
+  return {
+    ...createEmptyMonth(),
+    categoryLimits: { ...(monthlyBudgets[previousMonth]?.categoryLimits || {}) }
+  };
+};
+
+/**
+ * Builds the item for one occurrence of a rule
+ * A foreign-currency expense is converted with the rate for its own month.
+ * @param {object} rule - Recurrence rule
+ * @param {string} date - Occurrence date
+ * @param {object} rates - Exchange-rate table
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object} Expense or income entry
+ */
+const createOccurrence = (rule, date, rates, baseCurrency) => convertAtMonthRate({
+  ...rule.template,
+  id: `${rule.id}@${date}`,
+  ...(rule.kind === 'expense' && { date }),
+  isRecurring: true,
+  recurrence: { ruleId: rule.id, date }
+}, rates, date.slice(0, 7), baseCurrency);
+
+/**
+ * Checks whether an occurrence is already among a month's items
+ * @param {Array} items - Expenses or income entries of the month
+ * @param {string} ruleId - Rule ID
+ * @param {string} date - Occurrence date
+ * @returns {boolean} True if it exists (even if edited)
+ */
+const hasOccurrence = (items, ruleId, date) => (
+  items.some(item => item.recurrence?.ruleId === ruleId && item.recurrence.date === date)
+);
+
+/**
+ * Adds every missing occurrence of every rule up to the end of a month
+ * Months without data are created, so gaps since the app was last opened are filled.
+ * Occurrences that already exist (even if edited) or are listed as exceptions are left alone.
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} throughMonth - Last month to fill ("YYYY-MM")
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object} New budget, or the same budget if nothing was missing
+ */
+export const materializeRecurrences = (budget, throughMonth, baseCurrency) => {
+  const untilDate = getDateInMonth(throughMonth, 31);
+  const rates = getExchangeRates(budget.account);
+  let monthlyBudgets = budget.monthlyBudgets;
+
+  getRecurrences(budget.account).forEach(rule => {
+    const key = rule.kind === 'income' ? 'incomes' : 'expenses';
+    getOccurrenceDates(rule, untilDate).forEach(date => {
+      if ((rule.exceptions || []).includes(date)) return;
+      const month = date.slice(0, 7);
+      const monthData = monthlyBudgets[month] || createMonthFor(budget.account, monthlyBudgets, month);
+      const items = monthData[key] || [];
+      if (hasOccurrence(items, rule.id, date)) return;
+
+      monthlyBudgets = {
+        ...monthlyBudgets,
+        [month]: { ...monthData, [key]: [...items, createOccurrence(rule, date, rates, baseCurrency)] }
+      };
+    });
+  });
+
+  return monthlyBudgets === budget.monthlyBudgets ? budget : { ...budget, monthlyBudgets };
+};
+
+/**
+ * Lists the occurrences due in a month that have not been generated
+ * Months after today's are only generated once they arrive, so this shows what
+ * they are going to hold without writing anything.
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} month - Month key
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object} { expenses, incomes }, each in date order
+ */
+export const getProjectedOccurrences = (budget, month, baseCurrency) => {
+  const monthData = budget.monthlyBudgets[month] || {};
+  const rates = getExchangeRates(budget.account);
+  const projected = { expenses: [], incomes: [] };
+
+  getRecurrences(budget.account).forEach(rule => {
+    const key = rule.kind === 'income' ? 'incomes' : 'expenses';
+    getOccurrenceDates(rule, getDateInMonth(month, 31))
+      .filter(date => date.startsWith(month) && !(rule.exceptions || []).includes(date))
+      .filter(date => !hasOccurrence(monthData[key] || [], rule.id, date))
+      .forEach(date => projected[key].push(createOccurrence(rule, date, rates, baseCurrency)));
+  });
+  projected.expenses.sort((a, b) => a.recurrence.date.localeCompare(b.recurrence.date));
+  projected.incomes.sort((a, b) => a.recurrence.date.localeCompare(b.recurrence.date));
+  return projected;
+};
+
+/**
+ * Starts repeating an existing item: stores the rule, links the item to it as the
+ * first occurrence and generates the following ones
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} month - Month key the item belongs to
+ * @param {string} itemId - ID of the expense or income entry
+ * @param {object} rule - Rule from createRecurrence, starting on the item's date
+ * @param {string} throughMonth - Last month to generate occurrences for
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object} New budget
+ */
+export const addRecurrence = (budget, month, itemId, rule, throughMonth, baseCurrency) => {
+  const key = rule.kind === 'income' ? 'incomes' : 'expenses';
+  const monthData = budget.monthlyBudgets[month];
+  if (!monthData) return budget;
+
+  const withRule = {
+    ...budget,
+    monthlyBudgets: {
+      ...budget.monthlyBudgets,
+      [month]: {
+        ...monthData,
+        [key]: monthData[key].map(item => (
+          item.id === itemId
+            ? { ...item, isRecurring: true, recurrence: { ruleId: rule.id, date: rule.startDate } }
+            : item
+        ))
+      }
+    },
+    account: { ...budget.account, recurrences: [...getRecurrences(budget.account), rule] }
+  };
+  return materializeRecurrences(withRule, throughMonth, baseCurrency);
+};
+
+/**
+ * Stops a rule after a date and removes the occurrences generated after it
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} ruleId - Rule ID
+ * @param {string} lastDate - Date of the last occurrence to keep
+ * @returns {object} New budget
+ */
+export const endRecurrence = (budget, ruleId, lastDate) => {
+  const rule = getRecurrences(budget.account).find(r => r.id === ruleId);
+  if (!rule) return budget;
+
+  const ended = updateRule(budget, ruleId, r => (
+    lastDate < r.startDate ? null : { ...r, endDate: r.endDate && r.endDate < lastDate ? r.endDate : lastDate }
+  ));
+  return {
+    ...ended,
+    monthlyBudgets: mapItems(ended.monthlyBudgets, rule.kind, items => (
+      items.some(item => item.recurrence?.ruleId === ruleId && item.recurrence.date > lastDate)
+        ? items.filter(item => !(item.recurrence?.ruleId === ruleId && item.recurrence.date > lastDate))
+        : items
+    ))
+  };
+};
+
+/**
+ * Stops one occurrence from being generated again (used when it is deleted)
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} ruleId - Rule ID
+ * @param {string} date - Occurrence date
+ * @returns {object} New budget
+ */
+export const skipOccurrence = (budget, ruleId, date) => updateRule(budget, ruleId, rule => (
+  (rule.exceptions || []).includes(date) ? rule : { ...rule, exceptions: [...(rule.exceptions || []), date] }
+));
+
+/**
+ * Applies an edit to an occurrence and every later one
+ * If only the repeated fields changed, the rule's template is updated in place. If the
+ * date moved, the rule is split: the old one ends the day before and a new rule starts
+ * on the new date with the occurrences it has left.
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {object} item - The occurrence as edited (with its recurrence link)
+ * @param {string} newRuleId - ID for the new rule if one is needed
+ * @param {string} throughMonth - Last month to generate occurrences for
+ * @param {string} baseCurrency - Account's base currency
+ * @returns {object} New budget
+ */
+export const updateFutureOccurrences = (budget, item, newRuleId, throughMonth, baseCurrency) => {
+  const { ruleId, date: fromDate } = item.recurrence;
+  const rule = getRecurrences(budget.account).find(r => r.id === ruleId);
+  if (!rule) return budget;
+  const template = getTemplate(rule.kind, item);
+  const newDate = rule.kind === 'expense' ? item.date : fromDate;
+
+  if (newDate === fromDate) {
+    const updated = updateRule(budget, ruleId, r => ({ ...r, template }));
+    return {
+      ...updated,
+      monthlyBudgets: mapItems(updated.monthlyBudgets, rule.kind, items => (
+        items.some(i => i.recurrence?.ruleId === ruleId && i.recurrence.date >= fromDate)
+          ? items.map(i => (i.recurrence?.ruleId === ruleId && i.recurrence.date >= fromDate ? applyTemplate(rule.kind, i, template) : i))
+          : items
+      ))
+    };
+  }
+
+  const used = getOccurrenceDates(rule, addDaysToDate(fromDate, -1)).length;
+  const nextRule = {
+    ...rule,
+    id: newRuleId,
+    template,
+    startDate: newDate,
+    count: rule.count ? Math.max(rule.count - used, 1) : null,
+    exceptions: []
+  };
+  const ended = endRecurrence(budget, ruleId, addDaysToDate(fromDate, -1));
+  const key = rule.kind === 'income' ? 'incomes' : 'expenses';
+  const month = newDate.slice(0, 7);
+  const monthData = ended.monthlyBudgets[month] || createMonthFor(ended.account, ended.monthlyBudgets, month);
+  const withItem = {
+    ...ended,
+    monthlyBudgets: {
+      ...ended.monthlyBudgets,
+      [month]: {
+        ...monthData,
+        [key]: [...(monthData[key] || []).filter(i => i.id !== item.id), { ...item, isRecurring: true, recurrence: { ruleId: newRuleId, date: newDate } }]
+      }
+    },
+    account: { ...ended.account, recurrences: [...getRecurrences(ended.account), nextRule] }
+  };
+  return materializeRecurrences(withItem, throughMonth, baseCurrency);
+};
+
+/**
+ * Gets the month to generate occurrences up to: today's
+ * Later months are left unwritten until they arrive; see getProjectedOccurrences.
+ * @param {Date} today - Current date
+ * @returns {string} Month key
+ */
+export const getMaterializeMonth = (today = new Date()) => toDateKey(today).slice(0, 7);
@@ -0,0 +1,155 @@
+import {
+  getOccurrenceDates,
+  hasLaterOccurrences,
+  createRecurrence,
+  getRecurrenceSchedule,
+  describeRecurrence,
+  materializeRecurrences,
+  addRecurrence,
+  endRecurrence,
+  skipOccurrence,
+  updateFutureOccurrences,
+  getProjectedOccurrences,
+  getMaterializeMonth,
+  NO_REPEAT
+} from './recurrence';
+
+const rule = (changes) => ({
+  id: 'rent',
+  kind: 'expense',
+  template: { name: 'Rent', amount: 1200, category: 'housing' },
+  frequency: 'monthly',
+  startDate: '2025-01-31',
+  endDate: null,
+  count: null,
+  exceptions: [],
+  ...changes
+});
+
+const budgetWith = (rules, monthlyBudgets = {}) => ({ monthlyBudgets, account: { recurrences: rules }, trash: {} });
+
+test('schedules each frequency, keeping the day of the month where it exists', () => {
+  expect(getOccurrenceDates(rule(), '2025-04-30')).toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+  expect(getOccurrenceDates(rule({ frequency: 'biweekly', startDate: '2025-12-24' }), '2026-01-31'))
+    .toEqual(['2025-12-24', '2026-01-07', '2026-01-21']);
+  expect(getOccurrenceDates(rule({ frequency: 'quarterly' }), '2025-12-31')).toEqual(['2025-01-31', '2025-04-30', '2025-07-31', '2025-10-31']);
+  expect(getOccurrenceDates(rule({ frequency: 'yearly', startDate: '2024-02-29' }), '2026-12-31'))
+    .toEqual(['2024-02-29', '2025-02-28', '2026-02-28']);
+});
+
+test('stops at the end date or after the count', () => {
+  expect(getOccurrenceDates(rule({ frequency: 'weekly', startDate: '2025-10-01', count: 3 }), '2026-01-01'))
+    .toEqual(['2025-10-01', '2025-10-08', '2025-10-15']);
+  expect(getOccurrenceDates(rule({ endDate: '2025-03-15' }), '2026-01-01')).toHaveLength(2);
+  expect(hasLaterOccurrences(rule({ endDate: '2025-03-15' }), '2025-02-28')).toBe(false);
+  expect(hasLaterOccurrences(rule({ count: 3 }), '2025-02-28')).toBe(true);
+  expect(hasLaterOccurrences(rule({ count: 3 }), '2025-03-31')).toBe(false);
+});
+
+test('turns form settings into a schedule', () => {
+  expect(getRecurrenceSchedule(NO_REPEAT, '2025-10-01')).toBeNull();
+  expect(getRecurrenceSchedule({ frequency: 'weekly', endType: 'count', endDate: '2025-12-01', count: '4' }, '2025-10-01'))
+    .toEqual({ frequency: 'weekly', startDate: '2025-10-01', endDate: null, count: 4 });
+  expect(getRecurrenceSchedule({ frequency: 'monthly', endType: 'date', endDate: '2025-09-01', count: '' }, '2025-10-01').endDate)
+    .toBe('2025-10-01');
+  expect(describeRecurrence(rule({ count: 12 }))).toBe('Monthly on day 31, 12 times');
+  expect(describeRecurrence(rule({ frequency: 'weekly', startDate: '2025-10-06', endDate: '2026-06-30' }), { locale: 'en-GB' }))
+    .toBe('Weekly on Monday until 30 Jun 2026');
+  expect(describeRecurrence(rule({ frequency: 'yearly' }), { locale: 'de-DE' })).toBe('Yearly on 31. Jan.');
+});
+
+test('generates missing occurrences into every month up to the target, including skipped ones', () => {
+  const budget = budgetWith([rule({ exceptions: ['2025-02-28'] })], {
+    '2025-01': { incomes: [], categoryLimits: { housing: 1500 }, expenses: [] }
+  });
+  const filled = materializeRecurrences(budget, '2025-04', 'USD');
+
+  expect(Object.keys(filled.monthlyBudgets).sort()).toEqual(['2025-01', '2025-03', '2025-04']);
+  expect(filled.monthlyBudgets['2025-03']).toEqual({
+    incomes: [],
+    categoryLimits: { housing: 1500 },
+    expenses: [{ id: 'rent@2025-03-31', name: 'Rent', amount: 1200, category: 'housing', date: '2025-03-31', isRecurring: true, recurrence: { ruleId: 'rent', date: '2025-03-31' } }]
+  });
+  expect(materializeRecurrences(filled, '2025-04', 'USD')).toBe(filled);
+});
+
+test('months created in envelope mode start with nothing assigned', () => {
+  const budget = {
+    ...budgetWith([rule()], { '2025-01': { incomes: [], categoryLimits: { housing: 1500 }, expenses: [] } }),
+    account: { recurrences: [rule()], settings: { budgetingMode: 'envelope' } }
+  };
+  expect(materializeRecurrences(budget, '2025-02', 'USD').monthlyBudgets['2025-02'].categoryLimits).toEqual({});
+});
+
+test('converts foreign-currency occurrences with their own month\'s rate', () => {
+  const gym = rule({ template: { name: 'Gym', amount: 33, category: 'health', currency: 'EUR', originalAmount: 30 } });
+  const budget = { ...budgetWith([gym]), account: { recurrences: [gym], exchangeRates: { '2025-01': { EUR: 1.1 }, '2025-03': { EUR: 1.2 } } } };
+  const filled = materializeRecurrences(budget, '2025-03', 'USD');
+  expect(['2025-01', '2025-02', '2025-03'].map(month => filled.monthlyBudgets[month].expenses[0].amount)).toEqual([33, 33, 36]);
+});
+
+test('projects a future month without writing it', () => {
+  const budget = budgetWith([rule({ exceptions: ['2025-07-31'] }), rule({ id: 'gym', startDate: '2025-06-10' })], {
+    '2025-06': { incomes: [], categoryLimits: {}, expenses: [{ id: 'gym@2025-06-10', recurrence: { ruleId: 'gym', date: '2025-06-10' } }] }
+  });
+  expect(getProjectedOccurrences(budget, '2025-06', 'USD').expenses.map(item => item.id)).toEqual(['rent@2025-06-30']);
+  expect(getProjectedOccurrences(budget, '2025-07', 'USD').expenses.map(item => item.id)).toEqual(['gym@2025-07-10']);
+  expect(budget.monthlyBudgets).not.toHaveProperty('2025-07');
+  expect(getMaterializeMonth(new Date(2025, 9, 19))).toBe('2025-10');
+});
+
+test('keeps edited occurrences instead of generating them again', () => {
+  const budget = budgetWith([rule()], {
+    '2025-01': {
+      incomes: [],
+      categoryLimits: {},
+      expenses: [{ id: 'moved', name: 'Rent (late)', amount: 1250, category: 'housing', date: '2025-01-05', isRecurring: true, recurrence: { ruleId: 'rent', date: '2025-01-31' } }]
+    }
+  });
+  expect(materializeRecurrences(budget, '2025-01', 'USD').monthlyBudgets['2025-01'].expenses).toHaveLength(1);
+});
+
+test('starts repeating an existing item and links it as the first occurrence', () => {
+  const pay = { id: 'pay', name: 'Pay', amount: 3000, source: 'salary', isRecurring: false };
+  const budget = budgetWith([], { '2025-10': { incomes: [pay], categoryLimits: {}, expenses: [] } });
+  const repeated = addRecurrence(
+    budget,
+    '2025-10',
+    'pay',
+    createRecurrence('r1', 'income', pay, { frequency: 'monthly', startDate: '2025-10-15' }),
+    '2025-12',
+    'USD'
+  );
+
+  expect(repeated.monthlyBudgets['2025-10'].incomes).toEqual([{ ...pay, isRecurring: true, recurrence: { ruleId: 'r1', date: '2025-10-15' } }]);
+  expect(repeated.monthlyBudgets['2025-12'].incomes.map(entry => entry.id)).toEqual(['r1@2025-12-15']);
+});
+
+test('ending a rule removes later occurrences and skipping adds an exception', () => {
+  const filled = materializeRecurrences(budgetWith([rule()]), '2025-04', 'USD');
+  const ended = endRecurrence(filled, 'rent', '2025-02-28');
+
+  expect(ended.account.recurrences[0].endDate).toBe('2025-02-28');
+  expect(ended.monthlyBudgets['2025-03'].expenses).toEqual([]);
+  expect(ended.monthlyBudgets['2025-02'].expenses).toHaveLength(1);
+  expect(skipOccurrence(filled, 'rent', '2025-05-31').account.recurrences[0].exceptions).toEqual(['2025-05-31']);
+});
+
+test('edits this and future occurrences', () => {
+  const filled = materializeRecurrences(budgetWith([rule({ count: 4 })]), '2025-04', 'USD');
+  const march = filled.monthlyBudgets['2025-03'].expenses[0];
+
+  const raised = updateFutureOccurrences(filled, { ...march, amount: 1300 }, 'unused', '2025-04', 'USD');
+  expect(['2025-01', '2025-02', '2025-03', '2025-04'].map(month => raised.monthlyBudgets[month].expenses[0].amount))
+    .toEqual([1200, 1200, 1300, 1300]);
+  expect(raised.account.recurrences[0].template.amount).toBe(1300);
+
+  const moved = updateFutureOccurrences(filled, { ...march, date: '2025-03-01' }, 'rent-2', '2025-06', 'USD');
+  expect(moved.account.recurrences.map(r => [r.id, r.startDate, r.endDate, r.count])).toEqual([
+    ['rent', '2025-01-31', '2025-03-30', 4],
+    ['rent-2', '2025-03-01', null, 2]
+  ]);
+  expect(['2025-03', '2025-04'].map(month => moved.monthlyBudgets[month].expenses.map(exp => exp.date)))
+    .toEqual([['2025-03-01'], ['2025-04-01']]);
+  expect(moved.monthlyBudgets['2025-05']).toBeUndefined();
+});
@@ -0,0 +1,128 @@
+import { applySplits, scaleSplits } from './expenseSplits';
+
+/**
+ * Refunds
+ * Money coming back for an expense is recorded as a refund: an expense with a
+ * negative amount linked to the one it pays back, in the month it was received.
+ *   { id, name: 'Headphones', amount: -80, category: 'shopping', date: '2025-11-02',
+ *     refundOf: { id: '1760000000000-k3j9', month: '2025-10' }, refundType: 'refund' }
+ * Because refunds are ordinary negative expenses, category totals, limits, the
+ * remaining budget and account balances net them without special cases.
+ * An expense marked reimbursable: true (e.g. a work trip paid out of pocket) is
+ * pending until refunds linked to it cover its amount.
+ */
+
+// Kinds of money coming back
+export const REFUND_TYPES = [
+  { id: 'refund', name: 'Refund', emoji: '↩️' },
+  { id: 'reimbursement', name: 'Reimbursement', emoji: '💼' }
+];
+
+// Differences smaller than this are rounding, not money still owed
+const CENT = 0.005;
+
+/**
+ * Checks whether an expense is a refund of another one
+ * @param {object} expense - Expense
+ * @returns {boolean} True for refunds
+ */
+export const isRefund = (expense) => Boolean(expense?.refundOf);
+
+/**
+ * Gets the kind of a refund
+ * @param {string} typeId - Refund type ID
+ * @returns {object} Refund type (refund if unknown)
+ */
+export const getRefundType = (typeId) => REFUND_TYPES.find(type => type.id === typeId) || REFUND_TYPES[0];
+
+/**
+ * Shares a refund between split lines in proportion to them
+ * @param {Array} splits - Split lines of the original expense, or of a refund being resized
+ * @param {number} amount - Refund amount (negative)
+ * @returns {Array|null} Negative lines adding up to the amount, or null if there is
+ *   nothing to split (lines too small to get a cent are left out)
+ */
+export const getRefundSplits = (splits, amount) => {
+  if (!splits || splits.length === 0) return null;
+  const total = splits.reduce((sum, line) => sum + line.amount, 0);
+  const lines = scaleSplits(splits, amount / total, amount).filter(line => line.amount !== 0);
+  return lines.length > 1 ? lines : null;
+};
+
+/**
+ * Creates a refund for an expense
+ * It takes the original's name, categories (a split original's refund is split the
+ * same way), account and the debt it paid, so the refund nets against each of them.
+ * @param {string} id - New expense ID
+ * @param {object} original - Expense being paid back
+ * @param {string} originalMonth - Month key of the original expense
+ * @param {object} details - { type, amount, date } with amount as a positive number
+ * @returns {object} Refund expense
+ */
+export const createRefund = (id, original, originalMonth, { type, amount, date }) => applySplits({
+  id,
+  name: original.name,
+  amount: -Math.abs(amount),
+  category: original.category,
+  isRecurring: false,
+  date,
+  refundOf: { id: original.id, month: originalMonth },
+  refundType: getRefundType(type).id,
+  ...(original.accountId && { accountId: original.accountId }),
+  ...(original.debtId && { debtId: original.debtId })
+}, getRefundSplits(original.splits, -Math.abs(amount)));
+
+/**
+ * Totals what has come back for each refunded expense
+ * @param {object} monthlyBudgets - Budget data by month
+ * @returns {object} Amount refunded (positive) by original expense ID
+ */
+export const getRefundedAmounts = (monthlyBudgets) => {
+  const refunded = {};
+  Object.values(monthlyBudgets).forEach(monthData => {
+    (monthData.expenses || []).filter(isRefund).forEach(refund => {
+      refunded[refund.refundOf.id] = (refunded[refund.refundOf.id] || 0) - refund.amount;
+    });
+  });
+  return refunded;
+};
+
+/**
+ * Finds the expense a refund pays back
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {object} refund - Refund expense
+ * @returns {object|null} Original expense, or null if it was deleted
+ */
+export const findRefundedExpense = (monthlyBudgets, refund) => (
+  (monthlyBudgets[refund.refundOf.month]?.expenses || []).find(expense => expense.id === refund.refundOf.id) || null
+);
+
+/**
+ * Gets how much of an expense can still be refunded
+ * @param {object} expense - Original expense
+ * @param {object} refunded - Result of getRefundedAmounts
+ * @returns {number} Amount not yet paid back (never below 0)
+ */
+export const getRefundableAmount = (expense, refunded) => (
+  Math.max(0, Math.round((expense.amount - (refunded[expense.id] || 0)) * 100) / 100)
+);
+
+/**
+ * Lists reimbursable expenses that have not been fully paid back, oldest first
+ * @param {object} monthlyBudgets - Budget data by month
+ * @returns {Array} { expense, month, received, outstanding } entries
+ */
+export const getPendingReimbursements = (monthlyBudgets) => {
+  const refunded = getRefundedAmounts(monthlyBudgets);
+  return Object.keys(monthlyBudgets)
+    .flatMap(month => (monthlyBudgets[month].expenses || [])
+      .filter(expense => expense.reimbursable && !isRefund(expense))
+      .map(expense => ({
+        expense,
+        month,
+        received: refunded[expense.id] || 0,
+        outstanding: getRefundableAmount(expense, refunded)
+      })))
+    .filter(entry => entry.outstanding > CENT)
+    .sort((a, b) => a.expense.date.localeCompare(b.expense.date));
+};
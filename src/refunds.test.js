@@ -0,0 +1,71 @@
+import {
+  isRefund,
+  createRefund,
+  getRefundSplits,
+  getRefundedAmounts,
+  findRefundedExpense,
+  getRefundableAmount,
+  getPendingReimbursements
+} from './refunds';
+
+const trip = { id: 'trip', name: 'Train to Leeds', amount: 120, category: 'transport', isRecurring: false, date: '2025-10-03', reimbursable: true, accountId: 'card' };
+const lunch = { id: 'lunch', name: 'Client lunch', amount: 45.5, category: 'dining', isRecurring: false, date: '2025-10-01', reimbursable: true };
+const headphones = { id: 'phones', name: 'Headphones', amount: 80, category: 'shopping', isRecurring: false, date: '2025-10-10' };
+
+test('a refund is a negative expense linked to the original', () => {
+  const refund = createRefund('r1', trip, '2025-10', { type: 'reimbursement', amount: 70, date: '2025-11-02' });
+  expect(refund).toEqual({
+    id: 'r1',
+    name: 'Train to Leeds',
+    amount: -70,
+    category: 'transport',
+    isRecurring: false,
+    date: '2025-11-02',
+    refundOf: { id: 'trip', month: '2025-10' },
+    refundType: 'reimbursement',
+    accountId: 'card'
+  });
+  expect(isRefund(refund)).toBe(true);
+  expect(isRefund(trip)).toBe(false);
+  expect(createRefund('r2', headphones, '2025-10', { type: 'store credit', amount: 80, date: '2025-10-12' }).refundType).toBe('refund');
+});
+
+test('tracks how much is still owed on reimbursable expenses', () => {
+  const monthlyBudgets = {
+    '2025-10': { incomes: [], categoryLimits: {}, expenses: [lunch, trip, headphones] },
+    '2025-11': {
+      incomes: [],
+      categoryLimits: {},
+      expenses: [
+        createRefund('r1', trip, '2025-10', { type: 'reimbursement', amount: 70, date: '2025-11-02' }),
+        createRefund('r2', lunch, '2025-10', { type: 'reimbursement', amount: 45.5, date: '2025-11-02' }),
+        createRefund('r3', headphones, '2025-10', { type: 'refund', amount: 80, date: '2025-11-05' })
+      ]
+    }
+  };
+
+  const refunded = getRefundedAmounts(monthlyBudgets);
+  expect(refunded).toEqual({ trip: 70, lunch: 45.5, phones: 80 });
+  expect(getRefundableAmount(trip, refunded)).toBe(50);
+  expect(getRefundableAmount(headphones, refunded)).toBe(0);
+  expect(findRefundedExpense(monthlyBudgets, monthlyBudgets['2025-11'].expenses[0])).toBe(trip);
+  expect(findRefundedExpense(monthlyBudgets, { refundOf: { id: 'gone', month: '2025-09' } })).toBeNull();
+
+  expect(getPendingReimbursements(monthlyBudgets)).toEqual([
+    { expense: trip, month: '2025-10', received: 70, outstanding: 50 }
+  ]);
+});
+
+test('a split expense\'s refund is split in the same proportions', () => {
+  const shop = { id: 'shop', name: 'Costco', amount: 150, category: 'food', isRecurring: false, date: '2025-10-04', splits: [{ category: 'food', amount: 100 }, { category: 'home', amount: 50 }] };
+  const refund = createRefund('r4', shop, '2025-10', { type: 'refund', amount: 30, date: '2025-10-20' });
+  expect(refund.category).toBe('food');
+  expect(refund.splits).toEqual([{ category: 'food', amount: -20 }, { category: 'home', amount: -10 }]);
+  expect(getRefundSplits(refund.splits, -15)).toEqual([{ category: 'food', amount: -10 }, { category: 'home', amount: -5 }]);
+  expect(getRefundSplits(shop.splits, -0.01)).toBeNull();
+});
+
+test('a refund of a debt payment stays linked to the debt', () => {
+  const payment = { id: 'pay', name: 'Visa payment', amount: 200, category: 'debt', isRecurring: false, date: '2025-10-20', debtId: 'visa' };
+  expect(createRefund('r5', payment, '2025-10', { type: 'refund', amount: 25, date: '2025-10-28' }).debtId).toBe('visa');
+});
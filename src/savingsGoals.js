@@ -0,0 +1,122 @@
+import { expandSplits } from './expenseSplits';
+import { addMonthsToMonth } from './recurrence';
+
+/**
+ * Savings Goals
+ * What money set aside is for. Goals are stored in account.goals:
+ *   [{ id, name: 'Japan trip', targetAmount: 3000, targetDate: '2026-06-30',
+ *      categoryId: 'vacation', startMonth: '2025-09' }]
+ * Every expense in the linked category (or one of its subcategories) from startMonth
+ * on is a contribution, and refunds out of it are withdrawals. Without a startMonth
+ * every month counts.
+ */
+
+/**
+ * Gets the stored savings goals
+ * @param {object} account - Account-wide data
+ * @returns {Array} Goals, in display order
+ */
+export const getGoals = (account) => account?.goals || [];
+
+/**
+ * Creates a savings goal
+ * @param {string} id - New goal ID
+ * @param {object} fields - { name, targetAmount, targetDate, categoryId, startMonth }
+ * @returns {object} Goal
+ */
+export const createGoal = (id, { name, targetAmount, targetDate, categoryId, startMonth }) => ({
+  id,
+  name: name.trim(),
+  targetAmount,
+  targetDate,
+  categoryId,
+  ...(startMonth && { startMonth })
+});
+
+/**
+ * Counts the months from one month to another
+ * @param {string} from - Month key ("YYYY-MM")
+ * @param {string} to - Month key ("YYYY-MM")
+ * @returns {number} Months between them (negative if to is earlier)
+ */
+const getMonthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+/**
+ * Totals what went into a goal in each month up to a month
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} categories - Category definitions
+ * @param {object} goal - Savings goal
+ * @param {string} throughMonth - Last month to count ("YYYY-MM")
+ * @returns {object} Contribution by month key, only months with any
+ */
+export const getGoalContributions = (monthlyBudgets, categories, goal, throughMonth) => {
+  const categoryIds = new Set([
+    goal.categoryId,
+    ...categories.filter(cat => cat.parentId === goal.categoryId).map(cat => cat.id)
+  ]);
+  const contributions = {};
+  Object.keys(monthlyBudgets)
+    .filter(month => month <= throughMonth && (!goal.startMonth || month >= goal.startMonth))
+    .sort()
+    .forEach(month => {
+      const total = expandSplits(monthlyBudgets[month].expenses || [])
+        .filter(expense => categoryIds.has(expense.category))
+        .reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
+      if (total !== 0) contributions[month] = Math.round(total * 100) / 100;
+    });
+  return contributions;
+};
+
+/**
+ * Works out how far a goal has come and what it needs to finish on time
+ * The projection assumes the average monthly contribution so far continues.
+ * @param {object} monthlyBudgets - Budget data by month
+ * @param {Array} categories - Category definitions
+ * @param {object} goal - Savings goal
+ * @param {string} currentMonth - Month treated as now ("YYYY-MM"); it still counts as a month to save in
+ * @returns {object} { saved, remaining, percent, monthsLeft, requiredMonthly, averageMonthly,
+ *   projectedMonth, isComplete, isOverdue, isOnTrack }; projectedMonth is null without contributions
+ */
+export const getGoalProgress = (monthlyBudgets, categories, goal, currentMonth) => {
+  const contributions = getGoalContributions(monthlyBudgets, categories, goal, currentMonth);
+  const months = Object.keys(contributions);
+  const saved = Math.round(months.reduce((sum, month) => sum + contributions[month], 0) * 100) / 100;
+  const remaining = Math.max(0, Math.round((goal.targetAmount - saved) * 100) / 100);
+  const isComplete = remaining === 0;
+  const targetMonth = goal.targetDate.slice(0, 7);
+  const monthsLeft = Math.max(0, getMonthsBetween(currentMonth, targetMonth) + 1);
+
+  // Average over every month since saving started, including months with nothing put in
+  const firstMonth = goal.startMonth && goal.startMonth <= currentMonth ? goal.startMonth : months[0];
+  const monthsSaving = firstMonth ? getMonthsBetween(firstMonth, currentMonth) + 1 : 0;
+  const averageMonthly = monthsSaving > 0 ? saved / monthsSaving : 0;
+
+  let projectedMonth = null;
+  if (isComplete) {
+    // The month the running total first reached the target
+    let runningTotal = 0;
+    projectedMonth = months.find(month => {
+      runningTotal += contributions[month];
+      return runningTotal >= goal.targetAmount - 0.005;
+    }) || currentMonth;
+  } else if (averageMonthly > 0) {
+    projectedMonth = addMonthsToMonth(currentMonth, Math.ceil(remaining / averageMonthly));
+  }
+
+  return {
+    saved,
+    remaining,
+    percent: goal.targetAmount > 0 ? Math.min(100, Math.max(0, (saved / goal.targetAmount) * 100)) : 0,
+    monthsLeft,
+    requiredMonthly: isComplete ? 0 : remaining / Math.max(1, monthsLeft),
+    averageMonthly,
+    projectedMonth,
+    isComplete,
+    isOverdue: !isComplete && monthsLeft === 0,
+    isOnTrack: isComplete || (projectedMonth !== null && projectedMonth <= targetMonth)
+  };
+};
@@ -0,0 +1,77 @@
+import { createGoal, getGoalContributions, getGoalProgress } from './savingsGoals';
+
+const categories = [
+  { id: 'vacation', name: 'Vacation Fund' },
+  { id: 'flights', name: 'Flights', parentId: 'vacation' },
+  { id: 'food', name: 'Food' }
+];
+
+const monthlyBudgets = {
+  '2025-08': {
+    expenses: [{ id: 'old', name: 'Old trip', amount: 900, category: 'vacation' }]
+  },
+  '2025-09': {
+    expenses: [
+      { id: 'v1', name: 'Trip fund', amount: 200, category: 'vacation' },
+      { id: 'lunch', name: 'Lunch', amount: 15, category: 'food' }
+    ]
+  },
+  '2025-10': {
+    expenses: [
+      { id: 'v2', name: 'Trip fund', amount: 150, category: 'vacation' },
+      { id: 'fl', name: 'Deposit', amount: 100, category: 'flights' },
+      { id: 'mix', name: 'Mixed', amount: 80, category: 'food', splits: [{ category: 'food', amount: 30 }, { category: 'vacation', amount: 50 }] }
+    ]
+  },
+  '2025-12': {
+    expenses: [{ id: 'v3', name: 'Trip fund', amount: 200, category: 'vacation' }]
+  }
+};
+
+const goal = createGoal('g1', { name: ' Japan trip ', targetAmount: 1500, targetDate: '2026-06-30', categoryId: 'vacation', startMonth: '2025-09' });
+
+test('creates goals with a trimmed name and no empty start month', () => {
+  expect(goal.name).toBe('Japan trip');
+  expect(createGoal('g2', { name: 'Car', targetAmount: 5000, targetDate: '2027-01-01', categoryId: 'savings', startMonth: '' })).not.toHaveProperty('startMonth');
+});
+
+test('contributions include subcategories and split lines from the start month on', () => {
+  expect(getGoalContributions(monthlyBudgets, categories, goal, '2025-12')).toEqual({
+    '2025-09': 200,
+    '2025-10': 300,
+    '2025-12': 200
+  });
+  expect(getGoalContributions(monthlyBudgets, categories, goal, '2025-10')).not.toHaveProperty('2025-12');
+});
+
+test('works out what is needed each month and when the goal will be reached', () => {
+  const progress = getGoalProgress(monthlyBudgets, categories, goal, '2025-12');
+  expect(progress.saved).toBe(700);
+  expect(progress.remaining).toBe(800);
+  expect(progress.percent).toBeCloseTo(46.67, 1);
+  expect(progress.monthsLeft).toBe(7); // December to June
+  expect(progress.requiredMonthly).toBeCloseTo(114.29, 1);
+  expect(progress.averageMonthly).toBe(175); // 700 over September to December
+  expect(progress.projectedMonth).toBe('2026-05');
+  expect(progress.isOnTrack).toBe(true);
+  expect(progress.isOverdue).toBe(false);
+});
+
+test('without a start month every month counts and the finishing month is found', () => {
+  const allTime = { ...goal, startMonth: undefined };
+  const progress = getGoalProgress(monthlyBudgets, categories, allTime, '2025-12');
+  expect(progress.saved).toBe(1600);
+  expect(progress.isComplete).toBe(true);
+  expect(progress.requiredMonthly).toBe(0);
+  expect(progress.projectedMonth).toBe('2025-12');
+  expect(progress.percent).toBe(100);
+});
+
+test('goals without contributions have no projection and become overdue after the deadline', () => {
+  const empty = createGoal('g3', { name: 'Bike', targetAmount: 600, targetDate: '2025-10-15', categoryId: 'food', startMonth: '2025-11' });
+  const progress = getGoalProgress(monthlyBudgets, categories, empty, '2025-12');
+  expect(progress.projectedMonth).toBeNull();
+  expect(progress.isOverdue).toBe(true);
+  expect(progress.isOnTrack).toBe(false);
+  expect(progress.requiredMonthly).toBe(600);
+});
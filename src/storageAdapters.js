@@ -0,0 +1,184 @@
+import {
+  saveRecordWrites,
+  subscribeToBudget,
+  loadBudget,
+  clearBudget,
+  upgradeStoredSchema,
+  migrateLegacyBudgetDocument,
+  migrateLocalStorageToFirestore,
+  appendAuditEntries,
+  subscribeToAuditLog
+} from './firestoreService';
+import { AUDIT_LOG_LIMIT } from './auditLog';
+import { applyRecordWrites, createEmptyBudget } from './budgetRecords';
+import { migrateBudget, assertValidRecordWrites } from './budgetSchema';
+
+/**
+ * Storage Adapters
+ * Every place budget data can live implements the same interface, so MainApp and
+ * useBudgetSync never need to know where the data is kept:
+ *
+ *   id               - unique key for this store, used to namespace the local cache
+ *   label            - short name shown in the UI
+ *   requiresNetwork  - true if writes can only be saved while online
+ *   prepare()        - one-time work before subscribing (migrations)
+ *   load()           - resolves with the full budget ({ monthlyBudgets, account, trash }),
+ *                      upgraded to the current schema
+ *   subscribe(onChange, onError) - live updates; returns an unsubscribe function
+ *   saveRecordWrites(writes)     - saves record writes; resolves with superseded writes;
+ *                                  rejects malformed writes (see budgetSchema.js)
+ *   clear()          - deletes all budget data
+ *   appendAuditEntries(entries)          - adds entries to the append-only audit log
+ *   subscribeToAuditLog(onChange, onError) - live recent audit entries, newest first;
+ *                                          returns an unsubscribe function
+ */
+
+/**
+ * Creates an adapter backed by the user's Firestore documents
+ * @param {string} userId - The user's unique ID
+ * @returns {object} Storage adapter
+ */
+export const createFirestoreAdapter = (userId) => ({
+  id: `firestore:${userId}`,
+  label: 'CLOUD',
+  requiresNetwork: true,
+  prepare: async () => {
+    // Legacy data first, so guest data left in localStorage is merged on top of it
+    await migrateLegacyBudgetDocument(userId);
+    await migrateLocalStorageToFirestore(userId);
+    await upgradeStoredSchema(userId);
+  },
+  load: () => loadBudget(userId),
+  subscribe: (onChange, onError) => subscribeToBudget(userId, onChange, onError),
+  saveRecordWrites: (writes) => saveRecordWrites(userId, writes),
+  clear: () => clearBudget(userId),
+  appendAuditEntries: (entries) => appendAuditEntries(userId, entries),
+  subscribeToAuditLog: (onChange, onError) => subscribeToAuditLog(userId, onChange, onError, AUDIT_LOG_LIMIT)
+});
+
+/**
+ * Creates an adapter that keeps budget data in a plain object
+ * Shared by the in-memory and localStorage adapters; stored data has no version
+ * of its own, so it is passed through the migration pipeline on every read.
+ * The audit log keeps only the newest AUDIT_LOG_LIMIT entries.
+ * @param {object} options - { id, label, read, write, readLog, writeLog } where read/write
+ *                           access the stored data and readLog/writeLog the audit log
+ * @returns {object} Storage adapter
+ */
+const createLocalAdapter = ({ id, label, read, write, readLog, writeLog }) => {
+  const listeners = new Set();
+  const logListeners = new Set();
+  const readCurrent = () => migrateBudget(read());
+
+  const notify = () => {
+    const data = readCurrent();
+    listeners.forEach(listener => listener(data));
+  };
+
+  return {
+    id,
+    label,
+    requiresNetwork: false,
+    prepare: async () => {},
+    load: async () => readCurrent(),
+    subscribe: (onChange) => {
+      listeners.add(onChange);
+      onChange(readCurrent());
+      return () => listeners.delete(onChange);
+    },
+    saveRecordWrites: async (writes) => {
+      assertValidRecordWrites(writes);
+      write(applyRecordWrites(readCurrent(), writes));
+      notify();
+      return [];
+    },
+    clear: async () => {
+      write(createEmptyBudget());
+      notify();
+    },
+    appendAuditEntries: async (entries) => {
+      const log = [...entries].reverse().concat(readLog()).slice(0, AUDIT_LOG_LIMIT);
+      writeLog(log);
+      logListeners.forEach(listener => listener(log));
+    },
+    subscribeToAuditLog: (onChange) => {
+      logListeners.add(onChange);
+      onChange(readLog());
+      return () => logListeners.delete(onChange);
+    }
+  };
+};
+
+/**
+ * Creates an adapter that keeps budget data in memory only
+ * Nothing survives a reload; used for tests and demos
+ * @param {object} initialBudget - Budget to start with ({ monthlyBudgets, account, trash })
+ * @returns {object} Storage adapter
+ */
+export const createMemoryAdapter = (initialBudget = createEmptyBudget()) => {
+  let data = initialBudget;
+  let log = [];
+
+  return createLocalAdapter({
+    id: 'memory',
+    label: 'MEMORY',
+    read: () => data,
+    write: (nextData) => {
+      data = nextData;
+    },
+    readLog: () => log,
+    writeLog: (nextLog) => {
+      log = nextLog;
+    }
+  });
+};
+
+/**
+ * Creates an adapter that keeps guest budget data on this device
+ * Uses the same localStorage key that migrateLocalStorageToFirestore reads, so the
+ * data is merged into the account when the guest signs in. Data saved by older
+ * versions is a bare month map; it is read through the migration pipeline.
+ * The audit log is kept under "<storageKey>:auditLog".
+ * @param {string} storageKey - localStorage key to store the data under
+ * @returns {object} Storage adapter
+ */
+export const createLocalStorageAdapter = (storageKey = 'monthlyBudgets') => {
+  const logKey = `${storageKey}:auditLog`;
+
+  const readJSON = (key, fallback) => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (error) {
+      console.error('❌ Error reading guest data:', error);
+      return fallback;
+    }
+  };
+  const read = () => readJSON(storageKey, {});
+
+  const adapter = createLocalAdapter({
+    id: `local:${storageKey}`,
+    label: 'THIS DEVICE',
+    read,
+    write: (nextData) => localStorage.setItem(storageKey, JSON.stringify(nextData)),
+    readLog: () => readJSON(logKey, []),
+    writeLog: (nextLog) => localStorage.setItem(logKey, JSON.stringify(nextLog))
+  });
+
+  return {
+    ...adapter,
+    subscribe: (onChange, onError) => {
+      const unsubscribe = adapter.subscribe(onChange, onError);
+
+      // Pick up edits made in other tabs
+      const handleStorage = (event) => {
+        if (event.key === storageKey) onChange(migrateBudget(read()));
+      };
+      window.addEventListener('storage', handleStorage);
+
+      return () => {
+        unsubscribe();
+        window.removeEventListener('storage', handleStorage);
+      };
+    }
+  };
+};
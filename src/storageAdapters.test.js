@@ -0,0 +1,54 @@
+import { render, screen } from '@testing-library/react';
+import App from './App';
+import { createMemoryAdapter, createLocalStorageAdapter } from './storageAdapters';
+import { createEmptyBudget, diffBudgets, stampWrites } from './budgetRecords';
+
+const now = new Date();
+const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+const budget = {
+  monthlyBudgets: {
+    [currentMonth]: {
+      incomes: [{ id: 'pay', name: 'Salary', amount: 2500, source: 'salary', isRecurring: false }],
+      categoryLimits: {},
+      expenses: [{ id: '1', name: 'Rent', amount: 1200, category: 'housing', isRecurring: false, date: `${currentMonth}-01` }]
+    }
+  },
+  account: { settings: { soundEnabled: false } },
+  trash: {}
+};
+
+test('memory adapter saves record writes and notifies subscribers', async () => {
+  const storage = createMemoryAdapter();
+  const onChange = jest.fn();
+  const unsubscribe = storage.subscribe(onChange);
+
+  await storage.saveRecordWrites(stampWrites(diffBudgets(createEmptyBudget(), budget)));
+
+  expect(await storage.load()).toEqual(budget);
+  expect(onChange).toHaveBeenLastCalledWith(budget);
+  unsubscribe();
+});
+
+test('localStorage adapter keeps guest data under the migration key', async () => {
+  const storage = createLocalStorageAdapter();
+  await storage.saveRecordWrites(stampWrites(diffBudgets(createEmptyBudget(), budget)));
+
+  expect(JSON.parse(localStorage.getItem('monthlyBudgets'))).toEqual(budget);
+  await storage.clear();
+  expect(await storage.load()).toEqual(createEmptyBudget());
+});
+
+test('localStorage adapter reads guest data saved as a bare month map', async () => {
+  localStorage.setItem('monthlyBudgets', JSON.stringify(budget.monthlyBudgets));
+  expect(await createLocalStorageAdapter().load()).toEqual({ ...budget, account: {} });
+  localStorage.removeItem('monthlyBudgets');
+});
+
+test('renders the dashboard from an in-memory store', async () => {
+  render(<App storage={createMemoryAdapter(budget)} />);
+
+  expect(await screen.findByText('SPACE BUDGET')).toBeInTheDocument();
+  expect(await screen.findByText('📝 RECENT EXPENSES', {}, { timeout: 3000 })).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('SAVED');
+});
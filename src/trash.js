@@ -0,0 +1,94 @@
+/**
+ * Trash
+ * Deleted expenses are moved into budget.trash instead of being dropped, so they
+ * can be restored into their original month until the retention period runs out.
+ * Every function takes and returns a whole budget, ready for updateBudget.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Moves an expense from its month into the trash
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} month - Month key the expense belongs to
+ * @param {string} expenseId - ID of the expense to delete
+ * @returns {object} New budget
+ */
+export const moveExpenseToTrash = (budget, month, expenseId) => {
+  const monthData = budget.monthlyBudgets[month];
+  const expense = monthData?.expenses.find(exp => exp.id === expenseId);
+  if (!expense) return budget;
+
+  return {
+    ...budget,
+    monthlyBudgets: {
+      ...budget.monthlyBudgets,
+      [month]: { ...monthData, expenses: monthData.expenses.filter(exp => exp.id !== expenseId) }
+    },
+    trash: {
+      ...budget.trash,
+      [expenseId]: { expense, month, deletedAt: new Date().toISOString() }
+    }
+  };
+};
+
+/**
+ * Puts a trashed expense back into its original month
+ * The month is recreated if it no longer exists
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {string} expenseId - ID of the trashed expense
+ * @param {object} emptyMonth - Month data to use if the original month is gone
+ * @returns {object} New budget
+ */
+export const restoreFromTrash = (budget, expenseId, emptyMonth) => {
+  const item = budget.trash[expenseId];
+  if (!item) return budget;
+
+  const { [expenseId]: restored, ...trash } = budget.trash;
+  const monthData = budget.monthlyBudgets[item.month] || emptyMonth;
+
+  return {
+    ...budget,
+    monthlyBudgets: {
+      ...budget.monthlyBudgets,
+      [item.month]: {
+        ...monthData,
+        expenses: [...monthData.expenses.filter(exp => exp.id !== expenseId), item.expense]
+      }
+    },
+    trash
+  };
+};
+
+/**
+ * Permanently removes items from the trash
+ * @param {object} budget - { monthlyBudgets, account, trash }
+ * @param {Array} expenseIds - IDs of the trashed expenses to remove
+ * @returns {object} New budget
+ */
+export const purgeFromTrash = (budget, expenseIds) => {
+  const trash = { ...budget.trash };
+  expenseIds.forEach(id => delete trash[id]);
+  return { ...budget, trash };
+};
+
+/**
+ * Finds trashed expenses older than the retention period
+ * @param {object} trash - Trashed expenses by ID
+ * @param {number} retentionDays - Days to keep deleted expenses
+ * @param {Date} now - Current time
+ * @returns {Array} IDs of expired items
+ */
+export const getExpiredTrashIds = (trash, retentionDays, now = new Date()) => {
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  return Object.keys(trash).filter(id => Date.parse(trash[id].deletedAt) < cutoff);
+};
+
+/**
+ * Lists trashed expenses, most recently deleted first
+ * @param {object} trash - Trashed expenses by ID
+ * @returns {Array} Array of { id, expense, month, deletedAt }
+ */
+export const listTrash = (trash) => Object.keys(trash)
+  .map(id => ({ id, ...trash[id] }))
+  .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
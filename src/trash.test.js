@@ -0,0 +1,31 @@
+import { moveExpenseToTrash, restoreFromTrash, getExpiredTrashIds } from './trash';
+import { createEmptyBudget, createEmptyMonth, diffBudgets } from './budgetRecords';
+import { validateRecordWrite } from './budgetSchema';
+
+const rent = { id: 'a', name: 'Rent', amount: 1500, category: 'housing', isRecurring: true, date: '2025-10-01' };
+const budget = {
+  ...createEmptyBudget(),
+  monthlyBudgets: { '2025-10': { ...createEmptyMonth(), expenses: [rent] } }
+};
+
+test('deleting moves the expense into the trash with its month', () => {
+  const deleted = moveExpenseToTrash(budget, '2025-10', 'a');
+  expect(deleted.monthlyBudgets['2025-10'].expenses).toEqual([]);
+  expect(deleted.trash.a).toMatchObject({ expense: rent, month: '2025-10' });
+  expect(diffBudgets(budget, deleted).flatMap(validateRecordWrite)).toEqual([]);
+});
+
+test('restoring recreates the original month if it was removed', () => {
+  const deleted = moveExpenseToTrash(budget, '2025-10', 'a');
+  const restored = restoreFromTrash({ ...deleted, monthlyBudgets: {} }, 'a', createEmptyMonth());
+  expect(restored.monthlyBudgets['2025-10'].expenses).toEqual([rent]);
+  expect(restored.trash).toEqual({});
+});
+
+test('finds items past the retention period', () => {
+  const trash = {
+    old: { expense: rent, month: '2025-10', deletedAt: '2025-09-01T00:00:00.000Z' },
+    recent: { expense: rent, month: '2025-10', deletedAt: '2025-10-20T00:00:00.000Z' }
+  };
+  expect(getExpiredTrashIds(trash, 30, new Date('2025-10-25T00:00:00.000Z'))).toEqual(['old']);
+});
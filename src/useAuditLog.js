@@ -0,0 +1,83 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { buildAuditEntries } from './auditLog';
+
+// Changes to the same record with the same label within this window become one entry (e.g. typing)
+const AUDIT_FLUSH_DELAY_MS = 1000;
+
+/**
+ * Audit Log Hook
+ * Records every change made in MainApp to the storage adapter's append-only audit
+ * log and keeps the most recent entries in view.
+ *
+ * @param {object} storage - Storage adapter (see storageAdapters.js)
+ * @param {string} uid - User making the changes
+ * @returns {object} { entries, recordChanges }
+ */
+export default function useAuditLog(storage, uid) {
+  const [entries, setEntries] = useState([]); // Recent audit entries, newest first
+
+  // Entries waiting to be written, keyed by record and label so rapid edits merge
+  const pendingRef = useRef(new Map());
+  const timerRef = useRef(null);
+
+  /**
+   * Writes the waiting entries to the audit log
+   */
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+
+    const pending = [...pendingRef.current.values()];
+    pendingRef.current = new Map();
+    if (pending.length === 0) return;
+
+    storage.appendAuditEntries(pending).catch(error => {
+      console.error('Error writing audit log:', error);
+    });
+  }, [storage]);
+
+  /**
+   * Adds record changes to the audit log
+   * @param {Array} changes - Array of { collection, id, before, after }
+   * @param {string} label - Description of the change
+   */
+  const recordChanges = useCallback((changes, label) => {
+    if (changes.length === 0) return;
+
+    buildAuditEntries(changes, label, uid).forEach(entry => {
+      const key = `${entry.collection}/${entry.entityId}/${entry.label}`;
+      const existing = pendingRef.current.get(key);
+      pendingRef.current.delete(key);
+      if (!existing) {
+        pendingRef.current.set(key, entry);
+        return;
+      }
+
+      // Keep the first "before" value; drop records created and deleted within the window
+      if (!existing.before && !entry.after) return;
+      pendingRef.current.set(key, {
+        ...entry,
+        action: !existing.before ? 'create' : entry.action,
+        before: existing.before
+      });
+    });
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(flush, AUDIT_FLUSH_DELAY_MS);
+  }, [uid, flush]);
+
+  /**
+   * useEffect Hook: Subscribe to recent entries; write anything still waiting on unmount
+   */
+  useEffect(() => {
+    if (!storage) return;
+
+    const unsubscribe = storage.subscribeToAuditLog(setEntries);
+    return () => {
+      unsubscribe();
+      flush();
+    };
+  }, [storage, flush]);
+
+  return { entries, recordChanges };
+}
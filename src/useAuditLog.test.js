@@ -0,0 +1,70 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useAuditLog from './useAuditLog';
+import { createMemoryAdapter } from './storageAdapters';
+
+const rent = { id: 'rent', name: 'Rent', amount: 1000, category: 'housing', month: '2025-10' };
+const lunch = { id: 'lunch', name: 'Lunch', amount: 12, category: 'food', month: '2025-10' };
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('batches changes made in quick succession into one write', async () => {
+  jest.useFakeTimers();
+  const storage = createMemoryAdapter();
+  const append = jest.spyOn(storage, 'appendAuditEntries');
+
+  const { result } = renderHook(() => useAuditLog(storage, 'user-1'));
+
+  // Typing an amount, then adding and removing a record within the window
+  act(() => result.current.recordChanges([{ collection: 'expenses', id: 'rent', before: rent, after: { ...rent, amount: 1 } }], 'Edit Rent'));
+  act(() => result.current.recordChanges([{ collection: 'expenses', id: 'rent', before: { ...rent, amount: 1 }, after: { ...rent, amount: 1100 } }], 'Edit Rent'));
+  act(() => result.current.recordChanges([{ collection: 'expenses', id: 'lunch', before: null, after: lunch }], 'Add Lunch'));
+  act(() => result.current.recordChanges([{ collection: 'expenses', id: 'lunch', before: lunch, after: null }], 'Add Lunch'));
+  act(() => result.current.recordChanges([{ collection: 'months', id: '2025-10', before: null, after: { incomes: [] } }], 'Add month'));
+  expect(append).not.toHaveBeenCalled();
+
+  act(() => jest.advanceTimersByTime(1000));
+
+  expect(append).toHaveBeenCalledTimes(1);
+  expect(append.mock.calls[0][0]).toEqual([
+    expect.objectContaining({ action: 'update', label: 'Edit Rent', entityId: 'rent', before: rent, after: { ...rent, amount: 1100 }, uid: 'user-1' }),
+    expect.objectContaining({ action: 'create', label: 'Add month', collection: 'months', entityId: '2025-10', month: '2025-10' })
+  ]);
+  await waitFor(() => expect(result.current.entries).toHaveLength(2));
+});
+
+test('a failed write is reported and later changes are still written', async () => {
+  jest.useFakeTimers();
+  const storage = createMemoryAdapter();
+  const append = jest.spyOn(storage, 'appendAuditEntries').mockRejectedValueOnce(new Error('network'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const { result } = renderHook(() => useAuditLog(storage, 'user-1'));
+
+  act(() => result.current.recordChanges([{ collection: 'expenses', id: 'rent', before: rent, after: { ...rent, amount: 1100 } }], 'Edit Rent'));
+  act(() => jest.advanceTimersByTime(1000));
+  await waitFor(() => expect(console.error).toHaveBeenCalledWith('Error writing audit log:', expect.any(Error)));
+  expect(result.current.entries).toEqual([]);
+
+  act(() => result.current.recordChanges([{ collection: 'expenses', id: 'lunch', before: null, after: lunch }], 'Add Lunch'));
+  act(() => jest.advanceTimersByTime(1000));
+
+  expect(append).toHaveBeenCalledTimes(2);
+  expect(append.mock.calls[1][0]).toEqual([expect.objectContaining({ action: 'create', label: 'Add Lunch' })]);
+  await waitFor(() => expect(result.current.entries).toHaveLength(1));
+
+  console.error.mockRestore();
+});
+
+test('changes still waiting are written when the hook unmounts', () => {
+  const storage = createMemoryAdapter();
+  const append = jest.spyOn(storage, 'appendAuditEntries');
+
+  const { result, unmount } = renderHook(() => useAuditLog(storage, 'guest'));
+  act(() => result.current.recordChanges([{ collection: 'expenses', id: 'rent', before: rent, after: null }], 'Delete Rent'));
+  unmount();
+
+  expect(append).toHaveBeenCalledTimes(1);
+  expect(append.mock.calls[0][0]).toEqual([expect.objectContaining({ action: 'delete', uid: 'guest' })]);
+});
@@ -0,0 +1,153 @@
+import { useState, useRef, useCallback } from 'react';
+import { toRecords, diffBudgets, applyRecordWrites } from './budgetRecords';
+
+// Number of changes kept on the undo stack
+const HISTORY_LIMIT = 100;
+
+// Changes with the same coalesce key made within this window become one undo step
+const COALESCE_WINDOW_MS = 1000;
+
+/**
+ * Describes record writes as before/after pairs
+ * @param {object} previous - Budget the writes are applied to
+ * @param {Array} writes - Array of { collection, id, data } writes
+ * @returns {Array} Array of { collection, id, before, after } changes
+ */
+const toChanges = (previous, writes) => {
+  const previousRecords = toRecords(previous);
+  return writes.map(write => ({
+    collection: write.collection,
+    id: write.id,
+    before: previousRecords[write.collection][write.id] || null,
+    after: write.data
+  }));
+};
+
+/**
+ * Budget History Hook
+ * Undo/redo for changes to the budget. Each step stores the before/after value
+ * of only the records it touched, so undoing a local change never reverts edits
+ * that arrived from another device in the meantime.
+ *
+ * @param {object} budget - Current budget ({ monthlyBudgets, account, trash })
+ * @param {function} setBudget - State setter for the budget
+ * @param {function} onChanges - Optional; called with (changes, label) for every change,
+ *                               undo and redo, where changes are { collection, id, before, after }
+ * @returns {object} { updateBudget, undo, redo, canUndo, canRedo }
+ */
+export default function useBudgetHistory(budget, setBudget, onChanges) {
+  // Latest budget, so updates made from timers see the current value
+  const budgetsRef = useRef(budget);
+  budgetsRef.current = budget;
+  const onChangesRef = useRef(onChanges);
+  onChangesRef.current = onChanges;
+
+  const pastRef = useRef([]); // Undo stack, most recent last
+  const futureRef = useRef([]); // Redo stack, most recent last
+  const [stackSizes, setStackSizes] = useState({ past: 0, future: 0 }); // Re-renders when the stacks change
+
+  const syncStackSizes = () => {
+    setStackSizes({ past: pastRef.current.length, future: futureRef.current.length });
+  };
+
+  /**
+   * Applies a change to the budget and records it as an undo step
+   * @param {function} updater - Receives the current budget and returns the new budget
+   * @param {string} label - Short description of the change (e.g. "Delete Rent")
+   * @param {object} options - { coalesceKey } to merge rapid changes (e.g. typing) into one step,
+   *                           { skipHistory } for changes that should not be undoable (e.g. settings)
+   */
+  const updateBudget = useCallback((updater, label, options = {}) => {
+    const previous = budgetsRef.current;
+    const next = updater(previous);
+    const writes = diffBudgets(previous, next);
+    if (writes.length === 0) return;
+
+    const changes = toChanges(previous, writes);
+    if (onChangesRef.current) onChangesRef.current(changes, label);
+
+    if (options.skipHistory) {
+      budgetsRef.current = next;
+      setBudget(next);
+      return;
+    }
+
+    const now = Date.now();
+    const lastStep = pastRef.current[pastRef.current.length - 1];
+
+    if (options.coalesceKey && lastStep && lastStep.coalesceKey === options.coalesceKey &&
+        now - lastStep.time < COALESCE_WINDOW_MS) {
+      // Keep the original "before" values and move the "after" values forward
+      changes.forEach(change => {
+        const existing = lastStep.changes.find(c => c.collection === change.collection && c.id === change.id);
+        if (existing) {
+          existing.after = change.after;
+        } else {
+          lastStep.changes.push(change);
+        }
+      });
+      lastStep.time = now;
+    } else {
+      pastRef.current = [
+        ...pastRef.current,
+        { label, changes, coalesceKey: options.coalesceKey, time: now }
+      ].slice(-HISTORY_LIMIT);
+    }
+
+    futureRef.current = [];
+    budgetsRef.current = next;
+    setBudget(next);
+    syncStackSizes();
+  }, [setBudget]);
+
+  /**
+   * Moves one step between the undo and redo stacks and applies it
+   * @param {object} from - Ref of the stack to take the step from
+   * @param {object} to - Ref of the stack to put the step on
+   * @param {string} side - "before" to undo, "after" to redo
+   * @returns {string|null} Label of the step, or null if the stack was empty
+   */
+  const applyStep = useCallback((from, to, side) => {
+    const step = from.current[from.current.length - 1];
+    if (!step) return null;
+
+    from.current = from.current.slice(0, -1);
+    to.current = [...to.current, step];
+
+    const writes = step.changes.map(change => ({
+      collection: change.collection,
+      id: change.id,
+      data: change[side]
+    }));
+    const previous = budgetsRef.current;
+    const next = applyRecordWrites(previous, writes);
+    if (onChangesRef.current) {
+      const label = `${side === 'before' ? 'Undo' : 'Redo'}: ${step.label}`;
+      onChangesRef.current(toChanges(previous, diffBudgets(previous, next)), label);
+    }
+    budgetsRef.current = next;
+    setBudget(next);
+    syncStackSizes();
+    return step.label;
+  }, [setBudget]);
+
+  /**
+   * Reverts the most recent change
+   * @returns {string|null} Label of the undone change
+   */
+  const undo = useCallback(() => applyStep(pastRef, futureRef, 'before'), [applyStep]);
+
+  /**
+   * Re-applies the most recently undone change
+   * @returns {string|null} Label of the redone change
+   */
+  const redo = useCallback(() => applyStep(futureRef, pastRef, 'after'), [applyStep]);
+
+  return {
+    updateBudget,
+    undo,
+    redo,
+    canUndo: stackSizes.past > 0,
+    canRedo: stackSizes.future > 0
+  };
+}
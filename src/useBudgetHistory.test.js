@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import useBudgetHistory from './useBudgetHistory';
+import { createEmptyMonth } from './budgetRecords';
+
+const initialBudget = {
+  monthlyBudgets: {
+    '2025-10': {
+      ...createEmptyMonth(),
+      expenses: [
+        { id: 'rent', name: 'Rent', amount: 1000, category: 'housing', isRecurring: false },
+        { id: 'lunch', name: 'Lunch', amount: 12, category: 'food', isRecurring: false }
+      ]
+    }
+  },
+  account: {},
+  trash: {}
+};
+
+// Runs the hook on top of real budget state, as MainApp does
+const renderHistory = () => {
+  const onChanges = jest.fn();
+  const { result } = renderHook(() => {
+    const [budget, setBudget] = useState(initialBudget);
+    return { budget, setBudget, ...useBudgetHistory(budget, setBudget, onChanges) };
+  });
+  return { result, onChanges };
+};
+
+const setAmount = (id, amount) => (budget) => ({
+  ...budget,
+  monthlyBudgets: {
+    '2025-10': {
+      ...budget.monthlyBudgets['2025-10'],
+      expenses: budget.monthlyBudgets['2025-10'].expenses.map(exp => (exp.id === id ? { ...exp, amount } : exp))
+    }
+  }
+});
+
+const amountOf = (result, id) => result.current.budget.monthlyBudgets['2025-10'].expenses.find(exp => exp.id === id).amount;
+
+test('undo and redo round-trip a change', () => {
+  const { result } = renderHistory();
+  expect(result.current.canUndo).toBe(false);
+
+  act(() => result.current.updateBudget(setAmount('rent', 1100), 'Edit Rent'));
+  expect(amountOf(result, 'rent')).toBe(1100);
+  expect(result.current.canUndo).toBe(true);
+
+  let label;
+  act(() => { label = result.current.undo(); });
+  expect(label).toBe('Edit Rent');
+  expect(amountOf(result, 'rent')).toBe(1000);
+  expect(result.current.canUndo).toBe(false);
+  expect(result.current.canRedo).toBe(true);
+
+  act(() => { label = result.current.redo(); });
+  expect(label).toBe('Edit Rent');
+  expect(amountOf(result, 'rent')).toBe(1100);
+  expect(result.current.canRedo).toBe(false);
+});
+
+test('undo only reverts the records the step touched', () => {
+  const { result } = renderHistory();
+
+  act(() => result.current.updateBudget(setAmount('rent', 1100), 'Edit Rent'));
+  // An edit from another device arrives without going through the history
+  act(() => result.current.setBudget(setAmount('lunch', 15)));
+
+  act(() => { result.current.undo(); });
+  expect(amountOf(result, 'rent')).toBe(1000);
+  expect(amountOf(result, 'lunch')).toBe(15);
+});
+
+test('changes with the same coalesce key made in quick succession are one step', () => {
+  const { result } = renderHistory();
+  const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+  act(() => result.current.updateBudget(setAmount('rent', 1), 'Edit Rent', { coalesceKey: 'rent' }));
+  now.mockReturnValue(10500);
+  act(() => result.current.updateBudget(setAmount('rent', 11), 'Edit Rent', { coalesceKey: 'rent' }));
+  now.mockReturnValue(11000);
+  act(() => result.current.updateBudget(setAmount('rent', 110), 'Edit Rent', { coalesceKey: 'rent' }));
+  // A pause longer than the window starts a new step
+  now.mockReturnValue(13000);
+  act(() => result.current.updateBudget(setAmount('rent', 1100), 'Edit Rent', { coalesceKey: 'rent' }));
+
+  act(() => { result.current.undo(); });
+  expect(amountOf(result, 'rent')).toBe(110);
+  act(() => { result.current.undo(); });
+  expect(amountOf(result, 'rent')).toBe(1000);
+  expect(result.current.canUndo).toBe(false);
+
+  now.mockRestore();
+});
+
+test('changes made with skipHistory cannot be undone', () => {
+  const { result } = renderHistory();
+
+  act(() => result.current.updateBudget(setAmount('rent', 1100), 'Edit Rent'));
+  act(() => result.current.updateBudget(budget => ({ ...budget, account: { settings: { soundEnabled: false } } }), 'Settings', { skipHistory: true }));
+
+  act(() => { result.current.undo(); });
+  expect(amountOf(result, 'rent')).toBe(1000);
+  expect(result.current.budget.account.settings).toEqual({ soundEnabled: false });
+  expect(result.current.canUndo).toBe(false);
+});
+
+test('a new change clears the redo stack', () => {
+  const { result } = renderHistory();
+
+  act(() => result.current.updateBudget(setAmount('rent', 1100), 'Edit Rent'));
+  act(() => { result.current.undo(); });
+  expect(result.current.canRedo).toBe(true);
+
+  act(() => result.current.updateBudget(setAmount('lunch', 15), 'Edit Lunch'));
+  expect(result.current.canRedo).toBe(false);
+
+  let label;
+  act(() => { label = result.current.redo(); });
+  expect(label).toBeNull();
+  expect(amountOf(result, 'rent')).toBe(1000);
+});
+
+test('reports the record changes of every change, undo and redo', () => {
+  const { result, onChanges } = renderHistory();
+
+  act(() => result.current.updateBudget(budget => budget, 'Nothing'));
+  expect(onChanges).not.toHaveBeenCalled();
+
+  act(() => result.current.updateBudget(setAmount('rent', 1100), 'Edit Rent'));
+  act(() => { result.current.undo(); });
+  act(() => { result.current.redo(); });
+
+  const rent = { id: 'rent', name: 'Rent', category: 'housing', isRecurring: false, month: '2025-10' };
+  expect(onChanges.mock.calls).toEqual([
+    [[{ collection: 'expenses', id: 'rent', before: { ...rent, amount: 1000 }, after: { ...rent, amount: 1100 } }], 'Edit Rent'],
+    [[{ collection: 'expenses', id: 'rent', before: { ...rent, amount: 1100 }, after: { ...rent, amount: 1000 } }], 'Undo: Edit Rent'],
+    [[{ collection: 'expenses', id: 'rent', before: { ...rent, amount: 1000 }, after: { ...rent, amount: 1100 } }], 'Redo: Edit Rent']
+  ]);
+});
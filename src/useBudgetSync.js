@@ -0,0 +1,235 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { loadCachedBudgets, cacheBudgets, loadPendingWrites, queueWrites, removePendingWrites } from './localCache';
+import { createEmptyBudget, diffBudgets, stampWrites, applyRecordWrites, coalesceWrites } from './budgetRecords';
+import { CURRENT_SCHEMA_VERSION, migrateBudget, validateRecordWrite } from './budgetSchema';
+
+// Queued writes are sent once edits have paused for this long, so typing saves once
+const SAVE_DEBOUNCE_MS = 800;
+
+/**
+ * Budget Sync Hook
+ * Keeps the budget ({ monthlyBudgets, account, trash }) in sync with a storage adapter while working offline first:
+ *   - the last known data is cached in IndexedDB and shown immediately on load
+ *   - every local change is turned into per-record writes and queued in IndexedDB;
+ *     writes that do not match the current schema are refused
+ *   - queued writes are sent once edits pause, and replayed whenever the store can be reached
+ *   - live updates from the store are merged with writes that are still queued
+ *
+ * syncStatus is one of:
+ *   "saved"   - every change has reached the store
+ *   "saving"  - changes are queued or being written
+ *   "offline" - changes are kept on this device until the connection returns
+ *   "error"   - the last write failed; retrySync() tries again
+ *   "invalid" - some changed records were refused and stay unsaved until they are fixed
+ *
+ * @param {object} storage - Storage adapter (see storageAdapters.js)
+ * @returns {object} { budget, setBudget, isLoaded, syncStatus, retrySync }
+ */
+export default function useBudgetSync(storage) {
+  const cacheId = storage?.id;
+
+  const [budget, setBudget] = useState(createEmptyBudget); // Month data by month key plus account-wide data
+  const [isLoaded, setIsLoaded] = useState(false); // Tracks if data has been loaded from the cache or the store
+  const [pendingCount, setPendingCount] = useState(0); // Number of writes not yet confirmed by the store
+  const [syncError, setSyncError] = useState(null); // Error from the last failed write, cleared on success
+  const [refusedCount, setRefusedCount] = useState(0); // Changed records refused as malformed, cleared once they are fixed
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine); // Browser connection state
+
+  // Budget data as last read from the store, with queued writes applied on top
+  const syncedBudgetsRef = useRef(createEmptyBudget());
+  // Writes that have not been confirmed by the store yet
+  const pendingWritesRef = useRef([]);
+  // Prevents overlapping replays of the queue
+  const isFlushingRef = useRef(false);
+  // Timer for the debounced save
+  const saveTimerRef = useRef(null);
+
+  /**
+   * Replaces the queue of unconfirmed writes
+   * @param {Array} writes - Writes still waiting for the store
+   */
+  const setPendingWrites = useCallback((writes) => {
+    pendingWritesRef.current = writes;
+    setPendingCount(writes.length);
+  }, []);
+
+  /**
+   * Shows budget data that came from storage without treating it as a local change
+   * @param {object} data - Budget data to show
+   */
+  const showStoredBudgets = useCallback((data) => {
+    syncedBudgetsRef.current = data;
+    setBudget(data);
+    cacheBudgets(cacheId, data, CURRENT_SCHEMA_VERSION);
+  }, [cacheId]);
+
+  /**
+   * Replays queued writes to the store
+   * Writes superseded by newer edits from another device are dropped and the
+   * stored version is shown instead
+   */
+  const flushPendingWrites = useCallback(async () => {
+    clearTimeout(saveTimerRef.current);
+    if (isFlushingRef.current || pendingWritesRef.current.length === 0) return;
+    if (storage.requiresNetwork && !navigator.onLine) return;
+
+    isFlushingRef.current = true;
+    const writes = pendingWritesRef.current;
+
+    try {
+      const superseded = await storage.saveRecordWrites(writes);
+      await removePendingWrites(cacheId, writes);
+      setPendingWrites(pendingWritesRef.current.filter(write => !writes.includes(write)));
+      setSyncError(null);
+
+      // Show the newer stored version, unless the record was edited again since
+      const stillPending = new Set(pendingWritesRef.current.map(write => `${write.collection}/${write.id}`));
+      const newerRemote = superseded.filter(write => !stillPending.has(`${write.collection}/${write.id}`));
+      if (newerRemote.length > 0) {
+        showStoredBudgets(applyRecordWrites(syncedBudgetsRef.current, newerRemote));
+      }
+    } catch (error) {
+      console.error('Error replaying queued writes:', error);
+      setSyncError(error);
+      return;
+    } finally {
+      isFlushingRef.current = false;
+    }
+
+    // Replay anything queued while this replay was running
+    if (pendingWritesRef.current.some(write => !writes.includes(write))) {
+      flushPendingWrites();
+    }
+  }, [storage, cacheId, showStoredBudgets, setPendingWrites]);
+
+  /**
+   * Sends queued writes once edits have paused
+   */
+  const scheduleFlush = useCallback(() => {
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(flushPendingWrites, SAVE_DEBOUNCE_MS);
+  }, [flushPendingWrites]);
+
+  /**
+   * Tries failed writes again straight away
+   */
+  const retrySync = useCallback(() => {
+    setSyncError(null);
+    flushPendingWrites();
+  }, [flushPendingWrites]);
+
+  /**
+   * useEffect Hook: Load cached data, then subscribe to live data in the store
+   */
+  useEffect(() => {
+    if (!storage) return;
+
+    let unsubscribe = null;
+    let cancelled = false;
+
+    const startSync = async () => {
+      // Show cached data straight away so the app works offline
+      const [cached, pending] = await Promise.all([
+        loadCachedBudgets(cacheId),
+        loadPendingWrites(cacheId)
+      ]);
+      if (cancelled) return;
+
+      setPendingWrites(pending);
+      if (cached) {
+        showStoredBudgets(applyRecordWrites(migrateBudget(cached.budget, cached.schemaVersion), pending));
+      }
+      if (cached || (storage.requiresNetwork && !navigator.onLine)) {
+        setIsLoaded(true);
+      }
+
+      // Run one-time migrations before reading live data
+      await storage.prepare();
+      if (cancelled) return;
+
+      unsubscribe = storage.subscribe(
+        (remoteBudgets) => {
+          // Keep edits that are still queued on top of what the store holds
+          showStoredBudgets(applyRecordWrites(remoteBudgets, pendingWritesRef.current));
+          setIsLoaded(true);
+          flushPendingWrites();
+        },
+        (error) => {
+          console.error('Error loading user data:', error);
+          setIsLoaded(true);
+        }
+      );
+    };
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      flushPendingWrites();
+    };
+    const handleOffline = () => setIsOnline(false);
+    // Don't wait for the debounce when the page is being hidden or closed
+    const handleHidden = () => {
+      if (document.visibilityState === 'hidden') flushPendingWrites();
+    };
+
+    startSync().catch(error => {
+      // Show what is there (or an empty budget) rather than loading forever
+      console.error('Error starting sync:', error);
+      if (cancelled) return;
+      setSyncError(error);
+      setIsLoaded(true);
+    });
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    document.addEventListener('visibilitychange', handleHidden);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(saveTimerRef.current);
+      if (unsubscribe) unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      document.removeEventListener('visibilitychange', handleHidden);
+    };
+  }, [storage, cacheId, showStoredBudgets, flushPendingWrites, setPendingWrites]);
+
+  /**
+   * useEffect Hook: Queue changed records whenever the data changes
+   */
+  useEffect(() => {
+    if (!isLoaded || !storage) return;
+
+    const writes = diffBudgets(syncedBudgetsRef.current, budget);
+    const validWrites = writes.filter(write => {
+      const errors = validateRecordWrite(write);
+      if (errors.length > 0) {
+        console.error('Refusing to save malformed budget data:', errors);
+      }
+      return errors.length === 0;
+    });
+
+    // Refused records stay out of the synced copy so they are written once fixed
+    syncedBudgetsRef.current = validWrites.length === writes.length
+      ? budget
+      : applyRecordWrites(syncedBudgetsRef.current, validWrites);
+    setRefusedCount(writes.length - validWrites.length);
+    if (validWrites.length === 0) return;
+
+    const stamped = stampWrites(validWrites);
+    setPendingWrites(coalesceWrites(pendingWritesRef.current, stamped));
+    cacheBudgets(cacheId, budget, CURRENT_SCHEMA_VERSION);
+    queueWrites(cacheId, stamped).then(scheduleFlush);
+  }, [budget, isLoaded, storage, cacheId, scheduleFlush, setPendingWrites]);
+
+  let syncStatus = 'saved';
+  if (storage?.requiresNetwork && !isOnline) {
+    syncStatus = 'offline';
+  } else if (syncError) {
+    syncStatus = 'error';
+  } else if (refusedCount > 0) {
+    syncStatus = 'invalid';
+  } else if (pendingCount > 0) {
+    syncStatus = 'saving';
+  }
+
+  return { budget, setBudget, isLoaded, syncStatus, retrySync };
+}
@@ -0,0 +1,75 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useBudgetSync from './useBudgetSync';
+import { createMemoryAdapter } from './storageAdapters';
+import { createEmptyMonth } from './budgetRecords';
+
+test('debounces saves and reports failures until retried', async () => {
+  const storage = createMemoryAdapter();
+  const save = jest.spyOn(storage, 'saveRecordWrites').mockRejectedValueOnce(new Error('network'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const { result } = renderHook(() => useBudgetSync(storage));
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+  // Three quick edits to the same month are sent as one write
+  [100, 200, 300].forEach(amount => {
+    act(() => {
+      result.current.setBudget(prev => ({
+        ...prev,
+        monthlyBudgets: {
+          '2025-10': { ...createEmptyMonth(), incomes: [{ id: 'pay', name: 'Pay', amount, source: 'salary', isRecurring: false }] }
+        }
+      }));
+    });
+  });
+  expect(result.current.syncStatus).toBe('saving');
+
+  await waitFor(() => expect(result.current.syncStatus).toBe('error'));
+  expect(save).toHaveBeenCalledTimes(1);
+  expect(save.mock.calls[0][0]).toHaveLength(1);
+
+  act(() => result.current.retrySync());
+  await waitFor(() => expect(result.current.syncStatus).toBe('saved'));
+  expect((await storage.load()).monthlyBudgets['2025-10'].incomes[0].amount).toBe(300);
+
+  console.error.mockRestore();
+});
+
+test('reports refused records until they are fixed', async () => {
+  const storage = createMemoryAdapter();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const { result } = renderHook(() => useBudgetSync(storage));
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+  const setPay = (amount) => act(() => {
+    result.current.setBudget(prev => ({
+      ...prev,
+      monthlyBudgets: {
+        '2025-10': { ...createEmptyMonth(), incomes: [{ id: 'pay', name: 'Pay', amount, source: 'salary', isRecurring: false }] }
+      }
+    }));
+  });
+
+  setPay('lots');
+  expect(result.current.syncStatus).toBe('invalid');
+  expect((await storage.load()).monthlyBudgets).not.toHaveProperty('2025-10');
+
+  setPay(300);
+  await waitFor(() => expect(result.current.syncStatus).toBe('saved'));
+  expect((await storage.load()).monthlyBudgets['2025-10'].incomes[0].amount).toBe(300);
+
+  console.error.mockRestore();
+});
+
+test('finishes loading with an error when preparing the store fails', async () => {
+  const storage = createMemoryAdapter();
+  jest.spyOn(storage, 'prepare').mockRejectedValueOnce(new Error('migration failed'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const { result } = renderHook(() => useBudgetSync(storage));
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+  expect(result.current.syncStatus).toBe('error');
+
+  console.error.mockRestore();
+});